@@ -0,0 +1,191 @@
+// Drug interaction, allergy and condition reference data used for cart safety checks.
+// Kept local so checks work without a network call; extend the lists as the catalogue grows.
+// This is a screening aid for the pharmacist team, not a complete clinical database.
+
+// Severity levels, most serious first
+const SEVERITY_LEVELS = ['High', 'Moderate', 'Low'];
+
+// Generic drugs with the brand names and spellings they are sold under
+const DRUGS = {
+  warfarin: ['warfarin', 'coumadin', 'marevan'],
+  aspirin: ['aspirin', 'acetylsalicylic', 'cardiprin', 'disprin', 'aspar'],
+  ibuprofen: ['ibuprofen', 'brufen', 'advil', 'nurofen'],
+  diclofenac: ['diclofenac', 'voltaren', 'cataflam', 'olfen'],
+  naproxen: ['naproxen', 'naprosyn'],
+  piroxicam: ['piroxicam', 'feldene'],
+  meloxicam: ['meloxicam', 'mobic'],
+  celecoxib: ['celecoxib', 'celebrex'],
+  paracetamol: ['paracetamol', 'acetaminophen', 'panadol', 'emzor paracetamol', 'tylenol'],
+  lisinopril: ['lisinopril', 'zestril'],
+  enalapril: ['enalapril', 'renitec'],
+  ramipril: ['ramipril', 'tritace'],
+  losartan: ['losartan', 'cozaar'],
+  valsartan: ['valsartan', 'diovan'],
+  spironolactone: ['spironolactone', 'aldactone'],
+  potassium: ['potassium chloride', 'slow-k', 'k-lyte'],
+  amlodipine: ['amlodipine', 'norvasc', 'amlovar'],
+  nifedipine: ['nifedipine', 'adalat'],
+  propranolol: ['propranolol', 'inderal'],
+  atenolol: ['atenolol', 'tenormin'],
+  metformin: ['metformin', 'glucophage'],
+  glibenclamide: ['glibenclamide', 'glyburide', 'daonil'],
+  gliclazide: ['gliclazide', 'diamicron'],
+  insulin: ['insulin', 'mixtard', 'actrapid', 'lantus', 'novorapid'],
+  simvastatin: ['simvastatin', 'zocor'],
+  atorvastatin: ['atorvastatin', 'lipitor'],
+  clarithromycin: ['clarithromycin', 'klacid'],
+  erythromycin: ['erythromycin', 'erythrocin'],
+  ciprofloxacin: ['ciprofloxacin', 'ciprotab', 'cipro'],
+  levofloxacin: ['levofloxacin', 'tavanic'],
+  metronidazole: ['metronidazole', 'flagyl'],
+  fluconazole: ['fluconazole', 'diflucan'],
+  ketoconazole: ['ketoconazole', 'nizoral'],
+  amoxicillin: ['amoxicillin', 'amoxil', 'augmentin', 'amoxiclav', 'co-amoxiclav'],
+  ampicillin: ['ampicillin', 'ampiclox'],
+  cloxacillin: ['cloxacillin', 'flucloxacillin'],
+  penicillin: ['penicillin', 'phenoxymethylpenicillin', 'benzathine'],
+  cefuroxime: ['cefuroxime', 'zinnat'],
+  ceftriaxone: ['ceftriaxone', 'rocephin'],
+  cephalexin: ['cephalexin', 'cefalexin', 'keflex'],
+  cotrimoxazole: ['co-trimoxazole', 'cotrimoxazole', 'septrin', 'bactrim', 'sulfamethoxazole'],
+  sulfadoxine: ['sulfadoxine', 'fansidar', 'sulfadoxine-pyrimethamine'],
+  artemether: ['artemether', 'coartem', 'lonart', 'lumefantrine'],
+  quinine: ['quinine'],
+  chloroquine: ['chloroquine'],
+  tramadol: ['tramadol', 'tramal'],
+  codeine: ['codeine', 'co-codamol'],
+  diazepam: ['diazepam', 'valium'],
+  fluoxetine: ['fluoxetine', 'prozac'],
+  sertraline: ['sertraline', 'zoloft'],
+  amitriptyline: ['amitriptyline'],
+  carbamazepine: ['carbamazepine', 'tegretol'],
+  phenytoin: ['phenytoin', 'epanutin'],
+  omeprazole: ['omeprazole', 'losec'],
+  clopidogrel: ['clopidogrel', 'plavix'],
+  sildenafil: ['sildenafil', 'viagra'],
+  nitrate: ['glyceryl trinitrate', 'isosorbide', 'nitroglycerin'],
+  digoxin: ['digoxin', 'lanoxin'],
+  methotrexate: ['methotrexate'],
+  prednisolone: ['prednisolone', 'prednisone'],
+  dexamethasone: ['dexamethasone'],
+  pseudoephedrine: ['pseudoephedrine', 'sudafed', 'actifed'],
+  isotretinoin: ['isotretinoin', 'roaccutane'],
+  doxycycline: ['doxycycline', 'vibramycin'],
+  tetracycline: ['tetracycline'],
+  antacid: ['antacid', 'gestid', 'magnesium trisilicate', 'aluminium hydroxide', 'gaviscon'],
+  iron: ['ferrous', 'iron tablet', 'chemiron', 'astyfer'],
+  alcohol: ['alcohol', 'ethanol']
+};
+
+// Drug classes, so one rule can cover every member
+const DRUG_CLASSES = {
+  nsaid: ['aspirin', 'ibuprofen', 'diclofenac', 'naproxen', 'piroxicam', 'meloxicam', 'celecoxib'],
+  aceInhibitor: ['lisinopril', 'enalapril', 'ramipril'],
+  arb: ['losartan', 'valsartan'],
+  betaBlocker: ['propranolol', 'atenolol'],
+  sulfonylurea: ['glibenclamide', 'gliclazide'],
+  statin: ['simvastatin', 'atorvastatin'],
+  macrolide: ['clarithromycin', 'erythromycin'],
+  quinolone: ['ciprofloxacin', 'levofloxacin'],
+  azoleAntifungal: ['fluconazole', 'ketoconazole'],
+  penicillins: ['amoxicillin', 'ampicillin', 'cloxacillin', 'penicillin'],
+  cephalosporins: ['cefuroxime', 'ceftriaxone', 'cephalexin'],
+  sulfonamides: ['cotrimoxazole', 'sulfadoxine'],
+  opioid: ['tramadol', 'codeine'],
+  ssri: ['fluoxetine', 'sertraline'],
+  tetracyclines: ['doxycycline', 'tetracycline'],
+  corticosteroid: ['prednisolone', 'dexamethasone']
+};
+
+// Each rule applies when one item matches `a` and another matches `b` (drug or class names)
+const INTERACTIONS = [
+  { a: ['warfarin'], b: ['nsaid'], severity: 'High', effect: 'Greatly increases the risk of serious bleeding.', advice: 'Avoid together unless a doctor has approved it; paracetamol is usually safer for pain.' },
+  { a: ['warfarin'], b: ['macrolide', 'azoleAntifungal', 'metronidazole', 'cotrimoxazole', 'quinolone'], severity: 'High', effect: 'Raises warfarin levels and the risk of bleeding.', advice: 'Your INR may need checking — speak to your doctor before combining.' },
+  { a: ['warfarin'], b: ['clopidogrel'], severity: 'High', effect: 'Two blood thinners together raise the risk of bleeding.', advice: 'Only take both if your doctor prescribed them together.' },
+  { a: ['sildenafil'], b: ['nitrate'], severity: 'High', effect: 'Can cause a dangerous drop in blood pressure.', advice: 'Never take these together.' },
+  { a: ['aceInhibitor', 'arb'], b: ['spironolactone', 'potassium'], severity: 'High', effect: 'Can push blood potassium to dangerous levels.', advice: 'Only combine with regular blood tests arranged by your doctor.' },
+  { a: ['simvastatin'], b: ['macrolide', 'azoleAntifungal'], severity: 'High', effect: 'Raises statin levels and the risk of muscle damage.', advice: 'Your doctor may pause the statin during the course.' },
+  { a: ['tramadol'], b: ['ssri', 'amitriptyline'], severity: 'High', effect: 'Risk of serotonin syndrome and seizures.', advice: 'Check with a doctor before combining.' },
+  { a: ['opioid'], b: ['diazepam', 'alcohol'], severity: 'High', effect: 'Together they can slow breathing dangerously.', advice: 'Avoid combining, especially at night.' },
+  { a: ['isotretinoin'], b: ['tetracyclines'], severity: 'High', effect: 'Can raise pressure around the brain.', advice: 'Do not take together.' },
+  { a: ['methotrexate'], b: ['cotrimoxazole', 'nsaid'], severity: 'High', effect: 'Raises methotrexate toxicity.', advice: 'Do not combine without your specialist.' },
+  { a: ['quinine', 'artemether'], b: ['quinolone', 'macrolide'], severity: 'Moderate', effect: 'Both can affect heart rhythm.', advice: 'Ask a pharmacist before taking together.' },
+  { a: ['nsaid'], b: ['aceInhibitor', 'arb'], severity: 'Moderate', effect: 'Can reduce the blood pressure effect and strain the kidneys.', advice: 'Use the lowest dose for the shortest time and drink plenty of water.' },
+  { a: ['nsaid'], b: ['corticosteroid'], severity: 'Moderate', effect: 'Raises the risk of stomach ulcers and bleeding.', advice: 'Take with food; ask about a stomach protector.' },
+  { a: ['nsaid'], b: ['ssri', 'clopidogrel'], severity: 'Moderate', effect: 'Raises the risk of bleeding.', advice: 'Ask a pharmacist about a safer painkiller.' },
+  { a: ['nsaid'], b: ['nsaid'], severity: 'Moderate', effect: 'Two anti-inflammatory painkillers add to stomach and kidney side effects without more benefit.', advice: 'Take only one of them.' },
+  { a: ['sulfonylurea', 'insulin'], b: ['quinolone', 'cotrimoxazole', 'fluconazole'], severity: 'Moderate', effect: 'Can cause low blood sugar.', advice: 'Check your sugar more often during the course.' },
+  { a: ['betaBlocker'], b: ['sulfonylurea', 'insulin'], severity: 'Low', effect: 'Can hide the warning signs of low blood sugar.', advice: 'Check your sugar regularly.' },
+  { a: ['metronidazole'], b: ['alcohol'], severity: 'Moderate', effect: 'Causes flushing, vomiting and a fast heartbeat.', advice: 'Avoid alcohol during the course and for 48 hours after.' },
+  { a: ['clopidogrel'], b: ['omeprazole'], severity: 'Moderate', effect: 'Omeprazole can make clopidogrel less effective.', advice: 'Ask a pharmacist about an alternative stomach protector.' },
+  { a: ['carbamazepine', 'phenytoin'], b: ['macrolide', 'azoleAntifungal'], severity: 'Moderate', effect: 'Raises anti-epileptic levels.', advice: 'Your doctor may need to adjust the dose.' },
+  { a: ['digoxin'], b: ['macrolide', 'quinine'], severity: 'Moderate', effect: 'Raises digoxin levels.', advice: 'Watch for nausea or a slow pulse and tell your doctor.' },
+  { a: ['quinolone', 'tetracyclines'], b: ['antacid', 'iron'], severity: 'Low', effect: 'Stops the antibiotic being absorbed properly.', advice: 'Take the antibiotic 2 hours before or 6 hours after.' },
+  { a: ['paracetamol'], b: ['paracetamol'], severity: 'Moderate', effect: 'Several paracetamol products together can exceed the safe daily dose.', advice: 'Keep to 4g (8 x 500mg tablets) a day in total.' }
+];
+
+// Allergies a customer can record, and the drugs or classes each one rules out.
+// `crossReactive` members carry a smaller, but real, risk of reaction.
+const ALLERGIES = {
+  penicillin: { label: 'Penicillin', aliases: ['penicillin', 'penicillins', 'amoxicillin', 'ampicillin'], drugs: ['penicillins'], crossReactive: ['cephalosporins'] },
+  cephalosporin: { label: 'Cephalosporins', aliases: ['cephalosporin', 'cephalosporins', 'ceftriaxone', 'cefuroxime'], drugs: ['cephalosporins'] },
+  sulfa: { label: 'Sulfa drugs', aliases: ['sulfa', 'sulpha', 'sulfonamide', 'sulphonamide', 'septrin', 'fansidar'], drugs: ['sulfonamides'] },
+  nsaid: { label: 'NSAIDs', aliases: ['nsaid', 'nsaids', 'ibuprofen', 'diclofenac'], drugs: ['nsaid'] },
+  aspirin: { label: 'Aspirin', aliases: ['aspirin'], drugs: ['aspirin'], crossReactive: ['nsaid'] },
+  codeine: { label: 'Opioids', aliases: ['codeine', 'opioid', 'opioids', 'tramadol', 'morphine'], drugs: ['opioid'] },
+  quinolone: { label: 'Quinolones', aliases: ['quinolone', 'quinolones', 'ciprofloxacin', 'cipro'], drugs: ['quinolone'] },
+  macrolide: { label: 'Macrolides', aliases: ['macrolide', 'macrolides', 'erythromycin', 'clarithromycin'], drugs: ['macrolide'] },
+  tetracycline: { label: 'Tetracyclines', aliases: ['tetracycline', 'tetracyclines', 'doxycycline'], drugs: ['tetracyclines'] },
+  chloroquine: { label: 'Chloroquine', aliases: ['chloroquine'], drugs: ['chloroquine'] },
+  paracetamol: { label: 'Paracetamol', aliases: ['paracetamol', 'acetaminophen'], drugs: ['paracetamol'] }
+};
+
+// Health conditions a customer can record, and the drugs that need caution with each
+const CONDITIONS = {
+  pregnancy: { label: 'Pregnancy', aliases: ['pregnant', 'pregnancy'], cautions: [
+    { drugs: ['isotretinoin', 'warfarin', 'aceInhibitor', 'arb', 'tetracyclines'], severity: 'High', advice: 'Not safe in pregnancy — speak to your doctor.' },
+    { drugs: ['nsaid', 'quinolone', 'cotrimoxazole'], severity: 'Moderate', advice: 'Usually avoided in pregnancy; check with your doctor or pharmacist.' }
+  ] },
+  breastfeeding: { label: 'Breastfeeding', aliases: ['breastfeeding', 'nursing'], cautions: [
+    { drugs: ['codeine', 'tramadol'], severity: 'High', advice: 'Can pass to the baby — ask your doctor for an alternative.' },
+    { drugs: ['quinolone', 'tetracyclines'], severity: 'Moderate', advice: 'Check with a pharmacist before use while breastfeeding.' }
+  ] },
+  asthma: { label: 'Asthma', aliases: ['asthma', 'asthmatic'], cautions: [
+    { drugs: ['propranolol'], severity: 'High', advice: 'Can trigger a severe asthma attack.' },
+    { drugs: ['nsaid', 'atenolol'], severity: 'Moderate', advice: 'Can worsen asthma in some people — stop and get help if you wheeze.' }
+  ] },
+  pepticUlcer: { label: 'Stomach ulcer', aliases: ['ulcer', 'peptic ulcer', 'stomach ulcer', 'gastric ulcer'], cautions: [
+    { drugs: ['nsaid'], severity: 'High', advice: 'Can cause bleeding from an ulcer.' },
+    { drugs: ['corticosteroid'], severity: 'Moderate', advice: 'Can worsen ulcers; take with food.' }
+  ] },
+  kidneyDisease: { label: 'Kidney disease', aliases: ['kidney disease', 'kidney', 'renal', 'ckd'], cautions: [
+    { drugs: ['nsaid', 'metformin'], severity: 'High', advice: 'Can harm the kidneys or build up — your doctor may need to adjust or avoid it.' },
+    { drugs: ['spironolactone', 'potassium', 'aceInhibitor', 'arb'], severity: 'Moderate', advice: 'Needs regular potassium checks.' }
+  ] },
+  liverDisease: { label: 'Liver disease', aliases: ['liver disease', 'liver', 'hepatitis', 'cirrhosis'], cautions: [
+    { drugs: ['paracetamol'], severity: 'Moderate', advice: 'Keep to a lower daily dose — ask a pharmacist.' },
+    { drugs: ['ketoconazole', 'statin'], severity: 'High', advice: 'Can damage the liver further.' }
+  ] },
+  hypertension: { label: 'High blood pressure', aliases: ['hypertension', 'high blood pressure', 'bp'], cautions: [
+    { drugs: ['pseudoephedrine'], severity: 'Moderate', advice: 'Can raise blood pressure — choose a decongestant-free cold remedy.' },
+    { drugs: ['nsaid'], severity: 'Low', advice: 'Can raise blood pressure with regular use.' }
+  ] },
+  diabetes: { label: 'Diabetes', aliases: ['diabetes', 'diabetic', 'sugar'], cautions: [
+    { drugs: ['corticosteroid'], severity: 'Moderate', advice: 'Raises blood sugar — check it more often.' }
+  ] },
+  epilepsy: { label: 'Epilepsy', aliases: ['epilepsy', 'seizures', 'epileptic'], cautions: [
+    { drugs: ['tramadol', 'quinolone'], severity: 'Moderate', advice: 'Can lower the seizure threshold.' }
+  ] },
+  g6pd: { label: 'G6PD deficiency', aliases: ['g6pd'], cautions: [
+    { drugs: ['cotrimoxazole', 'sulfadoxine', 'chloroquine', 'quinine'], severity: 'High', advice: 'Can destroy red blood cells in G6PD deficiency.' }
+  ] }
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  DRUGS,
+  DRUG_CLASSES,
+  INTERACTIONS,
+  ALLERGIES,
+  CONDITIONS
+};
@@ -17,6 +17,7 @@ const swaggerSpec = {
   tags: [
     { name: 'Admin', description: 'Administrative endpoints (login, password reset, CRUD)' },
     { name: 'Prescriptions', description: 'Prescription upload and OCR endpoints' },
+    { name: 'Pharmacist', description: 'Prescription review workspace (Pharmacist, Admin and Owner roles)' },
     { name: 'HealthcareProducts', description: 'Product image uploads' }
   ],
   paths: {
@@ -102,6 +103,685 @@ const swaggerSpec = {
         responses: { '200': { description: 'Password reset successful' } }
       }
     },
+    '/api/admin/orders/{id}/history': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Order status history',
+        description: 'Every status transition recorded for an order, oldest first',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { '200': { description: 'Current status and transition history' }, '400': { description: 'Order not found or permission denied' } }
+      }
+    },
+    '/api/admin/payment-events/{id}/replay': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Replay a payment webhook event',
+        description: 'Re-runs a stored Flutterwave/Paystack event from the payment event ledger. Events that already succeeded need force=true.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: { required: false, content: { 'application/json': { schema: { type: 'object', properties: { force: { type: 'boolean' } } } } } },
+        responses: { '200': { description: 'Event processed; returns ledger status and outcome' }, '400': { description: 'Event not found, already processed or failed again' } }
+      }
+    },
+    '/api/admin/reconciliation/report': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Daily payment reconciliation report',
+        description: 'Verified payments for one day (Lagos time) grouped by provider and result, with open queue items and failed webhook events',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'date', in: 'query', required: false, schema: { type: 'string', example: '2024-01-15' } }],
+        responses: { '200': { description: 'Reconciliation report' } }
+      }
+    },
+    '/api/admin/reconciliation/queue': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Payment reconciliation queue',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', required: false, schema: { type: 'string', enum: ['Open', 'Resolved', 'Cleared', 'all'] } },
+          { name: 'page', in: 'query', required: false, schema: { type: 'integer' } },
+          { name: 'pageSize', in: 'query', required: false, schema: { type: 'integer' } }
+        ],
+        responses: { '200': { description: 'Paginated queue items' } }
+      }
+    },
+    '/api/admin/reconciliation/{id}/resolve': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Resolve a reconciliation queue item',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', properties: { notes: { type: 'string' } }, required: ['notes'] } } } },
+        responses: { '200': { description: 'Item resolved' } }
+      }
+    },
+    '/api/admin/refunds': {
+      get: {
+        tags: ['Admin'],
+        summary: 'List refunds for an order, diagnostic booking or appointment',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'targetType', in: 'query', required: true, schema: { type: 'string', enum: ['Order', 'DiagnosticBooking', 'Appointment'] } },
+          { name: 'targetId', in: 'query', required: true, schema: { type: 'integer' } }
+        ],
+        responses: { '200': { description: 'Refunds, newest first' } }
+      },
+      post: {
+        tags: ['Admin'],
+        summary: 'Refund a payment',
+        description: 'Full refund when amount is omitted, otherwise a partial refund of the given amount (NGN)',
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  targetType: { type: 'string', enum: ['Order', 'DiagnosticBooking', 'Appointment'] },
+                  targetId: { type: 'integer' },
+                  amount: { type: 'number', example: 2500 },
+                  reason: { type: 'string' }
+                },
+                required: ['targetType', 'targetId']
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Refund initiated' }, '400': { description: 'No refundable payment, amount too high or provider error' } }
+      }
+    },
+    '/api/admin/jobs': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Background jobs with their interval and last run',
+        security: [{ BearerAuth: [] }],
+        responses: { '200': { description: 'Job status list' } }
+      }
+    },
+    '/api/admin/jobs/{name}/run': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Run a background job now',
+        description: 'For hosts without the in-process scheduler (SCHEDULER_ENABLED=false). Jobs: refill-reminders, adherence-reminders',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string', example: 'refill-reminders' } }],
+        responses: { '200': { description: 'Run summary' }, '400': { description: 'Unknown job' } }
+      }
+    },
+    '/api/admin/adherence': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Dose adherence report for a customer or one medication schedule',
+        description: 'Counts Taken, Skipped, Missed and still-open doses. The adherence rate is taken / (taken + skipped + missed).',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'userId', in: 'query', schema: { type: 'integer' } },
+          { name: 'scheduleId', in: 'query', schema: { type: 'integer' } },
+          { name: 'from', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to 30 days before "to"' },
+          { name: 'to', in: 'query', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to now' }
+        ],
+        responses: { '200': { description: 'Totals overall and per schedule' }, '400': { description: 'userId or scheduleId missing' } }
+      }
+    },
+    '/api/admin/delivery-zones': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Delivery zones in matching order (lowest priority number first)',
+        security: [{ BearerAuth: [] }],
+        responses: { '200': { description: 'Zones' } }
+      },
+      post: {
+        tags: ['Admin'],
+        summary: 'Create a delivery zone',
+        description: 'Radius zones need centerLatitude, centerLongitude and radiusKm; Polygon zones need polygon as [[latitude, longitude], ...]. areaKeywords match typed addresses that have no shared location.',
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: { type: 'string' },
+                  type: { type: 'string', enum: ['Radius', 'Polygon'] },
+                  originName: { type: 'string' },
+                  centerLatitude: { type: 'number' },
+                  centerLongitude: { type: 'number' },
+                  radiusKm: { type: 'number' },
+                  polygon: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+                  areaKeywords: { type: 'array', items: { type: 'string' } },
+                  baseFee: { type: 'number' },
+                  feePerKm: { type: 'number' },
+                  freeDeliveryThreshold: { type: 'number' },
+                  cutoffTime: { type: 'string', example: '17:00' },
+                  etaHours: { type: 'integer' },
+                  priority: { type: 'integer' },
+                  isActive: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Created zone' }, '400': { description: 'Invalid zone' } }
+      }
+    },
+    '/api/admin/delivery-zones/{id}': {
+      put: {
+        tags: ['Admin'],
+        summary: 'Update a delivery zone',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+        responses: { '200': { description: 'Updated zone' }, '400': { description: 'Invalid zone or not found' } }
+      }
+    },
+    '/api/admin/delivery-zones/quote': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Delivery fee and ETA for an address or location',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'address', in: 'query', schema: { type: 'string' } },
+          { name: 'latitude', in: 'query', schema: { type: 'number' } },
+          { name: 'longitude', in: 'query', schema: { type: 'number' } },
+          { name: 'subtotal', in: 'query', schema: { type: 'number' }, description: 'Item value, for free-delivery thresholds' }
+        ],
+        responses: { '200': { description: 'Zone, fee, distance and estimated delivery time' }, '400': { description: 'Location outside every zone' } }
+      }
+    },
+    '/api/admin/riders': {
+      get: {
+        tags: ['Admin'],
+        summary: 'List riders with their open deliveries',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['Available', 'OnDelivery', 'Offline'] } },
+          { name: 'includeInactive', in: 'query', schema: { type: 'boolean' } }
+        ],
+        responses: { '200': { description: 'Riders' } }
+      },
+      post: {
+        tags: ['Admin'],
+        summary: 'Add a rider',
+        description: 'Riders send delivery updates and share their location from this WhatsApp number.',
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'phoneNumber'],
+                properties: {
+                  name: { type: 'string' },
+                  phoneNumber: { type: 'string', example: '08031234567' },
+                  vehicle: { type: 'string', enum: ['Motorbike', 'Bicycle', 'Car', 'Van'] }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Created rider' }, '400': { description: 'Invalid rider or phone number already registered' } }
+      }
+    },
+    '/api/admin/riders/{id}': {
+      put: {
+        tags: ['Admin'],
+        summary: 'Update a rider',
+        description: 'Riders with open deliveries cannot be deactivated.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+        responses: { '200': { description: 'Updated rider' }, '400': { description: 'Invalid rider or not found' } }
+      }
+    },
+    '/api/admin/dispatch': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Packed orders waiting for a rider and deliveries in progress',
+        security: [{ BearerAuth: [] }],
+        responses: { '200': { description: 'unassigned orders and active assignments' } }
+      }
+    },
+    '/api/admin/orders/{id}/assign-rider': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Assign an order to a rider',
+        description: 'Reassigning closes the previous rider\'s assignment. The rider and the customer are messaged on WhatsApp.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', required: ['riderId'], properties: { riderId: { type: 'integer' } } } } }
+        },
+        responses: { '200': { description: 'Delivery assignment' }, '400': { description: 'Order not packed, rider off duty or not found' } }
+      }
+    },
+    '/api/admin/delivery-exceptions': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Deliveries the orders support team has to follow up',
+        description: 'Delivery codes that could not be sent, orders locked after too many wrong codes, failed deliveries and deliveries not confirmed within DELIVERY_CONFIRMATION_HOURS.',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['Open', 'Resolved'], default: 'Open' } },
+          { name: 'type', in: 'query', schema: { type: 'string', enum: ['CodeNotSent', 'CodeAttemptsExceeded', 'ConfirmationMissing', 'DeliveryFailed'] } },
+          { name: 'orderId', in: 'query', schema: { type: 'integer' } }
+        ],
+        responses: { '200': { description: 'Exceptions, oldest first' } }
+      }
+    },
+    '/api/admin/delivery-exceptions/{id}/resolve': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Resolve a delivery exception',
+        description: 'action resendCode sends the customer a new delivery code; confirmDelivered marks the order Delivered after support has confirmed it with the customer.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['notes'],
+                properties: {
+                  notes: { type: 'string' },
+                  action: { type: 'string', enum: ['resendCode', 'confirmDelivered'] }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Exception resolved' }, '400': { description: 'Already resolved or the action failed' } }
+      }
+    },
+    '/api/admin/branches': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Pharmacy branches with their open fulfilment queue counts',
+        security: [{ BearerAuth: [] }],
+        responses: { '200': { description: 'Branches' } }
+      },
+      post: {
+        tags: ['Admin'],
+        summary: 'Add a pharmacy branch',
+        security: [{ BearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'address'],
+                properties: {
+                  name: { type: 'string' },
+                  address: { type: 'string' },
+                  latitude: { type: 'number' },
+                  longitude: { type: 'number' },
+                  phoneNumber: { type: 'string' },
+                  openingHours: { type: 'object', description: 'Weekday (mon-sun) to "HH:MM-HH:MM"; days left out are closed, null means always open', example: { mon: '08:00-20:00', sat: '09:00-14:00' } }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Branch created' }, '400': { description: 'Invalid branch' } }
+      }
+    },
+    '/api/admin/branches/{id}': {
+      put: {
+        tags: ['Admin'],
+        summary: 'Update a pharmacy branch',
+        description: 'Deactivating a branch takes its stock out of the catalogue totals and stops new orders being routed to it.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { '200': { description: 'Branch updated' }, '400': { description: 'Invalid branch' } }
+      }
+    },
+    '/api/admin/branches/{id}/stock': {
+      put: {
+        tags: ['Admin'],
+        summary: 'Set how many units of items a branch holds',
+        description: 'Catalogue stock for each item becomes the total across active branches.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['items'],
+                properties: {
+                  items: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        itemType: { type: 'string', enum: ['Product', 'HealthcareProduct'] },
+                        itemId: { type: 'integer' },
+                        stock: { type: 'integer', minimum: 0 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Stock updated' }, '400': { description: 'Unknown branch or item' } }
+      }
+    },
+    '/api/admin/branches/{id}/queue': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Orders a branch is preparing, oldest first',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'Branch ID, or "unrouted" for lines no branch could supply' },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['Pending', 'Picking', 'Ready', 'Collected', 'Cancelled'] } }
+        ],
+        responses: { '200': { description: 'Fulfilments with their items' } }
+      }
+    },
+    '/api/admin/fulfilments/{id}': {
+      put: {
+        tags: ['Admin'],
+        summary: 'Move a fulfilment through its branch queue, or route an unrouted one to a branch',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', enum: ['Picking', 'Ready', 'Collected'] },
+                  branchId: { type: 'integer', description: 'Branch to take the stock from (unrouted fulfilments only)' }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Fulfilment updated' }, '400': { description: 'Invalid status change or not enough stock at the branch' } }
+      }
+    },
+    '/api/admin/doctors/{id}/schedule': {
+      get: {
+        tags: ['Admin'],
+        summary: "A doctor's weekly schedule, consultation length, timezone and upcoming leave",
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { '200': { description: 'Schedule' }, '400': { description: 'Doctor not found' } }
+      },
+      put: {
+        tags: ['Admin'],
+        summary: "Change a doctor's schedule",
+        description: 'Existing appointments are kept even if they no longer fit the new schedule.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  weeklySchedule: {
+                    type: 'object',
+                    nullable: true,
+                    description: 'Weekday (mon-sun) to working hours with breaks; days left out are off. null uses the default Mon-Fri 09:00-17:00 schedule',
+                    example: { mon: { start: '09:00', end: '17:00', breaks: [{ start: '13:00', end: '14:00' }] }, sat: { start: '10:00', end: '13:00' } }
+                  },
+                  consultationMinutes: { type: 'integer', minimum: 5, maximum: 240 },
+                  consultationFee: { type: 'number', minimum: 0, description: 'Paid before the appointment is confirmed; 0 for free consultations' },
+                  timezone: { type: 'string', example: 'Africa/Lagos' },
+                  consultationModes: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['InPerson', 'Video', 'Chat'] },
+                    description: 'How patients can see the doctor; Chat needs the doctor console WhatsApp number to be set',
+                    example: ['InPerson', 'Video']
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Updated schedule' }, '400': { description: 'Invalid schedule' } }
+      }
+    },
+    '/api/admin/doctors/{id}/whatsapp': {
+      put: {
+        tags: ['Admin'],
+        summary: "Set the WhatsApp number a doctor uses for the doctor console",
+        description: 'Messages from this number go to the doctor console (schedule, booking requests, outcomes, notes, e-prescriptions) instead of the customer bot. Send null to turn the console off.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['phoneNumber'],
+                properties: {
+                  phoneNumber: { type: 'string', nullable: true, example: '08031234567' }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Number saved' }, '400': { description: 'Invalid number, already used by another doctor, rider or support team member, or cleared while the doctor offers chat consultations' } }
+      }
+    },
+    '/api/admin/doctors/{id}/leave': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Block days for a doctor',
+        description: 'Returns appointments already booked in the period so they can be moved or cancelled.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['startDate'],
+                properties: {
+                  startDate: { type: 'string', format: 'date' },
+                  endDate: { type: 'string', format: 'date', description: 'Inclusive; defaults to startDate' },
+                  reason: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Leave and clashing appointments' }, '400': { description: 'Invalid dates' } }
+      }
+    },
+    '/api/admin/doctors/{id}/leave/{leaveId}': {
+      delete: {
+        tags: ['Admin'],
+        summary: 'Cancel a leave period',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'leaveId', in: 'path', required: true, schema: { type: 'integer' } }
+        ],
+        responses: { '200': { description: 'Leave removed' }, '400': { description: 'Leave not found' } }
+      }
+    },
+    '/api/admin/appointments/{id}/outcome': {
+      post: {
+        tags: ['Admin'],
+        summary: 'Record whether the patient attended; a no-show applies the no-show policy and notifies the patient',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['outcome'],
+                properties: {
+                  outcome: { type: 'string', enum: ['Completed', 'NoShow'] },
+                  notes: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Updated appointment' }, '400': { description: 'Invalid outcome, or appointment not started / cancelled' } }
+      }
+    },
+    '/api/admin/appointments/{id}/transcript': {
+      get: {
+        tags: ['Admin'],
+        summary: 'Messages relayed between patient and doctor during a chat consultation, oldest first',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { '200': { description: 'Chat times and messages, each with its sender and whether it was delivered' }, '400': { description: 'Appointment not found' } }
+      }
+    },
+    '/api/admin/prescriptions/queue': {
+      get: {
+        tags: ['Pharmacist'],
+        summary: 'Pending prescriptions awaiting review, oldest first',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'unclaimed', in: 'query', schema: { type: 'boolean' }, description: 'Hide prescriptions another pharmacist is reviewing' },
+          { name: 'page', in: 'query', schema: { type: 'integer' } },
+          { name: 'pageSize', in: 'query', schema: { type: 'integer' } }
+        ],
+        responses: { '200': { description: 'Queue items with their current claim' } }
+      }
+    },
+    '/api/admin/prescriptions/{id}/review': {
+      get: {
+        tags: ['Pharmacist'],
+        summary: 'Prescription image, OCR text, parsed medicines and order items side by side',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { '200': { description: 'Review workspace data' } }
+      }
+    },
+    '/api/admin/prescriptions/{id}/claim': {
+      post: {
+        tags: ['Pharmacist'],
+        summary: 'Claim a prescription for review',
+        description: 'Claims lapse after PRESCRIPTION_CLAIM_MINUTES. Send force: true to take over another pharmacist\'s claim.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          content: { 'application/json': { schema: { type: 'object', properties: { force: { type: 'boolean' } } } } }
+        },
+        responses: { '200': { description: 'Claim details' }, '400': { description: 'Already reviewed or claimed by someone else' } }
+      }
+    },
+    '/api/admin/prescriptions/{id}/release': {
+      post: {
+        tags: ['Pharmacist'],
+        summary: 'Release your claim on a prescription',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        responses: { '200': { description: 'Claim released' } }
+      }
+    },
+    '/api/admin/prescriptions/{id}/medicines': {
+      put: {
+        tags: ['Pharmacist'],
+        summary: 'Replace the parsed medicine list',
+        description: 'Medicines without a productId are matched against the catalogue again',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  medicines: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string', example: 'Amoxicillin' },
+                        strength: { type: 'string', example: '500mg' },
+                        dosageForm: { type: 'string', example: 'Capsule' },
+                        frequency: { type: 'string', example: 'TDS' },
+                        durationDays: { type: 'integer', example: 5 },
+                        quantity: { type: 'integer', example: 15 },
+                        productId: { type: 'integer' }
+                      },
+                      required: ['name']
+                    }
+                  }
+                },
+                required: ['medicines']
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Saved medicines' } }
+      }
+    },
+    '/api/admin/prescriptions/{id}/substitution': {
+      put: {
+        tags: ['Pharmacist'],
+        summary: 'Allow or disallow same-ingredient alternatives for a prescription',
+        description: 'When disallowed, customers are only offered the prescribed products, even when they are out of stock',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['allowed'],
+                properties: { allowed: { type: 'boolean', example: false } }
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Updated substitution setting' }, '400': { description: 'Not allowed or invalid' } }
+      }
+    },
+    '/api/admin/prescriptions/{id}/decision': {
+      post: {
+        tags: ['Pharmacist'],
+        summary: 'Approve or reject a prescription',
+        description: 'Messages the customer. Approval releases an order awaiting review for packing; rejection keeps it on hold for a new upload unless cancelOrder is set.',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', enum: ['Verified', 'Rejected'] },
+                  notes: { type: 'string', description: 'Required when rejecting' },
+                  cancelOrder: { type: 'boolean', description: 'Cancel (and refund) the order on rejection' }
+                },
+                required: ['status']
+              }
+            }
+          }
+        },
+        responses: { '200': { description: 'Decision recorded' }, '400': { description: 'Invalid decision or prescription not reviewable' } }
+      }
+    },
     '/api/prescriptions/upload': {
       post: {
         tags: ['Prescriptions'],
@@ -162,6 +162,28 @@ const sendLocationRequestMessage = async (phoneNumber, bodyText, buttonText = "
   }
 };
 
+// Send a location pin
+const sendLocationMessage = async (phoneNumber, location) => {
+  console.log(`📤 Sending LOCATION to ${phoneNumber}`);
+  try {
+    const response = await whatsappAPI.post(`/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+      messaging_product: 'whatsapp',
+      to: phoneNumber,
+      type: 'location',
+      location: {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        name: location.name,
+        address: location.address
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error sending location message:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 // Mark message as read
 const markMessageAsRead = async (messageId) => {
   try {
@@ -217,6 +239,7 @@ module.exports = {
   sendInteractiveMessage,
   sendListMessage,
   sendLocationRequestMessage,
+  sendLocationMessage,
   sendTypingIndicator,
   sendTypingStop,
   markMessageAsRead,
@@ -6,7 +6,7 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const { sequelize, initializeDatabase, Session } = require('./models');
-const { sendWhatsAppMessage, markMessageAsRead, downloadMedia, isPermissionError, sendInteractiveMessage, sendListMessage, sendLocationRequestMessage, sendTypingIndicator, sendTypingStop } = require('./config/whatsapp');
+const { sendWhatsAppMessage, markMessageAsRead, downloadMedia, isPermissionError, sendInteractiveMessage, sendListMessage, sendLocationRequestMessage, sendLocationMessage, sendTypingIndicator, sendTypingStop } = require('./config/whatsapp');
 const adminService = require('./services/admin');
 const { processMessage, formatResponseWithOptions } = require('./services/nlp');
 const { parseNavigationCommand, buildPaginatedListMessage } = require('./utils/pagination');
@@ -19,10 +19,33 @@ const {
   placeOrder,
   trackOrder,
   searchDoctors,
-  searchDoctorsPaginated,
-  bookAppointment
+  searchDoctorsPaginated
 } = require('./services/drugsng');
 const { processFlutterwavePayment, processPaystackPayment, verifyPayment } = require('./services/payment');
+const { getOrderStatusHistory } = require('./services/orderManagement');
+const { getPaymentProvider, isMockMode } = require('./services/paymentProviders');
+const { handlePaymentWebhook, replayPaymentEvent } = require('./services/paymentEvents');
+const { getReconciliationQueue, resolveReconciliation, getDailyReconciliationReport } = require('./services/reconciliation');
+const { requestRefund, getRefunds } = require('./services/refunds');
+const prescriptionReview = require('./services/prescriptionReview');
+const { registerJob, runJob, startScheduler, getJobStatus } = require('./services/scheduler');
+const { REFILL_JOB_INTERVAL_MINUTES, runRefillReminderJob, reorderFromOrder } = require('./services/refills');
+const adherence = require('./services/adherence');
+const { getHealthProfile, updateHealthProfile, checkCartItemSafety, formatSafetyWarnings } = require('./services/medicationSafety');
+const { findAlternatives } = require('./services/substitution');
+const { searchCatalogue } = require('./services/search');
+const addressBook = require('./services/addressBook');
+const delivery = require('./services/delivery');
+const dispatch = require('./services/dispatch');
+const deliveryConfirmation = require('./services/deliveryConfirmation');
+const fulfilment = require('./services/fulfilment');
+const { bookAppointmentValidated, recordAppointmentOutcome } = require('./services/appointmentManagement');
+const doctorSchedule = require('./services/doctorSchedule');
+const appointmentReminders = require('./services/appointmentReminders');
+const appointmentHandlers = require('./services/appointmentHandlers');
+const doctorConsole = require('./services/doctorConsole');
+const teleconsultation = require('./services/teleconsultation');
+const { sendTimeSelectionButtons } = require('./utils/messageHandler');
 const { encryptData, decryptData, generateToken } = require('./services/security');
 const { handleApiError, handleDbError, handleValidationError, createErrorResponse, createSuccessResponse } = require('./utils/errorHandler');
 const { checkRateLimit } = require('./utils/rateLimiter');
@@ -42,7 +65,14 @@ const {
   updateProductImage,
   getProductImageUrl
 } = require('./services/healthcareProducts');
-const { uploadAndSavePrescription, savePrescription, extractPrescriptionFromBuffer } = require('./services/prescription');
+const {
+  uploadAndSavePrescription,
+  savePrescription,
+  extractPrescriptionFromBuffer,
+  matchPrescriptionToCatalogue,
+  checkCheckoutPrescription,
+  attachPendingPrescription
+} = require('./services/prescription');
 const {
   uploadDoctorImage,
   updateDoctorImage,
@@ -169,6 +199,9 @@ async function startServer() {
         ? 'https://drugs-ng-whatsapp-bot.vercel.app/webhook'
         : `http://localhost:${PORT}/webhook`;
       console.log(`Webhook endpoint: ${webhookUrl}`);
+      if (isMockMode()) {
+        console.log('⚠️ PAYMENT_MOCK_MODE is on: payments are simulated locally');
+      }
     });
 
     // Try to connect to database in the background with retries
@@ -184,6 +217,9 @@ async function startServer() {
         // Initialize database
         await initializeDatabase();
         console.log('Database initialized successfully.');
+
+        // Background jobs need the database
+        startScheduler();
       } catch (dbError) {
         retries--;
         if (retries === 0) {
@@ -202,6 +238,12 @@ async function startServer() {
   }
 }
 
+// Background jobs
+registerJob('refill-reminders', REFILL_JOB_INTERVAL_MINUTES * 60 * 1000, runRefillReminderJob);
+registerJob('adherence-reminders', adherence.ADHERENCE_JOB_INTERVAL_SECONDS * 1000, adherence.runAdherenceReminderJob);
+registerJob('delivery-confirmations', deliveryConfirmation.CONFIRMATION_JOB_INTERVAL_MINUTES * 60 * 1000, deliveryConfirmation.runDeliveryConfirmationCheck);
+registerJob('appointment-reminders', appointmentReminders.APPOINTMENT_REMINDER_INTERVAL_MINUTES * 60 * 1000, appointmentReminders.runAppointmentReminderJob);
+
 // Admin auth middleware
 const adminAuthMiddleware = async (req, res, next) => {
   try {
@@ -339,6 +381,510 @@ app.post('/api/admin/staff', adminAuthMiddleware, async (req, res) => {
 });
 
 // Export endpoint must come before generic :table route
+app.get('/api/admin/orders/:id/history', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Order')) throw new Error('Permission denied');
+    const result = await getOrderStatusHistory(req.params.id);
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin order history error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/payment-events/:id/replay', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'PaymentEvent')) throw new Error('Permission denied');
+    const force = req.body && (req.body.force === true || req.body.force === 'true');
+    const result = await replayPaymentEvent(req.params.id, { force });
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin payment event replay error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/reconciliation/report', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'PaymentReconciliation')) throw new Error('Permission denied');
+    const report = await getDailyReconciliationReport(req.query.date);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Admin reconciliation report error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/reconciliation/queue', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'PaymentReconciliation')) throw new Error('Permission denied');
+    const result = await getReconciliationQueue(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin reconciliation queue error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/reconciliation/:id/resolve', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'PaymentReconciliation')) throw new Error('Permission denied');
+    const item = await resolveReconciliation(req.params.id, {
+      notes: req.body.notes,
+      resolvedBy: req.admin.email
+    });
+    res.json({ success: true, data: item });
+  } catch (error) {
+    console.error('Admin reconciliation resolve error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/refunds', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Refund')) throw new Error('Permission denied');
+    const { targetType, targetId } = req.query;
+    if (!targetType || !targetId) throw new Error('targetType and targetId are required');
+    const refunds = await getRefunds(targetType, targetId);
+    res.json({ success: true, data: refunds });
+  } catch (error) {
+    console.error('Admin list refunds error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/refunds', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'Refund')) throw new Error('Permission denied');
+    const { targetType, targetId, amount, reason } = req.body;
+    const result = await requestRefund(targetType, targetId, {
+      amount: amount === undefined || amount === null || amount === '' ? null : amount,
+      reason,
+      requestedBy: `admin:${req.admin.email}`
+    });
+    if (!result.success) throw new Error(result.error);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin refund error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/prescriptions/queue', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Prescription')) throw new Error('Permission denied');
+    const result = await prescriptionReview.getReviewQueue(req.query);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin prescription queue error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/prescriptions/:id/review', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Prescription')) throw new Error('Permission denied');
+    const result = await prescriptionReview.getPrescriptionForReview(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin prescription review error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/prescriptions/:id/claim', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Prescription')) throw new Error('Permission denied');
+    const force = req.body && (req.body.force === true || req.body.force === 'true');
+    const result = await prescriptionReview.claimPrescription(req.params.id, req.admin.email, { force });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin prescription claim error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/prescriptions/:id/release', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Prescription')) throw new Error('Permission denied');
+    const result = await prescriptionReview.releasePrescriptionClaim(req.params.id, req.admin.email);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin prescription release error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/prescriptions/:id/medicines', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Prescription')) throw new Error('Permission denied');
+    const medicines = await prescriptionReview.updatePrescriptionMedicines(req.params.id, req.body.medicines, req.admin.email);
+    res.json({ success: true, data: { medicines } });
+  } catch (error) {
+    console.error('Admin prescription medicines error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Lets the pharmacist insist on the prescribed product (no same-ingredient alternatives)
+app.put('/api/admin/prescriptions/:id/substitution', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Prescription')) throw new Error('Permission denied');
+    const result = await prescriptionReview.setSubstitutionAllowed(req.params.id, req.body.allowed, req.admin.email);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin prescription substitution error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/prescriptions/:id/decision', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Prescription')) throw new Error('Permission denied');
+    const { status, notes, cancelOrder: cancel } = req.body;
+    const result = await prescriptionReview.decidePrescription(req.params.id, {
+      status,
+      notes,
+      pharmacist: req.admin.email,
+      cancelOrder: cancel === true || cancel === 'true'
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin prescription decision error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/jobs', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'ScheduledJob')) throw new Error('Permission denied');
+    res.json({ success: true, data: getJobStatus() });
+  } catch (error) {
+    console.error('Admin job status error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Lets an external cron run jobs where the in-process scheduler is off (SCHEDULER_ENABLED=false)
+app.post('/api/admin/jobs/:name/run', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'ScheduledJob')) throw new Error('Permission denied');
+    const result = await runJob(req.params.name);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin run job error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Dose-by-dose adherence for a customer or one schedule (defaults to the last 30 days)
+app.get('/api/admin/adherence', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'MedicationSchedule')) throw new Error('Permission denied');
+    const report = await adherence.getAdherenceReport({
+      userId: req.query.userId ? parseInt(req.query.userId, 10) : null,
+      scheduleId: req.query.scheduleId ? parseInt(req.query.scheduleId, 10) : null,
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    console.error('Admin adherence report error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/delivery-zones', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'DeliveryZone')) throw new Error('Permission denied');
+    const zones = await delivery.listDeliveryZones();
+    res.json({ success: true, data: zones });
+  } catch (error) {
+    console.error('Admin delivery zones error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/delivery-zones', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'DeliveryZone')) throw new Error('Permission denied');
+    const zone = await delivery.createDeliveryZone(req.body);
+    res.json({ success: true, data: zone });
+  } catch (error) {
+    console.error('Admin create delivery zone error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/delivery-zones/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'DeliveryZone')) throw new Error('Permission denied');
+    const zone = await delivery.updateDeliveryZone(req.params.id, req.body);
+    res.json({ success: true, data: zone });
+  } catch (error) {
+    console.error('Admin update delivery zone error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Fee and ETA for an address, e.g. to check a new zone before customers hit it
+app.get('/api/admin/delivery-zones/quote', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'DeliveryZone')) throw new Error('Permission denied');
+    const quote = await delivery.quoteDelivery({
+      address: req.query.address,
+      latitude: req.query.latitude !== undefined ? parseFloat(req.query.latitude) : null,
+      longitude: req.query.longitude !== undefined ? parseFloat(req.query.longitude) : null,
+      subtotal: parseFloat(req.query.subtotal) || 0
+    });
+    if (!quote.success) throw new Error(quote.error);
+    res.json({ success: true, data: quote });
+  } catch (error) {
+    console.error('Admin delivery quote error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/riders', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Rider')) throw new Error('Permission denied');
+    const riders = await dispatch.listRiders({ status: req.query.status, includeInactive: req.query.includeInactive === 'true' });
+    res.json({ success: true, data: riders });
+  } catch (error) {
+    console.error('Admin riders error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/riders', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'Rider')) throw new Error('Permission denied');
+    const rider = await dispatch.createRider(req.body);
+    res.json({ success: true, data: rider });
+  } catch (error) {
+    console.error('Admin create rider error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/riders/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Rider')) throw new Error('Permission denied');
+    const rider = await dispatch.updateRider(req.params.id, req.body);
+    res.json({ success: true, data: rider });
+  } catch (error) {
+    console.error('Admin update rider error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Packed orders waiting for a rider and deliveries in progress
+app.get('/api/admin/dispatch', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'DeliveryAssignment')) throw new Error('Permission denied');
+    const board = await dispatch.getDispatchBoard();
+    res.json({ success: true, data: board });
+  } catch (error) {
+    console.error('Admin dispatch board error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/orders/:id/assign-rider', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'DeliveryAssignment')) throw new Error('Permission denied');
+    if (!req.body || !req.body.riderId) throw new Error('riderId is required');
+    const assignment = await dispatch.assignOrder(req.params.id, req.body.riderId, { assignedBy: `admin:${req.admin.email}` });
+    res.json({ success: true, data: assignment });
+  } catch (error) {
+    console.error('Admin assign rider error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Delivery codes that could not be sent, wrong-code lockouts, failed and unconfirmed deliveries
+app.get('/api/admin/delivery-exceptions', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'DeliveryException')) throw new Error('Permission denied');
+    const exceptions = await deliveryConfirmation.listDeliveryExceptions({
+      status: req.query.status,
+      type: req.query.type,
+      orderId: req.query.orderId ? parseInt(req.query.orderId, 10) : null
+    });
+    res.json({ success: true, data: exceptions });
+  } catch (error) {
+    console.error('Admin delivery exceptions error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/delivery-exceptions/:id/resolve', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'DeliveryException')) throw new Error('Permission denied');
+    const exception = await deliveryConfirmation.resolveDeliveryException(req.params.id, {
+      notes: req.body && req.body.notes,
+      action: req.body && req.body.action,
+      resolvedBy: `admin:${req.admin.email}`
+    });
+    res.json({ success: true, data: exception });
+  } catch (error) {
+    console.error('Admin resolve delivery exception error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/branches', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Branch')) throw new Error('Permission denied');
+    const branches = await fulfilment.listBranches();
+    res.json({ success: true, data: branches });
+  } catch (error) {
+    console.error('Admin branches error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/branches', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'create', 'Branch')) throw new Error('Permission denied');
+    const branch = await fulfilment.createBranch(req.body);
+    res.json({ success: true, data: branch });
+  } catch (error) {
+    console.error('Admin create branch error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/branches/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Branch')) throw new Error('Permission denied');
+    const branch = await fulfilment.updateBranch(req.params.id, req.body);
+    res.json({ success: true, data: branch });
+  } catch (error) {
+    console.error('Admin update branch error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/branches/:id/stock', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'BranchStock')) throw new Error('Permission denied');
+    const stock = await fulfilment.setBranchStock(req.params.id, req.body && req.body.items);
+    res.json({ success: true, data: stock });
+  } catch (error) {
+    console.error('Admin branch stock error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Use "unrouted" as the branch ID for fulfilments waiting for manual routing
+app.get('/api/admin/branches/:id/queue', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Fulfilment')) throw new Error('Permission denied');
+    const branchId = req.params.id === 'unrouted' ? null : req.params.id;
+    const queue = await fulfilment.getBranchQueue(branchId, { status: req.query.status });
+    res.json({ success: true, data: queue });
+  } catch (error) {
+    console.error('Admin branch queue error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/fulfilments/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Fulfilment')) throw new Error('Permission denied');
+    const updated = await fulfilment.updateFulfilment(req.params.id, req.body);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Admin update fulfilment error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/doctors/:id/schedule', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Doctor')) throw new Error('Permission denied');
+    const schedule = await doctorSchedule.getDoctorSchedule(req.params.id);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Admin doctor schedule error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.put('/api/admin/doctors/:id/schedule', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Doctor')) throw new Error('Permission denied');
+    const schedule = await doctorSchedule.updateDoctorSchedule(req.params.id, req.body);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Admin update doctor schedule error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// WhatsApp number for the doctor console; null turns it off
+app.put('/api/admin/doctors/:id/whatsapp', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Doctor')) throw new Error('Permission denied');
+    const doctor = await doctorConsole.setDoctorWhatsAppNumber(req.params.id, req.body.phoneNumber);
+    res.json({ success: true, data: { id: doctor.id, name: doctor.name, phoneNumber: doctor.phoneNumber } });
+  } catch (error) {
+    console.error('Admin doctor WhatsApp number error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/doctors/:id/leave', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Doctor')) throw new Error('Permission denied');
+    const result = await doctorSchedule.addDoctorLeave(req.params.id, req.body);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin doctor leave error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.delete('/api/admin/doctors/:id/leave/:leaveId', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Doctor')) throw new Error('Permission denied');
+    await doctorSchedule.removeDoctorLeave(req.params.id, req.params.leaveId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin remove doctor leave error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.post('/api/admin/appointments/:id/outcome', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'update', 'Appointment')) throw new Error('Permission denied');
+    const appointment = await recordAppointmentOutcome(req.params.id, {
+      outcome: req.body.outcome,
+      notes: req.body.notes,
+      recordedBy: `admin:${req.admin.email}`
+    });
+    res.json({ success: true, data: appointment });
+  } catch (error) {
+    console.error('Admin appointment outcome error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+app.get('/api/admin/appointments/:id/transcript', adminAuthMiddleware, async (req, res) => {
+  try {
+    if (!adminService.hasPermission(req.admin.role, 'read', 'Appointment')) throw new Error('Permission denied');
+    const transcript = await teleconsultation.getConsultationTranscript(req.params.id);
+    res.json({ success: true, data: transcript });
+  } catch (error) {
+    console.error('Admin consultation transcript error:', error.message);
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
 app.get('/api/admin/:table/export', adminAuthMiddleware, async (req, res) => {
   try {
     const table = req.params.table;
@@ -495,11 +1041,10 @@ app.post('/webhook', async (req, res) => {
 // Flutterwave payment webhook
 app.post('/webhook/flutterwave', async (req, res) => {
   try {
-    const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
-    const signature = req.headers['verif-hash'];
+    const flutterwave = getPaymentProvider('Flutterwave');
 
     // Validate webhook signature
-    if (!secretHash || !signature || signature !== secretHash) {
+    if (!flutterwave.verifySignature(req.headers, req.body)) {
       console.warn('Invalid Flutterwave webhook signature');
       return res.status(401).json({ error: 'Invalid signature' });
     }
@@ -512,50 +1057,14 @@ app.post('/webhook/flutterwave', async (req, res) => {
       return res.status(400).json({ error: 'Invalid payload' });
     }
 
-    if (payload.status === 'successful') {
-      const txRef = payload.txRef || payload.tx_ref;
-      let orderId = null;
-
-      // Extract order ID from tx_ref format: drugsng-{orderId}-{timestamp}
-      if (txRef && typeof txRef === 'string') {
-        const parts = txRef.split('-');
-        if (parts.length >= 2 && !isNaN(parts[1])) {
-          orderId = parts[1];
-        }
-      }
-
-      // Fallback to metadata if available
-      if (!orderId && payload.meta && payload.meta.orderId) {
-        orderId = payload.meta.orderId;
-      }
+    const result = await handlePaymentWebhook('Flutterwave', payload);
+    if (!result.success && result.errorCode === 'INVALID_PAYMENT_EVENT') {
+      console.warn('Flutterwave webhook has no transaction id or reference');
+      return res.status(400).json({ error: 'Invalid payload' });
+    }
 
-      if (orderId) {
-        try {
-          // Update order status
-          const order = await sequelize.models.Order.findByPk(orderId);
-          if (order) {
-            order.paymentStatus = 'Paid';
-            order.paymentReference = payload.id || payload.transaction_id;
-            order.status = 'Shipped'; // Update status to shipped after successful payment
-            await order.save();
-
-            // Notify customer
-            const user = await sequelize.models.User.findByPk(order.userId);
-            if (user) {
-              await sendWhatsAppMessage(
-                user.phoneNumber,
-                `✅ Payment confirmed! Your order #${orderId} has been received and is being processed. You'll receive updates on delivery.`
-              );
-            }
-          } else {
-            console.warn(`Order not found for payment: ${orderId}`);
-          }
-        } catch (dbError) {
-          console.error('Database error processing Flutterwave webhook:', dbError);
-        }
-      } else {
-        console.warn('Could not extract order ID from Flutterwave webhook');
-      }
+    if (result.duplicate) {
+      return res.json({ success: true, message: 'Duplicate event acknowledged' });
     }
 
     res.json({ success: true, message: 'Webhook processed' });
@@ -568,21 +1077,15 @@ app.post('/webhook/flutterwave', async (req, res) => {
 // Paystack payment webhook
 app.post('/webhook/paystack', async (req, res) => {
   try {
-    const crypto = require('crypto');
-    const paystackSecret = process.env.PAYSTACK_SECRET_KEY;
+    const paystack = getPaymentProvider('Paystack');
 
     // Validate webhook signature
-    if (!paystackSecret) {
+    if (!paystack.isWebhookConfigured()) {
       console.warn('Paystack webhook secret not configured');
       return res.status(400).json({ error: 'Paystack not configured' });
     }
 
-    const signature = req.headers['x-paystack-signature'];
-    const hash = crypto.createHmac('sha512', paystackSecret)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    if (!signature || hash !== signature) {
+    if (!paystack.verifySignature(req.headers, req.body)) {
       console.warn('Invalid Paystack webhook signature');
       return res.status(401).json({ error: 'Invalid signature' });
     }
@@ -595,48 +1098,14 @@ app.post('/webhook/paystack', async (req, res) => {
       return res.status(400).json({ error: 'Invalid payload' });
     }
 
-    if (event.event === 'charge.success') {
-      const reference = event.data.reference;
-      let orderId = null;
-
-      // Try to get order ID from metadata first
-      if (event.data.metadata && event.data.metadata.orderId) {
-        orderId = event.data.metadata.orderId;
-      } else if (reference && typeof reference === 'string') {
-        // Fallback: Extract from reference format: drugsng-{orderId}-{timestamp}
-        const parts = reference.split('-');
-        if (parts.length >= 2 && !isNaN(parts[1])) {
-          orderId = parts[1];
-        }
-      }
+    const result = await handlePaymentWebhook('Paystack', event);
+    if (!result.success && result.errorCode === 'INVALID_PAYMENT_EVENT') {
+      console.warn('Paystack webhook has no transaction id or reference');
+      return res.status(400).json({ error: 'Invalid payload' });
+    }
 
-      if (orderId) {
-        try {
-          // Update order status
-          const order = await sequelize.models.Order.findByPk(orderId);
-          if (order) {
-            order.paymentStatus = 'Paid';
-            order.paymentReference = reference;
-            order.status = 'Shipped'; // Update status to shipped after successful payment
-            await order.save();
-
-            // Notify customer
-            const user = await sequelize.models.User.findByPk(order.userId);
-            if (user) {
-              await sendWhatsAppMessage(
-                user.phoneNumber,
-                `✅ Payment confirmed! Your order #${orderId} has been received and is being processed. You'll receive updates on delivery.`
-              );
-            }
-          } else {
-            console.warn(`Order not found for payment: ${orderId}`);
-          }
-        } catch (dbError) {
-          console.error('Database error processing Paystack webhook:', dbError);
-        }
-      } else {
-        console.warn('Could not extract order ID from Paystack webhook');
-      }
+    if (result.duplicate) {
+      return res.json({ success: true, message: 'Duplicate event acknowledged' });
     }
 
     res.json({ success: true, message: 'Webhook processed' });
@@ -923,6 +1392,66 @@ app.get('/api/doctors/with-images', async (req, res) => {
   }
 });
 
+app.get('/api/doctors/:doctorId/slots', async (req, res) => {
+  const result = req.query.date
+    ? await doctorSchedule.getAvailableSlots(req.params.doctorId, req.query.date)
+    : await doctorSchedule.getNextAvailableDays(req.params.doctorId, { limit: 7 });
+  res.status(result.success ? 200 : 400).json(result);
+});
+
+// Video consultation join link: only forwards to the meeting room while the appointment's window is open
+const MEETING_LINK_STATUS = {
+  MEETING_NOT_FOUND: 404,
+  MEETING_CLOSED: 410,
+  MEETING_NOT_OPEN: 403
+};
+
+app.get('/consult/:token', async (req, res) => {
+  try {
+    const result = await teleconsultation.resolveMeetingLink(req.params.token);
+    if (result.success) {
+      return res.redirect(result.url);
+    }
+
+    const opens = result.opensAt
+      ? ` It opens at ${result.opensAt.toLocaleString('en-NG', { timeZone: 'Africa/Lagos', dateStyle: 'medium', timeStyle: 'short' })}.`
+      : '';
+    res.status(MEETING_LINK_STATUS[result.errorCode] || 400).send(
+      `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>Consultation</title></head>` +
+      `<body style="font-family: Arial, sans-serif; text-align: center; padding: 50px;"><p>${result.error}${opens}</p></body></html>`
+    );
+  } catch (error) {
+    console.error('Meeting link error:', error.message);
+    res.status(500).json({ error: 'Could not open the consultation' });
+  }
+});
+
+// Mock checkout (PAYMENT_MOCK_MODE only): completes the payment, delivers the
+// webhook locally and sends the customer on to the normal callback page
+app.get('/payment/mock/complete', async (req, res) => {
+  if (!isMockMode()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    const { provider, reference, outcome, amount } = req.query;
+    if (!provider || !reference) {
+      return res.status(400).json({ error: 'provider and reference are required' });
+    }
+
+    const result = await getPaymentProvider(provider).simulatePayment(reference, {
+      outcome: outcome || undefined,
+      amount: amount !== undefined ? parseFloat(amount) : undefined
+    });
+
+    const status = result.transaction.status === 'successful' ? 'successful' : 'failed';
+    res.redirect(`/payment/callback?status=${status}&reference=${encodeURIComponent(reference)}`);
+  } catch (error) {
+    console.error('Mock payment error:', error.message);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Payment callback page (for redirect after payment)
 app.get('/payment/callback', async (req, res) => {
   try {
@@ -1043,7 +1572,8 @@ app.get('/', (req, res) => {
           uploadDoctorImage: 'POST /api/doctors/upload-image',
           getDoctorImage: 'GET /api/doctors/:doctorId/image',
           updateDoctorImage: 'PUT /api/doctors/:doctorId/image',
-          getAllDoctorsWithImages: 'GET /api/doctors/with-images'
+          getAllDoctorsWithImages: 'GET /api/doctors/with-images',
+          getDoctorSlots: 'GET /api/doctors/:doctorId/slots?date=YYYY-MM-DD'
         }
       }
     },
@@ -1165,7 +1695,7 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
       try {
         const result = await savePrescription(orderId, session.data.pendingPrescriptionUrl, session.data.pendingPrescriptionExtractedText || null);
         // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
-        session.data = { ...session.data, pendingPrescriptionUrl: null, pendingPrescriptionExtractedText: null };
+        session.data = { ...session.data, pendingPrescriptionUrl: null, pendingPrescriptionExtractedText: null, pendingPrescriptionCartId: null };
         await session.save();
         await sendWhatsAppMessage(phoneNumber, `✅ Prescription attached to order #${orderId}. Status: ${result.verificationStatus || 'Pending'}.`);
       } catch (err) {
@@ -1178,6 +1708,31 @@ const handleCustomerMessage = async (phoneNumber, messageText) => {
     }
   }
 
+  // Dose reminder commands: "remind me to take ...", "my reminders", "stop reminder 3", "my adherence"
+  if (await handleMedicationReminderCommand(phoneNumber, session, messageText)) {
+    return;
+  }
+
+  // Allergy and condition profile: "my allergies", "add allergy penicillin", "add condition asthma"
+  if (await handleHealthProfileCommand(phoneNumber, session, messageText)) {
+    return;
+  }
+
+  // Same-ingredient alternatives: "cheaper option 2", "alternatives 2"
+  if (await handleAlternativesCommand(phoneNumber, session, messageText)) {
+    return;
+  }
+
+  // Address book: "my addresses", "add address Home: ...", "edit address 3 landmark ...", "delete address 3"
+  if (await handleAddressBookCommand(phoneNumber, session, messageText)) {
+    return;
+  }
+
+  // Booked appointments: "my appointments", "confirm appointment 5", "reschedule 5 [date [time]]", "cancel appointment 5"
+  if (await handleAppointmentCommand(phoneNumber, session, messageText)) {
+    return;
+  }
+
   // 🔴 CRITICAL: Reload session data EARLY to ensure we have latest state for all pagination checks
   // This is needed because session.data might be cached from earlier operations
   try {
@@ -1612,6 +2167,220 @@ const handleSupportCommand = async (supportTeam, commandText) => {
   }
 };
 
+// Rider commands; the order number can be left out when the rider has a single open delivery
+const RIDER_COMMANDS = [
+  { pattern: /^(?:picked\s*up|pick\s*up|collected)\s*#?(\d+)?$/i, action: 'pickup' },
+  { pattern: /^(?:on\s*my\s*way|en\s*route|enroute|otw)\s*#?(\d+)?$/i, action: 'enroute' },
+  { pattern: /^delivered\s*#?(\d+)?(?:\s+(?:code\s*)?(\d{4}))?$/i, action: 'delivered' },
+  { pattern: /^failed\s*#?(\d+)?\s*(.*)$/i, action: 'failed' }
+];
+
+const RIDER_HELP = "🛵 *Rider Commands*\n\n" +
+  "• jobs - your open deliveries\n" +
+  "• picked up 123 - you collected order #123\n" +
+  "• on my way 123 - you set off with order #123\n" +
+  "• delivered 123 4821 - you handed order #123 over; 4821 is the customer's delivery code " +
+  "(just 'delivered 4821' when you have one delivery)\n" +
+  "• failed 123 <reason> - you couldn't deliver order #123\n" +
+  "• off duty / on duty\n\n" +
+  "Share your location while delivering so customers can follow you.";
+
+const sendRiderUpdateResult = async (phoneNumber, result) => {
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+  } else if (result.buttons) {
+    await sendInteractiveMessage(phoneNumber, result.message, result.buttons);
+  } else {
+    await sendWhatsAppMessage(phoneNumber, result.message);
+  }
+};
+
+// Handle messages from delivery riders
+const handleRiderMessage = async (phoneNumber, messageText) => {
+  try {
+    const text = messageText.trim().replace(/^\//, '');
+    const lower = text.toLowerCase();
+
+    if (/^(jobs|deliveries|my deliveries)$/.test(lower)) {
+      const result = await dispatch.getRiderDeliveries(phoneNumber);
+      if (!result.success) {
+        await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+      } else if (result.deliveries.length === 0) {
+        await sendWhatsAppMessage(phoneNumber, "You have no open deliveries.");
+      } else {
+        let message = `🛵 *Your Deliveries (${result.deliveries.length})*\n\n`;
+        result.deliveries.forEach((job) => {
+          message += `#${job.orderId} - ${job.statusLabel}\n📍 ${job.shippingAddress}\n📞 ${job.customerPhone || 'No phone'}\n\n`;
+        });
+        await sendWhatsAppMessage(phoneNumber, message.trim());
+      }
+      return;
+    }
+
+    if (/^(off duty|on duty)$/.test(lower)) {
+      const result = await dispatch.setRiderDuty(phoneNumber, lower === 'on duty');
+      await sendWhatsAppMessage(phoneNumber, result.success
+        ? (result.status === 'Offline' ? "👋 You're off duty. You won't get new deliveries." : "✅ You're on duty.")
+        : `❌ ${result.error}`);
+      return;
+    }
+
+    for (const command of RIDER_COMMANDS) {
+      const match = text.match(command.pattern);
+      if (match) {
+        const orderId = match[1] ? parseInt(match[1], 10) : null;
+        const details = command.action === 'failed'
+          ? { reason: match[2] ? match[2].trim() : null }
+          : { code: match[2] || null };
+        const result = await dispatch.recordRiderUpdate(phoneNumber, orderId, command.action, details);
+        await sendRiderUpdateResult(phoneNumber, result);
+        return;
+      }
+    }
+
+    await sendWhatsAppMessage(phoneNumber, RIDER_HELP);
+  } catch (error) {
+    console.error('Error processing rider message:', error);
+    await sendWhatsAppMessage(phoneNumber, "Sorry, something went wrong. Please try again later.");
+  }
+};
+
+const DOCTOR_HELP = "👨‍⚕️ *Doctor Commands*\n\n" +
+  "• today / tomorrow - your appointments\n" +
+  "• schedule 2026-10-20 - appointments on a day\n" +
+  "• requests - bookings waiting for your answer\n" +
+  "• accept 12 / decline 12 <reason> - answer booking #12\n" +
+  "• done 12 / no show 12 - record how appointment #12 went\n" +
+  "• note 12 <text> - add a consultation note\n" +
+  "• prescribe 12 - then the medicines on new lines, e.g.\n" +
+  "  prescribe 12\n  Amoxicillin 500mg capsule tds x 5 days\n" +
+  "• chat 12 - open the chat for chat appointment #12\n" +
+  "• /end - finish the open chat\n\n" +
+  "Prescribed medicines go straight into the patient's cart. While a chat is open, " +
+  "your messages go to the patient and commands need a / in front.";
+
+const DOCTOR_APPOINTMENT_LABELS = {
+  Completed: '✔️ completed',
+  NoShow: '🚫 no-show'
+};
+
+const CONSULTATION_MODE_ICONS = {
+  Video: ' 📹',
+  Chat: ' 💬'
+};
+
+const sendDoctorResult = async (phoneNumber, result) => {
+  await sendWhatsAppMessage(phoneNumber, result.success ? result.message : `❌ ${result.error}`);
+};
+
+// Handle messages from doctors registered with a WhatsApp number
+const handleDoctorMessage = async (phoneNumber, messageText) => {
+  try {
+    const command = doctorConsole.parseDoctorCommand(messageText);
+
+    if (command.action === 'endChat') {
+      const result = await doctorConsole.endChat(phoneNumber);
+      if (!result.success) await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+      return;
+    }
+
+    // With a chat open, anything that isn't a /command goes to the patient
+    if (!command.slash) {
+      const relay = await doctorConsole.relayDoctorMessage(phoneNumber, messageText.trim());
+      if (relay.relayed) {
+        if (!relay.success) await sendWhatsAppMessage(phoneNumber, `❌ ${relay.error}`);
+        return;
+      }
+    }
+
+    switch (command.action) {
+      case 'day': {
+        const result = await doctorConsole.getDoctorDay(phoneNumber, command.day);
+        if (!result.success) {
+          await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+        } else if (result.appointments.length === 0) {
+          await sendWhatsAppMessage(phoneNumber, `You have no appointments on ${result.date}.`);
+        } else {
+          let message = `📅 *Your appointments - ${result.date}*\n\n`;
+          result.appointments.forEach((appointment) => {
+            const label = DOCTOR_APPOINTMENT_LABELS[appointment.status] ||
+              (appointment.doctorResponse === 'Pending' ? '⏳ awaiting your answer' : '🗓️ scheduled');
+            message += `${appointment.time} - #${appointment.id} ${appointment.patientName} (${label})${CONSULTATION_MODE_ICONS[appointment.mode] || ''}${appointment.hasNotes ? ' 📝' : ''}\n`;
+          });
+          await sendWhatsAppMessage(phoneNumber, message.trim());
+        }
+        break;
+      }
+
+      case 'requests': {
+        const result = await doctorConsole.getPendingRequests(phoneNumber);
+        if (!result.success) {
+          await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+        } else if (result.requests.length === 0) {
+          await sendWhatsAppMessage(phoneNumber, "No bookings are waiting for your answer.");
+        } else {
+          let message = `⏳ *Waiting for your answer (${result.requests.length})*\n\n`;
+          result.requests.forEach((request) => {
+            message += `#${request.id} - ${request.time} - ${request.patientName}\n`;
+          });
+          message += "\nReply 'accept <id>' or 'decline <id> <reason>'.";
+          await sendWhatsAppMessage(phoneNumber, message);
+        }
+        break;
+      }
+
+      case 'respond':
+        await sendDoctorResult(phoneNumber, await doctorConsole.respondToAppointment(phoneNumber, command.appointmentId, command.accept, command.reason));
+        break;
+
+      case 'outcome':
+        await sendDoctorResult(phoneNumber, await doctorConsole.recordConsultationOutcome(phoneNumber, command.appointmentId, command.outcome));
+        break;
+
+      case 'note':
+        await sendDoctorResult(phoneNumber, await doctorConsole.addConsultationNote(phoneNumber, command.appointmentId, command.text));
+        break;
+
+      case 'chat':
+        await sendDoctorResult(phoneNumber, await doctorConsole.startChat(phoneNumber, command.appointmentId));
+        break;
+
+      case 'prescribe':
+        await sendWhatsAppMessage(phoneNumber, "⏳ Matching the medicines to our catalogue...");
+        await sendDoctorResult(phoneNumber, await doctorConsole.issueEPrescription(phoneNumber, command.appointmentId, command.text));
+        break;
+
+      default:
+        await sendWhatsAppMessage(phoneNumber, DOCTOR_HELP);
+    }
+  } catch (error) {
+    console.error('Error processing doctor message:', error);
+    await sendWhatsAppMessage(phoneNumber, "Sorry, something went wrong. Please try again later.");
+  }
+};
+
+// Relay a patient's message into their open chat consultation; 'end chat' closes it
+const handleConsultationChatMessage = async (phoneNumber, messageText) => {
+  try {
+    const chat = await teleconsultation.findOpenChatForPatient(phoneNumber);
+    if (!chat) {
+      await handleCustomerMessage(phoneNumber, messageText);
+      return;
+    }
+
+    const text = messageText.trim();
+    const result = /^\/?end( chat| consultation)?$/i.test(text)
+      ? await teleconsultation.endConsultationChat(chat, 'Patient')
+      : await teleconsultation.relayConsultationMessage(chat, 'Patient', text);
+    if (!result.success) {
+      await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error relaying consultation chat message:', error);
+    await sendWhatsAppMessage(phoneNumber, "Sorry, your message couldn't be sent to the doctor. Please try again.");
+  }
+};
+
 // Send authentication required message
 // Helper to check if a session is authenticated using token validity AND idle timeout
 const isAuthenticatedSession = (session) => {
@@ -2051,11 +2820,12 @@ const handleProductSearch = async (phoneNumber, session, parameters) => {
       message += `${index + 1}. ${product.name}\n`;
       message += `   Price: ₦${product.price}\n`;
       message += `   Category: ${product.category}\n`;
+      if (typeof product.stock === 'number' && product.stock <= 0) message += `   ⚠️ Out of stock — type "alternatives ${index + 1}"\n`;
       if (product.imageUrl) message += `   Image: ${product.imageUrl}\n`;
       message += `\n`;
     });
 
-    message += `To add a product to your cart, reply with "add [product number] [quantity]"\nExample: "add 1 2" to add 2 units of the first product.`;
+    message += `To add a product to your cart, reply with "add [product number] [quantity]"\nExample: "add 1 2" to add 2 units of the first product.\nType "cheaper option [product number]" to see lower-priced equivalents.`;
 
     // Save search results and pagination state for Next/Previous support
     // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
@@ -2105,9 +2875,11 @@ const handleAddToCart = async (phoneNumber, session, parameters) => {
     console.log(`   - healthcareProductPageItems: ${session.data.healthcareProductPageItems ? session.data.healthcareProductPageItems.length : 0} items`);
     console.log(`   - Requested product index: ${productIndex + 1} (zero-indexed: ${productIndex})`);
 
+    // Remember which catalogue each listed item came from so both kinds can share one cart
     const candidates = (session.data.searchResults || [])
       .concat(session.data.productPageItems || [])
-      .concat(session.data.healthcareProductPageItems || []);
+      .map(item => ({ ...item, itemType: 'Product' }))
+      .concat((session.data.healthcareProductPageItems || []).map(item => ({ ...item, itemType: 'HealthcareProduct' })));
 
     console.log(`   - Total candidates available: ${candidates.length}`);
 
@@ -2117,15 +2889,260 @@ const handleAddToCart = async (phoneNumber, session, parameters) => {
     }
 
     const product = candidates[productIndex];
-    await addToCart(session.data.userId, product.id, quantity);
+    try {
+      await addToCart(session.data.userId, product.id, quantity, product.itemType);
+    } catch (cartError) {
+      if (cartError.code !== 'INSUFFICIENT_STOCK' || product.itemType !== 'Product') throw cartError;
+      await sendWhatsAppMessage(phoneNumber, `⚠️ ${cartError.message}`);
+      await offerAlternatives(phoneNumber, session, product, { outOfStock: true });
+      return;
+    }
+
+    // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+    session.data = { ...session.data, lastCartProduct: { id: product.id, name: product.name, itemType: product.itemType } };
+    await session.save();
 
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Added ${quantity} units of ${product.name} to your cart. Type 'cart' to view your cart or 'checkout [address] [flutterwave|paystack|cash]' to place your order.`, isLoggedIn));
+
+    const safety = await checkCartItemSafety(session.data.userId, product.itemType, product.id);
+    if (safety.warnings.length > 0) {
+      await sendWhatsAppMessage(phoneNumber, formatSafetyWarnings(safety.warnings, safety.flagged));
+    }
   } catch (error) {
     console.error('Error adding to cart:', error);
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while adding to your cart. Please try again later.", isAuthenticatedSession(session)));
   }
 };
 
+/**
+ * List same-ingredient alternatives for a medicine and make them the current product list,
+ * so "add [number] [qty]" picks from them.
+ * @param {Object} product - { id, name } of the medicine to replace
+ * @param {Object} options - { outOfStock, cheaperOnly }
+ */
+const offerAlternatives = async (phoneNumber, session, product, options = {}) => {
+  const isLoggedIn = isAuthenticatedSession(session);
+  const result = await findAlternatives(product.id, {
+    userId: session.data && session.data.userId,
+    cheaperOnly: Boolean(options.cheaperOnly)
+  });
+
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ Could not look up alternatives: ${result.error}`, isLoggedIn));
+    return;
+  }
+  if (!result.substitutionAllowed) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`💊 ${result.reason}, so we can't suggest an alternative to ${result.product.name}. Type "support" and a pharmacist will help.`, isLoggedIn));
+    return;
+  }
+  if (result.alternatives.length === 0) {
+    const none = options.cheaperOnly
+      ? `${result.product.name} is already the lowest-priced option we stock.`
+      : `We don't have another in-stock product with the same ingredient and strength as ${result.product.name}.`;
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`🔎 ${none}`, isLoggedIn));
+    return;
+  }
+
+  const strength = [result.product.activeIngredient, result.product.strength].filter(Boolean).join(' ');
+  let message = options.outOfStock
+    ? `🔁 *${result.product.name}* is out of stock. These have the same ingredient${strength ? ` (${strength})` : ''}:\n\n`
+    : `💰 *Alternatives to ${result.product.name}*${strength ? ` (${strength})` : ''}, cheapest first:\n\n`;
+  result.alternatives.forEach((alternative, index) => {
+    message += `${index + 1}. ${alternative.name}\n   Price: ₦${alternative.price}`;
+    if (alternative.savings > 0) message += ` (save ₦${alternative.savings})`;
+    message += '\n';
+  });
+  message += '\nReply "add [number] [quantity]" to add one to your cart.';
+
+  const items = result.alternatives.map(alternative => ({
+    id: alternative.id,
+    name: alternative.name,
+    price: alternative.price,
+    category: alternative.category,
+    stock: alternative.stock
+  }));
+  // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+  session.data = {
+    ...session.data,
+    searchResults: items,
+    productPagination: { currentPage: 1, totalPages: 1, pageSize: items.length },
+    productPageItems: items,
+    healthcareProductPageItems: []
+  };
+  await session.save();
+
+  await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(message, isLoggedIn));
+};
+
+/**
+ * "alternatives 2", "cheaper option 2" or just "cheaper option" (for the medicine last added to the cart)
+ * @returns {boolean} true if the message asked for alternatives
+ */
+const handleAlternativesCommand = async (phoneNumber, session, messageText) => {
+  const match = messageText.trim().match(/^(?:show\s+me\s+|any\s+)?(cheaper(?:\s+(?:option|alternative|one)s?)?|alternatives?|substitutes?)(?:\s+(?:for|to))?(?:\s+#?(\d+))?\s*\??$/i);
+  if (!match) return false;
+
+  const cheaperOnly = /^cheaper/i.test(match[1]);
+  const data = session.data || {};
+  const listed = (data.searchResults || []).concat(data.productPageItems || []);
+  let product = null;
+  if (match[2]) {
+    product = listed[parseInt(match[2], 10) - 1] || null;
+  } else if (data.lastCartProduct && data.lastCartProduct.itemType === 'Product') {
+    product = data.lastCartProduct;
+  }
+
+  if (!product) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions('Which medicine? Search first, then type e.g. "cheaper option 2" or "alternatives 2".', isAuthenticatedSession(session)));
+    return true;
+  }
+
+  await offerAlternatives(phoneNumber, session, product, { cheaperOnly });
+  return true;
+};
+
+const CHECKOUT_PAYMENT_METHODS = {
+  flutterwave: 'Flutterwave',
+  paystack: 'Paystack',
+  cod: 'Cash on Delivery'
+};
+
+// WhatsApp list rows: titles up to 24 characters, descriptions up to 72
+const sendCheckoutAddressList = async (phoneNumber, addresses) => {
+  const rows = addresses.map(address => ({
+    id: `checkout_address_${address.id}`,
+    title: `${address.isDefault ? '⭐ ' : ''}${address.label}`.substring(0, 24),
+    description: addressBook.formatAddress(address).substring(0, 72)
+  }));
+  rows.push({ id: 'checkout_address_new', title: '➕ New address', description: 'Share your location or type a new address' });
+
+  await sendListMessage(phoneNumber, '📦 Where should we deliver this order?', 'Choose address', [
+    { title: 'Saved addresses', rows }
+  ]);
+};
+
+const sendCheckoutPaymentButtons = async (phoneNumber, address) => {
+  await sendInteractiveMessage(phoneNumber, `📍 Deliver to *${address.label}*:\n${addressBook.formatAddress(address)}\n\nChoose a payment method:`, [
+    { id: 'checkout_pay_flutterwave', title: 'Flutterwave' },
+    { id: 'checkout_pay_paystack', title: 'Paystack' },
+    { id: 'checkout_pay_cod', title: 'Cash on Delivery' }
+  ]);
+};
+
+/**
+ * Checkout address list and payment buttons: "checkout_address_<id>", "checkout_address_new"
+ * and "checkout_pay_<method>" (for the address picked from the list)
+ */
+const handleCheckoutAddressReply = async (phoneNumber, session, replyId) => {
+  const userId = session.data && session.data.userId;
+  if (!userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'place an order');
+    return;
+  }
+
+  if (replyId === 'checkout_address_new') {
+    // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+    session.data = { ...session.data, isSettingAddress: true, checkoutAddressId: null };
+    await session.save();
+    await sendLocationRequestMessage(phoneNumber, "📍 Share your delivery location, or type: order <address> <flutterwave|paystack|cash>");
+    return;
+  }
+
+  const addressMatch = replyId.match(/^checkout_address_(\d+)$/);
+  const addressId = addressMatch ? parseInt(addressMatch[1], 10) : session.data.checkoutAddressId;
+  const address = addressId ? await addressBook.getAddress(userId, addressId) : null;
+  if (!address) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions('❌ That address is no longer saved. Type "order" to choose another.', isAuthenticatedSession(session)));
+    return;
+  }
+
+  if (addressMatch) {
+    // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+    session.data = { ...session.data, checkoutAddressId: address.id };
+    await session.save();
+    await sendCheckoutPaymentButtons(phoneNumber, address);
+    return;
+  }
+
+  const method = CHECKOUT_PAYMENT_METHODS[replyId.replace('checkout_pay_', '')];
+  // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+  session.data = { ...session.data, checkoutAddressId: null };
+  await session.save();
+  await handlePlaceOrder(phoneNumber, session, {
+    address: addressBook.formatAddress(address),
+    addressId: address.id,
+    paymentMethod: method
+  });
+};
+
+/**
+ * Address book commands: "my addresses", "add address [label:] <address>",
+ * "edit address <id> label|landmark|phone|address <value>", "delete address <id>"
+ * and "default address <id>"
+ * @returns {boolean} true if the message was an address book command
+ */
+const handleAddressBookCommand = async (phoneNumber, session, messageText) => {
+  const text = messageText.trim();
+  const isList = /^(?:my|saved)\s+addresses$/i.test(text);
+  const add = text.match(/^(?:add|save)\s+address\s+(.+)$/i);
+  const edit = text.match(/^(?:edit|change|update)\s+address\s+#?(\d+)\s+(label|name|landmark|phone|address)\s*:?\s+(.+)$/i);
+  const remove = text.match(/^(?:delete|remove)\s+address\s+#?(\d+)$/i);
+  const makeDefault = text.match(/^(?:set\s+)?default\s+address\s+#?(\d+)$/i);
+  if (!isList && !add && !edit && !remove && !makeDefault) return false;
+
+  const isLoggedIn = isAuthenticatedSession(session);
+  const userId = session.data && session.data.userId;
+  if (!userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'manage your addresses');
+    return true;
+  }
+
+  let result = null;
+  let done = '';
+  if (add) {
+    // "add address Office: 5 Broad Street, Lagos" - a short label before the colon is optional
+    const labelled = add[1].match(/^([^:,]{1,30}):\s*(.+)$/);
+    result = await addressBook.saveAddress(userId, labelled
+      ? { label: labelled[1].trim(), addressText: labelled[2] }
+      : { addressText: add[1] });
+    done = result.success ? `✅ Address #${result.address.id} (${result.address.label}) ${result.created ? 'saved' : 'updated'}.` : '';
+  } else if (edit) {
+    const field = { label: 'label', name: 'label', landmark: 'landmark', phone: 'phoneNumber', address: 'addressText' }[edit[2].toLowerCase()];
+    result = await addressBook.updateAddress(userId, parseInt(edit[1], 10), { [field]: edit[3] });
+    done = result.success ? `✅ Address #${result.address.id} updated.` : '';
+  } else if (remove) {
+    result = await addressBook.deleteAddress(userId, parseInt(remove[1], 10));
+    if (result.success) {
+      done = `🗑️ Address #${result.address.id} (${result.address.label}) deleted.`;
+      if (result.newDefault) done += ` Your default is now #${result.newDefault.id} (${result.newDefault.label}).`;
+    }
+  } else if (makeDefault) {
+    result = await addressBook.setDefaultAddress(userId, parseInt(makeDefault[1], 10));
+    done = result.success ? `⭐ Address #${result.address.id} (${result.address.label}) is now your default.` : '';
+  }
+
+  if (result && !result.success) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}`, isLoggedIn));
+    return true;
+  }
+
+  const addresses = await addressBook.listAddresses(userId);
+  let msg = done ? `${done}\n\n` : '';
+  if (addresses.length === 0) {
+    msg += "📍 You have no saved addresses. Type 'add address Home: <your address>' or share your location.";
+  } else {
+    msg += '📍 *Your addresses*\n\n';
+    addresses.forEach((address) => {
+      msg += `#${address.id} ${address.isDefault ? '⭐ ' : ''}*${address.label}*\n   ${addressBook.formatAddress(address)}\n`;
+      if (address.phoneNumber) msg += `   📞 ${address.phoneNumber}\n`;
+      if (address.latitude != null) msg += '   📌 Location pinned\n';
+    });
+    msg += "\nType 'edit address <number> landmark <text>' (or label, phone, address), 'default address <number>' or 'delete address <number>'.";
+  }
+  await sendWhatsAppMessage(phoneNumber, msg);
+  return true;
+};
+
 // Handle place order
 const handlePlaceOrder = async (phoneNumber, session, parameters) => {
   try {
@@ -2140,8 +3157,21 @@ const handlePlaceOrder = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    // Step 1: Collect Address via Location Sharing if not present
-    if (!parameters.address) {
+    // The NLP passes the whole message as the address - drop the command and payment words
+    const typedAddress = parameters.addressId
+      ? parameters.address
+      : (parameters.address || '')
+        .replace(/^\s*(?:place\s+(?:an?\s+|my\s+)?order|order|checkout)\b[\s:,-]*/i, '')
+        .replace(/[\s,]*\b(?:flutterwave|paystack|cash(?:\s+on\s+delivery)?)\s*$/i, '')
+        .trim();
+
+    // Step 1: Offer saved addresses, or ask for one, if none was given
+    if (!typedAddress) {
+      const savedAddresses = await addressBook.listAddresses(userIdFromSession);
+      if (savedAddresses.length > 0) {
+        await sendCheckoutAddressList(phoneNumber, savedAddresses);
+        return;
+      }
       let message = "📦 To place your order, send address and payment method:\n";
       message += "Example: 'order 123 Main St, Lagos Flutterwave'\n\n";
       message += "Payment methods:\n";
@@ -2153,7 +3183,8 @@ const handlePlaceOrder = async (phoneNumber, session, parameters) => {
     }
 
     const orderData = {
-      address: sanitizeInput(parameters.address),
+      address: sanitizeInput(typedAddress),
+      addressId: parameters.addressId || null,
       paymentMethod: sanitizeInput(parameters.paymentMethod)
     };
 
@@ -2164,8 +3195,46 @@ const handlePlaceOrder = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    const result = await placeOrder(session.data.userId, orderData);
-
+    // Prescription-only items need a prescription file before the order can be placed
+    const cartOrder = await sequelize.models.Order.findOne({
+      where: { userId: session.data.userId, status: 'Processing' },
+      include: [sequelize.models.OrderItem]
+    });
+    const prescriptionCheck = await checkCheckoutPrescription(cartOrder ? cartOrder.OrderItems : [], session.data, cartOrder ? cartOrder.id : null);
+    if (!prescriptionCheck.satisfied) {
+      // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+      session.data = { ...session.data, awaitingCheckoutPrescription: true };
+      await session.save();
+      let message = "📄 Your cart has prescription-only items:\n";
+      prescriptionCheck.items.forEach(item => {
+        message += `• ${item.name}\n`;
+      });
+      message += "\nPlease send a clear photo or PDF of your prescription, then place your order again.\n";
+      message += "A pharmacist will verify it before your order is dispatched.";
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(message, isLoggedIn));
+      return;
+    }
+
+    // Typed addresses go into the address book so they can be picked next time
+    if (!orderData.addressId) {
+      const saved = await addressBook.saveAddress(session.data.userId, { addressText: orderData.address });
+      if (saved.success) orderData.addressId = saved.address.id;
+    }
+
+    const result = await placeOrder(session.data.userId, orderData);
+
+    if (prescriptionCheck.required && result.orderId) {
+      try {
+        const attached = await attachPendingPrescription(result.orderId, session);
+        await sendWhatsAppMessage(phoneNumber, attached && attached.verificationStatus === 'Verified'
+          ? `📄 Your verified prescription has been reused for refill order #${result.orderId}.`
+          : `📄 Prescription attached to order #${result.orderId}. A pharmacist will verify it before your order is dispatched.`);
+      } catch (err) {
+        console.error(`Error attaching prescription to order #${result.orderId}:`, err);
+        await sendWhatsAppMessage(phoneNumber, `⚠️ We couldn't attach your prescription to order #${result.orderId}. Please reply with \`rx ${result.orderId}\` to try again.`);
+      }
+    }
+
     // Notify support team
     await notifySupportTeam(phoneNumber, 'orders', 'New Order Placed', {
       orderId: result.orderId,
@@ -2173,7 +3242,11 @@ const handlePlaceOrder = async (phoneNumber, session, parameters) => {
       amount: result.totalAmount || 'TBD'
     });
 
-    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`✅ Your order has been placed successfully!\n\nOrder ID: #${result.orderId}`, isLoggedIn));
+    let confirmation = `✅ Your order has been placed successfully!\n\nOrder ID: #${result.orderId}`;
+    if (result.deliveryFee > 0) confirmation += `\nDelivery fee: ₦${result.deliveryFee.toLocaleString()}`;
+    if (result.totalAmount) confirmation += `\nTotal: ₦${Number(result.totalAmount).toLocaleString()}`;
+    if (result.eta) confirmation += `\n🚚 Estimated delivery: ${result.eta}`;
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(confirmation, isLoggedIn));
 
     // Generate payment link if online payment is selected
     const validPaymentMethods = ['Flutterwave', 'Paystack'];
@@ -2220,6 +3293,10 @@ const handlePlaceOrder = async (phoneNumber, session, parameters) => {
     }
   } catch (error) {
     console.error('Error placing order:', error);
+    if (error.code === 'OUTSIDE_DELIVERY_AREA') {
+      await sendWhatsAppMessage(phoneNumber, `📍 ${error.message}. Please send a different delivery address, or type 'my addresses' to pick a saved one.`);
+      return;
+    }
     const errorMessage = handleApiError(error, 'place_order').message;
     await sendWhatsAppMessage(phoneNumber, `❌ Failed to place order: ${errorMessage}`);
   }
@@ -2284,6 +3361,13 @@ const handleViewCart = async (phoneNumber, session, parameters) => {
 const handleTrackOrder = async (phoneNumber, session, parameters) => {
   try {
     const isLoggedIn = isAuthenticatedSession(session);
+    const userId = isLoggedIn ? session.data.userId : null;
+
+    // "Where is my order" - the customer's order that is out for delivery (or being prepared)
+    if (!parameters.orderId && userId) {
+      const active = await dispatch.getActiveDeliveryOrder(userId);
+      if (active) parameters = { ...parameters, orderId: String(active.id) };
+    }
 
     if (!parameters.orderId) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("📍 To track your order, provide the order ID.\n\nExample: 'track 12345'", isLoggedIn));
@@ -2308,14 +3392,22 @@ const handleTrackOrder = async (phoneNumber, session, parameters) => {
     }
 
     const statusEmoji = {
-      'Processing': '⏳',
+      'Processing': '🛒',
+      'AwaitingPayment': '⏳',
+      'Paid': '💳',
+      'AwaitingPrescriptionReview': '📋',
+      'Packed': '📦',
+      'Dispatched': '🚚',
       'Shipped': '🚚',
+      'OutForDelivery': '🛵',
       'Delivered': '✅',
+      'Returned': '↩️',
+      'Refunded': '💸',
       'Cancelled': '❌'
     };
 
     let message = `${statusEmoji[orderDetails.status] || '📦'} *Order #${orderDetails.id} Status*\n\n`;
-    message += `Status: ${orderDetails.status}\n`;
+    message += `Status: ${String(orderDetails.status).replace(/([a-z])([A-Z])/g, '$1 $2')}\n`;
     message += `Placed: ${new Date(orderDetails.orderDate).toLocaleDateString()}\n`;
     message += `Amount: ₦${orderDetails.totalAmount?.toLocaleString() || '0'}\n`;
     message += `Payment: ${orderDetails.paymentStatus}\n\n`;
@@ -2329,10 +3421,44 @@ const handleTrackOrder = async (phoneNumber, session, parameters) => {
       message += `• No items found\n`;
     }
 
-    message += `\n*Delivery Address:*\n${orderDetails.shippingAddress || 'Not provided'}\n\n`;
-    message += `Need help? Type 'support' to chat with our team.`;
+    if (orderDetails.deliveryFee > 0) {
+      message += `• Delivery = ₦${orderDetails.deliveryFee.toLocaleString()}\n`;
+    }
+
+    message += `\n*Delivery Address:*\n${orderDetails.shippingAddress || 'Not provided'}\n`;
+    if (orderDetails.eta && !['Delivered', 'Returned', 'Refunded', 'Cancelled'].includes(orderDetails.status)) {
+      message += `🚚 Estimated delivery: ${orderDetails.eta}\n`;
+    }
+
+    // Rider details and last shared location are only shown to the order's owner
+    const live = userId ? await dispatch.getLiveTracking(orderDetails.id, userId) : null;
+    if (live) {
+      message += `\n🛵 *Rider:* ${live.rider.name} (${live.rider.phoneNumber})\n${live.statusLabel}`;
+      if (live.location) {
+        message += ` - location updated ${live.location.minutesAgo < 1 ? 'just now' : `${live.location.minutesAgo} min ago`}`;
+        if (live.location.distanceKm !== null) message += `, about ${live.location.distanceKm} km away`;
+      }
+      message += `\n`;
+      if (live.deliveryCode) {
+        message += `🔐 Delivery code: *${live.deliveryCode}* - give it to the rider once you have your order\n`;
+      }
+    }
+    message += `\nNeed help? Type 'support' to chat with our team.`;
 
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(message, isLoggedIn));
+
+    if (live && live.location) {
+      try {
+        await sendLocationMessage(phoneNumber, {
+          latitude: live.location.latitude,
+          longitude: live.location.longitude,
+          name: `${live.rider.name} - your rider`,
+          address: `Order #${orderDetails.id}`
+        });
+      } catch (error) {
+        console.error('Could not send rider location:', error.message);
+      }
+    }
   } catch (error) {
     console.error('Error tracking order:', error);
     const errorMessage = handleApiError(error, 'track_order').message;
@@ -2392,6 +3518,8 @@ const handleDoctorSearch = async (phoneNumber, session, parameters) => {
       if (doctor.specialty) s += `\n   Specialty: ${doctor.specialty}`;
       if (doctor.location) s += `\n   Location: ${doctor.location}`;
       if (doctor.rating) s += `\n   Rating: ${doctor.rating}/5`;
+      if (doctor.consultationFee !== undefined) s += `\n   Fee: ${doctor.consultationFee > 0 ? `₦${Number(doctor.consultationFee).toLocaleString()}` : 'Free'}`;
+      if (doctor.consultationModes) s += `\n   Consults: ${doctorSchedule.consultationModesFor(doctor).map(mode => doctorSchedule.MODE_LABELS[mode]).join(', ')}`;
       return s;
     });
 
@@ -2415,34 +3543,120 @@ const handleBookAppointment = async (phoneNumber, session, parameters) => {
       return;
     }
 
-    if (!parameters.doctorIndex || !parameters.date || !parameters.time) {
-      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please specify which doctor, date, and time for your appointment. Example: 'book 1 2023-06-15 14:00' to book the first doctor on June 15th at 2 PM.", isLoggedIn));
+    if (!parameters.doctorIndex) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please specify which doctor you'd like to see. Example: 'book 1' to see the first doctor's free times, or 'book 1 2023-06-15 14:00' to book a slot.", isLoggedIn));
       return;
     }
 
     const doctorIndex = parseInt(parameters.doctorIndex) - 1;
-    const dateTime = new Date(`${parameters.date}T${parameters.time}`);
-
     const doctorList = (session.data.doctorPageItems || session.data.doctorSearchResults || []);
     if (!doctorList[doctorIndex]) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Please search for doctors first before booking an appointment.", isLoggedIn));
       return;
     }
     const doctor = doctorList[doctorIndex];
-    const result = await bookAppointment(session.data.userId, doctor.id, dateTime);
 
-    // Notify support team
-    await notifySupportTeam(phoneNumber, 'medical', 'New Appointment Booked', {
-      doctorName: doctor.name,
-      dateTime: dateTime.toISOString()
-    });
+    // No date yet: show the doctor's next free days
+    if (!parameters.date) {
+      const availability = await doctorSchedule.getNextAvailableDays(doctor.id);
+      if (!availability.success || availability.days.length === 0) {
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(availability.success ? `Dr. ${doctor.name} has no free slots in the next two weeks. Please choose another doctor.` : availability.error, isLoggedIn));
+        return;
+      }
+      const days = availability.days.map(day => `📅 ${day.date}: ${day.slots.slice(0, 6).map(slot => slot.time).join(', ')}${day.slots.length > 6 ? ', ...' : ''}`).join('\n');
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`🗓️ *Dr. ${doctor.name}'s next free slots*\n\n${days}\n\nReply 'book ${doctorIndex + 1} <date>' to see every time on a day, or 'book ${doctorIndex + 1} <date> <time>' to book.`, isLoggedIn));
+      return;
+    }
+
+    // Date but no time: offer that day's free slots
+    if (!parameters.time) {
+      const availability = await doctorSchedule.getAvailableSlots(doctor.id, parameters.date);
+      if (!availability.success || availability.slots.length === 0) {
+        await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(availability.success ? `Dr. ${doctor.name} has no free slots on ${availability.date}. Reply 'book ${doctorIndex + 1}' to see their next free days.` : availability.error, isLoggedIn));
+        return;
+      }
+      const sent = await sendTimeSelectionButtons(phoneNumber, doctorSchedule.toSlotOptions(doctor.id, availability.slots), `Dr. ${doctor.name}, ${availability.date}`);
+      if (!sent) {
+        await sendWhatsAppMessage(phoneNumber, `⏰ Free times on ${availability.date}: ${availability.slots.map(slot => slot.time).join(', ')}\n\nReply 'book ${doctorIndex + 1} ${availability.date} <time>' to book.`);
+      }
+      return;
+    }
 
-    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`Your appointment with Dr. ${doctor.name} has been scheduled for ${dateTime.toLocaleString()}. Appointment ID: ${result.appointmentId}. You will receive a confirmation shortly.`, isLoggedIn));
+    await bookAppointmentSlot(phoneNumber, session, doctor.id, `${parameters.date} ${parameters.time}`);
   } catch (error) {
     console.error('Error booking appointment:', error);
     await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions("Sorry, we encountered an error while booking your appointment. Please try again later.", isAuthenticatedSession(session)));
   }
 };
+
+// Book a doctor's slot, from typed "date time" or a tapped slot; offers the next free slots when it's taken.
+// Without a mode, doctors offering video or chat too get the patient to pick one first.
+const bookAppointmentSlot = async (phoneNumber, session, doctorId, dateTime, mode) => {
+  if (!mode && await appointmentHandlers.offerConsultationModes(phoneNumber, doctorId, dateTime)) {
+    return;
+  }
+
+  const isLoggedIn = isAuthenticatedSession(session);
+  const result = await bookAppointmentValidated(session.data.userId, doctorId, dateTime, 'Africa/Lagos', {}, mode);
+
+  if (!result.success) {
+    const alternatives = (result.availableDays || [])
+      .map(day => `📅 ${day.date}: ${day.slots.slice(0, 6).map(slot => slot.time).join(', ')}`)
+      .join('\n');
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}${alternatives ? `\n\nNext free slots:\n${alternatives}` : ''}`, isLoggedIn));
+    return;
+  }
+
+  // Paid consultations reach the medical team once the payment webhook confirms them
+  if (!result.requiresPayment) {
+    await notifySupportTeam(phoneNumber, 'medical', 'New Appointment Booked', {
+      appointmentId: result.appointmentId,
+      doctorName: result.doctorName,
+      dateTime: `${result.appointmentDate} ${result.appointmentTime}`
+    });
+  }
+
+  await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(result.message, isLoggedIn));
+};
+
+/**
+ * Chat commands for booked appointments:
+ * "my appointments", "confirm appointment <id>", "reschedule <id> [date [time]]"
+ * and "cancel appointment <id>".
+ * @returns {boolean} true if the message was an appointment command
+ */
+const handleAppointmentCommand = async (phoneNumber, session, messageText) => {
+  const text = messageText.trim();
+  const isList = /^(?:my\s+)?appointments$/i.test(text);
+  const confirmMatch = text.match(/^confirm\s+appointment\s+#?(\d+)$/i);
+  const rescheduleMatch = text.match(/^(?:reschedule|move)\s+(?:appointment\s+)?#?(\d+)(?:\s+(\S+)(?:\s+(.+))?)?$/i);
+  const cancelMatch = text.match(/^cancel\s+appointment\s+#?(\d+)$/i);
+  if (!isList && !confirmMatch && !rescheduleMatch && !cancelMatch) return false;
+
+  if (!session.data || !session.data.userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'manage your appointments');
+    return true;
+  }
+
+  if (isList) {
+    await appointmentHandlers.handleViewAppointments(phoneNumber, session);
+  } else if (confirmMatch) {
+    await appointmentHandlers.handleAppointmentConfirm(phoneNumber, session, parseInt(confirmMatch[1], 10));
+  } else if (cancelMatch) {
+    await appointmentHandlers.handleAppointmentCancel(phoneNumber, session, parseInt(cancelMatch[1], 10));
+  } else {
+    const [, appointmentId, date, time] = rescheduleMatch;
+    if (!date) {
+      await appointmentHandlers.handleRescheduleStart(phoneNumber, session, parseInt(appointmentId, 10));
+    } else if (!time) {
+      await appointmentHandlers.handleRescheduleDate(phoneNumber, session, parseInt(appointmentId, 10), date);
+    } else {
+      await appointmentHandlers.handleRescheduleSlot(phoneNumber, session, parseInt(appointmentId, 10), `${date} ${time}`);
+    }
+  }
+  return true;
+};
+
 // Handle payment
 const handlePayment = async (phoneNumber, session, parameters) => {
   try {
@@ -2813,18 +4027,18 @@ const handleDiagnosticTestSearch = async (phoneNumber, session, parameters) => {
 
     const page = parseInt(parameters.page || '1', 10) || 1;
     const pageSize = 5;
-    const where = { isActive: true };
-
+    const offset = (page - 1) * pageSize;
+    let rows;
+    let count;
     if (parameters.testType) {
-      where[sequelize.Op.or] = [
-        { name: { [sequelize.Op.iLike]: `%${parameters.testType}%` } },
-        { category: { [sequelize.Op.iLike]: `%${parameters.testType}%` } }
-      ];
+      // Ranked search handles misspellings; pages are cut from the ranked list
+      const results = await searchCatalogue(parameters.testType, { types: ['DiagnosticTest'], limit: 50 });
+      rows = results.slice(offset, offset + pageSize);
+      count = results.length;
+    } else {
+      ({ rows, count } = await DiagnosticTest.findAndCountAll({ where: { isActive: true }, limit: pageSize, offset, order: [['id','ASC']] }));
     }
 
-    const offset = (page - 1) * pageSize;
-    const { rows, count } = await DiagnosticTest.findAndCountAll({ where, limit: pageSize, offset, order: [['id','ASC']] });
-
     if (!rows || rows.length === 0) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ No diagnostic tests found${parameters.testType ? ` for "${parameters.testType}"` : ''}. Please try a different search or type 'help' for more options.`, isLoggedIn));
       return;
@@ -2862,18 +4076,18 @@ const handleHealthcareProductBrowse = async (phoneNumber, session, parameters) =
 
     const page = parseInt(parameters.page || '1', 10) || 1;
     const pageSize = 5;
-    const where = { isActive: true };
-
+    const offset = (page - 1) * pageSize;
+    let rows;
+    let count;
     if (parameters.category) {
-      where[sequelize.Op.or] = [
-        { name: { [sequelize.Op.iLike]: `%${parameters.category}%` } },
-        { category: { [sequelize.Op.iLike]: `%${parameters.category}%` } }
-      ];
+      // Ranked search handles misspellings; pages are cut from the ranked list
+      const results = await searchCatalogue(parameters.category, { types: ['HealthcareProduct'], limit: 50 });
+      rows = results.slice(offset, offset + pageSize);
+      count = results.length;
+    } else {
+      ({ rows, count } = await HealthcareProduct.findAndCountAll({ where: { isActive: true }, limit: pageSize, offset, order: [['id','ASC']] }));
     }
 
-    const offset = (page - 1) * pageSize;
-    const { rows, count } = await HealthcareProduct.findAndCountAll({ where, limit: pageSize, offset, order: [['id','ASC']] });
-
     if (!rows || rows.length === 0) {
       await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ No healthcare products found${parameters.category ? ` in "${parameters.category}"` : ''}. Please try a different search or type 'help' for more options.`, isLoggedIn));
       return;
@@ -2910,9 +4124,21 @@ const handleTextMessage = async (messageText, phoneNumber, messageId) => {
   // This function now acts as the primary entry point for text, replacing the old `handleCustomerMessage`.
   // It will call the same logic, but structured in a more modern way.
   const supportTeam = await sequelize.models.SupportTeam.findOne({ where: { phoneNumber } });
+  const rider = supportTeam ? null : await sequelize.models.Rider.findOne({ where: { phoneNumber, isActive: true } });
+  // Doctors are identified by their number alone and never reach customer sessions
+  const doctor = supportTeam || rider ? null : await doctorConsole.findDoctorByPhone(phoneNumber);
   if (supportTeam) {
     console.log(`👨‍💼 Support team message from ${phoneNumber}`);
     await handleSupportTeamMessage(phoneNumber, messageText);
+  } else if (rider) {
+    console.log(`🛵 Rider message from ${phoneNumber}`);
+    await handleRiderMessage(phoneNumber, messageText);
+  } else if (doctor) {
+    console.log(`👨‍⚕️ Doctor message from ${phoneNumber}`);
+    await handleDoctorMessage(phoneNumber, messageText);
+  } else if (await teleconsultation.findOpenChatForPatient(phoneNumber)) {
+    console.log(`💬 Consultation chat message from ${phoneNumber}`);
+    await handleConsultationChatMessage(phoneNumber, messageText);
   } else {
     console.log(`👤 Customer message from ${phoneNumber}`);
     await handleCustomerMessage(phoneNumber, messageText, messageId);
@@ -2981,26 +4207,38 @@ const handleMediaMessage = async (message, phoneNumber, messageId) => {
     const ocr = await extractPrescriptionFromBuffer(buffer).catch(err => console.warn('OCR failed:', err.message));
     const extractedText = ocr?.extractedText || null;
 
+    const [session] = await Session.findOrCreate({ where: { phoneNumber }, defaults: { state: 'NEW', data: {} } });
+
     const match = caption.match(/(?:rx|order|prescription)\s*#?(\d+)/i);
     if (match && match[1]) {
       const orderId = match[1];
       try {
-        const result = await savePrescription(orderId, uploadResult.url, extractedText);
+        const result = await savePrescription(orderId, uploadResult.url, extractedText, ocr?.parsedData || null);
         await sendWhatsAppMessage(phoneNumber, `✅ Prescription received and attached to order #${orderId}. Status: ${result.verificationStatus || 'Pending'}.`);
       } catch (err) {
         console.error(`Error attaching prescription to order #${orderId}:`, err);
         await sendWhatsAppMessage(phoneNumber, `❌ We received your prescription, but couldn't attach it to order #${orderId}. Please ensure the order ID is correct. You can try again by replying: \`rx ${orderId}\``);
       }
     } else {
-      const [session] = await Session.findOrCreate({ where: { phoneNumber }, defaults: { state: 'NEW', data: {} } });
+      // The file goes with the cart it was sent for; checkout of a later cart asks again
+      const cartOrder = session.data.userId
+        ? await sequelize.models.Order.findOne({ where: { userId: session.data.userId, status: 'Processing' }, attributes: ['id'] })
+        : null;
       session.set('data', {
         ...session.data,
         pendingPrescriptionUrl: uploadResult.url,
-        ...(extractedText && { pendingPrescriptionExtractedText: extractedText })
+        pendingPrescriptionExtractedText: extractedText,
+        pendingPrescriptionCartId: cartOrder ? cartOrder.id : null
       });
       await session.save();
-      await sendWhatsAppMessage(phoneNumber, '📄 Prescription received.\n\nTo attach it to an order, reply now with your Order ID (e.g., `rx 12345`).');
+      if (session.data.awaitingCheckoutPrescription) {
+        await sendWhatsAppMessage(phoneNumber, '📄 Prescription received.\n\nYou can now continue with your order - it will be attached automatically.');
+      } else {
+        await sendWhatsAppMessage(phoneNumber, '📄 Prescription received.\n\nTo attach it to an order, reply now with your Order ID (e.g., `rx 12345`).');
+      }
     }
+
+    await offerPrescriptionItems(phoneNumber, session, ocr?.parsedData);
   } catch (err) {
     console.error('Media handling error:', err);
     let userMessage = 'Sorry, there was a problem processing your file. Please try again.';
@@ -3011,6 +4249,302 @@ const handleMediaMessage = async (message, phoneNumber, messageId) => {
   }
 };
 
+/**
+ * Offer the catalogue medicines read from an uploaded prescription as a one-tap "add all to cart".
+ */
+const offerPrescriptionItems = async (phoneNumber, session, parsedData) => {
+  const medicines = parsedData && Array.isArray(parsedData.medicines) ? parsedData.medicines : [];
+  if (medicines.length === 0) return;
+
+  try {
+    const lines = await matchPrescriptionToCatalogue(medicines);
+    const matched = lines.filter(line => line.match && line.match.stock > 0);
+    const unmatched = lines.filter(line => !line.match || line.match.stock <= 0);
+
+    if (matched.length === 0) {
+      await sendWhatsAppMessage(phoneNumber, `🔎 We read ${lines.length} medicine(s) on your prescription but couldn't find them in stock. Type "support" and a pharmacist will help.`);
+      return;
+    }
+
+    // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+    session.data = {
+      ...session.data,
+      prescriptionCartOffer: matched.map(line => ({
+        productId: line.match.productId,
+        name: line.match.name,
+        quantity: line.quantity
+      }))
+    };
+    await session.save();
+
+    let msg = '🔎 *Medicines found on your prescription*\n\n';
+    matched.forEach((line, idx) => {
+      const dosing = [line.strength, line.frequency && line.frequency.code, line.durationDays && `${line.durationDays} days`].filter(Boolean).join(' · ');
+      msg += `${idx + 1}. ${line.match.name} x${line.quantity} — ₦${(line.match.price * line.quantity).toLocaleString()}\n`;
+      if (dosing) msg += `   _${line.name}: ${dosing}_\n`;
+    });
+    if (unmatched.length > 0) {
+      msg += `\nNot available: ${unmatched.map(line => line.name).join(', ')}\n`;
+    }
+    msg += '\nTap below to add them all to your cart.';
+
+    await sendInteractiveMessage(phoneNumber, msg, [
+      { id: 'rx_add_all', title: '🛒 Add all to cart' },
+      { id: 'view_cart', title: '🧺 View Cart' }
+    ]);
+  } catch (error) {
+    console.error('Error matching prescription to catalogue:', error);
+  }
+};
+
+/**
+ * Add every item from the last prescription offer to the cart.
+ */
+const handleAddPrescriptionItemsToCart = async (phoneNumber, session) => {
+  const isLoggedIn = isAuthenticatedSession(session);
+  const userId = session.data && session.data.userId;
+  if (!userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'add items to your cart');
+    return;
+  }
+
+  const offer = session.data.prescriptionCartOffer || [];
+  if (offer.length === 0) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions('No prescription items are waiting to be added. Send a photo of your prescription to get started.', isLoggedIn));
+    return;
+  }
+
+  const added = [];
+  const failed = [];
+  for (const item of offer) {
+    try {
+      await addToCart(userId, item.productId, item.quantity, 'Product');
+      added.push(item);
+    } catch (error) {
+      failed.push({ ...item, error: error.message });
+    }
+  }
+
+  // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+  session.data = { ...session.data, prescriptionCartOffer: null };
+  await session.save();
+
+  let msg = added.length > 0
+    ? `✅ Added ${added.length} item(s) to your cart:\n${added.map(item => `• ${item.name} x${item.quantity}`).join('\n')}\n`
+    : '';
+  if (failed.length > 0) {
+    msg += `\n⚠️ Could not add:\n${failed.map(item => `• ${item.name}: ${item.error}`).join('\n')}\n`;
+  }
+  msg += "\nType 'cart' to review or 'checkout [address] [flutterwave|paystack|cash]' to place your order.";
+  await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
+};
+
+/**
+ * Rebuild the cart from a previous order when the customer taps "Reorder" on a refill reminder.
+ */
+const handleRefillReorder = async (phoneNumber, session, orderId) => {
+  const isLoggedIn = isAuthenticatedSession(session);
+  const userId = session.data && session.data.userId;
+  if (!userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'reorder your medicines');
+    return;
+  }
+
+  const result = await reorderFromOrder(userId, orderId);
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ Could not reorder: ${result.error}`, isLoggedIn));
+    return;
+  }
+
+  if (result.refillPrescriptionId) {
+    // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+    session.data = { ...session.data, refillPrescriptionId: result.refillPrescriptionId };
+    await session.save();
+  }
+
+  let msg = result.added.length > 0
+    ? `🔁 Added ${result.added.length} item(s) from order #${orderId} to your cart:\n${result.added.map(item => `• ${item.name} x${item.quantity}`).join('\n')}\n`
+    : `Nothing from order #${orderId} could be added to your cart.\n`;
+  if (result.skipped.length > 0) {
+    msg += `\n⚠️ Not added:\n${result.skipped.map(item => `• ${item.name}: ${item.reason}`).join('\n')}\n`;
+    if (result.skipped.some(item => item.reason === 'Needs a new prescription')) {
+      msg += 'Send a photo of a new prescription to order these.\n';
+    }
+  }
+  if (result.added.length > 0) {
+    msg += "\nType 'checkout [address] [flutterwave|paystack|cash]' to place your order.";
+  }
+  await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(msg, isLoggedIn));
+};
+
+/**
+ * Allergy and condition profile commands used by the cart safety checks:
+ * "my allergies", "add allergy penicillin", "remove allergy penicillin",
+ * "add condition asthma", "remove condition asthma".
+ * @returns {boolean} true if the message was a profile command
+ */
+const handleHealthProfileCommand = async (phoneNumber, session, messageText) => {
+  const text = messageText.trim();
+  const isView = /^(?:my\s+)?(?:allergies|conditions|health\s+profile)$/i.test(text);
+  const change = text.match(/^(add|remove|delete)\s+(allergy|condition)\s+(.+)$/i)
+    || text.match(/^(i'?m\s+allergic|i\s+am\s+allergic)\s+to\s+(.+)$/i);
+  if (!isView && !change) return false;
+
+  const isLoggedIn = isAuthenticatedSession(session);
+  const userId = session.data && session.data.userId;
+  if (!userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'manage your allergies and conditions');
+    return true;
+  }
+
+  if (change) {
+    const [kind, value, remove] = change.length === 4
+      ? [change[2].toLowerCase(), change[3], !/^add$/i.test(change[1])]
+      : ['allergy', change[2], false];
+    const result = await updateHealthProfile(userId, kind, value, remove);
+    if (!result.success) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ ${result.error}`, isLoggedIn));
+      return true;
+    }
+    await sendWhatsAppMessage(phoneNumber, `✅ ${result.label} ${remove ? 'removed from' : 'added to'} your health profile. We'll check medicines you add to your cart against it.`);
+    return true;
+  }
+
+  const profile = await getHealthProfile(userId);
+  let msg = '🩺 *Your health profile*\n\n';
+  msg += `Allergies: ${profile.allergies.length > 0 ? profile.allergies.map(a => a.label).join(', ') : 'none recorded'}\n`;
+  msg += `Conditions: ${profile.conditions.length > 0 ? profile.conditions.map(c => c.label).join(', ') : 'none recorded'}\n\n`;
+  msg += "Type 'add allergy <name>', 'add condition <name>' or 'remove allergy <name>' to update it.";
+  await sendWhatsAppMessage(phoneNumber, msg);
+  return true;
+};
+
+const formatDoseTimes = (times) => times.map((time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'pm' : 'am';
+  return `${hours % 12 || 12}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}${suffix}`;
+}).join(', ');
+
+/**
+ * Dose reminder chat commands:
+ * "remind me to take <medicine> at <times> [for N days]", "my reminders",
+ * "stop reminder <id>" and "my adherence".
+ * @returns {boolean} true if the message was a reminder command
+ */
+const handleMedicationReminderCommand = async (phoneNumber, session, messageText) => {
+  const text = messageText.trim();
+  const request = adherence.parseReminderRequest(text);
+  const isList = /^(?:my\s+)?(?:dose\s+|medication\s+|medicine\s+)?reminders$/i.test(text);
+  const stopMatch = text.match(/^(?:stop|cancel)\s+reminder\s+#?(\d+)$/i);
+  const isReport = /^(?:my\s+)?adherence$/i.test(text);
+  if (!request && !isList && !stopMatch && !isReport) return false;
+
+  const isLoggedIn = isAuthenticatedSession(session);
+  const userId = session.data && session.data.userId;
+  if (!userId) {
+    await sendAuthRequiredMessage(phoneNumber, 'set up dose reminders');
+    return true;
+  }
+
+  if (request) {
+    if (request.error) {
+      await sendWhatsAppMessage(phoneNumber, `⏰ ${request.error}`);
+      return true;
+    }
+    const result = await adherence.createMedicationSchedule(userId, request);
+    if (!result.success) {
+      await sendWhatsAppMessage(phoneNumber, formatResponseWithOptions(`❌ Could not set the reminder: ${result.error}`, isLoggedIn));
+      return true;
+    }
+    const { schedule } = result;
+    let msg = `⏰ Reminder #${schedule.id} set: ${schedule.medicineName}${schedule.dose ? ` (${schedule.dose})` : ''} at ${formatDoseTimes(schedule.timesOfDay)}`;
+    msg += schedule.endDate ? ` until ${schedule.endDate}.` : ' every day.';
+    msg += `\n\nTimes are in ${schedule.timezone}. Type 'stop reminder ${schedule.id}' to turn it off.`;
+    await sendWhatsAppMessage(phoneNumber, msg);
+    return true;
+  }
+
+  if (stopMatch) {
+    const result = await adherence.cancelMedicationSchedule(userId, parseInt(stopMatch[1], 10));
+    await sendWhatsAppMessage(phoneNumber, result.success
+      ? `🛑 Reminder #${result.schedule.id} for ${result.schedule.medicineName} has been stopped.`
+      : `❌ Could not stop the reminder: ${result.error}`);
+    return true;
+  }
+
+  if (isReport) {
+    const report = await adherence.getAdherenceReport({ userId });
+    if (report.adherenceRate === null) {
+      await sendWhatsAppMessage(phoneNumber, "📊 No doses recorded in the last 30 days yet. Type 'my reminders' to see your reminders.");
+      return true;
+    }
+    let msg = `📊 *Your last 30 days*\n\nDoses taken: ${report.adherenceRate}%\n`;
+    report.schedules.filter(schedule => schedule.adherenceRate !== null).forEach((schedule) => {
+      msg += `• ${schedule.medicineName}: ${schedule.totals.Taken} taken, ${schedule.totals.Skipped} skipped, ${schedule.totals.Missed} missed\n`;
+    });
+    await sendWhatsAppMessage(phoneNumber, msg);
+    return true;
+  }
+
+  const schedules = await adherence.listMedicationSchedules(userId);
+  if (schedules.length === 0) {
+    await sendWhatsAppMessage(phoneNumber, "⏰ You have no dose reminders.\n\nSet one up like this:\n`remind me to take Metformin 500mg at 8am and 8pm`");
+    return true;
+  }
+  let msg = '⏰ *Your dose reminders*\n\n';
+  schedules.forEach((schedule) => {
+    msg += `#${schedule.id} ${schedule.medicineName}${schedule.dose ? ` (${schedule.dose})` : ''} — ${formatDoseTimes(schedule.timesOfDay)}`;
+    msg += schedule.endDate ? ` until ${schedule.endDate}\n` : '\n';
+  });
+  msg += "\nType 'stop reminder <number>' to turn one off, or 'my adherence' for your record.";
+  await sendWhatsAppMessage(phoneNumber, msg);
+  return true;
+};
+
+/**
+ * Taken / Snooze / Skip on a dose reminder. Works without logging in, as reminders
+ * often arrive after the chat session has expired.
+ */
+const handleDoseResponse = async (phoneNumber, session, action, logId) => {
+  const result = await adherence.recordDoseResponse(logId, action, {
+    userId: session && session.data ? session.data.userId : null,
+    phoneNumber
+  });
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ ${result.error}`);
+    return;
+  }
+
+  const replies = {
+    taken: `✅ Great — ${result.medicineName} marked as taken.`,
+    snooze: `⏰ OK, I'll remind you about ${result.medicineName} again in ${adherence.SNOOZE_MINUTES} minutes.`,
+    skip: `⏭️ ${result.medicineName} marked as skipped for this dose.`
+  };
+  await sendWhatsAppMessage(phoneNumber, replies[action]);
+};
+
+/**
+ * Turn the medicines on a verified prescription into dose reminders.
+ */
+const handleDoseReminderSetup = async (phoneNumber, session, prescriptionId) => {
+  const result = await adherence.createSchedulesFromPrescription(prescriptionId, {
+    sender: { userId: session && session.data ? session.data.userId : null, phoneNumber }
+  });
+  if (!result.success) {
+    await sendWhatsAppMessage(phoneNumber, `❌ Could not set up reminders: ${result.error}`);
+    return;
+  }
+
+  let msg = result.created.length > 0
+    ? `⏰ Dose reminders set:\n${result.created.map(schedule => `• #${schedule.id} ${schedule.medicineName} — ${formatDoseTimes(schedule.timesOfDay)}${schedule.endDate ? ` until ${schedule.endDate}` : ''}`).join('\n')}\n`
+    : 'No new dose reminders were needed.\n';
+  if (result.skipped.length > 0) {
+    msg += `\nNot scheduled:\n${result.skipped.map(item => `• ${item.name}: ${item.reason}`).join('\n')}\n`;
+  }
+  msg += "\nType 'my reminders' to review them or 'stop reminder <number>' to turn one off.";
+  await sendWhatsAppMessage(phoneNumber, msg);
+};
+
 /**
  * NEW: Handles incoming location messages for delivery address.
  */
@@ -3018,12 +4552,42 @@ const handleLocationMessage = async (message, phoneNumber, messageId) => {
     const { latitude, longitude, name, address } = message.location;
     console.log(`[LOCATION] Received from ${phoneNumber}: Lat=${latitude}, Lon=${longitude}`);
 
+    // Riders share their location so customers can follow their delivery
+    const rider = await sequelize.models.Rider.findOne({ where: { phoneNumber, isActive: true } });
+    if (rider) {
+        const result = await dispatch.recordRiderLocation(phoneNumber, latitude, longitude);
+        await sendWhatsAppMessage(phoneNumber, result.success
+            ? `📍 Location updated${result.openDeliveries ? ` for your ${result.openDeliveries} open ${result.openDeliveries === 1 ? 'delivery' : 'deliveries'}` : ''}.`
+            : `❌ ${result.error}`);
+        return;
+    }
+
     const session = await Session.findOne({ where: { phoneNumber } });
+    const fullAddress = [name, address].filter(Boolean).join(', ');
+    const userId = session && session.data && session.data.userId;
+
+    // Logged-in customers' locations go into their address book
+    let saved = null;
+    if (userId) {
+        const result = await addressBook.saveAddress(userId, {
+            label: name ? name.substring(0, 30) : 'Pinned location',
+            addressText: fullAddress.length >= 10 ? fullAddress : `Pinned location (${Number(latitude).toFixed(5)}, ${Number(longitude).toFixed(5)})`,
+            latitude,
+            longitude
+        });
+        if (result.success) saved = result.address;
+    }
+
     if (session && session.data.isSettingAddress) {
-        const fullAddress = [name, address].filter(Boolean).join(', ');
-        session.set('data', { ...session.data, deliveryAddress: { latitude, longitude, description: fullAddress }, isSettingAddress: false });
+        session.set('data', { ...session.data, deliveryAddress: { latitude, longitude, description: fullAddress }, isSettingAddress: false, checkoutAddressId: saved ? saved.id : null });
         await session.save();
-        await sendWhatsAppMessage(phoneNumber, `✅ Delivery address set to: ${fullAddress}\n\nYou can now proceed to checkout.`);
+        if (saved) {
+            await sendCheckoutPaymentButtons(phoneNumber, saved);
+        } else {
+            await sendWhatsAppMessage(phoneNumber, `✅ Delivery address set to: ${fullAddress}\n\nYou can now proceed to checkout.`);
+        }
+    } else if (saved) {
+        await sendWhatsAppMessage(phoneNumber, `📍 Location saved as address #${saved.id} (${saved.label}).\n\nType 'edit address ${saved.id} label Home' to rename it, 'edit address ${saved.id} landmark <text>' to help our riders, or 'my addresses' to see them all.`);
     } else {
         await sendWhatsAppMessage(phoneNumber, `Thanks for sharing your location!`);
     }
@@ -3076,7 +4640,119 @@ const handleInteractiveMessage = async (message, phoneNumber, messageId) => {
     }
   }
   
+  const refillMatch = replyId.match(/^refill_(\d+)$/);
+  if (refillMatch) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    if (session) {
+      await handleRefillReorder(phoneNumber, session, refillMatch[1]);
+      return;
+    }
+  }
+
+  const doseMatch = replyId.match(/^dose_(taken|snooze|skip)_(\d+)$/);
+  if (doseMatch) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    await handleDoseResponse(phoneNumber, session, doseMatch[1], parseInt(doseMatch[2], 10));
+    return;
+  }
+
+  const doseSetupMatch = replyId.match(/^dose_setup_(\d+)$/);
+  if (doseSetupMatch) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    await handleDoseReminderSetup(phoneNumber, session, parseInt(doseSetupMatch[1], 10));
+    return;
+  }
+
+  if (/^checkout_(address_(\d+|new)|pay_(flutterwave|paystack|cod))$/.test(replyId)) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    if (session) {
+      await handleCheckoutAddressReply(phoneNumber, session, replyId);
+      return;
+    }
+  }
+
+  // Appointment reminder buttons; the handlers check the sender owns the appointment
+  const appointmentMatch = replyId.match(/^appt_(confirm|reschedule|cancel)_(\d+)$/);
+  if (appointmentMatch) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    const appointmentId = parseInt(appointmentMatch[2], 10);
+    if (appointmentMatch[1] === 'confirm') {
+      await appointmentHandlers.handleAppointmentConfirm(phoneNumber, session, appointmentId);
+    } else if (appointmentMatch[1] === 'reschedule') {
+      await appointmentHandlers.handleRescheduleStart(phoneNumber, session, appointmentId);
+    } else {
+      await appointmentHandlers.handleAppointmentCancel(phoneNumber, session, appointmentId);
+    }
+    return;
+  }
+
+  const rescheduleDayMatch = replyId.match(/^resched_day_(\d+)_(\d{4}-\d{2}-\d{2})$/);
+  if (rescheduleDayMatch) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    await appointmentHandlers.handleRescheduleDate(phoneNumber, session, parseInt(rescheduleDayMatch[1], 10), rescheduleDayMatch[2]);
+    return;
+  }
+
+  const rescheduleSlotMatch = replyId.match(/^resched_(\d+)_(\d+)$/);
+  if (rescheduleSlotMatch) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    await appointmentHandlers.handleRescheduleSlot(phoneNumber, session, parseInt(rescheduleSlotMatch[1], 10), new Date(parseInt(rescheduleSlotMatch[2], 10)));
+    return;
+  }
+
+  const slotOption = doctorSchedule.parseSlotOption(replyId);
+  if (slotOption) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    if (!session || !isAuthenticatedSession(session) || !session.data.userId) {
+      await sendAuthRequiredMessage(phoneNumber, 'book an appointment');
+      return;
+    }
+    await bookAppointmentSlot(phoneNumber, session, slotOption.doctorId, slotOption.start);
+    return;
+  }
+
+  const modeOption = doctorSchedule.parseModeOption(replyId);
+  if (modeOption) {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    if (!session || !isAuthenticatedSession(session) || !session.data.userId) {
+      await sendAuthRequiredMessage(phoneNumber, 'book an appointment');
+      return;
+    }
+    await bookAppointmentSlot(phoneNumber, session, modeOption.doctorId, modeOption.start, modeOption.mode);
+    return;
+  }
+
+  // Rider delivery buttons; recordRiderUpdate checks the sender is the order's rider
+  const riderMatch = replyId.match(/^rider_(pickup|enroute|delivered)_(\d+)$/);
+  if (riderMatch) {
+    const result = await dispatch.recordRiderUpdate(phoneNumber, parseInt(riderMatch[2], 10), riderMatch[1]);
+    await sendRiderUpdateResult(phoneNumber, result);
+    return;
+  }
+
+  // Doctor booking buttons; respondToAppointment checks the sender is the appointment's doctor
+  const doctorMatch = replyId.match(/^doc_(accept|decline)_(\d+)$/);
+  if (doctorMatch) {
+    const result = await doctorConsole.respondToAppointment(phoneNumber, parseInt(doctorMatch[2], 10), doctorMatch[1] === 'accept');
+    await sendDoctorResult(phoneNumber, result);
+    return;
+  }
+
+  if (replyId === 'rx_add_all') {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    if (session) {
+      await handleAddPrescriptionItemsToCart(phoneNumber, session);
+      return;
+    }
+  }
+
   if (replyId === 'show_checkout') {
+    const session = await Session.findOne({ where: { phoneNumber } });
+    const savedAddresses = session && session.data && session.data.userId ? await addressBook.listAddresses(session.data.userId) : [];
+    if (savedAddresses.length > 0) {
+      await sendCheckoutAddressList(phoneNumber, savedAddresses);
+      return;
+    }
     await sendWhatsAppMessage(phoneNumber, "To complete your checkout, please provide your delivery address and payment method using this format:\n\n`checkout [address] [flutterwave|paystack|cash]`\n\nFor example: `checkout 123 Main St, Lagos flutterwave`");
     return;
   }
@@ -43,6 +43,16 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  allergies: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Allergy keys from config/drugInteractions.js, e.g. ["penicillin"]'
+  },
+  medicalConditions: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Condition keys from config/drugInteractions.js, e.g. ["asthma"]'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -63,6 +73,214 @@ const User = sequelize.define('User', {
   tableName: 'users'
 });
 
+// Address Model - a customer's saved delivery addresses
+const Address = sequelize.define('Address', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  label: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Home',
+    comment: 'e.g. Home, Office, Mum'
+  },
+  addressText: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  latitude: {
+    type: DataTypes.DOUBLE,
+    comment: 'From a location shared on WhatsApp'
+  },
+  longitude: {
+    type: DataTypes.DOUBLE
+  },
+  landmark: {
+    type: DataTypes.STRING,
+    comment: 'e.g. "Opposite Shoprite" - helps the rider find the door'
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    comment: 'Who the rider calls at this address; the account phone when empty'
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  tableName: 'addresses',
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// Delivery Zone Model - where we deliver, what it costs and how fast
+const DeliveryZone = sequelize.define('DeliveryZone', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('Radius', 'Polygon'),
+    allowNull: false,
+    defaultValue: 'Radius'
+  },
+  originName: {
+    type: DataTypes.STRING,
+    comment: 'Pharmacy location the zone is served from'
+  },
+  centerLatitude: {
+    type: DataTypes.DOUBLE,
+    comment: 'Pharmacy location; distance-based fees are measured from here'
+  },
+  centerLongitude: {
+    type: DataTypes.DOUBLE
+  },
+  radiusKm: {
+    type: DataTypes.FLOAT,
+    comment: 'Radius zones only'
+  },
+  polygon: {
+    type: DataTypes.JSONB,
+    comment: 'Polygon zones only: corners as [[latitude, longitude], ...]'
+  },
+  areaKeywords: {
+    type: DataTypes.JSONB,
+    defaultValue: [],
+    comment: 'Area names matched against typed addresses without a location, e.g. ["ikeja", "allen avenue"]'
+  },
+  baseFee: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0
+  },
+  feePerKm: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0
+  },
+  freeDeliveryThreshold: {
+    type: DataTypes.FLOAT,
+    comment: 'Item subtotal from which delivery is free; never free when null'
+  },
+  cutoffTime: {
+    type: DataTypes.STRING,
+    defaultValue: '17:00',
+    comment: 'Local HH:MM; orders placed later go out the next day'
+  },
+  etaHours: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 4,
+    comment: 'Hours from dispatch to the door'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Where zones overlap the lowest priority number wins'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'delivery_zones'
+});
+
+// Branch Model - pharmacy branches that hold stock and fulfil orders
+const Branch = sequelize.define('Branch', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  latitude: {
+    type: DataTypes.DOUBLE
+  },
+  longitude: {
+    type: DataTypes.DOUBLE
+  },
+  phoneNumber: {
+    type: DataTypes.STRING
+  },
+  openingHours: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Per weekday, e.g. { "mon": "08:00-20:00", "sun": null }; days left out are closed. Null means always open'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'branches'
+});
+
+// Branch Stock Model - units of a catalogue item held at a branch.
+// Product/HealthcareProduct stock is kept as the total across active branches.
+const BranchStock = sequelize.define('BranchStock', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  branchId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Branch,
+      key: 'id'
+    }
+  },
+  itemType: {
+    type: DataTypes.ENUM('Product', 'HealthcareProduct'),
+    allowNull: false
+  },
+  itemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  stock: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'branch_stocks',
+  indexes: [
+    {
+      unique: true,
+      fields: ['branchId', 'itemType', 'itemId']
+    },
+    {
+      fields: ['itemType', 'itemId']
+    }
+  ]
+});
+
 // Admin Model (for internal staff and owner)
 const Admin = sequelize.define('Admin', {
   id: {
@@ -85,7 +303,7 @@ const Admin = sequelize.define('Admin', {
     allowNull: false
   },
   role: {
-    type: DataTypes.ENUM('Owner','Admin','CustomerSupport','Auditor'),
+    type: DataTypes.ENUM('Owner','Admin','CustomerSupport','Auditor','Pharmacist'),
     allowNull: false,
     defaultValue: 'Admin'
   },
@@ -150,12 +368,34 @@ const Product = sequelize.define('Product', {
   imageUrl: {
     type: DataTypes.STRING
   },
+  requiresPrescription: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Prescription-only medicine; checkout asks for a prescription'
+  },
+  activeIngredient: {
+    type: DataTypes.STRING,
+    comment: 'Generic name(s), lower case, e.g. "paracetamol" or "amoxicillin + clavulanic acid"'
+  },
+  strength: {
+    type: DataTypes.STRING,
+    comment: 'Strength per unit, e.g. "500mg" or "125mg/5ml"'
+  },
+  dosageForm: {
+    type: DataTypes.STRING,
+    comment: 'Tablet, Capsule, Syrup, ... (same names as the prescription parser)'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
   }
 }, {
-  tableName: 'products'
+  tableName: 'products',
+  indexes: [
+    {
+      fields: ['activeIngredient']
+    }
+  ]
 });
 
 // Doctor Model
@@ -188,6 +428,33 @@ const Doctor = sequelize.define('Doctor', {
   imageUrl: {
     type: DataTypes.STRING
   },
+  weeklySchedule: {
+    type: DataTypes.JSONB,
+    comment: 'Working hours by weekday, e.g. { mon: { start: "09:00", end: "17:00", breaks: [{ start: "13:00", end: "14:00" }] } }; null uses the default schedule'
+  },
+  consultationMinutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30,
+    comment: 'Length of one appointment slot'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    defaultValue: 'Africa/Lagos'
+  },
+  consultationFee: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0,
+    comment: 'Paid before an appointment is confirmed; 0 means consultations are free'
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    comment: "Doctor's WhatsApp number: booking requests and the doctor console (digits with country code)"
+  },
+  consultationModes: {
+    type: DataTypes.JSONB,
+    defaultValue: ['InPerson'],
+    comment: 'Ways the doctor consults: any of InPerson, Video, Chat'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -196,6 +463,41 @@ const Doctor = sequelize.define('Doctor', {
   tableName: 'doctors'
 });
 
+// Doctor Leave Model - days a doctor takes no appointments (inclusive)
+const DoctorLeave = sequelize.define('DoctorLeave', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  doctorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Doctor,
+      key: 'id'
+    }
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING
+  }
+}, {
+  tableName: 'doctor_leaves',
+  indexes: [
+    {
+      fields: ['doctorId', 'endDate']
+    }
+  ]
+});
+
 // Order Model
 const Order = sequelize.define('Order', {
   id: {
@@ -212,7 +514,21 @@ const Order = sequelize.define('Order', {
     }
   },
   status: {
-    type: DataTypes.ENUM('Processing', 'Shipped', 'Delivered', 'Cancelled'),
+    // 'Processing' is the open cart; 'Shipped' is kept for orders created before the lifecycle states existed
+    type: DataTypes.ENUM(
+      'Processing',
+      'AwaitingPayment',
+      'Paid',
+      'AwaitingPrescriptionReview',
+      'Packed',
+      'Dispatched',
+      'OutForDelivery',
+      'Delivered',
+      'Returned',
+      'Refunded',
+      'Cancelled',
+      'Shipped'
+    ),
     defaultValue: 'Processing'
   },
   totalAmount: {
@@ -224,7 +540,7 @@ const Order = sequelize.define('Order', {
     allowNull: false
   },
   paymentStatus: {
-    type: DataTypes.ENUM('Pending', 'Paid', 'Failed'),
+    type: DataTypes.ENUM('Pending', 'Paid', 'Failed', 'PartiallyRefunded', 'Refunded'),
     defaultValue: 'Pending'
   },
   paymentReference: {
@@ -235,6 +551,55 @@ const Order = sequelize.define('Order', {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  addressId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Address,
+      key: 'id'
+    },
+    comment: 'Saved address the order was sent to; shippingAddress keeps the text as it was at checkout'
+  },
+  deliveryZoneId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: DeliveryZone,
+      key: 'id'
+    }
+  },
+  deliveryFee: {
+    type: DataTypes.FLOAT,
+    defaultValue: 0,
+    comment: 'Included in totalAmount'
+  },
+  estimatedDeliveryAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveryCode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Sent to the customer when the order goes out for delivery; the rider submits it to mark the order Delivered'
+  },
+  deliveryCodeSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveryCodeAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Wrong codes submitted since the code was last issued'
+  },
+  deliveryConfirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveryConfirmedBy: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'rider:<phone> when confirmed with the code, admin:<email> when confirmed by support'
+  },
   orderDate: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -246,13 +611,18 @@ const Order = sequelize.define('Order', {
   hasPrescription: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  requiresPrescription: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Contains prescription-only items; not released for fulfilment until the prescription is verified'
   }
 }, {
   tableName: 'orders'
 });
 
-// OrderItem Model
-const OrderItem = sequelize.define('OrderItem', {
+// Fulfilment Model - the part of an order one branch prepares; orders split across branches have several
+const Fulfilment = sequelize.define('Fulfilment', {
   id: {
     type: DataTypes.INTEGER,
     primaryKey: true,
@@ -266,24 +636,102 @@ const OrderItem = sequelize.define('OrderItem', {
       key: 'id'
     }
   },
-  productId: {
+  branchId: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     references: {
-      model: Product,
+      model: Branch,
       key: 'id'
-    }
+    },
+    comment: 'Null while lines no single branch could supply wait for manual routing'
   },
-  quantity: {
-    type: DataTypes.INTEGER,
-    allowNull: false
+  status: {
+    type: DataTypes.ENUM('Pending', 'Picking', 'Ready', 'Collected', 'Cancelled'),
+    defaultValue: 'Pending'
   },
-  price: {
+  distanceKm: {
     type: DataTypes.FLOAT,
-    allowNull: false
+    allowNull: true,
+    comment: 'From the branch to the delivery address, when both locations are known'
+  },
+  readyAt: {
+    type: DataTypes.DATE
+  },
+  collectedAt: {
+    type: DataTypes.DATE
+  },
+  cancelledAt: {
+    type: DataTypes.DATE
+  },
+  notes: {
+    type: DataTypes.TEXT
   }
 }, {
-  tableName: 'order_items'
+  tableName: 'fulfilments',
+  indexes: [
+    {
+      fields: ['branchId', 'status']
+    },
+    {
+      fields: ['orderId']
+    }
+  ]
+});
+
+// OrderItem Model
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  itemType: {
+    type: DataTypes.ENUM('Product', 'HealthcareProduct'),
+    allowNull: false,
+    defaultValue: 'Product',
+    comment: 'Catalogue the item comes from: medicines (products) or healthcare_products'
+  },
+  itemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID in the itemType catalogue (backfilled from productId for older rows)'
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Product,
+      key: 'id'
+    },
+    comment: 'Set for medicines only'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  price: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  fulfilmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Fulfilment,
+      key: 'id'
+    },
+    comment: 'Branch fulfilment the line was routed to when the order was placed'
+  }
+}, {
+  tableName: 'order_items'
 });
 
 // Appointment Model
@@ -313,19 +761,103 @@ const Appointment = sequelize.define('Appointment', {
     type: DataTypes.DATE,
     allowNull: false
   },
+  durationMinutes: {
+    type: DataTypes.INTEGER,
+    defaultValue: 30,
+    comment: "The doctor's consultation length when the slot was booked"
+  },
+  mode: {
+    type: DataTypes.ENUM('InPerson', 'Video', 'Chat'),
+    defaultValue: 'InPerson'
+  },
+  meetingToken: {
+    type: DataTypes.STRING,
+    unique: true,
+    comment: 'Random token in the video join link (/consult/<token>); the link only works around the appointment time'
+  },
+  meetingRoom: {
+    type: DataTypes.STRING,
+    comment: 'Video room the join link redirects to'
+  },
+  chatStartedAt: {
+    type: DataTypes.DATE,
+    comment: 'When the doctor opened the relayed chat (Chat mode)'
+  },
+  chatEndedAt: {
+    type: DataTypes.DATE
+  },
   status: {
-    type: DataTypes.ENUM('Scheduled', 'Completed', 'Cancelled'),
+    type: DataTypes.ENUM('PendingPayment', 'Scheduled', 'Completed', 'NoShow', 'Cancelled', 'Expired'),
     defaultValue: 'Scheduled'
   },
+  totalAmount: {
+    type: DataTypes.FLOAT,
+    comment: "The doctor's consultation fee when booked; null for free consultations"
+  },
+  paymentStatus: {
+    type: DataTypes.ENUM('Pending', 'Paid', 'Failed', 'PartiallyRefunded', 'Refunded')
+  },
+  paymentReference: {
+    type: DataTypes.STRING
+  },
+  paymentExpiresAt: {
+    type: DataTypes.DATE,
+    comment: 'A PendingPayment appointment releases its slot (Expired) if unpaid by then'
+  },
   notes: {
     type: DataTypes.TEXT
   },
   drugsngAppointmentId: {
     type: DataTypes.STRING,
     allowNull: true
+  },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    comment: 'When the patient confirmed from a reminder'
+  },
+  reminder24hSentAt: {
+    type: DataTypes.DATE
+  },
+  reminder1hSentAt: {
+    type: DataTypes.DATE
+  },
+  rescheduleCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  rescheduledFrom: {
+    type: DataTypes.DATE,
+    comment: 'Time the appointment was at before its last reschedule'
+  },
+  outcomeRecordedAt: {
+    type: DataTypes.DATE,
+    comment: 'When the appointment was marked Completed or NoShow'
+  },
+  outcomeRecordedBy: {
+    type: DataTypes.STRING,
+    comment: 'admin:<email>, doctor:<id>, or system when recorded by the outcome policy'
+  },
+  outcomeFlaggedAt: {
+    type: DataTypes.DATE,
+    comment: 'When the medical team was asked to record a missing outcome'
+  },
+  doctorResponse: {
+    type: DataTypes.ENUM('Pending', 'Accepted', 'Declined'),
+    comment: "The doctor's answer to the booking on WhatsApp; null when the doctor has no WhatsApp number"
+  },
+  doctorRespondedAt: {
+    type: DataTypes.DATE
   }
 }, {
-  tableName: 'appointments'
+  tableName: 'appointments',
+  indexes: [
+    {
+      fields: ['doctorId', 'dateTime']
+    },
+    {
+      fields: ['status', 'dateTime']
+    }
+  ]
 });
 
 // Session Model
@@ -418,6 +950,47 @@ const SupportTeam = sequelize.define('SupportTeam', {
   tableName: 'support_teams'
 });
 
+// Consultation Message Model - transcript of a chat-mode appointment relayed between doctor and patient
+const ConsultationMessage = sequelize.define('ConsultationMessage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Appointment,
+      key: 'id'
+    }
+  },
+  sender: {
+    type: DataTypes.ENUM('Patient', 'Doctor'),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  delivered: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'False when WhatsApp would not deliver the message to the other party'
+  },
+  sentAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'consultation_messages',
+  indexes: [
+    {
+      fields: ['appointmentId', 'sentAt']
+    }
+  ]
+});
+
 // SupportChat Model
 const SupportChat = sequelize.define('SupportChat', {
   id: {
@@ -472,13 +1045,25 @@ const Cart = sequelize.define('Cart', {
       key: 'id'
     }
   },
+  itemType: {
+    type: DataTypes.ENUM('Product', 'HealthcareProduct'),
+    allowNull: false,
+    defaultValue: 'Product',
+    comment: 'Catalogue the item comes from: medicines (products) or healthcare_products'
+  },
+  itemId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID in the itemType catalogue (backfilled from productId for older rows)'
+  },
   productId: {
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: Product,
       key: 'id'
-    }
+    },
+    comment: 'Set for medicines only'
   },
   quantity: {
     type: DataTypes.INTEGER,
@@ -643,6 +1228,11 @@ const HealthcareProduct = sequelize.define('HealthcareProduct', {
   imageUrl: {
     type: DataTypes.STRING
   },
+  requiresPrescription: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Prescription-only item; checkout asks for a prescription'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -691,7 +1281,7 @@ const DiagnosticBooking = sequelize.define('DiagnosticBooking', {
     allowNull: false
   },
   paymentStatus: {
-    type: DataTypes.ENUM('Pending', 'Paid', 'Failed'),
+    type: DataTypes.ENUM('Pending', 'Paid', 'Failed', 'PartiallyRefunded', 'Refunded'),
     defaultValue: 'Pending'
   },
   paymentReference: {
@@ -764,12 +1354,16 @@ const Prescription = sequelize.define('Prescription', {
   fileUrl: {
     type: DataTypes.STRING,
     allowNull: false,
-    comment: 'URL or path to the prescription file (PDF/Image)'
+    comment: 'URL or path to the prescription file (PDF/Image); eprescription:appointment/<id> for e-prescriptions'
   },
   extractedText: {
     type: DataTypes.TEXT,
     comment: 'OCR extracted text from prescription'
   },
+  parsedData: {
+    type: DataTypes.JSONB,
+    comment: 'Structured medicines parsed from the OCR text, with catalogue matches'
+  },
   verificationStatus: {
     type: DataTypes.ENUM('Pending', 'Verified', 'Rejected'),
     defaultValue: 'Pending'
@@ -783,73 +1377,944 @@ const Prescription = sequelize.define('Prescription', {
   },
   verifiedAt: {
     type: DataTypes.DATE
+  },
+  claimedBy: {
+    type: DataTypes.STRING,
+    comment: 'Pharmacist currently reviewing the prescription'
+  },
+  claimedAt: {
+    type: DataTypes.DATE
+  },
+  validUntil: {
+    type: DataTypes.DATE,
+    comment: 'Last day the prescription can be used for refills (set on verification)'
+  },
+  refillOfId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Prescription this refill order reuses'
+  },
+  refillsScheduledAt: {
+    type: DataTypes.DATE,
+    comment: 'When refill reminders were worked out for this prescription'
+  },
+  substitutionAllowed: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Whether same-ingredient alternatives may be offered for the prescribed medicines'
+  },
+  substitutionSetBy: {
+    type: DataTypes.STRING,
+    comment: 'Pharmacist who last changed substitutionAllowed'
+  },
+  appointmentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Consultation whose doctor issued this e-prescription on WhatsApp'
   }
 }, {
   tableName: 'prescriptions'
 });
 
-// Define relationships
-User.hasMany(Order, { foreignKey: 'userId' });
-Order.belongsTo(User, { foreignKey: 'userId' });
-
-Order.hasMany(OrderItem, { foreignKey: 'orderId' });
-OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
-
-Product.hasMany(OrderItem, { foreignKey: 'productId' });
-OrderItem.belongsTo(Product, { foreignKey: 'productId' });
-
-User.hasMany(Appointment, { foreignKey: 'userId' });
-Appointment.belongsTo(User, { foreignKey: 'userId' });
-
-Doctor.hasMany(Appointment, { foreignKey: 'doctorId' });
-Appointment.belongsTo(Doctor, { foreignKey: 'doctorId' });
-
-Session.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
-SupportTeam.hasMany(Session, { foreignKey: 'supportTeamId' });
-
-SupportChat.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
-SupportTeam.hasMany(SupportChat, { foreignKey: 'supportTeamId' });
-
-User.hasMany(Cart, { foreignKey: 'userId' });
-Cart.belongsTo(User, { foreignKey: 'userId' });
-
-Product.hasMany(Cart, { foreignKey: 'productId' });
-Cart.belongsTo(Product, { foreignKey: 'productId' });
-
-User.hasMany(DiagnosticBooking, { foreignKey: 'userId' });
-DiagnosticBooking.belongsTo(User, { foreignKey: 'userId' });
-
-DiagnosticTest.hasMany(DiagnosticBooking, { foreignKey: 'diagnosticTestId' });
-DiagnosticBooking.belongsTo(DiagnosticTest, { foreignKey: 'diagnosticTestId' });
-
-Order.hasMany(Prescription, { foreignKey: 'orderId' });
-Prescription.belongsTo(Order, { foreignKey: 'orderId' });
-
-SupportTeam.hasMany(SupportRating, { foreignKey: 'supportTeamId' });
-SupportRating.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
-
-// Initialize database with proper error handling
-const initializeDatabase = async () => {
-  try {
-    // First, test the connection
-    await sequelize.authenticate();
-    console.log('✓ Database connection verified');
-
-    // Sync models - use alter to safely modify existing tables
-    console.log('🔄 Synchronizing database models...');
-    try {
-      await sequelize.sync({ alter: true });
-      console.log('✓ Database models synchronized successfully');
-    } catch (syncError) {
-      console.warn('⚠️  Sequelize sync encountered some issues:', syncError.message);
-      console.log('   Proceeding with manual column creation...');
+// Order Status History Model - audit trail of every order status transition
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system',
+    comment: 'Who made the change, e.g. system, admin:jane@drugs.ng, webhook:paystack, customer:234...'
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  changedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'order_status_history',
+  indexes: [
+    {
+      fields: ['orderId']
     }
+  ]
+});
 
-    // Ensure session table has token, userId, and loginTime columns
-    // This is CRITICAL - it verifies and creates missing columns
-    console.log('🔍 Ensuring session table schema...');
-    const columnsOk = await ensureSessionColumnsExist();
-    if (columnsOk) {
+// Payment Event Model - ledger of payment provider webhook deliveries
+const PaymentEvent = sequelize.define('PaymentEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.ENUM('Flutterwave', 'Paystack'),
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Provider event/transaction id used to detect duplicate deliveries'
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('Received', 'Processed', 'Ignored', 'Failed'),
+    defaultValue: 'Received'
+  },
+  outcome: {
+    type: DataTypes.TEXT,
+    comment: 'What processing did, or why it failed'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  duplicateCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  receivedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE
+  },
+  processedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'payment_events',
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'eventId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Payment Reconciliation Model - provider-verified payments compared against what was owed
+const PaymentReconciliation = sequelize.define('PaymentReconciliation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.ENUM('Flutterwave', 'Paystack'),
+    allowNull: false
+  },
+  paymentEventId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: PaymentEvent,
+      key: 'id'
+    }
+  },
+  transactionId: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  targetType: {
+    type: DataTypes.ENUM('Order', 'DiagnosticBooking', 'Appointment'),
+    allowNull: true
+  },
+  targetId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  expectedAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  expectedCurrency: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  paidAmount: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  paidCurrency: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  providerStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.ENUM('Matched', 'Underpaid', 'Overpaid', 'CurrencyMismatch', 'VerificationFailed', 'UnknownTarget'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('Cleared', 'Open', 'Resolved'),
+    defaultValue: 'Open',
+    comment: 'Cleared = matched automatically; Open = waiting in the reconciliation queue'
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT
+  },
+  resolvedBy: {
+    type: DataTypes.STRING
+  },
+  resolvedAt: {
+    type: DataTypes.DATE
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'payment_reconciliations',
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'transactionId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Refund Model - one row per refund requested against a payment
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  provider: {
+    type: DataTypes.ENUM('Flutterwave', 'Paystack'),
+    allowNull: false
+  },
+  transactionId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Provider transaction id of the original payment'
+  },
+  paymentReference: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Our reference of the original payment (drugsng-...)'
+  },
+  targetType: {
+    type: DataTypes.ENUM('Order', 'DiagnosticBooking', 'Appointment'),
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.FLOAT,
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING,
+    defaultValue: 'NGN'
+  },
+  isPartial: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  status: {
+    type: DataTypes.ENUM('Pending', 'Processing', 'Processed', 'Failed'),
+    defaultValue: 'Pending'
+  },
+  providerRefundId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  requestedBy: {
+    type: DataTypes.STRING,
+    defaultValue: 'system'
+  },
+  failureReason: {
+    type: DataTypes.TEXT
+  },
+  processedAt: {
+    type: DataTypes.DATE
+  },
+  customerNotifiedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'refunds',
+  indexes: [
+    {
+      fields: ['targetType', 'targetId']
+    },
+    {
+      fields: ['provider', 'providerRefundId']
+    }
+  ]
+});
+
+// StockReservation Model - stock held for a cart line, then committed when the order is placed
+const StockReservation = sequelize.define('StockReservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  itemType: {
+    type: DataTypes.ENUM('Product', 'HealthcareProduct'),
+    allowNull: false
+  },
+  itemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Order,
+      key: 'id'
+    },
+    comment: 'Cart/order holding the stock (null for healthcare product carts)'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('Active', 'Committed', 'Released', 'Expired'),
+    defaultValue: 'Active',
+    comment: 'Active: held for a cart; Committed: deducted from stock for a placed order'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Active reservations stop counting against stock after this time'
+  },
+  releasedAt: {
+    type: DataTypes.DATE
+  },
+  releaseReason: {
+    type: DataTypes.STRING
+  }
+}, {
+  tableName: 'stock_reservations',
+  indexes: [
+    {
+      fields: ['itemType', 'itemId', 'status']
+    },
+    {
+      fields: ['orderId']
+    },
+    {
+      fields: ['userId', 'status']
+    }
+  ]
+});
+
+// Refill Reminder Model - when a delivered prescription course runs out
+const RefillReminder = sequelize.define('RefillReminder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    },
+    comment: 'Order whose items are offered for reorder'
+  },
+  prescriptionId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Prescription,
+      key: 'id'
+    }
+  },
+  orderItemId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: OrderItem,
+      key: 'id'
+    }
+  },
+  medicineName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  daysSupply: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  runsOutAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  remindAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('Scheduled', 'Sent', 'Reordered', 'Cancelled'),
+    defaultValue: 'Scheduled'
+  },
+  sentAt: {
+    type: DataTypes.DATE
+  },
+  reorderedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'refill_reminders',
+  indexes: [
+    {
+      fields: ['status', 'remindAt']
+    },
+    {
+      fields: ['orderId']
+    }
+  ]
+});
+
+// Medication Schedule Model - a customer's dose reminders for one medicine
+const MedicationSchedule = sequelize.define('MedicationSchedule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  prescriptionId: {
+    type: DataTypes.INTEGER,
+    references: {
+      model: Prescription,
+      key: 'id'
+    },
+    comment: 'Set when the schedule was generated from a verified prescription'
+  },
+  productId: {
+    type: DataTypes.INTEGER,
+    references: {
+      model: Product,
+      key: 'id'
+    }
+  },
+  medicineName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  dose: {
+    type: DataTypes.STRING,
+    comment: 'What to take each time, e.g. "1 tablet" or "500mg"'
+  },
+  timesOfDay: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Local dose times as "HH:MM", e.g. ["08:00", "20:00"]'
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Africa/Lagos'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    comment: 'Last day of the course; open-ended when null'
+  },
+  source: {
+    type: DataTypes.ENUM('Chat', 'Prescription'),
+    defaultValue: 'Chat'
+  },
+  status: {
+    type: DataTypes.ENUM('Active', 'Paused', 'Completed', 'Cancelled'),
+    defaultValue: 'Active'
+  },
+  nextDoseAt: {
+    type: DataTypes.DATE,
+    comment: 'Next dose time in UTC; null once the course is over'
+  }
+}, {
+  tableName: 'medication_schedules',
+  indexes: [
+    {
+      fields: ['status', 'nextDoseAt']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// Dose Log Model - one reminder sent for a scheduled dose and the customer's answer
+const DoseLog = sequelize.define('DoseLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  scheduleId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: MedicationSchedule,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  scheduledFor: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('Pending', 'Taken', 'Snoozed', 'Skipped', 'Missed'),
+    defaultValue: 'Pending'
+  },
+  sentAt: {
+    type: DataTypes.DATE
+  },
+  respondedAt: {
+    type: DataTypes.DATE
+  },
+  snoozedUntil: {
+    type: DataTypes.DATE
+  },
+  snoozeCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'dose_logs',
+  indexes: [
+    {
+      fields: ['scheduleId', 'scheduledFor'],
+      unique: true
+    },
+    {
+      fields: ['status', 'snoozedUntil']
+    },
+    {
+      fields: ['userId', 'scheduledFor']
+    }
+  ]
+});
+
+// Rider Model - delivery riders; they update their deliveries from their own WhatsApp number
+const Rider = sequelize.define('Rider', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  phoneNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  vehicle: {
+    type: DataTypes.ENUM('Motorbike', 'Bicycle', 'Car', 'Van'),
+    defaultValue: 'Motorbike'
+  },
+  status: {
+    type: DataTypes.ENUM('Available', 'OnDelivery', 'Offline'),
+    defaultValue: 'Available'
+  },
+  lastLatitude: {
+    type: DataTypes.DOUBLE
+  },
+  lastLongitude: {
+    type: DataTypes.DOUBLE
+  },
+  lastLocationAt: {
+    type: DataTypes.DATE,
+    comment: 'When the rider last shared their location'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'riders'
+});
+
+// Delivery Assignment Model - an order handed to a rider; reassigning closes the previous assignment
+const DeliveryAssignment = sequelize.define('DeliveryAssignment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  riderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Rider,
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('Assigned', 'PickedUp', 'EnRoute', 'Delivered', 'Failed', 'Cancelled'),
+    defaultValue: 'Assigned'
+  },
+  assignedBy: {
+    type: DataTypes.STRING,
+    comment: 'Admin who assigned the order, e.g. admin:jane@drugs.ng'
+  },
+  assignedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  pickedUpAt: {
+    type: DataTypes.DATE
+  },
+  enRouteAt: {
+    type: DataTypes.DATE
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    comment: 'When the assignment was delivered, failed or cancelled'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    comment: 'Failure reason or reassignment note'
+  }
+}, {
+  tableName: 'delivery_assignments',
+  indexes: [
+    {
+      fields: ['orderId', 'status']
+    },
+    {
+      fields: ['riderId', 'status']
+    }
+  ]
+});
+
+// Delivery Exception Model - deliveries the orders support team has to follow up
+const DeliveryException = sequelize.define('DeliveryException', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: Order,
+      key: 'id'
+    }
+  },
+  riderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: Rider,
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('CodeNotSent', 'CodeAttemptsExceeded', 'ConfirmationMissing', 'DeliveryFailed'),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('Open', 'Resolved'),
+    defaultValue: 'Open'
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT
+  },
+  resolvedBy: {
+    type: DataTypes.STRING
+  },
+  resolvedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  tableName: 'delivery_exceptions',
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['orderId', 'type', 'status']
+    }
+  ]
+});
+
+// Define relationships
+User.hasMany(Order, { foreignKey: 'userId' });
+Order.belongsTo(User, { foreignKey: 'userId' });
+
+User.hasMany(Address, { foreignKey: 'userId' });
+Address.belongsTo(User, { foreignKey: 'userId' });
+
+Address.hasMany(Order, { foreignKey: 'addressId' });
+Order.belongsTo(Address, { foreignKey: 'addressId' });
+
+DeliveryZone.hasMany(Order, { foreignKey: 'deliveryZoneId' });
+Order.belongsTo(DeliveryZone, { foreignKey: 'deliveryZoneId' });
+
+Order.hasMany(OrderItem, { foreignKey: 'orderId' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
+
+Product.hasMany(OrderItem, { foreignKey: 'productId' });
+OrderItem.belongsTo(Product, { foreignKey: 'productId' });
+
+User.hasMany(Appointment, { foreignKey: 'userId' });
+Appointment.belongsTo(User, { foreignKey: 'userId' });
+
+Doctor.hasMany(Appointment, { foreignKey: 'doctorId' });
+Appointment.belongsTo(Doctor, { foreignKey: 'doctorId' });
+
+Appointment.hasMany(ConsultationMessage, { foreignKey: 'appointmentId' });
+ConsultationMessage.belongsTo(Appointment, { foreignKey: 'appointmentId' });
+
+Doctor.hasMany(DoctorLeave, { foreignKey: 'doctorId' });
+DoctorLeave.belongsTo(Doctor, { foreignKey: 'doctorId' });
+
+Session.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
+SupportTeam.hasMany(Session, { foreignKey: 'supportTeamId' });
+
+SupportChat.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
+SupportTeam.hasMany(SupportChat, { foreignKey: 'supportTeamId' });
+
+User.hasMany(Cart, { foreignKey: 'userId' });
+Cart.belongsTo(User, { foreignKey: 'userId' });
+
+Product.hasMany(Cart, { foreignKey: 'productId' });
+Cart.belongsTo(Product, { foreignKey: 'productId' });
+
+User.hasMany(DiagnosticBooking, { foreignKey: 'userId' });
+DiagnosticBooking.belongsTo(User, { foreignKey: 'userId' });
+
+DiagnosticTest.hasMany(DiagnosticBooking, { foreignKey: 'diagnosticTestId' });
+DiagnosticBooking.belongsTo(DiagnosticTest, { foreignKey: 'diagnosticTestId' });
+
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+
+Order.hasMany(Prescription, { foreignKey: 'orderId' });
+Prescription.belongsTo(Order, { foreignKey: 'orderId' });
+
+PaymentEvent.hasMany(PaymentReconciliation, { foreignKey: 'paymentEventId' });
+PaymentReconciliation.belongsTo(PaymentEvent, { foreignKey: 'paymentEventId' });
+
+SupportTeam.hasMany(SupportRating, { foreignKey: 'supportTeamId' });
+SupportRating.belongsTo(SupportTeam, { foreignKey: 'supportTeamId' });
+
+Order.hasMany(RefillReminder, { foreignKey: 'orderId' });
+RefillReminder.belongsTo(Order, { foreignKey: 'orderId' });
+
+Prescription.hasMany(RefillReminder, { foreignKey: 'prescriptionId' });
+RefillReminder.belongsTo(Prescription, { foreignKey: 'prescriptionId' });
+
+User.hasMany(MedicationSchedule, { foreignKey: 'userId' });
+MedicationSchedule.belongsTo(User, { foreignKey: 'userId' });
+
+Prescription.hasMany(MedicationSchedule, { foreignKey: 'prescriptionId' });
+MedicationSchedule.belongsTo(Prescription, { foreignKey: 'prescriptionId' });
+
+MedicationSchedule.hasMany(DoseLog, { foreignKey: 'scheduleId' });
+DoseLog.belongsTo(MedicationSchedule, { foreignKey: 'scheduleId' });
+
+Order.hasMany(StockReservation, { foreignKey: 'orderId' });
+StockReservation.belongsTo(Order, { foreignKey: 'orderId' });
+
+Rider.hasMany(DeliveryAssignment, { foreignKey: 'riderId' });
+DeliveryAssignment.belongsTo(Rider, { foreignKey: 'riderId' });
+
+Order.hasMany(DeliveryAssignment, { foreignKey: 'orderId' });
+DeliveryAssignment.belongsTo(Order, { foreignKey: 'orderId' });
+
+Branch.hasMany(BranchStock, { foreignKey: 'branchId' });
+BranchStock.belongsTo(Branch, { foreignKey: 'branchId' });
+
+Order.hasMany(Fulfilment, { foreignKey: 'orderId' });
+Fulfilment.belongsTo(Order, { foreignKey: 'orderId' });
+
+Branch.hasMany(Fulfilment, { foreignKey: 'branchId' });
+Fulfilment.belongsTo(Branch, { foreignKey: 'branchId' });
+
+Fulfilment.hasMany(OrderItem, { foreignKey: 'fulfilmentId' });
+OrderItem.belongsTo(Fulfilment, { foreignKey: 'fulfilmentId' });
+
+Order.hasMany(DeliveryException, { foreignKey: 'orderId' });
+DeliveryException.belongsTo(Order, { foreignKey: 'orderId' });
+
+Rider.hasMany(DeliveryException, { foreignKey: 'riderId' });
+DeliveryException.belongsTo(Rider, { foreignKey: 'riderId' });
+
+// Older cart and order lines only have productId - point itemId at the same product
+const backfillCatalogueItemIds = async () => {
+  try {
+    for (const table of ['carts', 'order_items']) {
+      await sequelize.query(`UPDATE "${table}" SET "itemId" = "productId" WHERE "itemId" IS NULL AND "productId" IS NOT NULL`);
+    }
+    console.log('✓ Cart and order item catalogue references verified');
+  } catch (error) {
+    console.warn('⚠️  Could not backfill catalogue item references:', error.message);
+  }
+};
+
+// Text each catalogue table is searched on (services/search.js) - must match the indexes below
+const SEARCH_DOCUMENTS = {
+  products: `coalesce("name", '') || ' ' || coalesce("activeIngredient", '') || ' ' || coalesce("category", '') || ' ' || coalesce("description", '')`,
+  healthcare_products: `coalesce("name", '') || ' ' || coalesce("brand", '') || ' ' || coalesce("category", '') || ' ' || coalesce("description", '')`,
+  diagnostic_tests: `coalesce("name", '') || ' ' || coalesce("category", '') || ' ' || coalesce("sampleType", '') || ' ' || coalesce("description", '')`
+};
+
+// Full-text and trigram indexes for catalogue search. pg_trgm needs CREATE privilege on the
+// database - without it search still works, just without typo tolerance on product names
+const ensureSearchIndexes = async () => {
+  try {
+    for (const [table, document] of Object.entries(SEARCH_DOCUMENTS)) {
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS "${table}_search_idx" ON "${table}" USING GIN (to_tsvector('simple', ${document}))`);
+    }
+    console.log('✓ Catalogue full-text search indexes verified');
+  } catch (error) {
+    console.warn('⚠️  Could not create full-text search indexes:', error.message);
+  }
+
+  try {
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+    for (const table of Object.keys(SEARCH_DOCUMENTS)) {
+      await sequelize.query(`CREATE INDEX IF NOT EXISTS "${table}_name_trgm_idx" ON "${table}" USING GIN (lower("name") gin_trgm_ops)`);
+    }
+    console.log('✓ Catalogue trigram indexes verified');
+  } catch (error) {
+    console.warn('⚠️  pg_trgm unavailable - catalogue search will not correct misspellings:', error.message);
+  }
+};
+
+// Initialize database with proper error handling
+const initializeDatabase = async () => {
+  try {
+    // First, test the connection
+    await sequelize.authenticate();
+    console.log('✓ Database connection verified');
+
+    // Sync models - use alter to safely modify existing tables
+    console.log('🔄 Synchronizing database models...');
+    try {
+      await sequelize.sync({ alter: true });
+      console.log('✓ Database models synchronized successfully');
+    } catch (syncError) {
+      console.warn('⚠️  Sequelize sync encountered some issues:', syncError.message);
+      console.log('   Proceeding with manual column creation...');
+    }
+
+    // Ensure session table has token, userId, and loginTime columns
+    // This is CRITICAL - it verifies and creates missing columns
+    console.log('🔍 Ensuring session table schema...');
+    const columnsOk = await ensureSessionColumnsExist();
+    if (columnsOk) {
       console.log('✅ Session table columns verified - ALL REQUIRED COLUMNS PRESENT');
     } else {
       console.error('❌ CRITICAL ERROR: Session table is missing required columns!');
@@ -859,6 +2324,9 @@ const initializeDatabase = async () => {
       throw new Error('Session table missing required columns (token, userId, loginTime)');
     }
 
+    await backfillCatalogueItemIds();
+    await ensureSearchIndexes();
+
     // Seed initial data if needed
     await seedInitialData();
     console.log('✓ Database initialization complete');
@@ -1168,16 +2636,24 @@ const seedInitialData = async () => {
 
 module.exports = {
   sequelize,
+  SEARCH_DOCUMENTS,
   User,
+  Address,
+  DeliveryZone,
+  Branch,
+  BranchStock,
   Admin,
   Product,
   Doctor,
+  DoctorLeave,
   Order,
   OrderItem,
+  Fulfilment,
   Appointment,
   Session,
   SupportTeam,
   SupportChat,
+  ConsultationMessage,
   Cart,
   OTP,
   DiagnosticTest,
@@ -1185,5 +2661,16 @@ module.exports = {
   DiagnosticBooking,
   SupportRating,
   Prescription,
+  OrderStatusHistory,
+  PaymentEvent,
+  PaymentReconciliation,
+  Refund,
+  StockReservation,
+  RefillReminder,
+  MedicationSchedule,
+  DoseLog,
+  Rider,
+  DeliveryAssignment,
+  DeliveryException,
   initializeDatabase
 };
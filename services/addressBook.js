@@ -0,0 +1,275 @@
+/**
+ * Address Book Service
+ * Saved delivery addresses per customer:
+ * - Typed addresses and locations shared on WhatsApp (with latitude/longitude)
+ * - A label ("Home", "Office"), an optional landmark and a contact phone per address
+ * - One default address, offered first at checkout; the first address saved becomes the default
+ */
+
+const { Address } = require('../models');
+const { isValidPhoneNumber } = require('../utils/validation');
+
+// A WhatsApp list holds 10 rows; checkout keeps one for "New address"
+const MAX_SAVED_ADDRESSES = 9;
+const MIN_ADDRESS_LENGTH = 10;
+const MAX_LABEL_LENGTH = 30;
+
+const EDITABLE_FIELDS = ['label', 'addressText', 'landmark', 'phoneNumber'];
+
+const normalizeAddressText = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const describeAddress = (address) => ({
+  id: address.id,
+  label: address.label,
+  addressText: address.addressText,
+  latitude: address.latitude,
+  longitude: address.longitude,
+  landmark: address.landmark,
+  phoneNumber: address.phoneNumber,
+  isDefault: Boolean(address.isDefault)
+});
+
+/**
+ * Address as it is written on an order and shown to riders
+ * @param {Object} address - Address (instance or described)
+ * @returns {string} e.g. "12 Allen Avenue, Ikeja (near Shoprite)"
+ */
+const formatAddress = (address) => (
+  `${address.addressText}${address.landmark ? ` (near ${address.landmark})` : ''}`
+);
+
+// Checks one editable field; returns the cleaned value or throws
+const validateField = (field, value) => {
+  const text = typeof value === 'string' ? value.trim() : value;
+  switch (field) {
+    case 'label':
+      if (!text || text.length > MAX_LABEL_LENGTH) {
+        throw new Error(`Label must be 1-${MAX_LABEL_LENGTH} characters`);
+      }
+      return text;
+    case 'addressText':
+      if (!text || text.length < MIN_ADDRESS_LENGTH) {
+        throw new Error(`Please enter a complete address (minimum ${MIN_ADDRESS_LENGTH} characters)`);
+      }
+      return text.substring(0, 500);
+    case 'landmark':
+      return text ? text.substring(0, 200) : null;
+    case 'phoneNumber':
+      if (text && !isValidPhoneNumber(text)) {
+        throw new Error('Invalid phone number');
+      }
+      return text || null;
+    default:
+      throw new Error(`Unknown address field: ${field}`);
+  }
+};
+
+/**
+ * A customer's saved addresses, default first
+ * @param {number} userId - Customer
+ * @returns {Array} Described addresses
+ */
+const listAddresses = async (userId) => {
+  const addresses = await Address.findAll({
+    where: { userId },
+    order: [['isDefault', 'DESC'], ['updatedAt', 'DESC']]
+  });
+  return addresses.map(describeAddress);
+};
+
+/**
+ * One saved address
+ * @param {number} userId - Customer (must own the address)
+ * @param {number} addressId - Address ID
+ * @returns {Object|null} Described address
+ */
+const getAddress = async (userId, addressId) => {
+  const address = await Address.findOne({ where: { id: addressId, userId } });
+  return address ? describeAddress(address) : null;
+};
+
+/**
+ * The customer's default address
+ * @param {number} userId - Customer
+ * @returns {Object|null} Described address
+ */
+const getDefaultAddress = async (userId) => {
+  const address = await Address.findOne({ where: { userId, isDefault: true } });
+  return address ? describeAddress(address) : null;
+};
+
+const makeDefault = async (userId, address) => {
+  await Address.update({ isDefault: false }, { where: { userId, isDefault: true } });
+  await address.update({ isDefault: true });
+};
+
+/**
+ * Save an address. Saving the same address text again updates the existing entry.
+ * @param {number} userId - Customer
+ * @param {Object} details - { label, addressText, latitude, longitude, landmark, phoneNumber }
+ * @param {Object} options - { makeDefault } to make it the default address
+ * @returns {Object} Result with the saved address and whether it was new
+ */
+const saveAddress = async (userId, details, options = {}) => {
+  try {
+    const values = {
+      addressText: validateField('addressText', details.addressText),
+      landmark: validateField('landmark', details.landmark),
+      phoneNumber: validateField('phoneNumber', details.phoneNumber)
+    };
+    if (details.label) values.label = validateField('label', details.label);
+    if (details.latitude != null && details.longitude != null) {
+      values.latitude = Number(details.latitude);
+      values.longitude = Number(details.longitude);
+    }
+
+    const existing = await Address.findAll({ where: { userId } });
+    const duplicate = existing.find(a => normalizeAddressText(a.addressText) === normalizeAddressText(values.addressText));
+
+    let address;
+    if (duplicate) {
+      const updates = {};
+      Object.entries(values).forEach(([field, value]) => {
+        if (value != null) updates[field] = value;
+      });
+      address = await duplicate.update(updates);
+    } else {
+      if (existing.length >= MAX_SAVED_ADDRESSES) {
+        const error = new Error(`You can save up to ${MAX_SAVED_ADDRESSES} addresses. Delete one first.`);
+        error.code = 'ADDRESS_LIMIT_REACHED';
+        throw error;
+      }
+      address = await Address.create({
+        userId,
+        label: values.label || (existing.length === 0 ? 'Home' : `Address ${existing.length + 1}`),
+        ...values,
+        isDefault: existing.length === 0
+      });
+    }
+
+    if (options.makeDefault && !address.isDefault) {
+      await makeDefault(userId, address);
+    }
+
+    return { success: true, address: describeAddress(address), created: !duplicate };
+  } catch (error) {
+    console.error('Error saving address:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'ADDRESS_SAVE_FAILED'
+    };
+  }
+};
+
+/**
+ * Change a saved address
+ * @param {number} userId - Customer (must own the address)
+ * @param {number} addressId - Address ID
+ * @param {Object} changes - Any of label, addressText, landmark, phoneNumber
+ * @returns {Object} Result with the updated address
+ */
+const updateAddress = async (userId, addressId, changes) => {
+  try {
+    const address = await Address.findOne({ where: { id: addressId, userId } });
+    if (!address) {
+      throw new Error('Address not found');
+    }
+
+    const updates = {};
+    Object.entries(changes || {}).forEach(([field, value]) => {
+      if (!EDITABLE_FIELDS.includes(field)) {
+        throw new Error(`Unknown address field: ${field}`);
+      }
+      updates[field] = validateField(field, value);
+    });
+    // A retyped address no longer matches the shared location pin
+    if (updates.addressText && normalizeAddressText(updates.addressText) !== normalizeAddressText(address.addressText)) {
+      updates.latitude = null;
+      updates.longitude = null;
+    }
+
+    await address.update(updates);
+    return { success: true, address: describeAddress(address) };
+  } catch (error) {
+    console.error('Error updating address:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'ADDRESS_UPDATE_FAILED'
+    };
+  }
+};
+
+/**
+ * Make a saved address the default
+ * @param {number} userId - Customer (must own the address)
+ * @param {number} addressId - Address ID
+ * @returns {Object} Result with the new default address
+ */
+const setDefaultAddress = async (userId, addressId) => {
+  try {
+    const address = await Address.findOne({ where: { id: addressId, userId } });
+    if (!address) {
+      throw new Error('Address not found');
+    }
+    await makeDefault(userId, address);
+    return { success: true, address: describeAddress(address) };
+  } catch (error) {
+    console.error('Error setting default address:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'ADDRESS_DEFAULT_FAILED'
+    };
+  }
+};
+
+/**
+ * Delete a saved address. Orders keep their shipping address text; if the default is
+ * deleted the most recently used remaining address takes over.
+ * @param {number} userId - Customer (must own the address)
+ * @param {number} addressId - Address ID
+ * @returns {Object} Result with the deleted address and the new default, if any
+ */
+const deleteAddress = async (userId, addressId) => {
+  try {
+    const address = await Address.findOne({ where: { id: addressId, userId } });
+    if (!address) {
+      throw new Error('Address not found');
+    }
+
+    const deleted = describeAddress(address);
+    await address.destroy();
+
+    let newDefault = null;
+    if (deleted.isDefault) {
+      const next = await Address.findOne({ where: { userId }, order: [['updatedAt', 'DESC']] });
+      if (next) {
+        await next.update({ isDefault: true });
+        newDefault = describeAddress(next);
+      }
+    }
+
+    return { success: true, address: deleted, newDefault };
+  } catch (error) {
+    console.error('Error deleting address:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'ADDRESS_DELETE_FAILED'
+    };
+  }
+};
+
+module.exports = {
+  MAX_SAVED_ADDRESSES,
+  formatAddress,
+  listAddresses,
+  getAddress,
+  getDefaultAddress,
+  saveAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress
+};
@@ -0,0 +1,696 @@
+/**
+ * Medication Adherence Service
+ * Dose reminders for customers on regular medication:
+ * - A schedule is a medicine, a dose and the local times of day to take it, set up
+ *   from the chat ("remind me to take Metformin 500mg at 8am and 8pm") or generated
+ *   from the medicines on a verified prescription
+ * - Times are kept in the customer's timezone (default Africa/Lagos) and converted to UTC
+ *   with the fixed offsets used for appointments
+ * - Each reminder carries Taken / Snooze / Skip buttons; every answer is logged in
+ *   dose_logs, and doses left unanswered for ADHERENCE_MISSED_AFTER_MINUTES count as Missed
+ */
+
+const { Op } = require('sequelize');
+const { MedicationSchedule, DoseLog, Order, Prescription, User } = require('../models');
+const { sendInteractiveMessage } = require('../config/whatsapp');
+const { TIMEZONES } = require('./appointmentManagement');
+const { FREQUENCIES } = require('../utils/prescriptionParser');
+
+const DEFAULT_TIMEZONE = 'Africa/Lagos';
+const SNOOZE_MINUTES = parseInt(process.env.ADHERENCE_SNOOZE_MINUTES, 10) || 15;
+const MAX_SNOOZES = parseInt(process.env.ADHERENCE_MAX_SNOOZES, 10) || 3;
+const MISSED_AFTER_MINUTES = parseInt(process.env.ADHERENCE_MISSED_AFTER_MINUTES, 10) || 120;
+const ADHERENCE_JOB_INTERVAL_SECONDS = parseInt(process.env.ADHERENCE_REMINDER_INTERVAL_SECONDS, 10) || 60;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Usual dose times for each prescribed frequency
+const DEFAULT_TIMES = {
+  OD: ['08:00'],
+  MANE: ['08:00'],
+  NOCTE: ['21:00'],
+  BD: ['08:00', '20:00'],
+  TDS: ['08:00', '14:00', '20:00'],
+  QDS: ['07:00', '12:00', '17:00', '22:00']
+};
+
+const TIME_WORDS = {
+  morning: '08:00',
+  noon: '12:00',
+  midday: '12:00',
+  afternoon: '14:00',
+  evening: '18:00',
+  night: '21:00',
+  bedtime: '21:00'
+};
+
+const DOSE_ACTIONS = {
+  taken: 'Taken',
+  snooze: 'Snoozed',
+  skip: 'Skipped'
+};
+
+const getTimezoneOffset = (timezone) => {
+  const zone = TIMEZONES[timezone];
+  if (!zone) {
+    throw new Error(`Unsupported timezone: ${timezone}. Use one of ${Object.keys(TIMEZONES).join(', ')}`);
+  }
+  return zone.offset;
+};
+
+/**
+ * Normalise a time of day to "HH:MM"
+ * @param {string} value - "8am", "8:30 pm", "20:00", "morning"
+ * @returns {string|null} "HH:MM" or null if it isn't a time
+ */
+const normalizeTime = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (TIME_WORDS[text]) return TIME_WORDS[text];
+
+  const match = text.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  } else if (!match[2]) {
+    // A bare number is ambiguous ("8") - only accept it with am/pm or minutes
+    return null;
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a list of times such as "8am and 8pm" or "morning, night"
+ * @param {string|Array} input - Text or array of times
+ * @returns {Array|null} Sorted unique "HH:MM" times, or null if any entry isn't a time
+ */
+const parseTimesOfDay = (input) => {
+  const parts = Array.isArray(input)
+    ? input
+    : String(input || '').split(/\s*(?:,|&|\band\b|\s+then\s+)\s*/i);
+  const times = parts.map(part => String(part).trim()).filter(Boolean).map(normalizeTime);
+  if (times.length === 0 || times.some(time => !time)) return null;
+  return [...new Set(times)].sort();
+};
+
+/**
+ * Dose times for a parsed prescription frequency
+ * @param {Object} frequency - { code, timesPerDay }
+ * @returns {Array|null} "HH:MM" times, or null for as-needed/one-off doses
+ */
+const defaultTimesForFrequency = (frequency) => {
+  if (!frequency) return null;
+  if (DEFAULT_TIMES[frequency.code]) return DEFAULT_TIMES[frequency.code];
+  const known = FREQUENCIES.find(f => f.timesPerDay === frequency.timesPerDay && DEFAULT_TIMES[f.code]);
+  return known ? DEFAULT_TIMES[known.code] : null;
+};
+
+// "YYYY-MM-DD" of a moment in a zone with the given UTC offset (hours)
+const localDate = (date, offset) => new Date(new Date(date).getTime() + offset * HOUR_MS).toISOString().slice(0, 10);
+
+// UTC moment of a local date and "HH:MM" time
+const toUtc = (dateString, time, offset) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - offset * HOUR_MS);
+};
+
+const addDays = (dateString, days) => new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * The first dose of a schedule after a given moment
+ * @param {Object} schedule - { timesOfDay, timezone, startDate, endDate }
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} UTC time of the next dose, or null once the course has ended
+ */
+const computeNextDoseAt = (schedule, after = new Date()) => {
+  const times = [...(schedule.timesOfDay || [])].sort();
+  if (times.length === 0) return null;
+
+  const offset = getTimezoneOffset(schedule.timezone || DEFAULT_TIMEZONE);
+  const afterMs = new Date(after).getTime();
+  const today = localDate(afterMs, offset);
+  let day = schedule.startDate && schedule.startDate > today ? schedule.startDate : today;
+
+  // Every time of day falls within the next two calendar days
+  for (let i = 0; i < 2; i++, day = addDays(day, 1)) {
+    if (schedule.endDate && day > schedule.endDate) return null;
+    for (const time of times) {
+      const candidate = toUtc(day, time, offset);
+      if (candidate.getTime() > afterMs) return candidate;
+    }
+  }
+  return null;
+};
+
+const describeSchedule = (schedule) => ({
+  id: schedule.id,
+  medicineName: schedule.medicineName,
+  dose: schedule.dose,
+  timesOfDay: schedule.timesOfDay,
+  timezone: schedule.timezone,
+  startDate: schedule.startDate,
+  endDate: schedule.endDate,
+  source: schedule.source,
+  status: schedule.status,
+  nextDoseAt: schedule.nextDoseAt
+});
+
+/**
+ * Set up dose reminders for a medicine
+ * @param {number} userId - Customer
+ * @param {Object} details - { medicineName, dose, timesOfDay, timezone, startDate, endDate,
+ *   durationDays, productId, prescriptionId, source }
+ * @returns {Object} Result with the created schedule
+ */
+const createMedicationSchedule = async (userId, details = {}) => {
+  try {
+    const medicineName = String(details.medicineName || '').trim();
+    if (!userId || !medicineName) {
+      throw new Error('userId and medicineName are required');
+    }
+
+    const timesOfDay = parseTimesOfDay(details.timesOfDay);
+    if (!timesOfDay) {
+      throw new Error('Give at least one time of day, e.g. 8am or 20:00');
+    }
+
+    const timezone = details.timezone || DEFAULT_TIMEZONE;
+    const offset = getTimezoneOffset(timezone);
+    const startDate = details.startDate || localDate(Date.now(), offset);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+      throw new Error('startDate must be YYYY-MM-DD');
+    }
+
+    let endDate = details.endDate || null;
+    if (!endDate && details.durationDays) {
+      endDate = addDays(startDate, parseInt(details.durationDays, 10) - 1);
+    }
+    if (endDate && (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < startDate)) {
+      throw new Error('endDate must be YYYY-MM-DD and not before startDate');
+    }
+
+    const values = { timesOfDay, timezone, startDate, endDate };
+    const nextDoseAt = computeNextDoseAt(values);
+    if (!nextDoseAt) {
+      throw new Error('That schedule has no doses left');
+    }
+
+    const schedule = await MedicationSchedule.create({
+      userId,
+      medicineName,
+      dose: details.dose || null,
+      productId: details.productId || null,
+      prescriptionId: details.prescriptionId || null,
+      source: details.source || 'Chat',
+      ...values,
+      nextDoseAt
+    });
+
+    return { success: true, schedule: describeSchedule(schedule) };
+  } catch (error) {
+    console.error('Error creating medication schedule:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SCHEDULE_CREATE_FAILED'
+    };
+  }
+};
+
+/**
+ * Generate schedules for the regular medicines on a verified prescription.
+ * As-needed and one-off medicines are left out; already generated medicines are skipped.
+ * @param {number} prescriptionId - Verified prescription ID
+ * @param {Object} options - { timezone, sender: { userId, phoneNumber } } - when a sender is
+ *   given, the prescription must belong to them
+ * @returns {Object} { success, created, skipped }
+ */
+const createSchedulesFromPrescription = async (prescriptionId, options = {}) => {
+  try {
+    const prescription = await Prescription.findByPk(prescriptionId);
+    if (!prescription || prescription.verificationStatus !== 'Verified') {
+      throw new Error('Prescription not found or not verified');
+    }
+
+    const order = await Order.findByPk(prescription.orderId);
+    const user = order ? await User.findByPk(order.userId) : null;
+    if (!user) {
+      throw new Error('Prescription has no customer');
+    }
+    const { sender } = options;
+    if (sender && user.id !== sender.userId && user.phoneNumber !== sender.phoneNumber) {
+      throw new Error('Prescription not found or not verified');
+    }
+
+    const medicines = prescription.parsedData && Array.isArray(prescription.parsedData.medicines)
+      ? prescription.parsedData.medicines
+      : [];
+    const existing = await MedicationSchedule.findAll({
+      where: { prescriptionId: prescription.id, status: { [Op.in]: ['Active', 'Paused'] } },
+      attributes: ['medicineName']
+    });
+    const existingNames = new Set(existing.map(s => s.medicineName.toLowerCase()));
+
+    const created = [];
+    const skipped = [];
+    for (const medicine of medicines) {
+      const name = [medicine.name, medicine.strength].filter(Boolean).join(' ');
+      const timesOfDay = defaultTimesForFrequency(medicine.frequency);
+      if (!timesOfDay) {
+        skipped.push({ name, reason: 'No regular dosing times' });
+        continue;
+      }
+      if (existingNames.has(name.toLowerCase())) {
+        skipped.push({ name, reason: 'Reminders already set' });
+        continue;
+      }
+
+      const dose = medicine.dosageForm
+        ? `${medicine.dose || 1} ${medicine.dosageForm.toLowerCase()}${(medicine.dose || 1) > 1 ? 's' : ''}`
+        : null;
+      const result = await createMedicationSchedule(user.id, {
+        medicineName: name,
+        dose,
+        timesOfDay,
+        timezone: options.timezone,
+        durationDays: medicine.durationDays,
+        productId: medicine.productId || (medicine.match && medicine.match.productId) || null,
+        prescriptionId: prescription.id,
+        source: 'Prescription'
+      });
+      if (result.success) {
+        created.push(result.schedule);
+      } else {
+        skipped.push({ name, reason: result.error });
+      }
+    }
+
+    return { success: true, created, skipped };
+  } catch (error) {
+    console.error('Error creating schedules from prescription:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SCHEDULE_CREATE_FAILED'
+    };
+  }
+};
+
+/**
+ * Whether a prescription has medicines that reminders can be generated for
+ * @param {Object} prescription - Prescription instance
+ * @returns {boolean}
+ */
+const hasSchedulableMedicines = (prescription) => Boolean(
+  prescription &&
+  prescription.parsedData &&
+  Array.isArray(prescription.parsedData.medicines) &&
+  prescription.parsedData.medicines.some(medicine => defaultTimesForFrequency(medicine.frequency))
+);
+
+/**
+ * A customer's current schedules
+ * @param {number} userId - Customer
+ * @returns {Array} Active and paused schedules
+ */
+const listMedicationSchedules = async (userId) => {
+  const schedules = await MedicationSchedule.findAll({
+    where: { userId, status: { [Op.in]: ['Active', 'Paused'] } },
+    order: [['createdAt', 'ASC']]
+  });
+  return schedules.map(describeSchedule);
+};
+
+/**
+ * Stop a schedule. Doses already sent keep their log entries.
+ * @param {number} userId - Customer (must own the schedule)
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Object} Result with the cancelled schedule
+ */
+const cancelMedicationSchedule = async (userId, scheduleId) => {
+  try {
+    const schedule = await MedicationSchedule.findOne({ where: { id: scheduleId, userId } });
+    if (!schedule) {
+      throw new Error('Reminder not found');
+    }
+    if (['Completed', 'Cancelled'].includes(schedule.status)) {
+      throw new Error(`Reminder is already ${schedule.status.toLowerCase()}`);
+    }
+
+    await schedule.update({ status: 'Cancelled', nextDoseAt: null });
+    await DoseLog.update(
+      { status: 'Skipped', respondedAt: new Date(), snoozedUntil: null },
+      { where: { scheduleId: schedule.id, status: 'Snoozed' } }
+    );
+    return { success: true, schedule: describeSchedule(schedule) };
+  } catch (error) {
+    console.error('Error cancelling medication schedule:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SCHEDULE_CANCEL_FAILED'
+    };
+  }
+};
+
+const formatLocalTime = (date, timezone) => {
+  const offset = getTimezoneOffset(timezone || DEFAULT_TIMEZONE);
+  return new Date(new Date(date).getTime() + offset * HOUR_MS).toISOString().slice(11, 16);
+};
+
+const sendDoseReminder = async (phoneNumber, schedule, log, snoozed = false) => {
+  let message = snoozed ? '⏰ *Snoozed dose reminder*\n\n' : '💊 *Time for your medicine*\n\n';
+  message += `${schedule.medicineName}${schedule.dose ? ` — ${schedule.dose}` : ''}\n`;
+  message += `Scheduled for ${formatLocalTime(log.scheduledFor, schedule.timezone)}\n\n`;
+  message += 'Let us know once you have taken it.';
+
+  await sendInteractiveMessage(phoneNumber, message, [
+    { id: `dose_taken_${log.id}`, title: '✅ Taken' },
+    { id: `dose_snooze_${log.id}`, title: `⏰ Snooze ${SNOOZE_MINUTES} min` },
+    { id: `dose_skip_${log.id}`, title: '⏭️ Skip' }
+  ]);
+};
+
+/**
+ * Send reminders for doses that are due and move each schedule on to its next dose.
+ * Doses that fell due while reminders were down for longer than the missed window
+ * are logged as Missed without messaging the customer.
+ * @returns {Object} { sent, missed, failed }
+ */
+const sendDueDoseReminders = async () => {
+  const now = new Date();
+  const schedules = await MedicationSchedule.findAll({
+    where: { status: 'Active', nextDoseAt: { [Op.lte]: now } },
+    include: [User],
+    order: [['nextDoseAt', 'ASC']],
+    limit: 200
+  });
+
+  let sent = 0;
+  let missed = 0;
+  let failed = 0;
+  for (const schedule of schedules) {
+    // A bad schedule is counted as failed; it must not hold up the reminders after it
+    try {
+      const user = schedule.User;
+      if (!user || !user.phoneNumber) {
+        await schedule.update({ status: 'Cancelled', nextDoseAt: null });
+        continue;
+      }
+
+      const scheduledFor = new Date(schedule.nextDoseAt);
+      const [log, created] = await DoseLog.findOrCreate({
+        where: { scheduleId: schedule.id, scheduledFor },
+        defaults: { userId: schedule.userId }
+      });
+
+      if (created) {
+        if (now.getTime() - scheduledFor.getTime() > MISSED_AFTER_MINUTES * MINUTE_MS) {
+          await log.update({ status: 'Missed' });
+          missed += 1;
+        } else {
+          try {
+            await sendDoseReminder(user.phoneNumber, schedule, log);
+          } catch (error) {
+            // Leave the schedule where it is so the next run tries again
+            await log.destroy();
+            throw error;
+          }
+          await log.update({ sentAt: new Date() });
+          sent += 1;
+        }
+      }
+
+      const nextDoseAt = computeNextDoseAt(schedule, scheduledFor);
+      await schedule.update(nextDoseAt ? { nextDoseAt } : { nextDoseAt: null, status: 'Completed' });
+    } catch (error) {
+      console.error(`Could not send dose reminder for schedule #${schedule.id}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { sent, missed, failed };
+};
+
+/**
+ * Re-send reminders whose snooze has run out
+ * @returns {Object} { sent, failed }
+ */
+const sendSnoozedDoseReminders = async () => {
+  const logs = await DoseLog.findAll({
+    where: { status: 'Snoozed', snoozedUntil: { [Op.lte]: new Date() } },
+    include: [{ model: MedicationSchedule, include: [User] }],
+    limit: 200
+  });
+
+  let sent = 0;
+  let failed = 0;
+  for (const log of logs) {
+    try {
+      const schedule = log.MedicationSchedule;
+      const user = schedule && schedule.User;
+      if (!user || !user.phoneNumber || schedule.status !== 'Active') {
+        await log.update({ status: 'Skipped', snoozedUntil: null });
+        continue;
+      }
+
+      await sendDoseReminder(user.phoneNumber, schedule, log, true);
+      await log.update({ status: 'Pending', sentAt: new Date(), snoozedUntil: null });
+      sent += 1;
+    } catch (error) {
+      console.error(`Could not resend dose reminder #${log.id}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Mark doses nobody answered as Missed
+ * @returns {number} Doses marked
+ */
+const markMissedDoses = async () => {
+  const [count] = await DoseLog.update(
+    { status: 'Missed' },
+    {
+      where: {
+        status: 'Pending',
+        sentAt: { [Op.lte]: new Date(Date.now() - MISSED_AFTER_MINUTES * MINUTE_MS) }
+      }
+    }
+  );
+  return count;
+};
+
+/**
+ * Scheduler job: send due and snoozed reminders, then close out unanswered doses
+ * @returns {Object} { sent, resent, missed, failed }
+ */
+const runAdherenceReminderJob = async () => {
+  const due = await sendDueDoseReminders();
+  const snoozed = await sendSnoozedDoseReminders();
+  const expired = await markMissedDoses();
+  return {
+    sent: due.sent,
+    resent: snoozed.sent,
+    missed: due.missed + expired,
+    failed: due.failed + snoozed.failed
+  };
+};
+
+/**
+ * Record the customer's answer to a dose reminder. Reminders often arrive after the chat
+ * session has expired, so the sender's WhatsApp number is enough to answer one.
+ * @param {number} logId - Dose log ID
+ * @param {string} action - 'taken', 'snooze' or 'skip'
+ * @param {Object} sender - { userId, phoneNumber } - must own the dose
+ * @returns {Object} Result with the updated log and schedule details
+ */
+const recordDoseResponse = async (logId, action, sender = {}) => {
+  try {
+    const status = DOSE_ACTIONS[action];
+    if (!status) {
+      throw new Error(`Unknown dose action: ${action}`);
+    }
+
+    const log = await DoseLog.findByPk(logId, { include: [{ model: MedicationSchedule, include: [User] }] });
+    const owner = log && log.MedicationSchedule.User;
+    const isOwner = owner && (
+      (sender.userId && owner.id === sender.userId) ||
+      (sender.phoneNumber && owner.phoneNumber === sender.phoneNumber)
+    );
+    if (!isOwner) {
+      throw new Error('Dose reminder not found');
+    }
+    if (['Taken', 'Skipped'].includes(log.status)) {
+      throw new Error(`This dose is already marked as ${log.status.toLowerCase()}`);
+    }
+
+    const updates = { status, respondedAt: new Date(), snoozedUntil: null };
+    if (status === 'Snoozed') {
+      if (log.snoozeCount >= MAX_SNOOZES) {
+        throw new Error(`This dose has already been snoozed ${MAX_SNOOZES} times`);
+      }
+      updates.snoozedUntil = new Date(Date.now() + SNOOZE_MINUTES * MINUTE_MS);
+      updates.snoozeCount = log.snoozeCount + 1;
+    }
+    // A late "Taken" still counts, even after the dose was marked Missed
+    await log.update(updates);
+
+    return {
+      success: true,
+      log,
+      medicineName: log.MedicationSchedule.medicineName,
+      snoozedUntil: updates.snoozedUntil || null
+    };
+  } catch (error) {
+    console.error('Error recording dose response:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'DOSE_RESPONSE_FAILED'
+    };
+  }
+};
+
+/**
+ * Adherence summary over a period. Snoozed and pending doses are still open and
+ * don't count towards the rate.
+ * @param {Object} filter - { userId, scheduleId, from, to }
+ * @returns {Object} { from, to, totals, adherenceRate, schedules: [{ ...schedule, totals, adherenceRate }] }
+ */
+const getAdherenceReport = async (filter = {}) => {
+  const { userId, scheduleId } = filter;
+  if (!userId && !scheduleId) {
+    throw new Error('userId or scheduleId is required');
+  }
+
+  const to = filter.to ? new Date(filter.to) : new Date();
+  const from = filter.from ? new Date(filter.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    throw new Error('from and to must be valid dates');
+  }
+
+  const scheduleWhere = {};
+  if (userId) scheduleWhere.userId = userId;
+  if (scheduleId) scheduleWhere.id = scheduleId;
+  const schedules = await MedicationSchedule.findAll({ where: scheduleWhere, order: [['createdAt', 'ASC']] });
+
+  const logs = await DoseLog.findAll({
+    where: {
+      scheduleId: schedules.map(s => s.id),
+      scheduledFor: { [Op.between]: [from, to] }
+    },
+    attributes: ['scheduleId', 'status']
+  });
+
+  const emptyTotals = () => ({ Taken: 0, Skipped: 0, Missed: 0, Snoozed: 0, Pending: 0 });
+  const rate = (totals) => {
+    const closed = totals.Taken + totals.Skipped + totals.Missed;
+    return closed > 0 ? Math.round((totals.Taken / closed) * 1000) / 10 : null;
+  };
+
+  const totals = emptyTotals();
+  const bySchedule = new Map(schedules.map(s => [s.id, emptyTotals()]));
+  logs.forEach((log) => {
+    totals[log.status] += 1;
+    bySchedule.get(log.scheduleId)[log.status] += 1;
+  });
+
+  return {
+    from,
+    to,
+    totals,
+    adherenceRate: rate(totals),
+    schedules: schedules.map(schedule => ({
+      ...describeSchedule(schedule),
+      totals: bySchedule.get(schedule.id),
+      adherenceRate: rate(bySchedule.get(schedule.id))
+    }))
+  };
+};
+
+/**
+ * Read a reminder request typed in the chat, e.g.
+ * "remind me to take Metformin 500mg at 8am and 8pm for 30 days" or
+ * "remind me to take 2 tablets of Paracetamol twice daily"
+ * @param {string} text - Message text
+ * @returns {Object|null} { medicineName, dose, timesOfDay, durationDays } or { error }; null if not a reminder request
+ */
+const parseReminderRequest = (text) => {
+  const match = String(text || '').trim().match(/^remind\s+me\s+to\s+take\s+(.+)$/i);
+  if (!match) return null;
+
+  let rest = match[1].replace(/[.!]+$/, '');
+  let durationDays = null;
+  const duration = rest.match(/\s+for\s+(\d+)\s*(days?|weeks?|months?)\s*$/i);
+  if (duration) {
+    const amount = parseInt(duration[1], 10);
+    durationDays = /^w/i.test(duration[2]) ? amount * 7 : /^m/i.test(duration[2]) ? amount * 30 : amount;
+    rest = rest.slice(0, duration.index);
+  }
+
+  let timesOfDay = null;
+  const at = rest.match(/\s+(?:at|every)\s+(.+)$/i);
+  if (at) {
+    timesOfDay = parseTimesOfDay(at[1].replace(/\b(?:in\s+the|at)\s+/gi, ''));
+    if (!timesOfDay) {
+      return { error: `I couldn't read the times "${at[1]}". Try something like "at 8am and 8pm".` };
+    }
+    rest = rest.slice(0, at.index);
+  } else {
+    // "twice daily" also contains "daily", so take the longest frequency match
+    const frequency = FREQUENCIES
+      .map(f => ({ f, match: rest.match(f.pattern) }))
+      .filter(candidate => candidate.match)
+      .sort((a, b) => b.match[0].length - a.match[0].length)[0];
+    timesOfDay = frequency ? defaultTimesForFrequency(frequency.f) : null;
+    if (!timesOfDay) {
+      return { error: 'When should I remind you? Add the times, e.g. "at 8am and 8pm", or how often, e.g. "twice daily".' };
+    }
+    rest = rest.replace(frequency.match[0], ' ');
+  }
+
+  let dose = null;
+  const doseMatch = rest.match(/^\s*(\d+(?:\.\d+)?\s*(?:tabs?|tablets?|caps?|capsules?|puffs?|drops?|sachets?|ml|spoons?|teaspoons?))\s+(?:of\s+)?/i);
+  if (doseMatch) {
+    dose = doseMatch[1].trim();
+    rest = rest.slice(doseMatch[0].length);
+  }
+
+  const medicineName = rest.replace(/\s+/g, ' ').trim();
+  if (!medicineName) {
+    return { error: 'Which medicine should I remind you about?' };
+  }
+  return { medicineName, dose, timesOfDay, durationDays };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  SNOOZE_MINUTES,
+  ADHERENCE_JOB_INTERVAL_SECONDS,
+  parseTimesOfDay,
+  defaultTimesForFrequency,
+  computeNextDoseAt,
+  createMedicationSchedule,
+  createSchedulesFromPrescription,
+  hasSchedulableMedicines,
+  listMedicationSchedules,
+  cancelMedicationSchedule,
+  sendDueDoseReminders,
+  sendSnoozedDoseReminders,
+  markMissedDoses,
+  runAdherenceReminderJob,
+  recordDoseResponse,
+  getAdherenceReport,
+  parseReminderRequest
+};
@@ -3,11 +3,26 @@ const bcryptjs = require('bcryptjs');
 const { Admin, OTP, sequelize } = require('../models');
 const { sendOTPEmail } = require('../config/brevo');
 const { generateOTP, getOTPExpiry, isOTPValid } = require('../utils/otp');
+const { transitionOrderStatus, cancelOrder } = require('./orderManagement');
+const { cancelDiagnosticBooking } = require('./diagnostics');
+const { issueDeliveryCode } = require('./deliveryConfirmation');
 
 const ADMIN_TOKEN_EXPIRY_MINUTES = parseInt(process.env.ADMIN_TOKEN_EXPIRY_MINUTES || '60', 10);
 
 const generateToken = () => crypto.randomBytes(32).toString('hex');
 
+// Order fields the status guards rely on. They are set by their own flows (payment,
+// delivery code, prescription review, confirmDeliveryBySupport), never by a generic edit.
+const GUARDED_ORDER_FIELDS = [
+  'paymentStatus',
+  'requiresPrescription',
+  'deliveryCode',
+  'deliveryCodeSentAt',
+  'deliveryCodeAttempts',
+  'deliveryConfirmedAt',
+  'deliveryConfirmedBy'
+];
+
 // Basic role-permission mapping
 const hasPermission = (role, action, table) => {
   if (!role) return false;
@@ -33,6 +48,12 @@ const hasPermission = (role, action, table) => {
       // Auditor strictly read-only, can export any
       if (action === 'read' || action === 'export') return true;
       return false;
+    case 'Pharmacist':
+      // Reviews prescriptions; can look up the orders, customers and catalogue behind them
+      if (action === 'read') return ['prescription','order','orders','orderitem','product','healthcareproduct','user','users','medicationschedule'].includes(t);
+      // Only through the review workspace endpoints; updateRecord refuses generic edits
+      if (action === 'update') return t === 'prescription';
+      return false;
     default:
       return false;
   }
@@ -111,7 +132,7 @@ const createStaff = async ({ name, email, password, role = 'Admin' }, createdBy)
   if (!createdBy || !hasPermission(createdBy.role, 'manageStaff', 'Admin')) {
     throw new Error('Permission denied');
   }
-  if (!['Owner','Admin','CustomerSupport','Auditor'].includes(role)) {
+  if (!['Owner','Admin','CustomerSupport','Auditor','Pharmacist'].includes(role)) {
     throw new Error('Invalid role');
   }
   if (createdBy.role !== 'Owner' && role === 'Owner') {
@@ -170,8 +191,53 @@ const updateRecord = async (tableName, id, data, admin = null) => {
   const Model = sequelize.models[tableName];
   if (!Model) throw new Error('Table not found');
   if (!admin || !hasPermission(admin.role, 'update', tableName)) throw new Error('Permission denied');
+  // Pharmacist decisions go through the claim/approve flow so they are audited and release the order
+  if (admin.role === 'Pharmacist') throw new Error('Permission denied - use the prescription review endpoints');
   const rec = await Model.findByPk(id);
   if (!rec) throw new Error('Record not found');
+
+  if (Model.name === 'Order' && data) {
+    const guarded = GUARDED_ORDER_FIELDS.filter(field => data[field] !== undefined);
+    if (guarded.length) throw new Error(`${guarded.join(', ')} cannot be edited directly`);
+  }
+
+  // Order status changes must go through the order state machine
+  if (Model.name === 'Order' && data && data.status !== undefined && data.status !== rec.status) {
+    const { status, statusReason, refund, ...updates } = data;
+    if (status === 'Cancelled') {
+      // Cancelling goes through cancelOrder so paid orders are refunded (send refund: false to skip)
+      const result = await cancelOrder(rec.id, {
+        changedBy: `admin:${admin.email}`,
+        reason: statusReason || 'Cancelled from admin panel',
+        refund: refund !== false
+      });
+      if (!result.success) throw new Error(result.error);
+      if (Object.keys(updates).length) await result.order.update(updates);
+      return result.order;
+    }
+    const result = await transitionOrderStatus(rec.id, status, {
+      changedBy: `admin:${admin.email}`,
+      reason: statusReason || 'Updated from admin panel',
+      updates
+    });
+    if (!result.success) throw new Error(result.error);
+    // Same as a rider setting off: the customer needs their delivery code
+    if (result.changed && status === 'OutForDelivery') await issueDeliveryCode(result.order);
+    return result.order;
+  }
+
+  // Same for diagnostic bookings: cancelling refunds them unless refund: false is sent
+  if (Model.name === 'DiagnosticBooking' && data && data.status === 'Cancelled' && rec.status !== 'Cancelled') {
+    const { status, statusReason, refund, ...updates } = data;
+    const result = await cancelDiagnosticBooking(rec.id, {
+      changedBy: `admin:${admin.email}`,
+      reason: statusReason || 'Cancelled from admin panel',
+      refund: refund !== false
+    });
+    if (Object.keys(updates).length) await result.booking.update(updates);
+    return result.booking;
+  }
+
   await rec.update(data);
   return rec;
 };
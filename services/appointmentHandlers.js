@@ -1,15 +1,21 @@
 /**
  * Doctor Search and Appointment Booking Handlers
- * Handles doctor search, filtering, and appointment booking
+ * Handles doctor search, filtering, appointment booking and managing booked
+ * appointments (confirm, reschedule, cancel)
  */
 
 const { Doctor, Appointment, User } = require('../models');
 const { sendWhatsAppMessage, sendInteractiveMessage, sendLocationRequestMessage } = require('../config/whatsapp');
 const { sendPleaseWaitMessage, sendSuccessMessage, sendErrorMessage, sendInfoMessage, sendDateSelectionButtons, sendTimeSelectionButtons } = require('../utils/messageHandler');
 const { Op } = require('sequelize');
+const { bookAppointmentValidated, rescheduleAppointment, confirmAppointment, cancelAppointment, formatAppointmentTime, TIMEZONES } = require('./appointmentManagement');
+const { getAvailableSlots, getNextAvailableDays, toSlotOptions, parseSlotOption, toModeOptions, consultationModesFor, MODE_LABELS } = require('./doctorSchedule');
+const { normalizeDate, normalizeSlotTime, parseSlotDateTime } = require('../utils/doctorSlots');
 
 const PAGE_SIZE = 5;
 
+const formatDay = (date) => new Date(`${date}T12:00:00Z`).toLocaleDateString('en-NG', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
 // Doctor specialties
 const DOCTOR_SPECIALTIES = [
   'Cardiologist',
@@ -181,6 +187,8 @@ const handleDoctorDetailsAndBook = async (phoneNumber, session, doctorIndex) =>
     message += `Specialty: ${doctor.specialty}\n`;
     message += `Location: ${doctor.location}\n`;
     message += `Rating: ${'⭐'.repeat(Math.floor(doctor.rating))} ${doctor.rating}/5\n`;
+    if (doctor.consultationFee > 0) message += `Consultation fee: ₦${Number(doctor.consultationFee).toLocaleString()} (paid when booking)\n`;
+    message += `Consults: ${consultationModesFor(doctor).map(mode => MODE_LABELS[mode]).join(', ')}\n`;
     message += `Available: ${doctor.available ? '✅ Yes' : '❌ No'}\n\n`;
     message += `📍 Ready to book an appointment?\n`;
     message += `Reply "yes" to proceed with booking or "no" to go back.`;
@@ -205,6 +213,16 @@ const handleDoctorDetailsAndBook = async (phoneNumber, session, doctorIndex) =>
  */
 const handleAppointmentDateSelection = async (phoneNumber, session) => {
   try {
+    const availability = await getNextAvailableDays(session.data.selectedDoctorId);
+    if (!availability.success || availability.days.length === 0) {
+      await sendErrorMessage(
+        phoneNumber,
+        `${availability.success ? 'This doctor has no free slots in the next two weeks.' : availability.error}\n\n` +
+        'Reply "doctors" to choose another doctor.'
+      );
+      return;
+    }
+
     session.data = {
       ...session.data,
       appointmentStep: 'date',
@@ -215,15 +233,13 @@ const handleAppointmentDateSelection = async (phoneNumber, session) => {
     await sendInfoMessage(
       phoneNumber,
       '📅 *Select Appointment Date*\n\n' +
-      'Choose a date for your appointment:\n\n' +
-      'You can book an appointment for:\n' +
-      '• Tomorrow\n' +
-      '• Next 3-7 days\n\n' +
-      'Reply "tomorrow" or a date like "2024-01-15" or "15-01-2024"'
+      'The doctor\'s next free days:\n' +
+      availability.days.map(day => `• ${formatDay(day.date)} (${day.slots.length} free slot${day.slots.length === 1 ? '' : 's'})`).join('\n') + '\n\n' +
+      'Tap a date below, or reply with another date like "2024-01-15" or "15/01/2024"'
     );
     
     // Send date buttons
-    await sendDateSelectionButtons(phoneNumber);
+    await sendDateSelectionButtons(phoneNumber, availability.days.map(day => ({ id: day.date, title: formatDay(day.date) })));
   } catch (error) {
     console.error('Error selecting appointment date:', error);
     await sendErrorMessage(phoneNumber, 'Could not select date. Please try again.');
@@ -235,91 +251,73 @@ const handleAppointmentDateSelection = async (phoneNumber, session) => {
  */
 const handleAppointmentDateConfirmation = async (phoneNumber, session, dateString) => {
   try {
-    // Parse date
-    let appointmentDate;
-    
-    if (dateString.toLowerCase() === 'tomorrow') {
-      appointmentDate = new Date();
-      appointmentDate.setDate(appointmentDate.getDate() + 1);
-    } else {
-      // Try to parse date formats: YYYY-MM-DD or DD-MM-YYYY
-      let parts;
-      if (dateString.includes('-')) {
-        parts = dateString.split('-');
-      } else if (dateString.includes('/')) {
-        parts = dateString.split('/');
-      } else {
-        await sendErrorMessage(phoneNumber, 'Invalid date format. Use YYYY-MM-DD or DD-MM-YYYY.');
-        return;
-      }
-      
-      if (parts.length !== 3) {
-        await sendErrorMessage(phoneNumber, 'Invalid date format. Use YYYY-MM-DD or DD-MM-YYYY.');
-        return;
-      }
-      
-      let year, month, day;
-      if (parts[0].length === 4) {
-        // YYYY-MM-DD
-        [year, month, day] = parts.map(p => parseInt(p, 10));
-      } else {
-        // DD-MM-YYYY
-        [day, month, year] = parts.map(p => parseInt(p, 10));
-      }
-      
-      appointmentDate = new Date(year, month - 1, day);
-    }
-    
-    // Validate date
-    if (isNaN(appointmentDate.getTime())) {
-      await sendErrorMessage(phoneNumber, 'Invalid date. Please try again.');
+    const appointmentDate = dateString.trim().toLowerCase() === 'tomorrow'
+      ? new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+      : normalizeDate(dateString);
+
+    if (!appointmentDate) {
+      await sendErrorMessage(phoneNumber, 'Invalid date format. Use YYYY-MM-DD or DD/MM/YYYY.');
       return;
     }
-    
-    const today = new Date();
-    if (appointmentDate <= today) {
-      await sendErrorMessage(phoneNumber, 'Please select a future date.');
+
+    const availability = await getAvailableSlots(session.data.selectedDoctorId, appointmentDate);
+    if (!availability.success) {
+      await sendErrorMessage(phoneNumber, availability.error);
       return;
     }
-    
-    const maxDate = new Date();
-    maxDate.setMonth(maxDate.getMonth() + 3);
-    if (appointmentDate > maxDate) {
-      await sendErrorMessage(phoneNumber, 'Can only book appointments up to 3 months in advance.');
+    if (availability.slots.length === 0) {
+      await sendErrorMessage(phoneNumber, `No free slots on ${formatDay(appointmentDate)}. Please choose another date.`);
       return;
     }
     
     session.data = {
       ...session.data,
       appointmentStep: 'time',
-      appointmentDate: appointmentDate.toISOString().split('T')[0],
+      appointmentDate,
       waitingForAppointmentDate: null,
       waitingForAppointmentTime: true
     };
     await session.save();
     
-    const dateStr = appointmentDate.toLocaleDateString('en-NG', { month: 'long', day: 'numeric', year: 'numeric' });
-    
     await sendInfoMessage(
       phoneNumber,
-      `✅ Date Confirmed: ${dateStr}\n\n` +
-      `⏰ *Select Appointment Time*\n\n` +
-      `Available times:\n` +
-      `• 9:00 AM\n` +
-      `• 11:00 AM\n` +
-      `• 2:00 PM\n` +
-      `• 4:00 PM\n\n` +
+      `✅ Date Confirmed: ${formatDay(appointmentDate)}\n\n` +
+      `⏰ *Free times:* ${availability.slots.map(slot => slot.time).join(', ')}\n\n` +
       `Reply with your preferred time.`
     );
     
     // Send time buttons
-    await sendTimeSelectionButtons(phoneNumber);
+    await sendTimeSelectionButtons(phoneNumber, toSlotOptions(availability.doctorId, availability.slots), formatDay(appointmentDate));
   } catch (error) {
     console.error('Error confirming appointment date:', error);
     await sendErrorMessage(phoneNumber, 'Could not confirm date. Please try again.');
   }
 };
 
+/**
+ * Ask how the patient wants to see a doctor who offers more than one consultation mode
+ * @param {string} phoneNumber - Patient's WhatsApp number
+ * @param {number} doctorId - Doctor ID
+ * @param {Date|string} dateTime - Chosen slot start, or "YYYY-MM-DD HH:MM" in the doctor's timezone
+ * @returns {boolean} true if the mode buttons were sent; false means book in person straight away
+ */
+const offerConsultationModes = async (phoneNumber, doctorId, dateTime) => {
+  const doctor = await Doctor.findByPk(doctorId);
+  const modes = doctor ? consultationModesFor(doctor) : [];
+  if (modes.length < 2) return false;
+
+  const zone = TIMEZONES[doctor.timezone] || TIMEZONES['Africa/Lagos'];
+  const start = typeof dateTime === 'string' ? parseSlotDateTime(dateTime, zone.offset) : new Date(dateTime);
+  if (!start || isNaN(start.getTime())) return false;
+
+  await sendInteractiveMessage(
+    phoneNumber,
+    `🩺 How would you like to see Dr. ${doctor.name} on ${formatAppointmentTime(start, doctor)}?`,
+    toModeOptions(doctor.id, start, modes)
+  );
+  return true;
+};
+
 /**
  * Handle appointment time confirmation and completion
  */
@@ -333,70 +331,83 @@ const handleAppointmentTimeConfirmation = async (phoneNumber, session, timeStrin
       await sendErrorMessage(phoneNumber, 'Invalid booking data. Please start over.');
       return;
     }
+
+    // A tapped slot carries its exact start; a typed time is read on the chosen date
+    const option = parseSlotOption(timeString);
+    const time = option ? null : normalizeSlotTime(timeString);
+    if (!option && !time) {
+      await sendErrorMessage(phoneNumber, 'Please reply with one of the free times, e.g. "09:30".');
+      return;
+    }
     
+    // Doctors offering video or chat as well ask how the patient wants to be seen; the reply books the slot
+    if (await offerConsultationModes(phoneNumber, doctorId, option ? option.start : `${appointmentDate} ${time}`)) {
+      return;
+    }
+
     await sendPleaseWaitMessage(phoneNumber, '⏳ Booking your appointment...');
     
-    try {
-      // Parse time and create appointment datetime
-      let [hours, minutes] = timeString.split(':').map(t => parseInt(t, 10));
-      
-      const dateObj = new Date(appointmentDate);
-      dateObj.setHours(hours, minutes, 0, 0);
-      
-      // Create appointment
-      const appointment = await Appointment.create({
-        userId,
-        doctorId,
-        dateTime: dateObj,
-        status: 'Scheduled',
-        notes: `Appointment booked via WhatsApp Bot on ${new Date().toLocaleString()}`
-      });
-      
-      // Clear appointment data
-      const newData = { ...session.data };
-      delete newData.appointmentStep;
-      delete newData.appointmentDate;
-      delete newData.selectedDoctor;
-      delete newData.selectedDoctorId;
-      delete newData.doctorSearchResults;
-      delete newData.doctorSearchStep;
-      delete newData.selectedSpecialty;
-      delete newData.userLocation;
-      delete newData.waitingForAppointmentTime;
-      delete newData.searchingDoctors;
-      
-      session.data = newData;
-      await session.save();
-      
-      const timeStr = dateObj.toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit' });
-      const dateStr = dateObj.toLocaleDateString('en-NG', { month: 'long', day: 'numeric' });
+    const result = await bookAppointmentValidated(userId, doctorId, option ? option.start : `${appointmentDate} ${time}`);
+    if (!result.success) {
+      const alternatives = (result.availableDays || [])
+        .map(day => `• ${formatDay(day.date)}: ${day.slots.slice(0, 5).map(slot => slot.time).join(', ')}`)
+        .join('\n');
+      await sendErrorMessage(phoneNumber, `${result.error}${alternatives ? `\n\nNext free slots:\n${alternatives}` : ''}`);
+      return;
+    }
       
-      await sendSuccessMessage(
-        phoneNumber,
-        `🎉 *Appointment Booked!*\n\n` +
-        `Appointment ID: #${appointment.id}\n` +
-        `Doctor: Dr. ${session.data.selectedDoctor?.name || 'TBD'}\n` +
-        `Date: ${dateStr}\n` +
-        `Time: ${timeStr}\n\n` +
-        `✅ You will receive a reminder 24 hours before your appointment.\n\n` +
-        `Need help? Reply "support"`
-      );
-    } catch (dbError) {
-      console.error('Database error creating appointment:', dbError);
-      await sendErrorMessage(phoneNumber, 'Could not book appointment. Please try again.');
+    // Clear appointment data
+    const newData = { ...session.data };
+    delete newData.appointmentStep;
+    delete newData.appointmentDate;
+    delete newData.selectedDoctor;
+    delete newData.selectedDoctorId;
+    delete newData.doctorSearchResults;
+    delete newData.doctorSearchStep;
+    delete newData.selectedSpecialty;
+    delete newData.userLocation;
+    delete newData.waitingForAppointmentTime;
+    delete newData.searchingDoctors;
+    
+    session.data = newData;
+    await session.save();
+    
+    if (result.requiresPayment) {
+      await sendInfoMessage(phoneNumber, result.message);
+      return;
     }
+
+    await sendSuccessMessage(
+      phoneNumber,
+      `🎉 *Appointment Booked!*\n\n` +
+      `Appointment ID: #${result.appointmentId}\n` +
+      `Doctor: Dr. ${result.doctorName}\n` +
+      `Date: ${result.appointmentDate}\n` +
+      `Time: ${result.appointmentTime}\n\n` +
+      `✅ You will receive a reminder 24 hours before your appointment.\n\n` +
+      `Need help? Reply "support"`
+    );
   } catch (error) {
     console.error('Error confirming appointment time:', error);
     await sendErrorMessage(phoneNumber, 'Could not complete booking. Please try again.');
   }
 };
 
+// The customer behind a message. Reminder buttons can arrive after the session has
+// expired, so fall back to the account registered to the WhatsApp number.
+const resolveUserId = async (phoneNumber, session) => {
+  const userId = session && (session.userId || (session.data && session.data.userId));
+  if (userId) return userId;
+  const user = await User.findOne({ where: { phoneNumber } });
+  return user ? user.id : null;
+};
+
 /**
  * View upcoming appointments
  */
 const handleViewAppointments = async (phoneNumber, session) => {
   try {
-    const userId = session.userId;
+    const userId = await resolveUserId(phoneNumber, session);
     
     if (!userId) {
       await sendErrorMessage(phoneNumber, 'Please login first.');
@@ -406,9 +417,10 @@ const handleViewAppointments = async (phoneNumber, session) => {
     const appointments = await Appointment.findAll({
       where: {
         userId,
-        status: ['Scheduled', 'Completed']
+        status: ['PendingPayment', 'Scheduled'],
+        dateTime: { [Op.gte]: new Date(Date.now() - 60 * 60 * 1000) }
       },
-      include: [{ model: Doctor, attributes: ['name', 'specialty', 'location'] }],
+      include: [{ model: Doctor, attributes: ['name', 'specialty', 'location', 'timezone'] }],
       order: [['dateTime', 'ASC']]
     });
     
@@ -424,19 +436,17 @@ const handleViewAppointments = async (phoneNumber, session) => {
     
     let message = '📅 *Your Appointments*\n\n';
     
-    appointments.forEach((apt, idx) => {
-      const dateStr = new Date(apt.dateTime).toLocaleString('en-NG', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-      
-      message += `${idx + 1}. Dr. ${apt.Doctor.name}\n`;
+    appointments.forEach((apt) => {
+      message += `#${apt.id} Dr. ${apt.Doctor.name}\n`;
       message += `   Specialty: ${apt.Doctor.specialty}\n`;
-      message += `   Date/Time: ${dateStr}\n`;
-      message += `   Status: ${apt.status}\n\n`;
+      message += `   Date/Time: ${formatAppointmentTime(apt.dateTime, apt.Doctor)}\n`;
+      if (apt.status === 'PendingPayment') {
+        message += `   💳 Awaiting ₦${Number(apt.totalAmount).toLocaleString()} payment — held until ${formatAppointmentTime(apt.paymentExpiresAt, apt.Doctor)}\n\n`;
+      } else {
+        message += `   ${apt.confirmedAt ? '✅ Confirmed' : 'Not yet confirmed'}\n\n`;
+      }
     });
+    message += 'To change one, reply "reschedule <ID>" or "cancel appointment <ID>".';
     
     await sendWhatsAppMessage(phoneNumber, message);
   } catch (error) {
@@ -445,6 +455,157 @@ const handleViewAppointments = async (phoneNumber, session) => {
   }
 };
 
+/**
+ * Confirm attendance from a reminder
+ */
+const handleAppointmentConfirm = async (phoneNumber, session, appointmentId) => {
+  try {
+    const userId = await resolveUserId(phoneNumber, session);
+    const result = await confirmAppointment(appointmentId, { userId, phoneNumber });
+    if (!result.success) {
+      await sendErrorMessage(phoneNumber, result.error);
+      return;
+    }
+    await sendSuccessMessage(phoneNumber, `Thanks! Your appointment with Dr. ${result.doctorName} on ${result.time} is confirmed.`);
+  } catch (error) {
+    console.error('Error confirming appointment:', error);
+    await sendErrorMessage(phoneNumber, 'Could not confirm your appointment. Please try again.');
+  }
+};
+
+/**
+ * Start moving an appointment: offer the doctor's next free days
+ */
+const handleRescheduleStart = async (phoneNumber, session, appointmentId) => {
+  try {
+    const userId = await resolveUserId(phoneNumber, session);
+    const appointment = await Appointment.findByPk(appointmentId, { include: [Doctor] });
+    if (!appointment || appointment.userId !== Number(userId)) {
+      await sendErrorMessage(phoneNumber, `Appointment #${appointmentId} was not found. Reply "my appointments" to see yours.`);
+      return;
+    }
+    if (appointment.status !== 'Scheduled') {
+      await sendErrorMessage(phoneNumber, `Appointment #${appointment.id} can no longer be moved.`);
+      return;
+    }
+
+    const availability = await getNextAvailableDays(appointment.doctorId, { excludeAppointmentId: appointment.id });
+    if (!availability.success || availability.days.length === 0) {
+      await sendErrorMessage(
+        phoneNumber,
+        `${availability.success ? `Dr. ${appointment.Doctor.name} has no other free slots in the next two weeks.` : availability.error}\n\n` +
+        'Your appointment is unchanged.'
+      );
+      return;
+    }
+
+    await sendInteractiveMessage(
+      phoneNumber,
+      `🔁 *Reschedule appointment #${appointment.id}*\n\n` +
+      `Currently: ${formatAppointmentTime(appointment.dateTime, appointment.Doctor)} with Dr. ${appointment.Doctor.name}\n\n` +
+      'Choose a new day, or reply "reschedule ' + appointment.id + ' YYYY-MM-DD" for another date.',
+      availability.days.slice(0, 3).map(day => ({ id: `resched_day_${appointment.id}_${day.date}`, title: formatDay(day.date) }))
+    );
+  } catch (error) {
+    console.error('Error starting reschedule:', error);
+    await sendErrorMessage(phoneNumber, 'Could not load free days. Please try again.');
+  }
+};
+
+/**
+ * Show free times on the chosen day for a reschedule
+ */
+const handleRescheduleDate = async (phoneNumber, session, appointmentId, dateString) => {
+  try {
+    const userId = await resolveUserId(phoneNumber, session);
+    const appointment = await Appointment.findByPk(appointmentId);
+    if (!appointment || appointment.userId !== Number(userId)) {
+      await sendErrorMessage(phoneNumber, `Appointment #${appointmentId} was not found. Reply "my appointments" to see yours.`);
+      return;
+    }
+
+    const availability = await getAvailableSlots(appointment.doctorId, dateString, { excludeAppointmentId: appointment.id });
+    if (!availability.success) {
+      await sendErrorMessage(phoneNumber, availability.error);
+      return;
+    }
+    if (availability.slots.length === 0) {
+      await sendErrorMessage(phoneNumber, `No free slots on ${formatDay(availability.date)}. Reply "reschedule ${appointment.id}" to see other days.`);
+      return;
+    }
+
+    const options = availability.slots.map(slot => ({
+      id: `resched_${appointment.id}_${new Date(slot.start).getTime()}`,
+      title: slot.time
+    }));
+    await sendTimeSelectionButtons(phoneNumber, options, formatDay(availability.date));
+  } catch (error) {
+    console.error('Error choosing reschedule date:', error);
+    await sendErrorMessage(phoneNumber, 'Could not load free times. Please try again.');
+  }
+};
+
+/**
+ * Move the appointment to the chosen slot
+ * @param {Date|string} dateTime - Slot start, or "YYYY-MM-DD HH:MM" as typed
+ */
+const handleRescheduleSlot = async (phoneNumber, session, appointmentId, dateTime) => {
+  try {
+    await sendPleaseWaitMessage(phoneNumber, '⏳ Moving your appointment...');
+
+    const userId = await resolveUserId(phoneNumber, session);
+    const result = await rescheduleAppointment(appointmentId, { userId, phoneNumber }, dateTime);
+    if (!result.success) {
+      const alternatives = (result.availableDays || [])
+        .map(day => `• ${formatDay(day.date)}: ${day.slots.slice(0, 5).map(slot => slot.time).join(', ')}`)
+        .join('\n');
+      await sendErrorMessage(phoneNumber, `${result.error}${alternatives ? `\n\nNext free slots:\n${alternatives}` : ''}`);
+      return;
+    }
+
+    await sendSuccessMessage(
+      phoneNumber,
+      `🔁 *Appointment Rescheduled*\n\n` +
+      `Appointment ID: #${result.appointmentId}\n` +
+      `Doctor: Dr. ${result.doctorName}\n` +
+      `Was: ${result.previousTime}\n` +
+      `Now: ${result.newTime}\n\n` +
+      `You'll get fresh reminders before the new time.`
+    );
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    await sendErrorMessage(phoneNumber, 'Could not move your appointment. Please try again.');
+  }
+};
+
+/**
+ * Cancel an appointment (from a reminder or "cancel appointment <id>")
+ */
+const handleAppointmentCancel = async (phoneNumber, session, appointmentId) => {
+  try {
+    const userId = await resolveUserId(phoneNumber, session);
+    if (!userId) {
+      await sendErrorMessage(phoneNumber, 'Please login first.');
+      return;
+    }
+
+    const result = await cancelAppointment(Number(appointmentId), Number(userId));
+    if (!result.success) {
+      await sendErrorMessage(phoneNumber, result.error);
+      return;
+    }
+
+    await sendSuccessMessage(
+      phoneNumber,
+      `${result.message}\n\nYour appointment #${result.appointmentId} with Dr. ${result.doctorName} is cancelled.` +
+      `${result.warnings.length ? `\n\n${result.warnings.join('\n')}` : ''}\n\nReply "doctors" to book again.`
+    );
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    await sendErrorMessage(phoneNumber, 'Could not cancel your appointment. Please try again.');
+  }
+};
+
 module.exports = {
   DOCTOR_SPECIALTIES,
   handleDoctorSearchStart,
@@ -454,5 +615,11 @@ module.exports = {
   handleAppointmentDateSelection,
   handleAppointmentDateConfirmation,
   handleAppointmentTimeConfirmation,
-  handleViewAppointments
+  offerConsultationModes,
+  handleViewAppointments,
+  handleAppointmentConfirm,
+  handleRescheduleStart,
+  handleRescheduleDate,
+  handleRescheduleSlot,
+  handleAppointmentCancel
 };
@@ -3,13 +3,28 @@
  * Handles appointment booking with:
  * - Paginated doctor search
  * - Timezone-aware validation
+ * - Slot-based booking against each doctor's schedule (services/doctorSchedule.js)
+ * - Paid consultations: the slot is held as PendingPayment until the consultation fee
+ *   arrives through the payment webhook, and released if it isn't paid in time
+ * - Rescheduling, reminder confirmations and Completed / NoShow outcomes, with a
+ *   no-show policy that pauses booking for patients who keep missing appointments
+ * - Doctors with a WhatsApp number accept or decline each confirmed booking
+ *   (services/doctorConsole.js)
+ * - In-person, video and chat consultations (services/teleconsultation.js)
  * - Session preservation
  * - Better error handling
  */
 
 const axios = require('axios');
-const { Appointment, Doctor, User } = require('../models');
+const { Appointment, Doctor, User, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { requestRefund, findRefundablePayment, getRefunds } = require('./refunds');
+const { reserveSlot, getNextAvailableDays, CONSULTATION_MODES, MODE_LABELS, consultationModesFor } = require('./doctorSchedule');
+const { createMeetingDetails, getMeetingLink, describeConsultationMode, endConsultationChat } = require('./teleconsultation');
+const { parseSlotDateTime } = require('../utils/doctorSlots');
+const { initializePayment } = require('./payment');
+const { notifySupportTeam } = require('./support');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
 
 // API configuration
 const drugsngAPI = axios.create({
@@ -20,6 +35,31 @@ const drugsngAPI = axios.create({
   timeout: 10000
 });
 
+const RESCHEDULE_CUTOFF_HOURS = parseFloat(process.env.APPOINTMENT_RESCHEDULE_CUTOFF_HOURS) || 2;
+const MAX_RESCHEDULES = parseInt(process.env.APPOINTMENT_MAX_RESCHEDULES, 10) || 2;
+
+// No-show policy: NO_SHOW_LIMIT no-shows within NO_SHOW_WINDOW_DAYS pause booking for
+// NO_SHOW_BLOCK_DAYS after the latest one (a limit of 0 turns this off). A no-show's paid
+// consultation is refunded at NO_SHOW_REFUND_PERCENT.
+const NO_SHOW_LIMIT = process.env.APPOINTMENT_NO_SHOW_LIMIT !== undefined ? parseInt(process.env.APPOINTMENT_NO_SHOW_LIMIT, 10) : 2;
+const NO_SHOW_WINDOW_DAYS = parseInt(process.env.APPOINTMENT_NO_SHOW_WINDOW_DAYS, 10) || 90;
+const NO_SHOW_BLOCK_DAYS = parseInt(process.env.APPOINTMENT_NO_SHOW_BLOCK_DAYS, 10) || 30;
+const NO_SHOW_REFUND_PERCENT = parseFloat(process.env.APPOINTMENT_NO_SHOW_REFUND_PERCENT) || 0;
+
+// Paid consultations: how long the slot is held for payment, and which provider takes it
+const PAYMENT_WINDOW_MINUTES = parseInt(process.env.APPOINTMENT_PAYMENT_WINDOW_MINUTES, 10) || 30;
+const PAYMENT_PROVIDER = process.env.APPOINTMENT_PAYMENT_PROVIDER || 'Paystack';
+
+const STATUS_LABELS = {
+  PendingPayment: 'awaiting payment',
+  NoShow: 'marked as missed',
+  Expired: 'expired'
+};
+const describeStatus = (status) => STATUS_LABELS[status] || status.toLowerCase();
+
+const APPOINTMENT_OUTCOMES = ['Completed', 'NoShow'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 // Common timezone configurations
 const TIMEZONES = {
   'Africa/Lagos': { offset: 1, name: 'West Africa Time (WAT)' },
@@ -217,7 +257,7 @@ const searchDoctorsForAppointment = async (specialty, location, page = 1, pageSi
       limit: safeSize,
       offset,
       order: [['rating', 'DESC']],
-      attributes: ['id', 'name', 'specialty', 'location', 'available', 'rating', 'imageUrl']
+      attributes: ['id', 'name', 'specialty', 'location', 'available', 'rating', 'consultationFee', 'consultationModes', 'imageUrl']
     });
 
     const total = count;
@@ -240,6 +280,8 @@ const searchDoctorsForAppointment = async (specialty, location, page = 1, pageSi
       location: doctor.location,
       available: doctor.available,
       rating: doctor.rating,
+      consultationFee: doctor.consultationFee,
+      consultationModes: consultationModesFor(doctor),
       imageUrl: doctor.imageUrl
     }));
 
@@ -249,6 +291,8 @@ const searchDoctorsForAppointment = async (specialty, location, page = 1, pageSi
       if (d.specialty) text += `\n   Specialty: ${d.specialty}`;
       if (d.location) text += `\n   Location: ${d.location}`;
       if (d.rating) text += `\n   Rating: ${d.rating}/5 ⭐`;
+      text += `\n   Fee: ${d.consultationFee > 0 ? `₦${Number(d.consultationFee).toLocaleString()}` : 'Free'}`;
+      text += `\n   Consults: ${d.consultationModes.map(mode => MODE_LABELS[mode]).join(', ')}`;
       return text;
     }).join('\n\n')}\n\n📍 *Navigation:*\n${safePage > 1 ? '• Type "Previous" to go to previous page\n' : ''}${safePage < totalPages ? '• Type "Next" to go to next page\n' : ''}• Type a number (${doctors.map(d => d.displayNumber).join('-')}) to select a doctor`;
 
@@ -274,6 +318,143 @@ const searchDoctorsForAppointment = async (specialty, location, page = 1, pageSi
   }
 };
 
+/**
+ * Whether the no-show policy currently stops a patient booking
+ * @param {number} userId - User ID
+ * @returns {Object|null} { noShows, blockedUntil }, or null when they can book
+ */
+const getNoShowRestriction = async (userId) => {
+  if (NO_SHOW_LIMIT <= 0) return null;
+
+  const noShows = await Appointment.findAll({
+    where: {
+      userId,
+      status: 'NoShow',
+      dateTime: { [Op.gte]: new Date(Date.now() - NO_SHOW_WINDOW_DAYS * DAY_MS) }
+    },
+    order: [['dateTime', 'DESC']]
+  });
+  if (noShows.length < NO_SHOW_LIMIT) return null;
+
+  const blockedUntil = new Date(noShows[0].dateTime.getTime() + NO_SHOW_BLOCK_DAYS * DAY_MS);
+  return blockedUntil > new Date() ? { noShows: noShows.length, blockedUntil } : null;
+};
+
+/**
+ * Appointment time for chat messages, in the doctor's timezone
+ * @param {Date} dateTime - Appointment time
+ * @param {Object} doctor - Doctor (uses its timezone)
+ * @returns {string} e.g. "Tue, 20 Oct, 14:00"
+ */
+const formatAppointmentTime = (dateTime, doctor) => new Date(dateTime).toLocaleString('en-NG', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false,
+  timeZone: (doctor && doctor.timezone) || 'Africa/Lagos'
+});
+
+// An appointment the sender owns, by user ID or, for reminder buttons after the session expired, WhatsApp number
+const findOwnedAppointment = async (appointmentId, sender = {}) => {
+  const appointment = await Appointment.findByPk(appointmentId, { include: [Doctor, User] });
+  const isOwner = appointment && (
+    (sender.userId && appointment.userId === Number(sender.userId)) ||
+    (sender.phoneNumber && appointment.User && appointment.User.phoneNumber === sender.phoneNumber)
+  );
+  if (!isOwner) {
+    throw new Error('Appointment not found');
+  }
+  return appointment;
+};
+
+// Register the appointment with the Drugs.ng API; bookings work without it
+const syncAppointmentWithAPI = async (appointment, timezone = 'Africa/Lagos') => {
+  try {
+    const response = await drugsngAPI.post('/appointments', {
+      userId: appointment.userId,
+      doctorId: appointment.doctorId,
+      dateTime: appointment.dateTime,
+      timezone
+    }, { timeout: 5000 });
+
+    if (response.data.appointmentId) {
+      await appointment.update({ drugsngAppointmentId: response.data.appointmentId });
+      return true;
+    }
+  } catch (apiError) {
+    console.warn('Failed to sync appointment with Drugs.ng API:', apiError.message);
+  }
+  return false;
+};
+
+/**
+ * Ask the doctor to accept or decline a confirmed booking (or its new time) on WhatsApp.
+ * Doctors without a WhatsApp number aren't asked and the appointment stands as booked.
+ * @param {Object} appointment - Scheduled appointment
+ * @param {Object} options - { doctor, patient } when not included on the appointment, previousTime for a moved one
+ * @returns {boolean} Whether the doctor was asked
+ */
+const requestDoctorResponse = async (appointment, options = {}) => {
+  const doctor = options.doctor || appointment.Doctor;
+  const patient = options.patient || appointment.User;
+  if (!doctor || !doctor.phoneNumber) return false;
+
+  try {
+    await appointment.update({ doctorResponse: 'Pending', doctorRespondedAt: null });
+    let message = options.previousTime ? '🔁 *Appointment moved*\n\n' : '📅 *New appointment request*\n\n';
+    message += `Patient: ${patient ? patient.name || 'Unnamed patient' : 'Unknown'}\n`;
+    message += `🕐 ${formatAppointmentTime(appointment.dateTime, doctor)}${options.previousTime ? ` (was ${options.previousTime})` : ''}\n`;
+    message += `📋 Appointment #${appointment.id}\n`;
+    if (appointment.mode === 'Video') {
+      message += `🎥 Video call: ${getMeetingLink(appointment)}\n`;
+    } else if (appointment.mode === 'Chat') {
+      message += `💬 Chat consultation - send 'chat ${appointment.id}' at the appointment time to start it\n`;
+    } else {
+      message += '📍 In person\n';
+    }
+    message += `\nTap a button, or reply 'accept ${appointment.id}' or 'decline ${appointment.id} <reason>'.`;
+    await sendInteractiveMessage(doctor.phoneNumber, message, [
+      { id: `doc_accept_${appointment.id}`, title: '✅ Accept' },
+      { id: `doc_decline_${appointment.id}`, title: '❌ Decline' }
+    ]);
+    return true;
+  } catch (error) {
+    console.error(`Could not send appointment ${appointment.id} to the doctor:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Create the payment link for a PendingPayment appointment
+ * @param {Object} appointment - Appointment instance with totalAmount set
+ * @param {Object} user - The patient
+ * @returns {Object} { success, link, reference } or { success: false, error }
+ */
+const startAppointmentPayment = async (appointment, user) => {
+  try {
+    const response = await initializePayment(PAYMENT_PROVIDER, {
+      amount: appointment.totalAmount,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      name: user.name,
+      appointmentId: appointment.id
+    });
+    const link = response.data && (response.data.link || response.data.authorization_url);
+    if (response.status !== 'success' || !link) {
+      throw new Error('No payment link returned');
+    }
+
+    const reference = response.data.tx_ref || response.data.reference;
+    await appointment.update({ paymentReference: reference ? String(reference) : null });
+    return { success: true, link, reference };
+  } catch (error) {
+    console.error(`Could not start payment for appointment ${appointment.id}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Book appointment with all validations
  * @param {number} userId - User ID
@@ -281,9 +462,11 @@ const searchDoctorsForAppointment = async (specialty, location, page = 1, pageSi
  * @param {Date|string} dateTime - Appointment date/time
  * @param {string} timezone - Timezone
  * @param {Object} session - User session (for preservation)
+ * @param {string} mode - InPerson, Video or Chat; the doctor must offer it. Defaults to in person,
+ *   or to the doctor's only mode when they don't see patients in person
  * @returns {Object} Booking result
  */
-const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = 'Africa/Lagos', session = {}) => {
+const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = 'Africa/Lagos', session = {}, mode) => {
   try {
     // Validate inputs
     if (!userId || isNaN(userId)) {
@@ -294,8 +477,20 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       throw new Error('Invalid doctor ID');
     }
 
+    if (mode && !CONSULTATION_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: `Consultation mode must be one of: ${CONSULTATION_MODES.join(', ')}`,
+        errorCode: 'INVALID_CONSULTATION_MODE'
+      };
+    }
+
+    // Typed date/times are read in the booking timezone rather than the server's
+    const zone = TIMEZONES[timezone] || TIMEZONES['Africa/Lagos'];
+    const requested = typeof dateTime === 'string' ? (parseSlotDateTime(dateTime, zone.offset) || dateTime) : dateTime;
+
     // Validate date and time
-    const validation = validateAppointmentDateTime(dateTime, timezone);
+    const validation = validateAppointmentDateTime(requested, timezone);
     if (!validation.valid) {
       return {
         success: false,
@@ -310,64 +505,78 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       throw new Error('User not found');
     }
 
-    // Verify doctor exists and is available
-    const doctor = await Doctor.findByPk(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
-
-    if (!doctor.available || !doctor.isActive) {
+    const restriction = await getNoShowRestriction(userId);
+    if (restriction) {
       return {
         success: false,
-        error: 'Doctor is not currently available',
-        errorCode: 'DOCTOR_UNAVAILABLE'
+        error: `You missed ${restriction.noShows} appointments recently, so online booking is paused until ${restriction.blockedUntil.toLocaleDateString('en-NG', { day: 'numeric', month: 'long' })}. Type 'support' if you need to see a doctor sooner.`,
+        errorCode: 'NO_SHOW_RESTRICTED',
+        blockedUntil: restriction.blockedUntil
       };
     }
 
-    // Check if user already has an appointment at this time with this doctor
-    const existingAppointment = await Appointment.findOne({
-      where: {
-        userId,
-        doctorId,
-        dateTime: validation.parsedDateTime,
-        status: { [Op.ne]: 'Cancelled' }
-      }
-    });
-
-    if (existingAppointment) {
+    // The slot must be free on the doctor's schedule; the doctor's row stays locked
+    // until the appointment exists, so a concurrent booking sees it
+    let doctor;
+    let appointment;
+    try {
+      appointment = await sequelize.transaction(async (transaction) => {
+        const slot = await reserveSlot(doctorId, validation.parsedDateTime, transaction);
+        doctor = slot.doctor;
+        const offered = consultationModesFor(doctor);
+        mode = mode || (offered.includes('InPerson') ? 'InPerson' : offered[0]);
+        if (!offered.includes(mode)) {
+          const modeError = new Error(`Dr. ${doctor.name} doesn't offer ${MODE_LABELS[mode].toLowerCase()} consultations`);
+          modeError.code = 'MODE_UNAVAILABLE';
+          throw modeError;
+        }
+        const fee = Number(doctor.consultationFee) || 0;
+        return Appointment.create({
+          userId,
+          doctorId,
+          dateTime: validation.parsedDateTime,
+          durationMinutes: slot.durationMinutes,
+          mode,
+          ...(mode === 'Video' ? createMeetingDetails() : {}),
+          status: fee > 0 ? 'PendingPayment' : 'Scheduled',
+          totalAmount: fee > 0 ? fee : null,
+          paymentStatus: fee > 0 ? 'Pending' : null,
+          paymentExpiresAt: fee > 0
+            ? new Date(Math.min(Date.now() + PAYMENT_WINDOW_MINUTES * 60 * 1000, validation.parsedDateTime.getTime()))
+            : null,
+          drugsngAppointmentId: null
+        }, { transaction });
+      });
+    } catch (slotError) {
+      if (!['SLOT_UNAVAILABLE', 'DOCTOR_UNAVAILABLE', 'MODE_UNAVAILABLE'].includes(slotError.code)) throw slotError;
+      const next = slotError.code === 'SLOT_UNAVAILABLE' ? await getNextAvailableDays(doctorId, { limit: 2 }) : null;
       return {
         success: false,
-        error: 'You already have an appointment with this doctor at this time',
-        errorCode: 'DUPLICATE_APPOINTMENT'
+        error: slotError.message,
+        errorCode: slotError.code,
+        availableDays: next && next.success ? next.days : []
       };
     }
 
-    // Create appointment
-    const appointment = await Appointment.create({
-      userId,
-      doctorId,
-      dateTime: validation.parsedDateTime,
-      status: 'Scheduled',
-      drugsngAppointmentId: null
-    });
-
-    // Try to sync with Drugs.ng API
-    let syncedWithAPI = false;
-    try {
-      const response = await drugsngAPI.post('/appointments', {
-        userId,
-        doctorId,
-        dateTime: validation.parsedDateTime,
-        timezone
-      }, { timeout: 5000 });
-
-      if (response.data.appointmentId) {
-        appointment.drugsngAppointmentId = response.data.appointmentId;
-        await appointment.save();
-        syncedWithAPI = true;
+    // A paid consultation needs its payment link before the customer hears anything;
+    // without one the hold is released straight away
+    let payment = null;
+    if (appointment.status === 'PendingPayment') {
+      payment = await startAppointmentPayment(appointment, user);
+      if (!payment.success) {
+        await appointment.update({ status: 'Cancelled', paymentStatus: 'Failed' });
+        return {
+          success: false,
+          error: 'We could not create a payment link for this consultation. Please try again shortly.',
+          errorCode: 'PAYMENT_LINK_FAILED'
+        };
       }
-    } catch (apiError) {
-      console.warn('Failed to sync appointment with Drugs.ng API:', apiError.message);
+    }
+
+    // Paid consultations are synced, and sent to the doctor, once payment confirms them
+    const syncedWithAPI = appointment.status === 'Scheduled' ? await syncAppointmentWithAPI(appointment, timezone) : false;
+    if (appointment.status === 'Scheduled') {
+      await requestDoctorResponse(appointment, { doctor, patient: user });
     }
 
     // Preserve appointment in session
@@ -381,14 +590,19 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       weekday: 'long',
       year: 'numeric',
       month: 'long',
-      day: 'numeric'
+      day: 'numeric',
+      timeZone: doctor.timezone
     });
 
     const appointmentTimeFormatted = validation.parsedDateTime.toLocaleTimeString('en-NG', {
       hour: '2-digit',
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone: doctor.timezone
     });
 
+    const details = `👨‍⚕️ Dr. ${doctor.name}\n📅 ${appointmentDateFormatted}\n🕐 ${appointmentTimeFormatted} (${appointment.durationMinutes} minutes)\n${describeConsultationMode(appointment, doctor)}\n\nAppointment ID: #${appointment.id}`;
+    const payBy = payment && appointment.paymentExpiresAt.toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit', timeZone: doctor.timezone });
+
     return {
       success: true,
       appointmentId: appointment.id,
@@ -397,9 +611,17 @@ const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = '
       appointmentDate: appointmentDateFormatted,
       appointmentTime: appointmentTimeFormatted,
       status: appointment.status,
+      mode: appointment.mode,
+      meetingLink: getMeetingLink(appointment),
+      requiresPayment: !!payment,
+      amount: appointment.totalAmount,
+      paymentLink: payment ? payment.link : null,
+      paymentExpiresAt: appointment.paymentExpiresAt,
       syncedWithAPI,
-      warnings: validation.warnings,
-      message: `✅ Appointment confirmed!\n\n👨‍⚕️ Dr. ${doctor.name}\n📅 ${appointmentDateFormatted}\n🕐 ${appointmentTimeFormatted}\n\nAppointment ID: #${appointment.id}\n\nPlease arrive 10 minutes early.${validation.warnings.length > 0 ? '\n\n⚠️ ' + validation.warnings.join('\n⚠️ ') : ''}`
+      durationMinutes: appointment.durationMinutes,
+      message: payment
+        ? `🕐 Slot held — payment needed\n\n${details}\n\n💳 Pay the ₦${Number(appointment.totalAmount).toLocaleString()} consultation fee by ${payBy} to confirm:\n${payment.link}\n\nWe'll confirm your appointment as soon as payment arrives. Unpaid slots are released after ${PAYMENT_WINDOW_MINUTES} minutes.`
+        : `✅ Appointment confirmed!\n\n${details}\n\n${appointment.mode === 'InPerson' ? 'Please arrive 10 minutes early.' : "We'll remind you before it starts."}`
     };
   } catch (error) {
     console.error('Error booking appointment:', error);
@@ -494,17 +716,17 @@ const cancelAppointment = async (appointmentId, userId) => {
       throw new Error('Unauthorized: You can only cancel your own appointments');
     }
 
-    if (appointment.status === 'Cancelled') {
+    if (appointment.status === 'Cancelled' || appointment.status === 'Expired') {
       return {
         success: false,
-        error: 'Appointment is already cancelled'
+        error: `Appointment is already ${appointment.status.toLowerCase()}`
       };
     }
 
-    if (appointment.status === 'Completed') {
+    if (appointment.status === 'Completed' || appointment.status === 'NoShow') {
       return {
         success: false,
-        error: 'Cannot cancel a completed appointment'
+        error: `Cannot cancel ${appointment.status === 'NoShow' ? 'a missed' : 'a completed'} appointment`
       };
     }
 
@@ -518,13 +740,33 @@ const cancelAppointment = async (appointmentId, userId) => {
 
     await appointment.update({ status: 'Cancelled' });
 
+    // Refund the consultation if it was paid for
+    const refund = await requestRefund('Appointment', appointment.id, {
+      reason: 'Appointment cancelled by customer',
+      requestedBy: `customer:${userId}`
+    });
+
+    if (!refund.success && refund.errorCode !== 'NO_REFUNDABLE_PAYMENT') {
+      warnings.push('⚠️ We could not start your refund automatically. Our team will follow up.');
+    }
+
+    if (appointment.Doctor.phoneNumber) {
+      await sendWhatsAppMessage(
+        appointment.Doctor.phoneNumber,
+        `❌ Appointment #${appointment.id} (${formatAppointmentTime(appointment.dateTime, appointment.Doctor)}) was cancelled by the patient.`
+      ).catch(error => console.error('Could not tell the doctor about the cancellation:', error.message));
+    }
+
     return {
       success: true,
       appointmentId,
       doctorName: appointment.Doctor.name,
       cancelledAt: new Date(),
       warnings,
-      message: '✅ Appointment cancelled successfully'
+      refund: refund.success ? refund : null,
+      message: refund.success
+        ? `✅ Appointment cancelled successfully. Refund of ₦${refund.amount.toFixed(2)} initiated.`
+        : '✅ Appointment cancelled successfully'
     };
   } catch (error) {
     console.error('Error cancelling appointment:', error);
@@ -536,6 +778,310 @@ const cancelAppointment = async (appointmentId, userId) => {
   }
 };
 
+// Refuse to move an appointment that isn't Scheduled, is past the cut-off or was moved too often
+const assertReschedulable = (appointment) => {
+  if (appointment.status !== 'Scheduled') {
+    throw new Error(`Appointment #${appointment.id} is ${describeStatus(appointment.status)} and can't be moved`);
+  }
+  if (appointment.dateTime.getTime() - Date.now() < RESCHEDULE_CUTOFF_HOURS * 60 * 60 * 1000) {
+    throw new Error(`Appointments can only be moved up to ${RESCHEDULE_CUTOFF_HOURS} hours before they start`);
+  }
+  if (appointment.rescheduleCount >= MAX_RESCHEDULES) {
+    throw new Error(`Appointment #${appointment.id} has already been moved ${MAX_RESCHEDULES} times. Please cancel it and book a new one`);
+  }
+};
+
+/**
+ * Move an appointment to another free slot with the same doctor. Reminders start over
+ * for the new time.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Object} sender - { userId, phoneNumber } - must own the appointment
+ * @param {Date|string} dateTime - New slot start, or "YYYY-MM-DD HH:MM" in the doctor's timezone
+ * @returns {Object} Result with the new time, or failure with the next free days
+ */
+const rescheduleAppointment = async (appointmentId, sender, dateTime) => {
+  try {
+    const appointment = await findOwnedAppointment(appointmentId, sender);
+    assertReschedulable(appointment);
+
+    const zone = TIMEZONES[appointment.Doctor.timezone] || TIMEZONES['Africa/Lagos'];
+    const requested = typeof dateTime === 'string' ? parseSlotDateTime(dateTime, zone.offset) : new Date(dateTime);
+    if (!requested || isNaN(requested.getTime())) {
+      return {
+        success: false,
+        error: 'Invalid date/time. Use YYYY-MM-DD HH:MM',
+        errorCode: 'INVALID_APPOINTMENT_DATETIME'
+      };
+    }
+    if (requested.getTime() === appointment.dateTime.getTime()) {
+      throw new Error('That is already the time of your appointment');
+    }
+
+    let previous;
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const slot = await reserveSlot(appointment.doctorId, requested, transaction, { excludeAppointmentId: appointment.id });
+        // The appointment may have been cancelled, moved or started since it was loaded
+        const current = await Appointment.findByPk(appointment.id, { transaction, lock: transaction.LOCK.UPDATE });
+        assertReschedulable(current);
+        previous = current.dateTime;
+        const changes = {
+          dateTime: requested,
+          durationMinutes: slot.durationMinutes,
+          rescheduledFrom: previous,
+          rescheduleCount: current.rescheduleCount + 1,
+          confirmedAt: null,
+          reminder24hSentAt: null,
+          reminder1hSentAt: null
+        };
+        await current.update(changes, { transaction });
+        appointment.set(changes);
+      });
+    } catch (slotError) {
+      if (!['SLOT_UNAVAILABLE', 'DOCTOR_UNAVAILABLE'].includes(slotError.code)) throw slotError;
+      const next = await getNextAvailableDays(appointment.doctorId, { limit: 2, excludeAppointmentId: appointment.id });
+      return {
+        success: false,
+        error: slotError.message,
+        errorCode: slotError.code,
+        availableDays: next.success ? next.days : []
+      };
+    }
+
+    // The doctor accepts the new time afresh
+    await requestDoctorResponse(appointment, { previousTime: formatAppointmentTime(previous, appointment.Doctor) });
+
+    return {
+      success: true,
+      appointmentId: appointment.id,
+      doctorName: appointment.Doctor.name,
+      previousTime: formatAppointmentTime(previous, appointment.Doctor),
+      newTime: formatAppointmentTime(requested, appointment.Doctor),
+      reschedulesLeft: MAX_RESCHEDULES - appointment.rescheduleCount
+    };
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RESCHEDULE_APPOINTMENT_FAILED'
+    };
+  }
+};
+
+/**
+ * Patient confirms they will attend (from a reminder)
+ * @param {number} appointmentId - Appointment ID
+ * @param {Object} sender - { userId, phoneNumber } - must own the appointment
+ * @returns {Object} Result with the appointment time
+ */
+const confirmAppointment = async (appointmentId, sender) => {
+  try {
+    const appointment = await findOwnedAppointment(appointmentId, sender);
+    if (appointment.status !== 'Scheduled') {
+      throw new Error(`Appointment #${appointment.id} is ${describeStatus(appointment.status)}`);
+    }
+    if (!appointment.confirmedAt) {
+      await appointment.update({ confirmedAt: new Date() });
+    }
+    return {
+      success: true,
+      appointmentId: appointment.id,
+      doctorName: appointment.Doctor.name,
+      time: formatAppointmentTime(appointment.dateTime, appointment.Doctor)
+    };
+  } catch (error) {
+    console.error('Error confirming appointment:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'CONFIRM_APPOINTMENT_FAILED'
+    };
+  }
+};
+
+/**
+ * Record whether the patient attended. A no-show refunds NO_SHOW_REFUND_PERCENT of a paid
+ * consultation (once) and counts towards the no-show policy; the patient is told either way.
+ * Recording the outcome the appointment already has changes nothing. A doctor or admin
+ * recording the other outcome corrects it; the system only records outcomes for Scheduled ones.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Object} outcome - { outcome: 'Completed' | 'NoShow', notes, recordedBy }
+ * @returns {Object} Updated appointment
+ */
+const recordAppointmentOutcome = async (appointmentId, outcome = {}) => {
+  const { notes = null, recordedBy = 'system' } = outcome;
+  if (!APPOINTMENT_OUTCOMES.includes(outcome.outcome)) {
+    throw new Error(`outcome must be one of: ${APPOINTMENT_OUTCOMES.join(', ')}`);
+  }
+
+  const appointment = await Appointment.findByPk(appointmentId, { include: [Doctor, User] });
+  if (!appointment) throw new Error('Appointment not found');
+  if (!['Scheduled', ...APPOINTMENT_OUTCOMES].includes(appointment.status)) {
+    throw new Error(`Appointment #${appointment.id} is ${appointment.status}`);
+  }
+  if (appointment.dateTime > new Date()) {
+    throw new Error(`Appointment #${appointment.id} hasn't started yet`);
+  }
+  // Repeated taps, and the unrecorded-outcome job running after the doctor, land here
+  if (appointment.status === outcome.outcome || (recordedBy === 'system' && appointment.status !== 'Scheduled')) {
+    return appointment;
+  }
+
+  // Only one of two outcomes recorded at the same time gets through
+  const changes = {
+    status: outcome.outcome,
+    outcomeRecordedAt: new Date(),
+    outcomeRecordedBy: recordedBy,
+    notes: notes ? [appointment.notes, notes].filter(Boolean).join('\n') : appointment.notes
+  };
+  const [updated] = await Appointment.update(changes, { where: { id: appointment.id, status: appointment.status } });
+  if (updated === 0) {
+    throw new Error(`Appointment #${appointment.id} was updated at the same time - check it and try again`);
+  }
+  appointment.set(changes);
+
+  // Recording the visit closes a chat consultation that is still open
+  if (appointment.chatStartedAt && !appointment.chatEndedAt) {
+    await endConsultationChat(appointment, recordedBy.startsWith('doctor:') ? 'Doctor' : 'system');
+  }
+
+  let refund = null;
+  if (outcome.outcome === 'NoShow' && NO_SHOW_REFUND_PERCENT > 0) {
+    // A no-show corrected to Completed and back keeps the refund it already has
+    const refunded = (await getRefunds('Appointment', appointment.id)).some(r => r.status !== 'Failed');
+    const payment = refunded ? null : await findRefundablePayment('Appointment', appointment.id);
+    if (payment) {
+      refund = await requestRefund('Appointment', appointment.id, {
+        amount: Math.round(Number(payment.amount) * Math.min(NO_SHOW_REFUND_PERCENT, 100)) / 100,
+        reason: `No-show policy (${NO_SHOW_REFUND_PERCENT}% refund)`,
+        requestedBy: recordedBy
+      });
+    }
+  }
+
+  const phoneNumber = appointment.User && appointment.User.phoneNumber;
+  if (phoneNumber) {
+    const time = formatAppointmentTime(appointment.dateTime, appointment.Doctor);
+    const restriction = outcome.outcome === 'NoShow' ? await getNoShowRestriction(appointment.userId) : null;
+    const message = outcome.outcome === 'Completed'
+      ? `✅ Thanks for attending your appointment with Dr. ${appointment.Doctor.name} (${time}). We hope you feel better soon.`
+      : `⚠️ We missed you at your appointment with Dr. ${appointment.Doctor.name} (${time}).` +
+        `${refund && refund.success ? `\n\nPer our no-show policy, ₦${refund.amount.toFixed(2)} of your fee is being refunded.` : ''}` +
+        `${restriction ? `\n\nAfter ${restriction.noShows} missed appointments, online booking is paused until ${restriction.blockedUntil.toLocaleDateString('en-NG', { day: 'numeric', month: 'long' })}.` : ''}` +
+        `\n\nType 'doctors' to book again, or 'support' if this is a mistake.`;
+    await sendWhatsAppMessage(phoneNumber, message).catch(error => console.error('Could not send outcome message:', error.message));
+  }
+
+  return appointment;
+};
+
+/**
+ * Confirm a consultation once the payment webhook has reconciled its fee. Confirmation,
+ * and the doctor's notification, happen here rather than at booking. A payment that lands
+ * after the hold expired gets the slot back if it is still free, and is refunded if not.
+ * @param {number} appointmentId - Appointment ID
+ * @param {Object} payment - { reference, provider }
+ * @returns {Object} { changed, appointment, outcome }
+ */
+const confirmAppointmentPayment = async (appointmentId, payment = {}) => {
+  const appointment = await Appointment.findByPk(appointmentId, { include: [Doctor, User] });
+  if (!appointment) throw new Error(`Appointment #${appointmentId} not found`);
+
+  if (appointment.paymentStatus === 'Paid' || appointment.paymentStatus === 'PartiallyRefunded' || appointment.paymentStatus === 'Refunded') {
+    return { changed: false, appointment, outcome: `Payment for appointment #${appointment.id} was already recorded` };
+  }
+
+  const paid = { paymentStatus: 'Paid', paymentReference: payment.reference || appointment.paymentReference };
+  let confirmed = false;
+  if (appointment.status === 'PendingPayment') {
+    // Only if the expiry job hasn't released the slot since it was loaded; if it has,
+    // the slot has to be taken back like any other expired appointment
+    const [updated] = await Appointment.update(
+      { ...paid, status: 'Scheduled' },
+      { where: { id: appointment.id, status: 'PendingPayment' } }
+    );
+    confirmed = updated > 0;
+    await appointment.reload();
+  }
+  if (!confirmed && appointment.status === 'Expired' && appointment.dateTime > new Date()) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await reserveSlot(appointment.doctorId, appointment.dateTime, transaction, { excludeAppointmentId: appointment.id });
+        await appointment.update({ ...paid, status: 'Scheduled' }, { transaction });
+      });
+      confirmed = true;
+    } catch (slotError) {
+      if (!['SLOT_UNAVAILABLE', 'DOCTOR_UNAVAILABLE'].includes(slotError.code)) throw slotError;
+    }
+  }
+
+  if (!confirmed) {
+    // Paid too late (or after cancelling): nothing to confirm, so the money goes back
+    await appointment.update(paid);
+    const refund = await requestRefund('Appointment', appointment.id, {
+      reason: `Consultation paid after appointment was ${appointment.status.toLowerCase()}`,
+      requestedBy: 'system'
+    });
+    if (appointment.User) {
+      await sendWhatsAppMessage(
+        appointment.User.phoneNumber,
+        `⚠️ Your payment for appointment #${appointment.id} arrived after ${appointment.status === 'Cancelled' ? 'it was cancelled' : 'the slot was released and booked by someone else'}.\n\n` +
+        `${refund.success ? `Your ₦${refund.amount.toFixed(2)} is being refunded.` : 'Our team will refund you shortly.'} Type 'doctors' to book another time.`
+      ).catch(error => console.error('Could not send late payment message:', error.message));
+    }
+    return { changed: true, appointment, outcome: `Late payment for ${appointment.status} appointment #${appointment.id}; refund ${refund.success ? 'started' : `failed: ${refund.error}`}` };
+  }
+
+  await syncAppointmentWithAPI(appointment, appointment.Doctor.timezone);
+
+  // Required lazily: integration pulls in most of the customer-facing services.
+  // The doctor gets the accept/decline request instead of a plain notice.
+  const { handlePostPaymentNotification } = require('./integration');
+  await handlePostPaymentNotification(appointment.userId, appointment.doctorId, appointment.id, null)
+    .catch(error => console.error(`Could not send confirmation for appointment ${appointment.id}:`, error.message));
+  await requestDoctorResponse(appointment);
+  await notifySupportTeam(appointment.User ? appointment.User.phoneNumber : 'unknown', 'medical', 'New Appointment Booked', {
+    appointmentId: appointment.id,
+    doctorName: appointment.Doctor.name,
+    dateTime: formatAppointmentTime(appointment.dateTime, appointment.Doctor),
+    paid: `₦${Number(appointment.totalAmount).toLocaleString()}`
+  });
+
+  return { changed: true, appointment, outcome: `Appointment #${appointment.id} paid and confirmed` };
+};
+
+/**
+ * Release the slots of PendingPayment appointments whose payment window has passed
+ * @returns {Object} { expired }
+ */
+const expireUnpaidAppointments = async () => {
+  const appointments = await Appointment.findAll({
+    where: { status: 'PendingPayment', paymentExpiresAt: { [Op.lte]: new Date() } },
+    include: [Doctor, User],
+    limit: 200
+  });
+
+  let expired = 0;
+  for (const appointment of appointments) {
+    // Only expire it if a payment didn't confirm it in the meantime
+    const [updated] = await Appointment.update(
+      { status: 'Expired' },
+      { where: { id: appointment.id, status: 'PendingPayment' } }
+    );
+    if (!updated) continue;
+    expired++;
+
+    if (appointment.User) {
+      await sendWhatsAppMessage(
+        appointment.User.phoneNumber,
+        `⌛ We didn't receive payment for appointment #${appointment.id} with Dr. ${appointment.Doctor.name} (${formatAppointmentTime(appointment.dateTime, appointment.Doctor)}) in time, so the slot has been released.\n\nType 'doctors' to book again.`
+      ).catch(error => console.error('Could not send expiry message:', error.message));
+    }
+  }
+  return { expired };
+};
+
 module.exports = {
   parseAppointmentDateTime,
   validateAppointmentDateTime,
@@ -543,5 +1089,15 @@ module.exports = {
   bookAppointmentValidated,
   getUserAppointmentsPaginated,
   cancelAppointment,
+  rescheduleAppointment,
+  confirmAppointment,
+  recordAppointmentOutcome,
+  confirmAppointmentPayment,
+  expireUnpaidAppointments,
+  getNoShowRestriction,
+  formatAppointmentTime,
+  describeStatus,
+  requestDoctorResponse,
+  RESCHEDULE_CUTOFF_HOURS,
   TIMEZONES
 };
@@ -0,0 +1,157 @@
+/**
+ * Appointment Reminder Service
+ * - WhatsApp reminders 24 hours and 1 hour before each appointment, with
+ *   Confirm / Reschedule / Cancel buttons
+ * - Unpaid consultations are released once their payment window passes
+ * - Chat consultations still open after their time are closed
+ * - Appointments still Scheduled APPOINTMENT_OUTCOME_GRACE_MINUTES after they end are
+ *   flagged to the medical support team, or recorded automatically when
+ *   APPOINTMENT_UNRECORDED_OUTCOME is Completed or NoShow
+ */
+
+const { Op } = require('sequelize');
+const { Appointment, Doctor, User } = require('../models');
+const { sendInteractiveMessage } = require('../config/whatsapp');
+const { notifySupportTeam } = require('./support');
+const { recordAppointmentOutcome, expireUnpaidAppointments, formatAppointmentTime, RESCHEDULE_CUTOFF_HOURS } = require('./appointmentManagement');
+const { describeConsultationMode, closeExpiredConsultationChats } = require('./teleconsultation');
+
+const APPOINTMENT_REMINDER_INTERVAL_MINUTES = parseInt(process.env.APPOINTMENT_REMINDER_INTERVAL_MINUTES, 10) || 10;
+const OUTCOME_GRACE_MINUTES = parseInt(process.env.APPOINTMENT_OUTCOME_GRACE_MINUTES, 10) || 60;
+const UNRECORDED_OUTCOME = ['Completed', 'NoShow'].includes(process.env.APPOINTMENT_UNRECORDED_OUTCOME)
+  ? process.env.APPOINTMENT_UNRECORDED_OUTCOME
+  : 'flag';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const REMINDERS = [
+  { field: 'reminder24hSentAt', hoursBefore: 24, label: 'tomorrow' },
+  { field: 'reminder1hSentAt', hoursBefore: 1, label: 'in about an hour' }
+];
+
+const sendAppointmentReminder = async (appointment, reminder) => {
+  const doctor = appointment.Doctor;
+  let message = `🩺 *Appointment reminder*\n\n`;
+  message += `You're seeing Dr. ${doctor.name} (${doctor.specialty}) ${reminder.label}.\n`;
+  message += `🕐 ${formatAppointmentTime(appointment.dateTime, doctor)}\n`;
+  message += `${describeConsultationMode(appointment, doctor)}\n`;
+  message += `📋 Appointment #${appointment.id}\n\n`;
+  message += appointment.confirmedAt ? 'You have already confirmed — see you then!' : 'Please confirm you can make it.';
+
+  const buttons = [{ id: `appt_confirm_${appointment.id}`, title: '✅ Confirm' }];
+  // Past the cut-off the appointment can only be kept or cancelled
+  if (appointment.dateTime.getTime() - Date.now() >= RESCHEDULE_CUTOFF_HOURS * HOUR_MS) {
+    buttons.push({ id: `appt_reschedule_${appointment.id}`, title: '🔁 Reschedule' });
+  }
+  buttons.push({ id: `appt_cancel_${appointment.id}`, title: '❌ Cancel' });
+
+  await sendInteractiveMessage(appointment.User.phoneNumber, message, buttons);
+};
+
+/**
+ * Send due reminders. Each reminder goes out once; an appointment booked less than
+ * 24 hours ahead only gets the 1-hour one.
+ * @returns {Object} { sent, failed }
+ */
+const sendDueAppointmentReminders = async () => {
+  const now = Date.now();
+  let sent = 0;
+  let failed = 0;
+
+  for (const [index, reminder] of REMINDERS.entries()) {
+    const next = REMINDERS[index + 1];
+    const appointments = await Appointment.findAll({
+      where: {
+        status: 'Scheduled',
+        [reminder.field]: null,
+        dateTime: {
+          [Op.gt]: new Date(now + (next ? next.hoursBefore * HOUR_MS : 0)),
+          [Op.lte]: new Date(now + reminder.hoursBefore * HOUR_MS)
+        }
+      },
+      include: [Doctor, User],
+      order: [['dateTime', 'ASC']],
+      limit: 200
+    });
+
+    for (const appointment of appointments) {
+      if (!appointment.User || !appointment.User.phoneNumber) continue;
+      try {
+        await sendAppointmentReminder(appointment, reminder);
+        await appointment.update({ [reminder.field]: new Date() });
+        sent++;
+      } catch (error) {
+        console.error(`Error sending reminder for appointment ${appointment.id}:`, error.message);
+        failed++;
+      }
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Deal with appointments whose outcome nobody recorded
+ * @returns {Object} { flagged, recorded }
+ */
+const handleUnrecordedOutcomes = async () => {
+  const cutoff = new Date(Date.now() - OUTCOME_GRACE_MINUTES * MINUTE_MS);
+  const appointments = await Appointment.findAll({
+    where: {
+      status: 'Scheduled',
+      outcomeFlaggedAt: null,
+      dateTime: { [Op.lte]: cutoff }
+    },
+    include: [Doctor, User],
+    limit: 200
+  });
+
+  let flagged = 0;
+  let recorded = 0;
+  for (const appointment of appointments) {
+    const end = appointment.dateTime.getTime() + (appointment.durationMinutes || 30) * MINUTE_MS;
+    if (end > cutoff.getTime()) continue;
+
+    if (UNRECORDED_OUTCOME !== 'flag') {
+      try {
+        await recordAppointmentOutcome(appointment.id, { outcome: UNRECORDED_OUTCOME, recordedBy: 'system' });
+        recorded++;
+        continue;
+      } catch (error) {
+        console.error(`Could not record outcome for appointment ${appointment.id}:`, error.message);
+      }
+    }
+
+    await appointment.update({ outcomeFlaggedAt: new Date() });
+    await notifySupportTeam(appointment.User ? appointment.User.phoneNumber : 'unknown', 'medical', 'Appointment Outcome Missing', {
+      appointmentId: appointment.id,
+      doctor: appointment.Doctor ? appointment.Doctor.name : appointment.doctorId,
+      time: formatAppointmentTime(appointment.dateTime, appointment.Doctor),
+      confirmed: appointment.confirmedAt ? 'Yes' : 'No',
+      action: `POST /api/admin/appointments/${appointment.id}/outcome`
+    });
+    flagged++;
+  }
+
+  return { flagged, recorded };
+};
+
+/**
+ * Scheduler entry point
+ * @returns {Object} Expired holds, closed chats, reminder and outcome counts
+ */
+const runAppointmentReminderJob = async () => {
+  const unpaid = await expireUnpaidAppointments();
+  const chats = await closeExpiredConsultationChats();
+  const reminders = await sendDueAppointmentReminders();
+  const outcomes = await handleUnrecordedOutcomes();
+  return { ...unpaid, ...chats, ...reminders, ...outcomes };
+};
+
+module.exports = {
+  runAppointmentReminderJob,
+  sendDueAppointmentReminders,
+  handleUnrecordedOutcomes,
+  APPOINTMENT_REMINDER_INTERVAL_MINUTES
+};
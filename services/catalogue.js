@@ -0,0 +1,149 @@
+/**
+ * Catalogue Service
+ * One view over everything a customer can buy: medicines (Product) and
+ * healthcare products (HealthcareProduct). Cart and order lines reference an
+ * item by { itemType, itemId }; name, price, stock and image are resolved here
+ * so callers never need to know which table an item lives in.
+ */
+
+const { Op } = require('sequelize');
+const { Product, HealthcareProduct } = require('../models');
+
+const CATALOGUE_ITEM_TYPES = ['Product', 'HealthcareProduct'];
+
+const ITEM_MODELS = { Product, HealthcareProduct };
+
+const ITEM_TYPE_LABELS = {
+  Product: 'Medicine',
+  HealthcareProduct: 'Healthcare product'
+};
+
+const getItemModel = (itemType) => {
+  const Model = ITEM_MODELS[itemType];
+  if (!Model) {
+    throw new Error(`Unknown catalogue item type: ${itemType}. Must be one of: ${CATALOGUE_ITEM_TYPES.join(', ')}`);
+  }
+  return Model;
+};
+
+/**
+ * The item a cart or order line points at. Lines created before items were
+ * polymorphic only have productId.
+ * @param {Object} line - Cart or OrderItem row
+ * @returns {Object} { itemType, itemId }
+ */
+const getLineItemRef = (line) => ({
+  itemType: line.itemType || 'Product',
+  itemId: line.itemId || line.productId
+});
+
+/**
+ * Reference columns to store on a new cart or order line.
+ * productId is only set for medicines, where it is a foreign key to products.
+ * @param {string} itemType - Catalogue item type
+ * @param {number} itemId - Item ID
+ * @returns {Object} { itemType, itemId, productId }
+ */
+const buildLineItemFields = (itemType, itemId) => ({
+  itemType,
+  itemId,
+  productId: itemType === 'Product' ? itemId : null
+});
+
+const itemKey = (itemType, itemId) => `${itemType}:${itemId}`;
+
+// Uniform shape for either kind of item
+const toCatalogueItem = (itemType, record) => ({
+  itemType,
+  itemId: record.id,
+  typeLabel: ITEM_TYPE_LABELS[itemType],
+  name: record.name,
+  category: record.category,
+  description: record.description,
+  brand: record.brand || null,
+  price: record.price,
+  stock: record.stock,
+  imageUrl: record.imageUrl,
+  requiresPrescription: Boolean(record.requiresPrescription),
+  isActive: record.isActive
+});
+
+/**
+ * Load a single catalogue item
+ * @param {string} itemType - Catalogue item type
+ * @param {number} itemId - Item ID
+ * @returns {Object|null} Catalogue item
+ */
+const getCatalogueItem = async (itemType, itemId) => {
+  const record = await getItemModel(itemType).findByPk(itemId);
+  return record ? toCatalogueItem(itemType, record) : null;
+};
+
+/**
+ * Resolve the items behind a list of cart or order lines with one query per item type
+ * @param {Array} lines - Cart or OrderItem rows
+ * @returns {Map} 'itemType:itemId' -> catalogue item
+ */
+const resolveLineItems = async (lines) => {
+  const idsByType = {};
+  lines.forEach((line) => {
+    const { itemType, itemId } = getLineItemRef(line);
+    if (!idsByType[itemType]) idsByType[itemType] = new Set();
+    idsByType[itemType].add(itemId);
+  });
+
+  const items = new Map();
+  for (const [itemType, ids] of Object.entries(idsByType)) {
+    const records = await getItemModel(itemType).findAll({ where: { id: { [Op.in]: [...ids] } } });
+    records.forEach(record => items.set(itemKey(itemType, record.id), toCatalogueItem(itemType, record)));
+  }
+  return items;
+};
+
+/**
+ * Lines with their catalogue item attached, ready for display
+ * @param {Array} lines - Cart or OrderItem rows
+ * @returns {Array} [{ line, itemType, itemId, name, typeLabel, price, quantity, subtotal, imageUrl, item }]
+ */
+const describeLines = async (lines) => {
+  const items = await resolveLineItems(lines);
+
+  return lines.map((line) => {
+    const { itemType, itemId } = getLineItemRef(line);
+    const item = items.get(itemKey(itemType, itemId)) || null;
+
+    return {
+      line,
+      itemType,
+      itemId,
+      name: item ? item.name : `${ITEM_TYPE_LABELS[itemType] || 'Item'} #${itemId} (no longer available)`,
+      typeLabel: ITEM_TYPE_LABELS[itemType],
+      price: line.price,
+      quantity: line.quantity,
+      subtotal: line.price * line.quantity,
+      imageUrl: item ? item.imageUrl : null,
+      item
+    };
+  });
+};
+
+/**
+ * Prescription-only items among a list of cart or order lines
+ * @param {Array} lines - Cart or OrderItem rows
+ * @returns {Array} Described lines (see describeLines) whose item requires a prescription
+ */
+const getPrescriptionOnlyLines = async (lines) => (
+  (await describeLines(lines)).filter(line => line.item && line.item.requiresPrescription)
+);
+
+module.exports = {
+  CATALOGUE_ITEM_TYPES,
+  ITEM_TYPE_LABELS,
+  getItemModel,
+  getLineItemRef,
+  buildLineItemFields,
+  getCatalogueItem,
+  resolveLineItems,
+  describeLines,
+  getPrescriptionOnlyLines
+};
@@ -0,0 +1,202 @@
+/**
+ * Delivery Service
+ * Delivery fees and estimated delivery times for orders:
+ * - Zones are a radius or polygon around a pharmacy location; typed addresses without a
+ *   shared location are matched on each zone's area names. Where zones overlap the
+ *   lowest priority number wins
+ * - Each zone has a base fee, an optional per-km fee, a free-delivery threshold and a
+ *   same-day cut-off time
+ * - With no zones configured delivery is free and no ETA is given. Typed addresses no zone
+ *   recognises get DELIVERY_DEFAULT_FEE / DELIVERY_DEFAULT_ETA_HOURS; shared locations
+ *   outside every zone are refused
+ */
+
+const { DeliveryZone, Address } = require('../models');
+const {
+  matchZone,
+  calculateDeliveryFee,
+  estimateDelivery,
+  formatDeliveryEta
+} = require('../utils/deliveryZones');
+
+const DELIVERY_TIMEZONE = process.env.DELIVERY_TIMEZONE || 'Africa/Lagos';
+const DELIVERY_DAY_START = process.env.DELIVERY_DAY_START || '08:00';
+const DEFAULT_FEE = process.env.DELIVERY_DEFAULT_FEE !== undefined && !isNaN(parseFloat(process.env.DELIVERY_DEFAULT_FEE))
+  ? parseFloat(process.env.DELIVERY_DEFAULT_FEE)
+  : 1500;
+const DEFAULT_ETA_HOURS = parseInt(process.env.DELIVERY_DEFAULT_ETA_HOURS, 10) || 48;
+
+const ZONE_FIELDS = [
+  'name', 'type', 'originName', 'centerLatitude', 'centerLongitude', 'radiusKm', 'polygon', 'areaKeywords',
+  'baseFee', 'feePerKm', 'freeDeliveryThreshold', 'cutoffTime', 'etaHours', 'priority', 'isActive'
+];
+
+// Required here rather than at the top: appointmentManagement -> refunds -> orderManagement -> delivery
+const offsetHours = () => {
+  const { TIMEZONES } = require('./appointmentManagement');
+  return (TIMEZONES[DELIVERY_TIMEZONE] || TIMEZONES['Africa/Lagos']).offset;
+};
+
+/**
+ * Estimated delivery time for chat messages, in the delivery timezone
+ * @param {Date} estimatedAt - Order.estimatedDeliveryAt
+ * @returns {string|null} e.g. "today by 17:00", or null when there is no estimate
+ */
+const formatEta = (estimatedAt) => (estimatedAt ? formatDeliveryEta(estimatedAt, offsetHours()) : null);
+
+/**
+ * Delivery fee and ETA for an address
+ * @param {Object} params
+ * @param {string} params.address - Address text
+ * @param {number} params.addressId - Saved address; its shared location is used when it has one
+ * @param {number} params.latitude - Location, when not using a saved address
+ * @param {number} params.longitude
+ * @param {number} params.subtotal - Value of the items
+ * @param {Date} params.placedAt - Order time (defaults to now)
+ * @returns {Object} { success, zone, fee, distanceKm, matchedBy, estimatedDeliveryAt, eta }
+ */
+const quoteDelivery = async (params) => {
+  const { address = null, addressId = null, subtotal = 0, placedAt = new Date() } = params;
+  try {
+    const zones = await DeliveryZone.findAll({
+      where: { isActive: true },
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    });
+    if (zones.length === 0) {
+      return { success: true, zone: null, fee: 0, distanceKm: null, matchedBy: null, estimatedDeliveryAt: null, eta: null };
+    }
+
+    const saved = addressId ? await Address.findByPk(addressId) : null;
+    const target = {
+      text: address || (saved ? saved.addressText : ''),
+      latitude: saved && saved.latitude != null ? saved.latitude : params.latitude,
+      longitude: saved && saved.longitude != null ? saved.longitude : params.longitude
+    };
+
+    let zone = null;
+    let match = null;
+    for (const candidate of zones) {
+      match = matchZone(candidate, target);
+      if (match) {
+        zone = candidate;
+        break;
+      }
+    }
+
+    if (!zone) {
+      if (target.latitude != null && target.longitude != null) {
+        const error = new Error("Sorry, we don't deliver to that location yet");
+        error.code = 'OUTSIDE_DELIVERY_AREA';
+        throw error;
+      }
+      const estimate = estimateDelivery({ etaHours: DEFAULT_ETA_HOURS }, placedAt, offsetHours(), DELIVERY_DAY_START);
+      return {
+        success: true,
+        zone: null,
+        fee: DEFAULT_FEE,
+        distanceKm: null,
+        matchedBy: null,
+        estimatedDeliveryAt: estimate.estimatedDeliveryAt,
+        eta: formatEta(estimate.estimatedDeliveryAt)
+      };
+    }
+
+    const estimate = estimateDelivery(zone, placedAt, offsetHours(), DELIVERY_DAY_START);
+    return {
+      success: true,
+      zone: { id: zone.id, name: zone.name, freeDeliveryThreshold: zone.freeDeliveryThreshold },
+      fee: calculateDeliveryFee(zone, subtotal, match.distanceKm),
+      distanceKm: match.distanceKm,
+      matchedBy: match.matchedBy,
+      estimatedDeliveryAt: estimate.estimatedDeliveryAt,
+      eta: formatEta(estimate.estimatedDeliveryAt)
+    };
+  } catch (error) {
+    console.error('Error quoting delivery:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'DELIVERY_QUOTE_FAILED'
+    };
+  }
+};
+
+const isNonNegative = (value) => value == null || (typeof value === 'number' && value >= 0);
+
+// Checks a zone with pending changes applied; throws on the first problem
+const validateZone = (zone) => {
+  if (!zone.name || !String(zone.name).trim()) throw new Error('Zone name is required');
+  if (!['Radius', 'Polygon'].includes(zone.type)) throw new Error('Zone type must be Radius or Polygon');
+  if (zone.type === 'Radius') {
+    if (typeof zone.centerLatitude !== 'number' || typeof zone.centerLongitude !== 'number') {
+      throw new Error('Radius zones need centerLatitude and centerLongitude');
+    }
+    if (typeof zone.radiusKm !== 'number' || zone.radiusKm <= 0) throw new Error('radiusKm must be greater than 0');
+  }
+  if (zone.type === 'Polygon') {
+    const valid = Array.isArray(zone.polygon) && zone.polygon.length >= 3 &&
+      zone.polygon.every(corner => Array.isArray(corner) && corner.length === 2 && corner.every(n => typeof n === 'number'));
+    if (!valid) throw new Error('Polygon zones need at least 3 corners as [latitude, longitude] pairs');
+  }
+  if (zone.areaKeywords != null && (!Array.isArray(zone.areaKeywords) || !zone.areaKeywords.every(k => typeof k === 'string'))) {
+    throw new Error('areaKeywords must be a list of area names');
+  }
+  if (!isNonNegative(zone.baseFee) || !isNonNegative(zone.feePerKm) || !isNonNegative(zone.freeDeliveryThreshold)) {
+    throw new Error('Fees and the free-delivery threshold cannot be negative');
+  }
+  if (zone.cutoffTime != null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(zone.cutoffTime)) {
+    throw new Error('cutoffTime must be HH:MM');
+  }
+  if (!Number.isInteger(zone.etaHours) || zone.etaHours <= 0) throw new Error('etaHours must be a whole number of hours');
+};
+
+const pickZoneFields = (data) => {
+  const values = {};
+  ZONE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) values[field] = data[field];
+  });
+  return values;
+};
+
+/**
+ * All delivery zones, in matching order
+ * @returns {Array} Zones
+ */
+const listDeliveryZones = async () => DeliveryZone.findAll({ order: [['priority', 'ASC'], ['id', 'ASC']] });
+
+/**
+ * Create a delivery zone
+ * @param {Object} data - Zone fields (see the DeliveryZone model)
+ * @returns {Object} Created zone
+ */
+const createDeliveryZone = async (data) => {
+  const values = { type: 'Radius', etaHours: 4, ...pickZoneFields(data || {}) };
+  validateZone(values);
+  return DeliveryZone.create(values);
+};
+
+/**
+ * Update a delivery zone
+ * @param {number} zoneId - Zone ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated zone
+ */
+const updateDeliveryZone = async (zoneId, data) => {
+  const zone = await DeliveryZone.findByPk(zoneId);
+  if (!zone) throw new Error('Delivery zone not found');
+
+  const values = pickZoneFields(data || {});
+  validateZone({ ...zone.get({ plain: true }), ...values });
+  await zone.update(values);
+  return zone;
+};
+
+module.exports = {
+  DELIVERY_TIMEZONE,
+  offsetHours,
+  formatEta,
+  quoteDelivery,
+  listDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone
+};
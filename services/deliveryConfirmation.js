@@ -0,0 +1,249 @@
+/**
+ * Delivery Confirmation Service
+ * Proof of delivery with a one-time code:
+ * - The customer gets a delivery code when their order goes out for delivery
+ * - The rider submits the code to mark the order Delivered; after
+ *   DELIVERY_CODE_MAX_ATTEMPTS wrong codes the order is locked until support steps in
+ * - Codes that could not be sent, wrong-code lockouts, failed deliveries and deliveries
+ *   still unconfirmed DELIVERY_CONFIRMATION_HOURS after the code went out become
+ *   delivery exceptions for the orders support team
+ */
+
+const { Op } = require('sequelize');
+const { Order, User, Rider, DeliveryException } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { generateOTP } = require('../utils/otp');
+const { notifySupportTeam } = require('./support');
+
+const MAX_CODE_ATTEMPTS = parseInt(process.env.DELIVERY_CODE_MAX_ATTEMPTS, 10) || 3;
+const CONFIRMATION_HOURS = parseFloat(process.env.DELIVERY_CONFIRMATION_HOURS) || 6;
+const CONFIRMATION_JOB_INTERVAL_MINUTES = parseInt(process.env.DELIVERY_CONFIRMATION_INTERVAL_MINUTES, 10) || 30;
+
+const EXCEPTION_LABELS = {
+  CodeNotSent: 'Delivery Code Not Sent',
+  CodeAttemptsExceeded: 'Wrong Delivery Codes',
+  ConfirmationMissing: 'Delivery Not Confirmed',
+  DeliveryFailed: 'Delivery Failed'
+};
+
+/**
+ * Open a delivery exception and alert the orders support team.
+ * An order has at most one open exception of each type.
+ * @param {Object} order - Order instance
+ * @param {string} type - CodeNotSent, CodeAttemptsExceeded, ConfirmationMissing or DeliveryFailed
+ * @param {Object} details - { riderId, ...anything useful to support }
+ * @returns {Object} The exception (existing one if already open)
+ */
+const raiseDeliveryException = async (order, type, details = {}) => {
+  const { riderId = null, ...info } = details;
+  const existing = await DeliveryException.findOne({ where: { orderId: order.id, type, status: 'Open' } });
+  if (existing) return existing;
+
+  const exception = await DeliveryException.create({ orderId: order.id, riderId, type, details: info });
+
+  const [user, rider] = await Promise.all([
+    User.findByPk(order.userId),
+    riderId ? Rider.findByPk(riderId) : null
+  ]);
+  await notifySupportTeam(user ? user.phoneNumber : 'unknown', 'orders', EXCEPTION_LABELS[type], {
+    exceptionId: exception.id,
+    orderId: order.id,
+    rider: rider ? `${rider.name} (${rider.phoneNumber})` : null,
+    ...info
+  });
+
+  return exception;
+};
+
+/**
+ * Send the customer the code for an order going out for delivery.
+ * A reassigned or resent order keeps its code unless a new one is requested.
+ * @param {Object} order - Order instance
+ * @param {Object} options - { riderId, regenerate }
+ * @returns {Object} Result; failure opens a CodeNotSent exception
+ */
+const issueDeliveryCode = async (order, options = {}) => {
+  const { riderId = null, regenerate = false } = options;
+  try {
+    if (order.deliveryConfirmedAt) {
+      throw new Error(`Order #${order.id} has already been confirmed as delivered`);
+    }
+
+    const code = order.deliveryCode && !regenerate ? order.deliveryCode : generateOTP();
+    await order.update({
+      deliveryCode: code,
+      deliveryCodeSentAt: new Date(),
+      deliveryCodeAttempts: regenerate ? 0 : order.deliveryCodeAttempts
+    });
+
+    const user = await User.findByPk(order.userId);
+    if (!user || !user.phoneNumber) throw new Error('Customer has no phone number');
+    const sent = await sendWhatsAppMessage(
+      user.phoneNumber,
+      `🔐 *Delivery Code: ${code}*\n\n` +
+      `Your order #${order.id} is out for delivery. Give this code to the rider only once you have your order - it confirms you received it.\n\n` +
+      `Don't share it with anyone else. Type 'where is my order' to see it again.`
+    );
+    if (sent && sent.permissionError) throw new Error('WhatsApp refused the message');
+
+    return { success: true, orderId: order.id };
+  } catch (error) {
+    console.error(`Error sending delivery code for order #${order.id}:`, error.message);
+    await raiseDeliveryException(order, 'CodeNotSent', { riderId, error: error.message })
+      .catch(raiseError => console.error('Could not raise delivery exception:', raiseError.message));
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'DELIVERY_CODE_NOT_SENT'
+    };
+  }
+};
+
+/**
+ * Check the code a rider submitted. Wrong codes count towards DELIVERY_CODE_MAX_ATTEMPTS;
+ * reaching it locks the order and opens a CodeAttemptsExceeded exception.
+ * Does not change the order status - pass the returned confirmation to the Delivered transition.
+ * @param {Object} order - Order instance
+ * @param {string} code - Code from the rider
+ * @param {Object} context - { riderId, confirmedBy }
+ * @returns {Object} { success, confirmation: { deliveryConfirmedAt, deliveryConfirmedBy } } or failure with attemptsLeft
+ */
+const checkDeliveryCode = async (order, code, context = {}) => {
+  const { riderId = null, confirmedBy } = context;
+  try {
+    if (!order.deliveryCode) {
+      const error = new Error(`The customer hasn't been sent a delivery code for order #${order.id} yet`);
+      error.code = 'DELIVERY_CODE_NOT_ISSUED';
+      throw error;
+    }
+    if (order.deliveryCodeAttempts >= MAX_CODE_ATTEMPTS) {
+      const error = new Error(`Too many wrong codes for order #${order.id}. Our support team has been alerted and will contact you`);
+      error.code = 'DELIVERY_CODE_LOCKED';
+      throw error;
+    }
+    if (!code) {
+      const error = new Error(`Ask the customer for their delivery code, then send: delivered ${order.id} <code>`);
+      error.code = 'DELIVERY_CODE_REQUIRED';
+      throw error;
+    }
+
+    if (String(code).trim() !== order.deliveryCode) {
+      await order.increment('deliveryCodeAttempts');
+      await order.reload();
+      const attemptsLeft = Math.max(0, MAX_CODE_ATTEMPTS - order.deliveryCodeAttempts);
+      if (attemptsLeft === 0) {
+        await raiseDeliveryException(order, 'CodeAttemptsExceeded', { riderId, attempts: order.deliveryCodeAttempts });
+      }
+      const error = new Error(attemptsLeft > 0
+        ? `That code is not correct. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left`
+        : `That code is not correct. Order #${order.id} is locked and our support team has been alerted`);
+      error.code = 'DELIVERY_CODE_INVALID';
+      error.attemptsLeft = attemptsLeft;
+      throw error;
+    }
+
+    return {
+      success: true,
+      confirmation: { deliveryConfirmedAt: new Date(), deliveryConfirmedBy: confirmedBy }
+    };
+  } catch (error) {
+    console.error(`Delivery code check failed for order #${order.id}:`, error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'DELIVERY_CODE_CHECK_FAILED',
+      attemptsLeft: error.attemptsLeft
+    };
+  }
+};
+
+/**
+ * Open a ConfirmationMissing exception for orders out for delivery whose code went out
+ * more than DELIVERY_CONFIRMATION_HOURS ago without being confirmed.
+ * Orders support already knows about from a failed delivery are left alone.
+ * @returns {Object} { raised }
+ */
+const runDeliveryConfirmationCheck = async () => {
+  const cutoff = new Date(Date.now() - CONFIRMATION_HOURS * 60 * 60 * 1000);
+  const overdue = await Order.findAll({
+    where: {
+      status: 'OutForDelivery',
+      deliveryConfirmedAt: null,
+      deliveryCodeSentAt: { [Op.lte]: cutoff }
+    }
+  });
+
+  let raised = 0;
+  for (const order of overdue) {
+    const open = await DeliveryException.count({ where: { orderId: order.id, type: ['ConfirmationMissing', 'DeliveryFailed'], status: 'Open' } });
+    if (open > 0) continue;
+    await raiseDeliveryException(order, 'ConfirmationMissing', { codeSentAt: order.deliveryCodeSentAt });
+    raised++;
+  }
+  return { raised };
+};
+
+/**
+ * Delivery exceptions for the admin API, oldest first
+ * @param {Object} filters - { status (default Open), type, orderId }
+ * @returns {Array} Exceptions with their order and rider
+ */
+const listDeliveryExceptions = async (filters = {}) => {
+  const where = { status: filters.status || 'Open' };
+  if (filters.type) where.type = filters.type;
+  if (filters.orderId) where.orderId = filters.orderId;
+  return DeliveryException.findAll({
+    where,
+    include: [Order, Rider],
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Resolve a delivery exception
+ * @param {number} id - Exception ID
+ * @param {Object} resolution - { notes, resolvedBy, action }
+ *   action 'resendCode': send the customer a new code and reset wrong attempts
+ *   action 'confirmDelivered': support confirmed the delivery with the customer; marks the order Delivered
+ * @returns {Object} Resolved exception
+ */
+const resolveDeliveryException = async (id, resolution = {}) => {
+  const { notes, resolvedBy = null, action = null } = resolution;
+  const exception = await DeliveryException.findByPk(id);
+  if (!exception) throw new Error('Delivery exception not found');
+  if (exception.status !== 'Open') throw new Error(`Delivery exception is already ${exception.status}`);
+  if (!notes) throw new Error('Resolution notes are required');
+
+  const order = await Order.findByPk(exception.orderId);
+  if (action === 'resendCode') {
+    if (order.status !== 'OutForDelivery') throw new Error(`Order #${order.id} is ${order.status}, not out for delivery`);
+    const sent = await issueDeliveryCode(order, { riderId: exception.riderId, regenerate: true });
+    if (!sent.success) throw new Error(sent.error);
+  } else if (action === 'confirmDelivered') {
+    // Required lazily: the dispatch service depends on this module
+    const { confirmDeliveryBySupport } = require('./dispatch');
+    const confirmed = await confirmDeliveryBySupport(order.id, resolvedBy || 'admin');
+    if (!confirmed.success) throw new Error(confirmed.error);
+  } else if (action) {
+    throw new Error('action must be resendCode or confirmDelivered');
+  }
+
+  await exception.update({
+    status: 'Resolved',
+    resolutionNotes: notes,
+    resolvedBy,
+    resolvedAt: new Date()
+  });
+
+  return exception;
+};
+
+module.exports = {
+  CONFIRMATION_JOB_INTERVAL_MINUTES,
+  raiseDeliveryException,
+  issueDeliveryCode,
+  checkDeliveryCode,
+  runDeliveryConfirmationCheck,
+  listDeliveryExceptions,
+  resolveDeliveryException
+};
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { DiagnosticTest, DiagnosticBooking, User } = require('../models');
 const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { requestRefund } = require('./refunds');
+const { searchCatalogue } = require('./search');
 
 // Drugs.ng API client with timeout
 const drugsngAPI = axios.create({
@@ -30,17 +32,8 @@ const searchDiagnosticTests = async (query) => {
       console.warn('Could not fetch from Drugs.ng API, using local database:', apiError.message);
     }
 
-    // Fallback to local database
-    const tests = await DiagnosticTest.findAll({
-      where: {
-        isActive: true,
-        [require('sequelize').Op.or]: [
-          { name: { [require('sequelize').Op.iLike]: `%${query}%` } },
-          { category: { [require('sequelize').Op.iLike]: `%${query}%` } },
-          { description: { [require('sequelize').Op.iLike]: `%${query}%` } }
-        ]
-      }
-    });
+    // Fallback to local database - ranked catalogue search
+    const tests = await searchCatalogue(query, { types: ['DiagnosticTest'], limit: 20 });
 
     return tests;
   } catch (error) {
@@ -196,11 +189,67 @@ const updateDiagnosticBookingStatus = async (bookingId, status, paymentStatus =
   }
 };
 
+// Cancel a diagnostic booking and refund it if it was paid for
+// options: { userId } to only allow the booking's owner, { changedBy, reason }, { refund: false } to skip the refund
+const cancelDiagnosticBooking = async (bookingId, options = {}) => {
+  const { userId = null, changedBy = userId ? `customer:${userId}` : 'system', reason = 'Diagnostic booking cancelled', refund = true } = options;
+
+  try {
+    const booking = await DiagnosticBooking.findByPk(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (userId && booking.userId !== userId) {
+      throw new Error('Unauthorized: You can only cancel your own bookings');
+    }
+
+    if (booking.status === 'Cancelled') {
+      throw new Error('Booking is already cancelled');
+    }
+
+    if (booking.status === 'Completed') {
+      throw new Error('Cannot cancel a completed booking');
+    }
+
+    // Only one of two cancellations racing each other gets to refund
+    const [cancelled] = await DiagnosticBooking.update(
+      { status: 'Cancelled' },
+      { where: { id: booking.id, status: booking.status } }
+    );
+    if (!cancelled) {
+      throw new Error('Booking was changed by someone else - please try again');
+    }
+    await booking.reload();
+
+    let refundResult = null;
+    if (refund && ['Paid', 'PartiallyRefunded'].includes(booking.paymentStatus)) {
+      refundResult = await requestRefund('DiagnosticBooking', booking.id, { reason, requestedBy: changedBy });
+      if (!refundResult.success) {
+        console.warn(`Diagnostic booking ${booking.id} cancelled but refund failed: ${refundResult.error}`);
+      }
+    }
+
+    return {
+      success: true,
+      message: refundResult && refundResult.success
+        ? `Booking cancelled. Refund of ₦${refundResult.amount.toFixed(2)} initiated.`
+        : 'Booking cancelled',
+      booking,
+      refund: refundResult
+    };
+  } catch (error) {
+    console.error('Error cancelling diagnostic booking:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   searchDiagnosticTests,
   getDiagnosticCategories,
   bookDiagnosticTest,
   getUserDiagnosticBookings,
   getDiagnosticBookingDetails,
-  updateDiagnosticBookingStatus
+  updateDiagnosticBookingStatus,
+  cancelDiagnosticBooking
 };
@@ -0,0 +1,642 @@
+/**
+ * Dispatch Service
+ * Riders and the deliveries handed to them:
+ * - Admins assign packed orders to riders (reassigning closes the earlier assignment)
+ * - Riders update each delivery from their own WhatsApp number: picked up, on the way,
+ *   delivered or failed. Each step moves the order along (Dispatched, OutForDelivery,
+ *   Delivered) through the order state machine. Delivered needs the customer's delivery
+ *   code (services/deliveryConfirmation.js); a failed delivery sends the order back to
+ *   Packed so it can be assigned again
+ * - Customers get a WhatsApp message at every step, and "where is my order" shows the
+ *   rider and the location they last shared
+ */
+
+const { Op } = require('sequelize');
+const { Rider, DeliveryAssignment, Order, OrderItem, User, Address, sequelize } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
+const { transitionOrderStatus } = require('./orderManagement');
+const { formatEta } = require('./delivery');
+const { describeLines } = require('./catalogue');
+const { getOrderPickupBranches, markOrderCollected } = require('./fulfilment');
+const { issueDeliveryCode, checkDeliveryCode, raiseDeliveryException } = require('./deliveryConfirmation');
+const { isValidPhoneNumber, normalizePhoneNumber } = require('../utils/validation');
+const { distanceKm } = require('../utils/deliveryZones');
+
+const OPEN_ASSIGNMENT_STATUSES = ['Assigned', 'PickedUp', 'EnRoute'];
+const ASSIGNABLE_ORDER_STATUSES = ['Packed', 'Dispatched', 'Shipped', 'OutForDelivery'];
+const RIDER_FIELDS = ['name', 'phoneNumber', 'vehicle', 'status', 'isActive'];
+const VEHICLES = ['Motorbike', 'Bicycle', 'Car', 'Van'];
+const RIDER_STATUSES = ['Available', 'OnDelivery', 'Offline'];
+
+// Locations older than this are not shown to customers as "live"
+const LIVE_LOCATION_MINUTES = parseInt(process.env.RIDER_LOCATION_STALE_MINUTES, 10) || 30;
+
+// What each rider update does: which assignment states it may follow, the assignment
+// state and timestamp it sets, and the order status it moves the order to
+// (a failed delivery returns the order to the pharmacy rather than moving it along)
+const RIDER_ACTIONS = {
+  pickup: { from: ['Assigned'], status: 'PickedUp', timestamp: 'pickedUpAt', orderStatus: 'Dispatched' },
+  enroute: { from: ['Assigned', 'PickedUp'], status: 'EnRoute', timestamp: 'enRouteAt', orderStatus: 'OutForDelivery' },
+  delivered: { from: ['EnRoute'], status: 'Delivered', timestamp: 'completedAt', orderStatus: 'Delivered' },
+  failed: { from: OPEN_ASSIGNMENT_STATUSES, status: 'Failed', timestamp: 'completedAt', orderStatus: 'Packed' }
+};
+
+// Delivery codes are four digits (utils/otp.js)
+const DELIVERY_CODE_PATTERN = /^\d{4}$/;
+
+// Order statuses a delivery passes through, in order; legacy 'Shipped' counts as Dispatched
+const DELIVERY_PATH = ['Packed', 'Dispatched', 'OutForDelivery', 'Delivered'];
+
+const ASSIGNMENT_LABELS = {
+  Assigned: 'Rider assigned',
+  PickedUp: 'Picked up',
+  EnRoute: 'On the way',
+  Delivered: 'Delivered',
+  Failed: 'Delivery attempt failed',
+  Cancelled: 'Reassigned'
+};
+
+// Riders are matched on the number WhatsApp reports: digits only, with the country code
+const toWhatsAppNumber = (phoneNumber) => normalizePhoneNumber(String(phoneNumber)).replace(/^\+/, '');
+
+const describeRider = (rider) => ({
+  id: rider.id,
+  name: rider.name,
+  phoneNumber: rider.phoneNumber,
+  vehicle: rider.vehicle,
+  status: rider.status,
+  isActive: rider.isActive,
+  lastLatitude: rider.lastLatitude,
+  lastLongitude: rider.lastLongitude,
+  lastLocationAt: rider.lastLocationAt
+});
+
+const findRiderByPhone = (phoneNumber) => Rider.findOne({ where: { phoneNumber, isActive: true } });
+
+const getOpenAssignment = (orderId, options = {}) => DeliveryAssignment.findOne({
+  where: { orderId, status: OPEN_ASSIGNMENT_STATUSES },
+  order: [['assignedAt', 'DESC']],
+  ...options
+});
+
+// A rider with no deliveries left goes back to Available (unless they went off duty)
+const refreshRiderStatus = async (riderId) => {
+  const rider = await Rider.findByPk(riderId);
+  if (!rider || rider.status === 'Offline') return;
+  const open = await DeliveryAssignment.count({ where: { riderId, status: OPEN_ASSIGNMENT_STATUSES } });
+  const status = open > 0 ? 'OnDelivery' : 'Available';
+  if (rider.status !== status) await rider.update({ status });
+};
+
+/**
+ * Move an order along the delivery path up to a status, one allowed step at a time
+ * (e.g. a rider who taps "On my way" without "Picked up" takes a Packed order through Dispatched)
+ * @param {Object} order - Order instance
+ * @param {string} target - Dispatched, OutForDelivery or Delivered
+ * @param {Object} options - Passed to transitionOrderStatus
+ * @returns {Object} Last transition result
+ */
+const advanceOrder = async (order, target, options) => {
+  const current = DELIVERY_PATH.indexOf(order.status === 'Shipped' ? 'Dispatched' : order.status);
+  const targetIndex = DELIVERY_PATH.indexOf(target);
+  if (current === -1) {
+    return { success: false, error: `Order #${order.id} is ${order.status} and cannot be delivered`, errorCode: 'INVALID_TRANSITION' };
+  }
+
+  let result = { success: true, order, changed: false };
+  for (let step = current + 1; step <= targetIndex; step++) {
+    result = await transitionOrderStatus(order.id, DELIVERY_PATH[step], options);
+    if (!result.success) return result;
+  }
+  return result;
+};
+
+/**
+ * Send an order back to Packed after a failed delivery so it can be assigned again.
+ * The code sent to the customer is withdrawn; the next trip out issues a new one.
+ * @param {Object} order - Order instance
+ * @param {Object} options - Passed to transitionOrderStatus
+ * @returns {Object} Transition result
+ */
+const returnOrderToPharmacy = async (order, options) => {
+  if (order.status === 'Packed') {
+    return { success: true, order, changed: false };
+  }
+  return transitionOrderStatus(order.id, 'Packed', {
+    ...options,
+    updates: { deliveryCode: null, deliveryCodeSentAt: null, deliveryCodeAttempts: 0 }
+  });
+};
+
+const notifyCustomer = async (order, message) => {
+  try {
+    const user = await User.findByPk(order.userId);
+    if (!user || !user.phoneNumber) return false;
+    await sendWhatsAppMessage(user.phoneNumber, message);
+    return true;
+  } catch (error) {
+    console.error(`Could not send delivery update for order #${order.id}:`, error.message);
+    return false;
+  }
+};
+
+const sendRiderJob = async (rider, order) => {
+  const [user, lines] = await Promise.all([
+    User.findByPk(order.userId),
+    describeLines(await OrderItem.findAll({ where: { orderId: order.id } }))
+  ]);
+  const address = order.addressId ? await Address.findByPk(order.addressId) : null;
+  const branches = await getOrderPickupBranches(order.id);
+
+  let message = `🛵 *New Delivery: Order #${order.id}*\n\n`;
+  if (branches.length > 0) {
+    message += `*Collect from:*\n${branches.map(b => `• ${b.name}, ${b.address}${b.phoneNumber ? ` (${b.phoneNumber})` : ''}`).join('\n')}\n\n`;
+  }
+  message += `Customer: ${user ? `${user.name} (${user.phoneNumber})` : 'Unknown'}\n`;
+  message += `Address: ${order.shippingAddress}\n`;
+  if (address && address.phoneNumber) message += `Contact on site: ${address.phoneNumber}\n`;
+  message += `\n*Items:*\n${lines.map(line => `• ${line.name} x${line.quantity}`).join('\n')}\n`;
+  if (order.paymentMethod === 'Cash on Delivery' && order.paymentStatus !== 'Paid') {
+    message += `\n💵 Collect ₦${Number(order.totalAmount).toLocaleString()} on delivery\n`;
+  }
+  message += `\nTap *Picked up* when you collect the order, or type 'help' for rider commands.`;
+
+  try {
+    await sendInteractiveMessage(rider.phoneNumber, message, [
+      { id: `rider_pickup_${order.id}`, title: '📦 Picked up' }
+    ]);
+    if (address && address.latitude != null && address.longitude != null) {
+      await sendWhatsAppMessage(rider.phoneNumber, `📍 Drop-off pin: https://maps.google.com/?q=${address.latitude},${address.longitude}`);
+    }
+  } catch (error) {
+    console.error(`Could not send order #${order.id} to rider ${rider.id}:`, error.message);
+  }
+};
+
+const validateRider = (rider) => {
+  if (!rider.name || !String(rider.name).trim()) throw new Error('Rider name is required');
+  if (!rider.phoneNumber || !isValidPhoneNumber(String(rider.phoneNumber))) throw new Error('A valid rider phone number is required');
+  if (rider.vehicle !== undefined && !VEHICLES.includes(rider.vehicle)) throw new Error(`vehicle must be one of: ${VEHICLES.join(', ')}`);
+  if (rider.status !== undefined && !RIDER_STATUSES.includes(rider.status)) throw new Error(`status must be one of: ${RIDER_STATUSES.join(', ')}`);
+};
+
+const pickRiderFields = (data) => {
+  const values = {};
+  RIDER_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) values[field] = data[field];
+  });
+  return values;
+};
+
+/**
+ * Riders, optionally filtered by status
+ * @param {Object} filters - { status, includeInactive }
+ * @returns {Array} Riders with their open deliveries
+ */
+const listRiders = async (filters = {}) => {
+  const where = {};
+  if (filters.status) where.status = filters.status;
+  if (!filters.includeInactive) where.isActive = true;
+
+  const riders = await Rider.findAll({ where, order: [['name', 'ASC']] });
+  const open = await DeliveryAssignment.findAll({
+    where: { riderId: riders.map(r => r.id), status: OPEN_ASSIGNMENT_STATUSES },
+    attributes: ['riderId', 'orderId', 'status']
+  });
+  return riders.map(rider => ({
+    ...describeRider(rider),
+    deliveries: open.filter(a => a.riderId === rider.id).map(a => ({ orderId: a.orderId, status: a.status }))
+  }));
+};
+
+/**
+ * Add a rider
+ * @param {Object} data - { name, phoneNumber, vehicle }
+ * @returns {Object} Created rider
+ */
+const createRider = async (data) => {
+  const values = pickRiderFields(data || {});
+  validateRider(values);
+  values.phoneNumber = toWhatsAppNumber(values.phoneNumber);
+  if (await Rider.findOne({ where: { phoneNumber: values.phoneNumber } })) {
+    throw new Error('A rider with this phone number already exists');
+  }
+  return Rider.create(values);
+};
+
+/**
+ * Update a rider. Deactivating a rider with open deliveries is refused - reassign them first.
+ * @param {number} riderId - Rider ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated rider
+ */
+const updateRider = async (riderId, data) => {
+  const rider = await Rider.findByPk(riderId);
+  if (!rider) throw new Error('Rider not found');
+
+  const values = pickRiderFields(data || {});
+  validateRider({ ...describeRider(rider), ...values });
+  if (values.phoneNumber) values.phoneNumber = toWhatsAppNumber(values.phoneNumber);
+  if (values.isActive === false) {
+    const open = await DeliveryAssignment.count({ where: { riderId, status: OPEN_ASSIGNMENT_STATUSES } });
+    if (open > 0) throw new Error(`Rider has ${open} open deliveries - reassign them first`);
+  }
+  await rider.update(values);
+  return rider;
+};
+
+/**
+ * Hand an order to a rider. The rider gets the job on WhatsApp and the customer is told who is coming.
+ * @param {number} orderId - Order ID (Packed or already on its way)
+ * @param {number} riderId - Rider ID
+ * @param {Object} options - { assignedBy }
+ * @returns {Object} The new assignment
+ */
+const assignOrder = async (orderId, riderId, options = {}) => {
+  const { assignedBy = 'system' } = options;
+
+  // The order row lock makes concurrent assigns for the same order take turns,
+  // so only one of them sees no open assignment and creates one
+  const { order, rider, previous, assignment } = await sequelize.transaction(async (transaction) => {
+    const locked = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!locked) throw new Error('Order not found');
+    if (!ASSIGNABLE_ORDER_STATUSES.includes(locked.status)) {
+      throw new Error(`Order #${locked.id} is ${locked.status}; only packed orders can be assigned to a rider`);
+    }
+
+    const rider = await Rider.findByPk(riderId, { transaction });
+    if (!rider || !rider.isActive) throw new Error('Rider not found');
+    if (rider.status === 'Offline') throw new Error(`${rider.name} is off duty`);
+
+    const open = await getOpenAssignment(locked.id, { transaction });
+    if (open && open.riderId === rider.id) {
+      throw new Error(`Order #${locked.id} is already assigned to ${rider.name}`);
+    }
+    if (open) {
+      await open.update({ status: 'Cancelled', completedAt: new Date(), notes: `Reassigned to ${rider.name} by ${assignedBy}` }, { transaction });
+    }
+
+    const created = await DeliveryAssignment.create({
+      orderId: locked.id,
+      riderId: rider.id,
+      assignedBy,
+      // An order already on its way keeps its progress with the new rider
+      status: open && open.status !== 'Assigned' ? 'PickedUp' : 'Assigned',
+      pickedUpAt: open ? open.pickedUpAt : null
+    }, { transaction });
+
+    return { order: locked, rider, previous: open, assignment: created };
+  });
+
+  if (previous) {
+    await refreshRiderStatus(previous.riderId);
+    const previousRider = await Rider.findByPk(previous.riderId);
+    if (previousRider) {
+      await sendWhatsAppMessage(previousRider.phoneNumber, `ℹ️ Order #${order.id} has been reassigned to another rider. You no longer need to deliver it.`)
+        .catch(error => console.error(`Could not tell rider ${previousRider.id} about reassignment:`, error.message));
+    }
+  }
+  await rider.update({ status: 'OnDelivery' });
+
+  await sendRiderJob(rider, order);
+  await notifyCustomer(order,
+    `🛵 *Rider Assigned*\n\n${rider.name} will deliver your order #${order.id}` +
+    `${rider.vehicle ? ` by ${rider.vehicle.toLowerCase()}` : ''}.\n` +
+    `Rider's phone: ${rider.phoneNumber}\n\n` +
+    `Type 'where is my order' any time for a live update.`
+  );
+
+  return assignment;
+};
+
+/**
+ * Orders waiting for a rider and deliveries in progress
+ * @returns {Object} { unassigned: packed orders without a rider, active: open assignments with rider and order }
+ */
+const getDispatchBoard = async () => {
+  const active = await DeliveryAssignment.findAll({
+    where: { status: OPEN_ASSIGNMENT_STATUSES },
+    include: [Rider, Order],
+    order: [['assignedAt', 'ASC']]
+  });
+  const unassigned = await Order.findAll({
+    where: {
+      status: ASSIGNABLE_ORDER_STATUSES,
+      id: { [Op.notIn]: active.length ? active.map(a => a.orderId) : [0] }
+    },
+    order: [['updatedAt', 'ASC']]
+  });
+  return { unassigned, active };
+};
+
+/**
+ * Record a rider's update on a delivery and tell the customer
+ * @param {string} riderPhone - Rider's WhatsApp number
+ * @param {number|null} orderId - Order ID; may be left out when the rider has one open delivery.
+ *   For 'delivered', a four-digit number that isn't one of the rider's orders is taken as the code
+ * @param {string} action - pickup, enroute, delivered or failed
+ * @param {Object} details - { code } the customer's delivery code, { reason } for failed deliveries
+ * @returns {Object} Result with a message for the rider
+ */
+const recordRiderUpdate = async (riderPhone, orderId, action, details = {}) => {
+  try {
+    const step = RIDER_ACTIONS[action];
+    if (!step) throw new Error(`Unknown delivery update: ${action}`);
+
+    const rider = await findRiderByPhone(riderPhone);
+    if (!rider) throw new Error('You are not registered as a rider');
+
+    let assignment = null;
+    if (orderId) {
+      assignment = await DeliveryAssignment.findOne({ where: { orderId, riderId: rider.id, status: OPEN_ASSIGNMENT_STATUSES } });
+      // "delivered 4821" leaves out the order number: a code-shaped number that isn't one
+      // of the rider's orders is the customer's code
+      if (!assignment && action === 'delivered' && !details.code && DELIVERY_CODE_PATTERN.test(String(orderId))) {
+        details = { ...details, code: String(orderId) };
+      } else if (!assignment) {
+        throw new Error(`Order #${orderId} is not one of your open deliveries`);
+      }
+    }
+    if (!assignment) {
+      const open = await DeliveryAssignment.findAll({ where: { riderId: rider.id, status: OPEN_ASSIGNMENT_STATUSES } });
+      if (open.length !== 1) {
+        const error = new Error(open.length === 0 ? 'You have no open deliveries' : 'You have several deliveries - please include the order number, e.g. "delivered 123 4821"');
+        error.code = open.length === 0 ? 'NO_OPEN_DELIVERIES' : 'ORDER_ID_REQUIRED';
+        throw error;
+      }
+      assignment = open[0];
+    }
+
+    if (assignment.status === step.status) {
+      return { success: true, changed: false, orderId: assignment.orderId, message: `Order #${assignment.orderId} is already marked ${ASSIGNMENT_LABELS[step.status].toLowerCase()}.` };
+    }
+    if (!step.from.includes(assignment.status)) {
+      const error = new Error(`Order #${assignment.orderId} is ${ASSIGNMENT_LABELS[assignment.status].toLowerCase()} - it can't be marked ${ASSIGNMENT_LABELS[step.status].toLowerCase()} yet`);
+      error.code = 'INVALID_DELIVERY_UPDATE';
+      throw error;
+    }
+
+    const order = await Order.findByPk(assignment.orderId);
+
+    // The customer's delivery code is the proof of delivery
+    let confirmation = {};
+    if (action === 'delivered') {
+      const check = await checkDeliveryCode(order, details.code, { riderId: rider.id, confirmedBy: `rider:${rider.phoneNumber}` });
+      if (!check.success) {
+        const error = new Error(check.error);
+        error.code = check.errorCode;
+        throw error;
+      }
+      confirmation = check.confirmation;
+    }
+
+    if (step.orderStatus) {
+      const transition = {
+        changedBy: `rider:${rider.phoneNumber}`,
+        reason: ASSIGNMENT_LABELS[step.status],
+        metadata: { assignmentId: assignment.id, riderId: rider.id },
+        updates: confirmation
+      };
+      const moved = action === 'failed'
+        ? await returnOrderToPharmacy(order, transition)
+        : await advanceOrder(order, step.orderStatus, transition);
+      if (!moved.success) {
+        const error = new Error(moved.error);
+        error.code = moved.errorCode;
+        throw error;
+      }
+    }
+
+    const now = new Date();
+    const updates = { status: step.status, [step.timestamp]: now };
+    if (step.status === 'EnRoute' && !assignment.pickedUpAt) updates.pickedUpAt = now;
+    if (action === 'failed') updates.notes = details.reason || 'No reason given';
+    await assignment.update(updates);
+    await refreshRiderStatus(rider.id);
+    await order.reload();
+
+    let riderMessage;
+    let customerMessage;
+    let buttons = null;
+    switch (action) {
+      case 'pickup':
+        await markOrderCollected(order.id);
+        riderMessage = `📦 Order #${order.id} picked up. Tap *On my way* when you set off.`;
+        buttons = [{ id: `rider_enroute_${order.id}`, title: '🛵 On my way' }];
+        customerMessage = `📦 ${rider.name} has picked up your order #${order.id} from the pharmacy.`;
+        break;
+      case 'enroute': {
+        const codeSent = await issueDeliveryCode(order, { riderId: rider.id });
+        riderMessage = `🛵 Order #${order.id} is on its way. Share your location now and then so the customer can follow you.\n\n` +
+          (codeSent.success
+            ? `When you hand it over, ask the customer for their delivery code and send: delivered ${order.id} <code>`
+            : `⚠️ We couldn't send the customer their delivery code. Our support team has been alerted and will help you confirm the delivery.`);
+        const eta = formatEta(order.estimatedDeliveryAt);
+        customerMessage = `🛵 *On the Way*\n\n${rider.name} is on the way with your order #${order.id}.` +
+          `${eta ? `\nEstimated delivery: ${eta}` : ''}\nRider's phone: ${rider.phoneNumber}\n\n` +
+          `Type 'where is my order' for a live update.`;
+        break;
+      }
+      case 'delivered':
+        riderMessage = `✅ Order #${order.id} marked delivered. Thank you!`;
+        customerMessage = `✅ *Order Delivered*\n\nYour order #${order.id} has been delivered by ${rider.name}. Thank you for choosing Drugs.ng!\n\nSomething wrong with your order? Type 'support' to chat with our team.`;
+        break;
+      default:
+        await raiseDeliveryException(order, 'DeliveryFailed', { riderId: rider.id, assignmentId: assignment.id, reason: updates.notes });
+        riderMessage = `⚠️ Failed delivery recorded for order #${order.id}. Please return the order to the pharmacy.`;
+        customerMessage = `⚠️ ${rider.name} couldn't deliver your order #${order.id}` +
+          `${details.reason ? ` (${details.reason})` : ''}.\n\nOur team will contact you to arrange another delivery. Type 'support' if you need help now.`;
+    }
+
+    await notifyCustomer(order, customerMessage);
+    return { success: true, changed: true, orderId: order.id, status: step.status, message: riderMessage, buttons };
+  } catch (error) {
+    console.error('Error recording rider update:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'RIDER_UPDATE_FAILED'
+    };
+  }
+};
+
+/**
+ * Mark an order delivered without the customer's code, once support has confirmed the
+ * delivery with the customer (resolving a delivery exception)
+ * @param {number} orderId - Order ID
+ * @param {string} confirmedBy - e.g. admin:jane@drugs.ng
+ * @returns {Object} Transition result
+ */
+const confirmDeliveryBySupport = async (orderId, confirmedBy) => {
+  const order = await Order.findByPk(orderId);
+  if (!order) return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+
+  const result = await advanceOrder(order, 'Delivered', {
+    changedBy: confirmedBy,
+    reason: 'Delivery confirmed by support',
+    updates: { deliveryConfirmedAt: new Date(), deliveryConfirmedBy: confirmedBy }
+  });
+  if (!result.success) return result;
+
+  const assignment = await getOpenAssignment(order.id);
+  if (assignment) {
+    await assignment.update({ status: 'Delivered', completedAt: new Date(), notes: `Confirmed by ${confirmedBy}` });
+    await refreshRiderStatus(assignment.riderId);
+  }
+  await notifyCustomer(order, `✅ *Order Delivered*\n\nYour order #${order.id} has been marked as delivered. Thank you for choosing Drugs.ng!\n\nSomething wrong with your order? Type 'support' to chat with our team.`);
+  return result;
+};
+
+/**
+ * Store the location a rider shared on WhatsApp
+ * @param {string} riderPhone - Rider's WhatsApp number
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Object} Result with the number of open deliveries the location applies to
+ */
+const recordRiderLocation = async (riderPhone, latitude, longitude) => {
+  try {
+    const rider = await findRiderByPhone(riderPhone);
+    if (!rider) throw new Error('You are not registered as a rider');
+    await rider.update({ lastLatitude: latitude, lastLongitude: longitude, lastLocationAt: new Date() });
+    const open = await DeliveryAssignment.count({ where: { riderId: rider.id, status: OPEN_ASSIGNMENT_STATUSES } });
+    return { success: true, openDeliveries: open };
+  } catch (error) {
+    console.error('Error recording rider location:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RIDER_LOCATION_FAILED'
+    };
+  }
+};
+
+/**
+ * A rider's open deliveries, oldest first
+ * @param {string} riderPhone - Rider's WhatsApp number
+ * @returns {Object} Result with { orderId, status, shippingAddress, customerPhone }
+ */
+const getRiderDeliveries = async (riderPhone) => {
+  try {
+    const rider = await findRiderByPhone(riderPhone);
+    if (!rider) throw new Error('You are not registered as a rider');
+    const assignments = await DeliveryAssignment.findAll({
+      where: { riderId: rider.id, status: OPEN_ASSIGNMENT_STATUSES },
+      include: [{ model: Order, include: [User] }],
+      order: [['assignedAt', 'ASC']]
+    });
+    return {
+      success: true,
+      rider: describeRider(rider),
+      deliveries: assignments.map(a => ({
+        orderId: a.orderId,
+        status: a.status,
+        statusLabel: ASSIGNMENT_LABELS[a.status],
+        shippingAddress: a.Order.shippingAddress,
+        customerPhone: a.Order.User ? a.Order.User.phoneNumber : null
+      }))
+    };
+  } catch (error) {
+    console.error('Error fetching rider deliveries:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RIDER_DELIVERIES_FAILED'
+    };
+  }
+};
+
+/**
+ * Set a rider on or off duty. Riders with open deliveries stay on duty.
+ * @param {string} riderPhone - Rider's WhatsApp number
+ * @param {boolean} onDuty
+ * @returns {Object} Result with the rider's status
+ */
+const setRiderDuty = async (riderPhone, onDuty) => {
+  try {
+    const rider = await findRiderByPhone(riderPhone);
+    if (!rider) throw new Error('You are not registered as a rider');
+    if (!onDuty) {
+      const open = await DeliveryAssignment.count({ where: { riderId: rider.id, status: OPEN_ASSIGNMENT_STATUSES } });
+      if (open > 0) throw new Error(`You still have ${open} open deliveries`);
+      await rider.update({ status: 'Offline' });
+    } else {
+      await rider.update({ status: 'Available' });
+      await refreshRiderStatus(rider.id);
+    }
+    return { success: true, status: rider.status };
+  } catch (error) {
+    console.error('Error changing rider duty:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'RIDER_DUTY_FAILED'
+    };
+  }
+};
+
+/**
+ * The customer's order that is currently being delivered, or the latest one being prepared
+ * @param {number} userId - Customer
+ * @returns {Object|null} Order
+ */
+const getActiveDeliveryOrder = async (userId) => Order.findOne({
+  where: { userId, status: ['OutForDelivery', 'Dispatched', 'Shipped', 'Packed'] },
+  order: [['updatedAt', 'DESC']]
+});
+
+/**
+ * Live delivery details for an order's owner
+ * @param {number} orderId - Order ID
+ * @param {number} userId - Customer; other customers' orders get null
+ * @returns {Object|null} { status, statusLabel, deliveryCode, rider: { name, phoneNumber, vehicle },
+ *   location: { latitude, longitude, at, minutesAgo, distanceKm } or null when none is fresh }
+ */
+const getLiveTracking = async (orderId, userId) => {
+  const order = await Order.findByPk(orderId);
+  if (!order || !userId || order.userId !== Number(userId)) return null;
+
+  const assignment = await getOpenAssignment(order.id, { include: [Rider] });
+  if (!assignment || !assignment.Rider) return null;
+
+  const rider = assignment.Rider;
+  let location = null;
+  const minutesAgo = rider.lastLocationAt ? Math.floor((Date.now() - new Date(rider.lastLocationAt).getTime()) / 60000) : null;
+  if (rider.lastLatitude != null && rider.lastLongitude != null && minutesAgo !== null && minutesAgo <= LIVE_LOCATION_MINUTES) {
+    const address = order.addressId ? await Address.findByPk(order.addressId) : null;
+    const point = { latitude: rider.lastLatitude, longitude: rider.lastLongitude };
+    location = {
+      ...point,
+      at: rider.lastLocationAt,
+      minutesAgo,
+      distanceKm: address && address.latitude != null && address.longitude != null
+        ? distanceKm(point, { latitude: address.latitude, longitude: address.longitude })
+        : null
+    };
+  }
+
+  return {
+    status: assignment.status,
+    statusLabel: ASSIGNMENT_LABELS[assignment.status],
+    deliveryCode: order.status === 'OutForDelivery' && !order.deliveryConfirmedAt ? order.deliveryCode : null,
+    rider: { name: rider.name, phoneNumber: rider.phoneNumber, vehicle: rider.vehicle },
+    location
+  };
+};
+
+module.exports = {
+  RIDER_ACTIONS,
+  toWhatsAppNumber,
+  listRiders,
+  createRider,
+  updateRider,
+  assignOrder,
+  getDispatchBoard,
+  recordRiderUpdate,
+  confirmDeliveryBySupport,
+  recordRiderLocation,
+  getRiderDeliveries,
+  setRiderDuty,
+  getActiveDeliveryOrder,
+  getLiveTracking
+};
@@ -0,0 +1,529 @@
+/**
+ * Doctor Console Service
+ * What doctors can do from their own WhatsApp number (Doctor.phoneNumber). The number is
+ * the doctor's identity: it never goes through a customer session, and every action is
+ * checked against the doctor's own appointments.
+ * - Day schedules and the booking requests still waiting for an answer
+ * - Accepting or declining a booking; a declined appointment is cancelled and refunded
+ * - Marking appointments completed or missed, and adding consultation notes
+ * - E-prescriptions: the medicines go straight into the patient's cart, with a verified
+ *   prescription attached so checkout doesn't ask for an upload
+ * - Chat consultations: while a chat is open, plain messages are relayed to the patient
+ *   (services/teleconsultation.js)
+ */
+
+const { Op } = require('sequelize');
+const { Doctor, Appointment, User, Prescription, Order, Rider, SupportTeam } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { notifySupportTeam } = require('./support');
+const { requestRefund } = require('./refunds');
+const { recordAppointmentOutcome, formatAppointmentTime, describeStatus, TIMEZONES } = require('./appointmentManagement');
+const { addToCartWithSession } = require('./orderManagement');
+const { parsePrescriptionText, matchPrescriptionToCatalogue, PRESCRIPTION_VALIDITY_DAYS } = require('./prescription');
+const { toWhatsAppNumber } = require('./dispatch');
+const { getNextAvailableDays, consultationModesFor } = require('./doctorSchedule');
+const { findOpenChatForDoctor, startConsultationChat, relayConsultationMessage, endConsultationChat } = require('./teleconsultation');
+const { parsePrescriptionLines } = require('../utils/prescriptionParser');
+const { normalizeDate, localDate, localTime, toUtc, addDays } = require('../utils/doctorSlots');
+const { isValidPhoneNumber } = require('../utils/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Appointments shown on a doctor's day; unpaid holds and cancelled bookings are left out
+const DAY_STATUSES = ['Scheduled', 'Completed', 'NoShow'];
+
+const consoleError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const findDoctorByPhone = (phoneNumber) => Doctor.findOne({ where: { phoneNumber, isActive: true } });
+
+const requireDoctor = async (doctorPhone) => {
+  const doctor = await findDoctorByPhone(doctorPhone);
+  if (!doctor) throw consoleError('You are not registered as a doctor', 'NOT_A_DOCTOR');
+  return doctor;
+};
+
+// Another doctor's appointment reads as not found, so IDs can't be probed
+const findDoctorAppointment = async (doctor, appointmentId) => {
+  const appointment = await Appointment.findOne({ where: { id: appointmentId, doctorId: doctor.id }, include: [User, Doctor] });
+  if (!appointment) throw consoleError(`Appointment #${appointmentId} is not one of your appointments`, 'APPOINTMENT_NOT_FOUND');
+  return appointment;
+};
+
+const offsetFor = (doctor) => (TIMEZONES[doctor.timezone] || TIMEZONES['Africa/Lagos']).offset;
+
+const describeAppointment = (appointment, doctor) => ({
+  id: appointment.id,
+  time: localTime(appointment.dateTime, offsetFor(doctor)),
+  dateTime: appointment.dateTime,
+  durationMinutes: appointment.durationMinutes,
+  status: appointment.status,
+  mode: appointment.mode,
+  doctorResponse: appointment.doctorResponse,
+  patientName: appointment.User ? appointment.User.name || 'Unnamed patient' : 'Unknown',
+  hasNotes: Boolean(appointment.notes)
+});
+
+/**
+ * Read a message from a doctor's number as a console command
+ * @param {string} messageText - Message as sent; a leading / marks it as a command
+ * @returns {Object} { action, slash, ... } - action is one of endChat, day, requests, respond,
+ *   outcome, note, chat, prescribe or help; slash is true when the message started with /
+ */
+const parseDoctorCommand = (messageText) => {
+  const trimmed = String(messageText || '').trim();
+  const slash = trimmed.startsWith('/');
+  const text = trimmed.replace(/^\//, '');
+  const lower = text.toLowerCase();
+
+  if ((slash && lower === 'end') || /^end (chat|consultation)$/.test(lower)) {
+    return { action: 'endChat', slash };
+  }
+
+  const dayMatch = lower.match(/^(?:(today|tomorrow)|(?:schedule|day)\s+(\S+))$/);
+  if (dayMatch || lower === 'schedule') {
+    return { action: 'day', slash, day: dayMatch ? dayMatch[1] || dayMatch[2] : 'today' };
+  }
+
+  if (/^(requests|pending)$/.test(lower)) {
+    return { action: 'requests', slash };
+  }
+
+  const respondMatch = text.match(/^(accept|decline)\s*#?(\d+)(?:\s+([\s\S]+))?$/i);
+  if (respondMatch) {
+    return {
+      action: 'respond',
+      slash,
+      appointmentId: parseInt(respondMatch[2], 10),
+      accept: respondMatch[1].toLowerCase() === 'accept',
+      reason: respondMatch[3] || null
+    };
+  }
+
+  const outcomeMatch = lower.match(/^(done|completed?|no[\s-]?show)\s*#?(\d+)$/);
+  if (outcomeMatch) {
+    return {
+      action: 'outcome',
+      slash,
+      appointmentId: parseInt(outcomeMatch[2], 10),
+      outcome: outcomeMatch[1].startsWith('no') ? 'NoShow' : 'Completed'
+    };
+  }
+
+  const noteMatch = text.match(/^notes?\s*#?(\d+)\s*([\s\S]*)$/i);
+  if (noteMatch) {
+    return { action: 'note', slash, appointmentId: parseInt(noteMatch[1], 10), text: noteMatch[2] };
+  }
+
+  const chatMatch = lower.match(/^chat\s*#?(\d+)$/);
+  if (chatMatch) {
+    return { action: 'chat', slash, appointmentId: parseInt(chatMatch[1], 10) };
+  }
+
+  const prescribeMatch = text.match(/^(?:prescribe|rx)\s*#?(\d+)\s*([\s\S]*)$/i);
+  if (prescribeMatch) {
+    return { action: 'prescribe', slash, appointmentId: parseInt(prescribeMatch[1], 10), text: prescribeMatch[2] };
+  }
+
+  return { action: 'help', slash };
+};
+
+const failure = (error, fallbackCode) => ({
+  success: false,
+  error: error.message,
+  errorCode: error.code || fallbackCode
+});
+
+/**
+ * A doctor's appointments for one day
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {string} day - 'today', 'tomorrow' or a date ("2026-10-20", "20/10/2026") in the doctor's timezone
+ * @returns {Object} { success, date, appointments }
+ */
+const getDoctorDay = async (doctorPhone, day = 'today') => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const offset = offsetFor(doctor);
+    const today = localDate(new Date(), offset);
+    const date = day === 'today' ? today : day === 'tomorrow' ? addDays(today, 1) : normalizeDate(day);
+    if (!date) throw consoleError('Use a date like 2026-10-20', 'INVALID_DATE');
+
+    const start = toUtc(date, '00:00', offset);
+    const appointments = await Appointment.findAll({
+      where: {
+        doctorId: doctor.id,
+        status: DAY_STATUSES,
+        dateTime: { [Op.gte]: start, [Op.lt]: new Date(start.getTime() + DAY_MS) }
+      },
+      include: [User],
+      order: [['dateTime', 'ASC']]
+    });
+
+    return { success: true, date, appointments: appointments.map(appointment => describeAppointment(appointment, doctor)) };
+  } catch (error) {
+    console.error('Error loading doctor schedule:', error.message);
+    return failure(error, 'DOCTOR_DAY_FAILED');
+  }
+};
+
+/**
+ * Upcoming bookings the doctor hasn't accepted or declined yet
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @returns {Object} { success, requests }
+ */
+const getPendingRequests = async (doctorPhone) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const appointments = await Appointment.findAll({
+      where: { doctorId: doctor.id, status: 'Scheduled', doctorResponse: 'Pending', dateTime: { [Op.gt]: new Date() } },
+      include: [User],
+      order: [['dateTime', 'ASC']],
+      limit: 20
+    });
+
+    return {
+      success: true,
+      requests: appointments.map(appointment => ({
+        ...describeAppointment(appointment, doctor),
+        time: formatAppointmentTime(appointment.dateTime, doctor)
+      }))
+    };
+  } catch (error) {
+    console.error('Error loading doctor requests:', error.message);
+    return failure(error, 'DOCTOR_REQUESTS_FAILED');
+  }
+};
+
+/**
+ * Accept or decline a booking. Declining cancels the appointment, refunds a paid
+ * consultation in full and offers the patient the doctor's next free days.
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {number} appointmentId - Appointment ID
+ * @param {boolean} accept - true to accept, false to decline
+ * @param {string} reason - Optional reason passed on to the patient when declining
+ * @returns {Object} Result with a message for the doctor
+ */
+const respondToAppointment = async (doctorPhone, appointmentId, accept, reason = null) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const appointment = await findDoctorAppointment(doctor, appointmentId);
+    const time = formatAppointmentTime(appointment.dateTime, doctor);
+
+    if (accept && appointment.doctorResponse === 'Accepted') {
+      return { success: true, changed: false, appointmentId: appointment.id, message: `Appointment #${appointment.id} is already accepted.` };
+    }
+    if (appointment.status !== 'Scheduled') {
+      throw consoleError(`Appointment #${appointment.id} is ${describeStatus(appointment.status)}`, 'APPOINTMENT_NOT_SCHEDULED');
+    }
+    if (appointment.dateTime <= new Date()) {
+      throw consoleError(`Appointment #${appointment.id} has already started`, 'APPOINTMENT_STARTED');
+    }
+
+    const patientPhone = appointment.User && appointment.User.phoneNumber;
+
+    if (accept) {
+      await appointment.update({ doctorResponse: 'Accepted', doctorRespondedAt: new Date() });
+      if (patientPhone) {
+        await sendWhatsAppMessage(patientPhone, `👨‍⚕️ Dr. ${doctor.name} has accepted your appointment #${appointment.id} (${time}). See you then!`)
+          .catch(error => console.error('Could not send acceptance message:', error.message));
+      }
+      return { success: true, changed: true, appointmentId: appointment.id, message: `✅ Appointment #${appointment.id} accepted - ${time} with ${describeAppointment(appointment, doctor).patientName}.` };
+    }
+
+    const declineReason = reason ? reason.trim() : null;
+    await appointment.update({
+      status: 'Cancelled',
+      doctorResponse: 'Declined',
+      doctorRespondedAt: new Date(),
+      notes: [appointment.notes, `Declined by doctor${declineReason ? `: ${declineReason}` : ''}`].filter(Boolean).join('\n')
+    });
+
+    const refund = await requestRefund('Appointment', appointment.id, {
+      reason: 'Appointment declined by doctor',
+      requestedBy: `doctor:${doctor.id}`
+    });
+    const refundFailed = !refund.success && refund.errorCode !== 'NO_REFUNDABLE_PAYMENT';
+    if (refundFailed) {
+      await notifySupportTeam(patientPhone || 'unknown', 'medical', 'Declined Appointment Refund Failed', {
+        appointmentId: appointment.id,
+        doctor: doctor.name,
+        error: refund.error
+      });
+    }
+
+    if (patientPhone) {
+      const next = await getNextAvailableDays(doctor.id, { limit: 2 });
+      const alternatives = next.success
+        ? next.days.map(day => `• ${day.date}: ${day.slots.slice(0, 5).map(slot => slot.time).join(', ')}`).join('\n')
+        : '';
+      let message = `😔 Dr. ${doctor.name} can't see you at ${time} (appointment #${appointment.id})${declineReason ? `: ${declineReason}` : ''}. Your appointment has been cancelled.`;
+      if (refund.success) message += `\n\nYour ₦${refund.amount.toFixed(2)} consultation fee is being refunded.`;
+      if (refundFailed) message += '\n\nOur team will refund your consultation fee shortly.';
+      if (alternatives) message += `\n\nDr. ${doctor.name}'s next free slots:\n${alternatives}`;
+      message += "\n\nType 'doctors' to book another time or another doctor.";
+      await sendWhatsAppMessage(patientPhone, message).catch(error => console.error('Could not send decline message:', error.message));
+    }
+
+    return { success: true, changed: true, appointmentId: appointment.id, message: `❌ Appointment #${appointment.id} declined. The patient has been told${refund.success ? ' and refunded' : ''}.` };
+  } catch (error) {
+    console.error('Error recording doctor response:', error.message);
+    return failure(error, 'DOCTOR_RESPONSE_FAILED');
+  }
+};
+
+/**
+ * Mark one of the doctor's appointments Completed or NoShow (see recordAppointmentOutcome)
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {number} appointmentId - Appointment ID
+ * @param {string} outcome - 'Completed' or 'NoShow'
+ * @returns {Object} Result with a message for the doctor
+ */
+const recordConsultationOutcome = async (doctorPhone, appointmentId, outcome) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    await findDoctorAppointment(doctor, appointmentId);
+    const appointment = await recordAppointmentOutcome(appointmentId, { outcome, recordedBy: `doctor:${doctor.id}` });
+
+    return {
+      success: true,
+      appointmentId: appointment.id,
+      status: appointment.status,
+      message: outcome === 'Completed'
+        ? `✅ Appointment #${appointment.id} marked completed.\n\nAdd notes with 'note ${appointment.id} <text>', or send 'prescribe ${appointment.id}' followed by the medicines, one per line.`
+        : `Appointment #${appointment.id} marked as a no-show. The patient has been told.`
+    };
+  } catch (error) {
+    console.error('Error recording consultation outcome:', error.message);
+    return failure(error, 'DOCTOR_OUTCOME_FAILED');
+  }
+};
+
+/**
+ * Append a consultation note to an appointment
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {number} appointmentId - Appointment ID
+ * @param {string} note - Note text
+ * @returns {Object} Result with a message for the doctor
+ */
+const addConsultationNote = async (doctorPhone, appointmentId, note) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const appointment = await findDoctorAppointment(doctor, appointmentId);
+    const text = String(note || '').trim();
+    if (!text) throw consoleError(`Send the note after the appointment number, e.g. note ${appointment.id} BP 120/80, review in 2 weeks`, 'NOTE_REQUIRED');
+    if (!DAY_STATUSES.includes(appointment.status)) {
+      throw consoleError(`Appointment #${appointment.id} is ${describeStatus(appointment.status)}`, 'APPOINTMENT_NOT_SCHEDULED');
+    }
+
+    await appointment.update({ notes: [appointment.notes, text].filter(Boolean).join('\n') });
+    return { success: true, appointmentId: appointment.id, message: `📝 Note added to appointment #${appointment.id}.` };
+  } catch (error) {
+    console.error('Error adding consultation note:', error.message);
+    return failure(error, 'DOCTOR_NOTE_FAILED');
+  }
+};
+
+/**
+ * Issue an e-prescription for a consultation that has started. Each medicine found in the
+ * catalogue goes into the patient's cart, and the cart gets a prescription verified by the
+ * doctor. If the cart already carries a prescription, the medicines are added to it and its
+ * review status is kept, so a pharmacist still checks anything the patient uploaded.
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {number} appointmentId - Appointment ID
+ * @param {string} text - Medicine lines, e.g. "Amoxicillin 500mg capsule tds x 5 days"
+ * @returns {Object} Result with what was added and what couldn't be
+ */
+const issueEPrescription = async (doctorPhone, appointmentId, text) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const appointment = await findDoctorAppointment(doctor, appointmentId);
+    if (!['Scheduled', 'Completed'].includes(appointment.status)) {
+      throw consoleError(`Appointment #${appointment.id} is ${describeStatus(appointment.status)}`, 'APPOINTMENT_NOT_SCHEDULED');
+    }
+    if (appointment.dateTime > new Date()) {
+      throw consoleError(`Appointment #${appointment.id} hasn't started yet`, 'APPOINTMENT_NOT_STARTED');
+    }
+
+    const medicines = parsePrescriptionLines(String(text || ''));
+    if (medicines.length === 0) {
+      throw consoleError(
+        `Couldn't read any medicines. Put each one on its own line with its strength and dosing, e.g.\n\nprescribe ${appointment.id}\nAmoxicillin 500mg capsule tds x 5 days\nParacetamol 500mg tablet 2 tds x 3 days`,
+        'NO_MEDICINES'
+      );
+    }
+
+    const lines = await matchPrescriptionToCatalogue(medicines);
+    const added = [];
+    const unavailable = [];
+    let orderId = null;
+    for (const line of lines) {
+      if (!line.match) {
+        unavailable.push(`${line.name} (not in our catalogue)`);
+        continue;
+      }
+      const result = await addToCartWithSession(appointment.userId, line.match.productId, line.quantity);
+      if (result.success) {
+        added.push(`${line.quantity}x ${line.match.name}`);
+        orderId = result.orderId;
+      } else {
+        unavailable.push(`${line.match.name} (${result.error})`);
+      }
+    }
+
+    if (!orderId) {
+      throw consoleError(`None of the medicines could be added to the patient's cart:\n${unavailable.map(item => `• ${item}`).join('\n')}`, 'NOTHING_ADDED');
+    }
+
+    const prescribedBy = `doctor:${doctor.id} (Dr. ${doctor.name})`;
+    const parsed = {
+      ...parsePrescriptionText(text),
+      patientName: appointment.User ? appointment.User.name : null,
+      doctorName: doctor.name,
+      medicines: lines
+    };
+    let prescription = await Prescription.findOne({ where: { orderId } });
+    if (prescription) {
+      const existing = prescription.parsedData || {};
+      await prescription.update({
+        extractedText: [prescription.extractedText, text].filter(Boolean).join('\n'),
+        parsedData: { ...existing, medicines: [...(existing.medicines || []), ...lines] },
+        pharmacistNotes: [prescription.pharmacistNotes, `E-prescription from Dr. ${doctor.name} (appointment #${appointment.id}) added`].filter(Boolean).join('\n')
+      });
+    } else {
+      prescription = await Prescription.create({
+        orderId,
+        fileUrl: `eprescription:appointment/${appointment.id}`,
+        extractedText: text,
+        parsedData: parsed,
+        verificationStatus: 'Verified',
+        verifiedBy: prescribedBy,
+        verifiedAt: new Date(),
+        validUntil: new Date(Date.now() + PRESCRIPTION_VALIDITY_DAYS * DAY_MS),
+        appointmentId: appointment.id
+      });
+    }
+    await Order.update({ hasPrescription: true }, { where: { id: orderId } });
+
+    const patientPhone = appointment.User && appointment.User.phoneNumber;
+    if (patientPhone) {
+      let message = `💊 *E-prescription from Dr. ${doctor.name}*\n\nFor appointment #${appointment.id}, added to your cart:\n${added.map(item => `• ${item}`).join('\n')}`;
+      if (unavailable.length > 0) message += `\n\nNot available from us:\n${unavailable.map(item => `• ${item}`).join('\n')}`;
+      message += "\n\nType 'cart' to review or 'checkout [address] [flutterwave|paystack|cash]' to place your order.";
+      await sendWhatsAppMessage(patientPhone, message).catch(error => console.error('Could not send e-prescription message:', error.message));
+    }
+
+    let message = `💊 E-prescription sent for appointment #${appointment.id}.\n\nAdded to the patient's cart:\n${added.map(item => `• ${item}`).join('\n')}`;
+    if (unavailable.length > 0) message += `\n\nCouldn't add:\n${unavailable.map(item => `• ${item}`).join('\n')}`;
+    return {
+      success: true,
+      appointmentId: appointment.id,
+      orderId,
+      prescriptionId: prescription.id,
+      added,
+      unavailable,
+      message
+    };
+  } catch (error) {
+    console.error('Error issuing e-prescription:', error.message);
+    return failure(error, 'EPRESCRIPTION_FAILED');
+  }
+};
+
+/**
+ * Open the relayed chat for one of the doctor's chat appointments
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {number} appointmentId - Appointment ID
+ * @returns {Object} Result with a message for the doctor
+ */
+const startChat = async (doctorPhone, appointmentId) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const appointment = await findDoctorAppointment(doctor, appointmentId);
+    return await startConsultationChat(appointment);
+  } catch (error) {
+    console.error('Error starting doctor chat:', error.message);
+    return failure(error, 'START_CHAT_FAILED');
+  }
+};
+
+/**
+ * Relay a doctor's message to the patient when the doctor has a chat open
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @param {string} text - Message text
+ * @returns {Object} { relayed: false } without an open chat, otherwise the relay result
+ */
+const relayDoctorMessage = async (doctorPhone, text) => {
+  const doctor = await findDoctorByPhone(doctorPhone);
+  const chat = doctor ? await findOpenChatForDoctor(doctor.id) : null;
+  if (!chat) return { relayed: false };
+  return { relayed: true, ...(await relayConsultationMessage(chat, 'Doctor', text)) };
+};
+
+/**
+ * End the doctor's open chat
+ * @param {string} doctorPhone - Doctor's WhatsApp number
+ * @returns {Object} Result; both sides are told the chat has closed
+ */
+const endChat = async (doctorPhone) => {
+  try {
+    const doctor = await requireDoctor(doctorPhone);
+    const chat = await findOpenChatForDoctor(doctor.id);
+    if (!chat) throw consoleError('You have no open chat', 'CHAT_NOT_OPEN');
+    return await endConsultationChat(chat, 'Doctor');
+  } catch (error) {
+    console.error('Error ending doctor chat:', error.message);
+    return failure(error, 'END_CHAT_FAILED');
+  }
+};
+
+/**
+ * Set or clear the WhatsApp number a doctor uses for the console. A number can only
+ * belong to one doctor, and not to a rider or support team member, whose messages are
+ * routed first.
+ * @param {number} doctorId - Doctor ID
+ * @param {string|null} phoneNumber - WhatsApp number, or null to turn the console off
+ * @returns {Object} Updated doctor
+ */
+const setDoctorWhatsAppNumber = async (doctorId, phoneNumber) => {
+  const doctor = await Doctor.findByPk(doctorId);
+  if (!doctor) throw new Error('Doctor not found');
+
+  if (phoneNumber === null || phoneNumber === '') {
+    if (consultationModesFor(doctor).includes('Chat')) {
+      throw new Error('Stop offering chat consultations before removing the WhatsApp number');
+    }
+    await doctor.update({ phoneNumber: null });
+    return doctor;
+  }
+  if (!phoneNumber || !isValidPhoneNumber(String(phoneNumber))) throw new Error('A valid WhatsApp number is required');
+
+  const number = toWhatsAppNumber(phoneNumber);
+  const [otherDoctor, rider, agent] = await Promise.all([
+    Doctor.findOne({ where: { phoneNumber: number, id: { [Op.ne]: doctor.id } } }),
+    Rider.findOne({ where: { phoneNumber: number } }),
+    SupportTeam.findOne({ where: { phoneNumber: number } })
+  ]);
+  if (otherDoctor) throw new Error(`Dr. ${otherDoctor.name} already uses this number`);
+  if (rider || agent) throw new Error(`This number belongs to a ${rider ? 'rider' : 'support team member'}`);
+
+  await doctor.update({ phoneNumber: number });
+  return doctor;
+};
+
+module.exports = {
+  parseDoctorCommand,
+  findDoctorByPhone,
+  getDoctorDay,
+  getPendingRequests,
+  respondToAppointment,
+  recordConsultationOutcome,
+  addConsultationNote,
+  issueEPrescription,
+  startChat,
+  relayDoctorMessage,
+  endChat,
+  setDoctorWhatsAppNumber
+};
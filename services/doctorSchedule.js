@@ -0,0 +1,402 @@
+/**
+ * Doctor Schedule Service
+ * When each doctor can be booked:
+ * - Doctors have a weekly schedule with breaks, a consultation length and a timezone;
+ *   doctors without a schedule work DEFAULT_WEEKLY_SCHEDULE
+ * - Leave periods block whole days
+ * - Free slots are the schedule minus breaks, leave and booked appointments, starting
+ *   at least APPOINTMENT_MIN_LEAD_MINUTES from now and at most APPOINTMENT_BOOKING_WINDOW_DAYS ahead
+ * - reserveSlot locks the doctor's row so two patients can never book the same slot
+ * - Each doctor consults in person, by video, by relayed chat, or a mix (CONSULTATION_MODES)
+ */
+
+const { Op } = require('sequelize');
+const { Doctor, DoctorLeave, Appointment } = require('../models');
+const {
+  validateWeeklySchedule,
+  normalizeDate,
+  localDate,
+  localTime,
+  addDays,
+  getFreeSlots
+} = require('../utils/doctorSlots');
+
+const MIN_LEAD_MINUTES = parseInt(process.env.APPOINTMENT_MIN_LEAD_MINUTES, 10) || 60;
+const BOOKING_WINDOW_DAYS = parseInt(process.env.APPOINTMENT_BOOKING_WINDOW_DAYS, 10) || 90;
+
+const WORKDAY = { start: '09:00', end: '17:00', breaks: [{ start: '13:00', end: '14:00' }] };
+const DEFAULT_WEEKLY_SCHEDULE = { mon: WORKDAY, tue: WORKDAY, wed: WORKDAY, thu: WORKDAY, fri: WORKDAY };
+
+// Appointments in these states hold their slot; an unpaid hold is released when its payment window expires
+const SLOT_HOLDING_STATUSES = ['PendingPayment', 'Scheduled'];
+
+const CONSULTATION_MODES = ['InPerson', 'Video', 'Chat'];
+
+const MODE_LABELS = {
+  InPerson: 'In person',
+  Video: 'Video call',
+  Chat: 'Chat on WhatsApp'
+};
+
+// Modes a doctor offers; doctors saved before modes existed see patients in person
+const consultationModesFor = (doctor) => (
+  Array.isArray(doctor.consultationModes) && doctor.consultationModes.length > 0 ? doctor.consultationModes : ['InPerson']
+);
+
+// Required here rather than at the top: appointmentManagement depends on this module
+const offsetFor = (doctor) => {
+  const { TIMEZONES } = require('./appointmentManagement');
+  return (TIMEZONES[doctor.timezone] || TIMEZONES['Africa/Lagos']).offset;
+};
+
+const slotError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const bookingWindow = (offset, now = new Date()) => ({
+  earliest: new Date(now.getTime() + MIN_LEAD_MINUTES * 60 * 1000),
+  lastDate: addDays(localDate(now, offset), BOOKING_WINDOW_DAYS)
+});
+
+/**
+ * Free slots for a doctor on a range of local dates
+ * @param {Object} doctor - Doctor instance
+ * @param {string} fromDate - First local date, "YYYY-MM-DD"
+ * @param {string} toDate - Last local date (inclusive)
+ * @param {Object} options - { transaction, excludeAppointmentId: an appointment being moved, whose slot counts as free }
+ * @returns {Object} { [date]: [Date] }
+ */
+const computeFreeSlots = async (doctor, fromDate, toDate, options = {}) => {
+  const { transaction = null, excludeAppointmentId = null } = options;
+  const offset = offsetFor(doctor);
+  const { earliest, lastDate } = bookingWindow(offset);
+  const until = toDate < lastDate ? toDate : lastDate;
+
+  const leaves = await DoctorLeave.findAll({
+    where: { doctorId: doctor.id, endDate: { [Op.gte]: fromDate }, startDate: { [Op.lte]: until } },
+    transaction
+  });
+  const appointments = await Appointment.findAll({
+    where: {
+      doctorId: doctor.id,
+      status: SLOT_HOLDING_STATUSES,
+      ...(excludeAppointmentId ? { id: { [Op.ne]: excludeAppointmentId } } : {}),
+      // A day either side covers timezone edges and appointments running over midnight
+      dateTime: { [Op.between]: [new Date(`${addDays(fromDate, -1)}T00:00:00Z`), new Date(`${addDays(until, 2)}T00:00:00Z`)] }
+    },
+    transaction
+  });
+
+  const slotOptions = {
+    schedule: doctor.weeklySchedule || DEFAULT_WEEKLY_SCHEDULE,
+    consultationMinutes: doctor.consultationMinutes || 30,
+    offsetHours: offset,
+    leaves: leaves.map(leave => ({ startDate: leave.startDate, endDate: leave.endDate })),
+    booked: appointments.map(a => ({ start: a.dateTime, minutes: a.durationMinutes || doctor.consultationMinutes || 30 })),
+    earliest
+  };
+
+  const slots = {};
+  for (let date = fromDate; date <= until; date = addDays(date, 1)) {
+    slots[date] = getFreeSlots(date, slotOptions);
+  }
+  return slots;
+};
+
+const loadBookableDoctor = async (doctorId, transaction = null) => {
+  const doctor = await Doctor.findByPk(doctorId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!doctor) throw slotError('Doctor not found', 'DOCTOR_NOT_FOUND');
+  if (!doctor.available || !doctor.isActive) throw slotError('Doctor is not currently available', 'DOCTOR_UNAVAILABLE');
+  return doctor;
+};
+
+const toSlot = (start, offset) => ({ start, time: localTime(start, offset) });
+
+/**
+ * Chat options for slots; the ID carries the doctor and exact start so the reply can be booked directly
+ * @param {number} doctorId - Doctor ID
+ * @param {Array} slots - [{ start, time }]
+ * @returns {Array} [{ id: 'slot_<doctorId>_<startMs>', title: 'HH:MM' }]
+ */
+const toSlotOptions = (doctorId, slots) => slots.map(slot => ({
+  id: `slot_${doctorId}_${new Date(slot.start).getTime()}`,
+  title: slot.time
+}));
+
+/**
+ * Read a slot option ID back
+ * @param {string} id - Reply ID from toSlotOptions
+ * @returns {Object|null} { doctorId, start }
+ */
+const parseSlotOption = (id) => {
+  const match = String(id || '').match(/^slot_(\d+)_(\d+)$/);
+  return match ? { doctorId: parseInt(match[1], 10), start: new Date(parseInt(match[2], 10)) } : null;
+};
+
+/**
+ * Chat options for choosing how a chosen slot is held, for doctors offering several modes
+ * @param {number} doctorId - Doctor ID
+ * @param {Date} start - Slot start
+ * @param {Array} modes - The doctor's consultation modes
+ * @returns {Array} [{ id: 'mode_<doctorId>_<startMs>_<mode>', title }]
+ */
+const toModeOptions = (doctorId, start, modes) => modes.map(mode => ({
+  id: `mode_${doctorId}_${new Date(start).getTime()}_${mode}`,
+  title: MODE_LABELS[mode]
+}));
+
+/**
+ * Read a mode option ID back
+ * @param {string} id - Reply ID from toModeOptions
+ * @returns {Object|null} { doctorId, start, mode }
+ */
+const parseModeOption = (id) => {
+  const match = String(id || '').match(/^mode_(\d+)_(\d+)_(InPerson|Video|Chat)$/);
+  return match ? { doctorId: parseInt(match[1], 10), start: new Date(parseInt(match[2], 10)), mode: match[3] } : null;
+};
+
+/**
+ * Free slots on one day, for customers choosing a time
+ * @param {number} doctorId - Doctor ID
+ * @param {string} date - "YYYY-MM-DD" or "DD/MM/YYYY" in the doctor's timezone
+ * @param {Object} options - { excludeAppointmentId } when moving an appointment
+ * @returns {Object} { success, consultationFee, consultationModes, date, slots: [{ start, time }] }
+ */
+const getAvailableSlots = async (doctorId, date, options = {}) => {
+  try {
+    const day = normalizeDate(date);
+    if (!day) throw slotError('Invalid date. Use YYYY-MM-DD or DD/MM/YYYY', 'INVALID_DATE');
+
+    const doctor = await loadBookableDoctor(doctorId);
+    const offset = offsetFor(doctor);
+    const free = await computeFreeSlots(doctor, day, day, { excludeAppointmentId: options.excludeAppointmentId });
+
+    return {
+      success: true,
+      doctorId: doctor.id,
+      doctorName: doctor.name,
+      consultationFee: doctor.consultationFee,
+      consultationModes: consultationModesFor(doctor),
+      date: day,
+      slots: (free[day] || []).map(start => toSlot(start, offset))
+    };
+  } catch (error) {
+    console.error('Error loading doctor slots:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'SLOTS_UNAVAILABLE'
+    };
+  }
+};
+
+/**
+ * The next days a doctor has free slots, for customers choosing a date
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} options - { days: how far ahead to look (default 14), limit: days to return (default 3), excludeAppointmentId }
+ * @returns {Object} { success, days: [{ date, slots: [{ start, time }] }] }
+ */
+const getNextAvailableDays = async (doctorId, options = {}) => {
+  const { days = 14, limit = 3, excludeAppointmentId = null } = options;
+  try {
+    const doctor = await loadBookableDoctor(doctorId);
+    const offset = offsetFor(doctor);
+    const today = localDate(new Date(), offset);
+    const free = await computeFreeSlots(doctor, today, addDays(today, days - 1), { excludeAppointmentId });
+
+    return {
+      success: true,
+      doctorId: doctor.id,
+      doctorName: doctor.name,
+      days: Object.entries(free)
+        .filter(([, slots]) => slots.length > 0)
+        .slice(0, limit)
+        .map(([date, slots]) => ({ date, slots: slots.map(start => toSlot(start, offset)) }))
+    };
+  } catch (error) {
+    console.error('Error loading doctor availability:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'SLOTS_UNAVAILABLE'
+    };
+  }
+};
+
+/**
+ * Hold a slot for a booking. Locks the doctor's row until the transaction ends, so
+ * concurrent bookings for the same doctor are checked one at a time.
+ * @param {number} doctorId - Doctor ID
+ * @param {Date} start - Slot start
+ * @param {Object} transaction - Transaction the appointment is created or moved in
+ * @param {Object} options - { excludeAppointmentId } when moving an appointment
+ * @returns {Object} { doctor, durationMinutes }
+ * @throws {Error} With code DOCTOR_NOT_FOUND, DOCTOR_UNAVAILABLE or SLOT_UNAVAILABLE
+ */
+const reserveSlot = async (doctorId, start, transaction, options = {}) => {
+  const doctor = await loadBookableDoctor(doctorId, transaction);
+  const offset = offsetFor(doctor);
+  const day = localDate(start, offset);
+  const free = await computeFreeSlots(doctor, day, day, { transaction, excludeAppointmentId: options.excludeAppointmentId });
+
+  const slots = free[day] || [];
+  if (!slots.some(slot => slot.getTime() === new Date(start).getTime())) {
+    throw slotError(`Dr. ${doctor.name} is not free at that time. Please choose one of the available slots`, 'SLOT_UNAVAILABLE');
+  }
+  return { doctor, durationMinutes: doctor.consultationMinutes || 30 };
+};
+
+const validateLeave = (leave) => {
+  const startDate = normalizeDate(leave.startDate);
+  const endDate = normalizeDate(leave.endDate || leave.startDate);
+  if (!startDate || !endDate) throw new Error('startDate and endDate must be dates (YYYY-MM-DD)');
+  if (endDate < startDate) throw new Error('endDate must be on or after startDate');
+  return { startDate, endDate };
+};
+
+/**
+ * A doctor's schedule and upcoming leave, for the admin API
+ * @param {number} doctorId - Doctor ID
+ * @returns {Object} { doctorId, weeklySchedule, usesDefaultSchedule, consultationMinutes, consultationFee, consultationModes, timezone, leaves }
+ */
+const getDoctorSchedule = async (doctorId) => {
+  const doctor = await Doctor.findByPk(doctorId);
+  if (!doctor) throw new Error('Doctor not found');
+
+  const leaves = await DoctorLeave.findAll({
+    where: { doctorId: doctor.id, endDate: { [Op.gte]: localDate(new Date(), offsetFor(doctor)) } },
+    order: [['startDate', 'ASC']]
+  });
+
+  return {
+    doctorId: doctor.id,
+    weeklySchedule: doctor.weeklySchedule || DEFAULT_WEEKLY_SCHEDULE,
+    usesDefaultSchedule: !doctor.weeklySchedule,
+    consultationMinutes: doctor.consultationMinutes,
+    consultationFee: doctor.consultationFee,
+    consultationModes: consultationModesFor(doctor),
+    timezone: doctor.timezone,
+    leaves
+  };
+};
+
+/**
+ * Change a doctor's weekly schedule, consultation length, fee, modes or timezone.
+ * Existing appointments are kept even if they no longer fit, and keep the fee and mode they were booked with.
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} data - { weeklySchedule (null for the default), consultationMinutes, consultationFee (0 for free), consultationModes, timezone }
+ * @returns {Object} Updated schedule (see getDoctorSchedule)
+ */
+const updateDoctorSchedule = async (doctorId, data = {}) => {
+  const doctor = await Doctor.findByPk(doctorId);
+  if (!doctor) throw new Error('Doctor not found');
+
+  const values = {};
+  if (data.weeklySchedule !== undefined) {
+    if (data.weeklySchedule !== null) {
+      const error = validateWeeklySchedule(data.weeklySchedule);
+      if (error) throw new Error(error);
+    }
+    values.weeklySchedule = data.weeklySchedule;
+  }
+  if (data.consultationMinutes !== undefined) {
+    const minutes = data.consultationMinutes;
+    if (!Number.isInteger(minutes) || minutes < 5 || minutes > 240) {
+      throw new Error('consultationMinutes must be a whole number between 5 and 240');
+    }
+    values.consultationMinutes = minutes;
+  }
+  if (data.consultationFee !== undefined) {
+    const fee = Number(data.consultationFee);
+    if (data.consultationFee === null || isNaN(fee) || fee < 0) {
+      throw new Error('consultationFee must be 0 or more');
+    }
+    values.consultationFee = Math.round(fee * 100) / 100;
+  }
+  if (data.consultationModes !== undefined) {
+    const modes = data.consultationModes;
+    if (!Array.isArray(modes) || modes.length === 0 || modes.some(mode => !CONSULTATION_MODES.includes(mode))) {
+      throw new Error(`consultationModes must list one or more of: ${CONSULTATION_MODES.join(', ')}`);
+    }
+    // Chat consultations are relayed to the doctor's WhatsApp number
+    if (modes.includes('Chat') && !doctor.phoneNumber) {
+      throw new Error("Set the doctor's WhatsApp number before offering chat consultations");
+    }
+    values.consultationModes = [...new Set(modes)];
+  }
+  if (data.timezone !== undefined) {
+    const { TIMEZONES } = require('./appointmentManagement');
+    if (!TIMEZONES[data.timezone]) throw new Error(`Unsupported timezone. Use one of ${Object.keys(TIMEZONES).join(', ')}`);
+    values.timezone = data.timezone;
+  }
+
+  await doctor.update(values);
+  return getDoctorSchedule(doctor.id);
+};
+
+/**
+ * Block days for a doctor
+ * @param {number} doctorId - Doctor ID
+ * @param {Object} data - { startDate, endDate (defaults to startDate), reason }
+ * @returns {Object} { leave, clashingAppointments } - appointments already booked in the period, to move or cancel
+ */
+const addDoctorLeave = async (doctorId, data = {}) => {
+  const doctor = await Doctor.findByPk(doctorId);
+  if (!doctor) throw new Error('Doctor not found');
+  const { startDate, endDate } = validateLeave(data);
+
+  const leave = await DoctorLeave.create({ doctorId: doctor.id, startDate, endDate, reason: data.reason || null });
+
+  const offset = offsetFor(doctor);
+  const candidates = await Appointment.findAll({
+    where: {
+      doctorId: doctor.id,
+      status: SLOT_HOLDING_STATUSES,
+      dateTime: { [Op.between]: [new Date(`${addDays(startDate, -1)}T00:00:00Z`), new Date(`${addDays(endDate, 2)}T00:00:00Z`)] }
+    },
+    order: [['dateTime', 'ASC']]
+  });
+  const clashingAppointments = candidates.filter((appointment) => {
+    const day = localDate(appointment.dateTime, offset);
+    return day >= startDate && day <= endDate;
+  });
+
+  return { leave, clashingAppointments };
+};
+
+/**
+ * Cancel a leave period
+ * @param {number} doctorId - Doctor ID
+ * @param {number} leaveId - Leave ID
+ * @returns {boolean} True once removed
+ */
+const removeDoctorLeave = async (doctorId, leaveId) => {
+  const leave = await DoctorLeave.findOne({ where: { id: leaveId, doctorId } });
+  if (!leave) throw new Error('Leave not found');
+  await leave.destroy();
+  return true;
+};
+
+module.exports = {
+  DEFAULT_WEEKLY_SCHEDULE,
+  SLOT_HOLDING_STATUSES,
+  CONSULTATION_MODES,
+  MODE_LABELS,
+  consultationModesFor,
+  toSlotOptions,
+  parseSlotOption,
+  toModeOptions,
+  parseModeOption,
+  getAvailableSlots,
+  getNextAvailableDays,
+  reserveSlot,
+  getDoctorSchedule,
+  updateDoctorSchedule,
+  addDoctorLeave,
+  removeDoctorLeave
+};
@@ -1,9 +1,14 @@
 const axios = require('axios');
 const CryptoJS = require('crypto-js');
-const { User, Product, Doctor, Order, OrderItem, Appointment } = require('../models');
+const { User, Product, Doctor, Order, OrderItem } = require('../models');
 const { encryptData } = require('./security');
 const { isValidEmail, isValidPhoneNumber, sanitizeInput } = require('../utils/validation');
 const { uploadImageFromUrl } = require('./cloudinary');
+const { transitionOrderStatus } = require('./orderManagement');
+const { reserveStock, commitOrderStock } = require('./inventory');
+const { getCatalogueItem, buildLineItemFields, describeLines, getPrescriptionOnlyLines } = require('./catalogue');
+const { searchCatalogue } = require('./search');
+const { quoteDelivery, formatEta } = require('./delivery');
 
 // Drugs.ng API client with timeout
 const drugsngAPI = axios.create({
@@ -241,20 +246,10 @@ const searchProducts = async (query) => {
     console.warn('Drugs.ng API search failed, using fallback');
   }
 
-  // Fallback to PostgreSQL - search products
+  // Fallback to PostgreSQL - ranked catalogue search
   try {
     const { Op } = require('sequelize');
-    const products = await Product.findAll({
-      where: {
-        [Op.or]: [
-          { name: { [Op.iLike]: `%${sanitizedQuery}%` } },
-          { category: { [Op.iLike]: `%${sanitizedQuery}%` } },
-          { description: { [Op.iLike]: `%${sanitizedQuery}%` } }
-        ],
-        isActive: true
-      },
-      limit: 10
-    });
+    const products = await searchCatalogue(sanitizedQuery, { types: ['Product'], limit: 10 });
 
     // Check if query matches doctor keywords - if so, also search doctors
     const doctorKeywords = ['doctor', 'specialist', 'cardiologist', 'pediatrician', 'dermatologist', 'neurologist', 'physician'];
@@ -292,100 +287,110 @@ const searchProducts = async (query) => {
     // Ensure images for DB items
     for (const p of products) {
       if (!p.imageUrl) {
-        await ensureDbProductHasImage(p);
+        const product = await Product.findByPk(p.id);
+        if (product) p.imageUrl = await ensureDbProductHasImage(product);
       }
     }
 
-    return products.map(product => ({
-      id: product.id,
-      type: 'product',
-      name: product.name,
-      category: product.category,
-      description: product.description,
-      price: product.price,
-      stock: product.stock,
-      imageUrl: product.imageUrl
-    }));
+    return products;
   } catch (dbError) {
     console.error('Fallback search error:', dbError);
     throw new Error('Unable to search products. Please try again later.');
   }
 };
 
-// Add to cart
-const addToCart = async (userId, productId, quantity) => {
-  try {
-    // Try Drugs.ng API first
-    const response = await drugsngAPI.post('/cart', { userId, productId, quantity });
-    return response.data;
-  } catch (error) {
-    console.error('Error adding to cart from API:', error);
-    // Fallback to PostgreSQL - create a pending order
-    const user = await User.findByPk(userId);
-    if (!user) {
-      throw new Error('User not found');
+// Add to cart. Medicines go through the Drugs.ng API; healthcare products are only stocked locally
+const addToCart = async (userId, productId, quantity, itemType = 'Product') => {
+  if (itemType === 'Product') {
+    try {
+      // Try Drugs.ng API first
+      const response = await drugsngAPI.post('/cart', { userId, productId, quantity });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding to cart from API:', error);
     }
-    
-    const product = await Product.findByPk(productId);
-    if (!product) {
-      throw new Error('Product not found');
+  }
+
+  // Fallback to PostgreSQL - create a pending order
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  const product = await getCatalogueItem(itemType, productId);
+  if (!product || !product.isActive) {
+    throw new Error('Product not found');
+  }
+  
+  // Check if there's a pending order for this user
+  let order = await Order.findOne({
+    where: {
+      userId: userId,
+      status: 'Processing'
     }
-    
-    // Check if there's a pending order for this user
-    let order = await Order.findOne({
-      where: {
-        userId: userId,
-        status: 'Processing'
-      }
+  });
+  
+  if (!order) {
+    // Create new order
+    order = await Order.create({
+      userId: userId,
+      status: 'Processing',
+      totalAmount: 0,
+      paymentMethod: 'Cash on Delivery',
+      paymentStatus: 'Pending',
+      shippingAddress: 'To be provided',
+      drugsngOrderId: null
     });
-    
-    if (!order) {
-      // Create new order
-      order = await Order.create({
-        userId: userId,
-        status: 'Processing',
-        totalAmount: 0,
-        paymentMethod: 'Cash on Delivery',
-        paymentStatus: 'Pending',
-        shippingAddress: 'To be provided',
-        drugsngOrderId: null
-      });
+  }
+  
+  // Check if item already in order
+  let orderItem = await OrderItem.findOne({
+    where: {
+      orderId: order.id,
+      itemType,
+      itemId: productId
     }
-    
-    // Check if product already in order
-    let orderItem = await OrderItem.findOne({
-      where: {
-        orderId: order.id,
-        productId: productId
-      }
+  });
+  
+  // Hold stock for the whole cart line before changing it
+  const reserved = await reserveStock({
+    itemType,
+    itemId: productId,
+    userId,
+    orderId: order.id,
+    quantity: (orderItem ? orderItem.quantity : 0) + quantity
+  });
+  if (!reserved.success) {
+    const error = new Error(reserved.error);
+    error.code = reserved.errorCode;
+    throw error;
+  }
+
+  if (orderItem) {
+    // Update quantity
+    orderItem.quantity += quantity;
+    orderItem.price = product.price;
+    await orderItem.save();
+  } else {
+    // Add new order item
+    orderItem = await OrderItem.create({
+      orderId: order.id,
+      ...buildLineItemFields(itemType, productId),
+      quantity: quantity,
+      price: product.price
     });
-    
-    if (orderItem) {
-      // Update quantity
-      orderItem.quantity += quantity;
-      orderItem.price = product.price;
-      await orderItem.save();
-    } else {
-      // Add new order item
-      orderItem = await OrderItem.create({
-        orderId: order.id,
-        productId: productId,
-        quantity: quantity,
-        price: product.price
-      });
-    }
-    
-    // Update order total
-    const orderItems = await OrderItem.findAll({ where: { orderId: order.id } });
-    const totalAmount = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    await order.update({ totalAmount });
-    
-    return {
-      success: true,
-      message: 'Added to cart (offline mode)',
-      orderId: order.id
-    };
   }
+  
+  // Update order total
+  const orderItems = await OrderItem.findAll({ where: { orderId: order.id } });
+  const totalAmount = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  await order.update({ totalAmount });
+  
+  return {
+    success: true,
+    message: 'Added to cart (offline mode)',
+    orderId: order.id
+  };
 };
 
 // Place order
@@ -415,17 +420,48 @@ const placeOrder = async (userId, orderData) => {
       throw new Error('No items in cart');
     }
     
-    // Update order with shipping details
-    await order.update({
-      shippingAddress: orderData.address,
-      paymentMethod: orderData.paymentMethod,
-      drugsngOrderId: null
+    const prescriptionOnly = await getPrescriptionOnlyLines(order.OrderItems);
+
+    // Delivery fee and ETA for the address; totalAmount includes the fee
+    const subtotal = order.OrderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const delivery = await quoteDelivery({ address: orderData.address, addressId: orderData.addressId, subtotal });
+    if (!delivery.success) {
+      const deliveryError = new Error(delivery.error);
+      deliveryError.code = delivery.errorCode;
+      throw deliveryError;
+    }
+
+    // Update order with shipping details and take it out of the cart
+    const placed = await transitionOrderStatus(order.id, 'AwaitingPayment', {
+      changedBy: `customer:${userId}`,
+      reason: 'Order placed (offline mode)',
+      updates: {
+        shippingAddress: orderData.address,
+        addressId: orderData.addressId || null,
+        paymentMethod: orderData.paymentMethod,
+        drugsngOrderId: null,
+        requiresPrescription: prescriptionOnly.length > 0,
+        deliveryZoneId: delivery.zone ? delivery.zone.id : null,
+        deliveryFee: delivery.fee,
+        estimatedDeliveryAt: delivery.estimatedDeliveryAt,
+        totalAmount: subtotal + delivery.fee
+      },
+      onTransition: (current, transaction) => commitOrderStock(current, transaction)
     });
     
+    if (!placed.success) {
+      throw new Error(placed.error);
+    }
+    
     return {
       success: true,
       orderId: order.id,
-      status: order.status,
+      status: placed.toStatus,
+      totalAmount: subtotal + delivery.fee,
+      deliveryFee: delivery.fee,
+      estimatedDeliveryAt: delivery.estimatedDeliveryAt,
+      eta: delivery.eta,
+      requiresPrescription: prescriptionOnly.length > 0,
       message: 'Order placed (offline mode)'
     };
   }
@@ -441,12 +477,7 @@ const trackOrder = async (orderId) => {
     console.error('Error tracking order from API:', error);
     // Fallback to PostgreSQL
     const order = await Order.findByPk(orderId, {
-      include: [
-        {
-          model: OrderItem,
-          include: [Product]
-        }
-      ]
+      include: [OrderItem]
     });
     
     if (!order) {
@@ -460,8 +491,12 @@ const trackOrder = async (orderId) => {
       paymentStatus: order.paymentStatus,
       shippingAddress: order.shippingAddress,
       orderDate: order.orderDate,
-      items: order.OrderItems.map(item => ({
-        name: item.Product.name,
+      deliveryFee: order.deliveryFee,
+      estimatedDeliveryAt: order.estimatedDeliveryAt,
+      eta: formatEta(order.estimatedDeliveryAt),
+      items: (await describeLines(order.OrderItems)).map(item => ({
+        name: item.name,
+        type: item.typeLabel,
         quantity: item.quantity,
         price: item.price
       }))
@@ -497,47 +532,13 @@ const searchDoctors = async (specialty, location) => {
       location: doctor.location,
       available: doctor.available,
       rating: doctor.rating,
+      consultationFee: doctor.consultationFee,
+      consultationModes: doctor.consultationModes,
       imageUrl: doctor.imageUrl
     }));
   }
 };
 
-// Book appointment
-const bookAppointment = async (userId, doctorId, dateTime) => {
-  try {
-    // Try Drugs.ng API first
-    const response = await drugsngAPI.post('/appointments', { userId, doctorId, dateTime });
-    return response.data;
-  } catch (error) {
-    console.error('Error booking appointment from API:', error);
-    // Fallback to PostgreSQL
-    const user = await User.findByPk(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    const doctor = await Doctor.findByPk(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
-    
-    const appointment = await Appointment.create({
-      userId: userId,
-      doctorId: doctorId,
-      dateTime: dateTime,
-      status: 'Scheduled',
-      drugsngAppointmentId: null
-    });
-    
-    return {
-      success: true,
-      appointmentId: appointment.id,
-      status: appointment.status,
-      message: 'Appointment booked (offline mode)'
-    };
-  }
-};
-
 // Paginated doctors search (API first, DB fallback)
 const searchDoctorsPaginated = async (specialty, location, page = 1, pageSize = 5) => {
   const safePage = Math.max(1, parseInt(page, 10) || 1);
@@ -582,6 +583,8 @@ const searchDoctorsPaginated = async (specialty, location, page = 1, pageSize =
     location: doctor.location,
     available: doctor.available,
     rating: doctor.rating,
+    consultationFee: doctor.consultationFee,
+    consultationModes: doctor.consultationModes,
     imageUrl: doctor.imageUrl
   }));
   const total = count;
@@ -712,97 +715,6 @@ const validateAppointmentDateTime = (dateTime, timezone = 'Africa/Lagos') => {
   }
 };
 
-/**
- * Book appointment with enhanced validation and session preservation
- * @param {number} userId - User ID
- * @param {number} doctorId - Doctor ID
- * @param {Date|string} dateTime - Appointment date/time
- * @param {string} timezone - Timezone
- * @returns {Object} Booking result with validation details
- */
-const bookAppointmentValidated = async (userId, doctorId, dateTime, timezone = 'Africa/Lagos') => {
-  try {
-    // Validate inputs
-    if (!userId || isNaN(userId)) {
-      throw new Error('Invalid user ID');
-    }
-
-    if (!doctorId || isNaN(doctorId)) {
-      throw new Error('Invalid doctor ID');
-    }
-
-    // Validate date and time
-    const validation = validateAppointmentDateTime(dateTime, timezone);
-    if (!validation.valid) {
-      return {
-        success: false,
-        error: validation.error,
-        warnings: validation.warnings
-      };
-    }
-
-    // Verify user exists
-    const user = await User.findByPk(userId);
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    // Verify doctor exists and is available
-    const doctor = await Doctor.findByPk(doctorId);
-    if (!doctor) {
-      throw new Error('Doctor not found');
-    }
-
-    if (!doctor.available) {
-      throw new Error('Doctor is not currently available');
-    }
-
-    // Create appointment
-    const appointment = await Appointment.create({
-      userId,
-      doctorId,
-      dateTime: new Date(dateTime),
-      status: 'Scheduled',
-      drugsngAppointmentId: null
-    });
-
-    // Try to sync with Drugs.ng API
-    let syncedWithAPI = false;
-    try {
-      const response = await drugsngAPI.post('/appointments', {
-        userId,
-        doctorId,
-        dateTime,
-        timezone
-      });
-      if (response.data.appointmentId) {
-        appointment.drugsngAppointmentId = response.data.appointmentId;
-        await appointment.save();
-        syncedWithAPI = true;
-      }
-    } catch (apiError) {
-      console.warn('Failed to sync appointment with Drugs.ng API:', apiError.message);
-    }
-
-    return {
-      success: true,
-      appointmentId: appointment.id,
-      doctorName: doctor.name,
-      appointmentDate: appointment.dateTime,
-      status: appointment.status,
-      syncedWithAPI,
-      warnings: validation.warnings,
-      message: `✅ Appointment confirmed with Dr. ${doctor.name} on ${appointment.dateTime.toLocaleDateString('en-NG')} at ${appointment.dateTime.toLocaleTimeString('en-NG')}`
-    };
-  } catch (error) {
-    console.error('Error booking appointment with validation:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-};
-
 module.exports = {
   registerUser,
   loginUser,
@@ -814,7 +726,5 @@ module.exports = {
   searchDoctors,
   searchDoctorsPaginated,
   searchDoctorsFormatted,
-  bookAppointment,
-  bookAppointmentValidated,
   validateAppointmentDateTime
 };
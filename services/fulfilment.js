@@ -0,0 +1,432 @@
+/**
+ * Fulfilment Service
+ * Pharmacy branches, their stock and which branch prepares each order:
+ * - Each branch has its own stock, location and opening hours. Product and
+ *   HealthcareProduct stock is kept as the total across active branches, so carts and
+ *   reservations keep working against one number
+ * - When an order's stock is committed it is routed to the nearest open branch that has
+ *   every item, or split across as few branches as possible; each branch gets a
+ *   Fulfilment with its lines. Lines no branch can supply alone wait for manual routing.
+ *   Items no branch keeps stock records for can come from any branch
+ * - Admins work through branch queues (Pending -> Picking -> Ready); riders collecting
+ *   the order mark its fulfilments Collected
+ * - With no branches configured orders are not routed and stock stays a single pool
+ */
+
+const { Op } = require('sequelize');
+const { Branch, BranchStock, Fulfilment, Order, OrderItem, Address, sequelize } = require('../models');
+const { getItemModel, getLineItemRef, describeLines } = require('./catalogue');
+const { notifySupportTeam } = require('./support');
+const { offsetHours } = require('./delivery');
+const { validateOpeningHours, isBranchOpen, rankBranches, planFulfilment } = require('../utils/fulfilmentRouting');
+
+const BRANCH_FIELDS = ['name', 'address', 'latitude', 'longitude', 'phoneNumber', 'openingHours', 'isActive'];
+const OPEN_FULFILMENT_STATUSES = ['Pending', 'Picking', 'Ready'];
+
+// Status changes admins can make from a branch queue
+const FULFILMENT_TRANSITIONS = {
+  Pending: ['Picking', 'Ready'],
+  Picking: ['Ready'],
+  Ready: ['Collected'],
+  Collected: [],
+  Cancelled: []
+};
+
+const lineKey = (ref) => `${ref.itemType}:${ref.itemId}`;
+
+// Units of each item on orders waiting for manual routing: already taken off the
+// catalogue total but not yet from any branch
+const loadAwaitingRouting = async (transaction) => {
+  const waiting = await Fulfilment.findAll({
+    where: { branchId: null, status: OPEN_FULFILMENT_STATUSES },
+    include: [OrderItem],
+    transaction
+  });
+  const units = {};
+  waiting.forEach(fulfilment => fulfilment.OrderItems.forEach((line) => {
+    const key = lineKey(getLineItemRef(line));
+    units[key] = (units[key] || 0) + line.quantity;
+  }));
+  return units;
+};
+
+/**
+ * Set catalogue stock to the total held by active branches, less units committed to orders
+ * waiting for manual routing, for items any branch stocks
+ * @param {Array} refs - [{ itemType, itemId }]
+ * @param {Object} transaction - Optional transaction
+ */
+const syncCatalogueStock = async (refs, transaction = null) => {
+  const awaitingRouting = await loadAwaitingRouting(transaction);
+  const seen = new Set();
+  for (const ref of refs) {
+    const key = lineKey(ref);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const rows = await BranchStock.findAll({
+      where: { itemType: ref.itemType, itemId: ref.itemId },
+      include: [{ model: Branch, attributes: ['isActive'] }],
+      transaction
+    });
+    if (rows.length === 0) continue;
+
+    const item = await getItemModel(ref.itemType).findByPk(ref.itemId, { transaction });
+    if (item) {
+      const held = rows.filter(row => row.Branch.isActive).reduce((sum, row) => sum + row.stock, 0);
+      await item.update({ stock: Math.max(0, held - (awaitingRouting[key] || 0)) }, { transaction });
+    }
+  }
+};
+
+const loadBranchStock = async (branchIds, refs, transaction) => {
+  if (branchIds.length === 0 || refs.length === 0) return [];
+  // Lock rows in a consistent order to avoid deadlocks between concurrent checkouts
+  return BranchStock.findAll({
+    where: {
+      branchId: branchIds,
+      [Op.or]: refs.map(ref => ({ itemType: ref.itemType, itemId: ref.itemId }))
+    },
+    order: [['branchId', 'ASC'], ['itemType', 'ASC'], ['itemId', 'ASC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+};
+
+/**
+ * Route an order to branches and take the stock from them. Called inside the transaction
+ * that commits the order's stock (inventory.commitOrderStock).
+ * @param {Object} order - Order instance
+ * @param {Object} transaction - Transaction
+ * @returns {Object|null} { fulfilments, unassigned }, or null when no branches are configured
+ */
+const routeOrderToBranches = async (order, transaction) => {
+  const branches = await Branch.findAll({ where: { isActive: true }, transaction });
+  if (branches.length === 0) return null;
+
+  const lines = (await OrderItem.findAll({ where: { orderId: order.id }, transaction }))
+    .map(line => ({ line, ...getLineItemRef(line) }))
+    .map(entry => ({ ...entry, key: lineKey(entry), quantity: entry.line.quantity }));
+  const stockRows = await loadBranchStock(branches.map(b => b.id), lines, transaction);
+
+  // Plan on each item's total, as an item can be on more than one line. Items no branch
+  // keeps stock records for are in the single catalogue pool and any branch can send them.
+  const totals = {};
+  lines.forEach((entry) => {
+    totals[entry.key] = (totals[entry.key] || 0) + entry.quantity;
+  });
+  const demand = Object.entries(totals).map(([key, quantity]) => ({ key, quantity }));
+  const untracked = demand
+    .filter(item => !stockRows.some(row => lineKey(row) === item.key))
+    .reduce((stock, item) => ({ ...stock, [item.key]: Infinity }), {});
+
+  const address = order.addressId ? await Address.findByPk(order.addressId, { transaction }) : null;
+  const destination = address && address.latitude != null && address.longitude != null
+    ? { latitude: address.latitude, longitude: address.longitude }
+    : null;
+  const now = new Date();
+  const ranked = rankBranches(branches.map(branch => ({
+    id: branch.id,
+    name: branch.name,
+    latitude: branch.latitude,
+    longitude: branch.longitude,
+    isOpen: isBranchOpen(branch.openingHours, now, offsetHours()),
+    stock: stockRows
+      .filter(row => row.branchId === branch.id)
+      .reduce((stock, row) => ({ ...stock, [lineKey(row)]: row.stock }), { ...untracked })
+  })), destination);
+
+  const plan = planFulfilment(demand, ranked);
+
+  const fulfilments = [];
+  for (const { branch, keys } of plan.assignments) {
+    const fulfilment = await Fulfilment.create({ orderId: order.id, branchId: branch.id, distanceKm: branch.distanceKm }, { transaction });
+    for (const entry of lines.filter(l => keys.includes(l.key))) {
+      const row = stockRows.find(r => r.branchId === branch.id && lineKey(r) === entry.key);
+      if (row) await row.update({ stock: row.stock - entry.quantity }, { transaction });
+      await entry.line.update({ fulfilmentId: fulfilment.id }, { transaction });
+    }
+    fulfilments.push(fulfilment);
+  }
+
+  if (plan.unassigned.length > 0) {
+    const fulfilment = await Fulfilment.create({
+      orderId: order.id,
+      branchId: null,
+      notes: 'No single branch had enough stock for these lines'
+    }, { transaction });
+    for (const entry of lines.filter(l => plan.unassigned.includes(l.key))) {
+      await entry.line.update({ fulfilmentId: fulfilment.id }, { transaction });
+    }
+    fulfilments.push(fulfilment);
+
+    transaction.afterCommit(async () => {
+      await notifySupportTeam('Inventory', 'orders', 'Order Needs Manual Routing', {
+        orderId: order.id,
+        fulfilmentId: fulfilment.id,
+        items: plan.unassigned
+      });
+    });
+  }
+
+  return { fulfilments, unassigned: plan.unassigned };
+};
+
+/**
+ * Return an order's stock to the branches that were going to supply it and cancel
+ * its fulfilments. Called with inventory.releaseOrderStock. Safe to call more than once.
+ * @param {number} orderId - Order ID
+ * @param {string} reason - Why the stock was returned
+ * @param {Object} transaction - Transaction
+ * @returns {number} Fulfilments cancelled
+ */
+const releaseBranchStock = async (orderId, reason, transaction) => {
+  const fulfilments = await Fulfilment.findAll({
+    where: { orderId, status: { [Op.ne]: 'Cancelled' } },
+    include: [OrderItem],
+    transaction
+  });
+
+  for (const fulfilment of fulfilments) {
+    if (fulfilment.branchId) {
+      const refs = fulfilment.OrderItems.map(getLineItemRef);
+      const rows = await loadBranchStock([fulfilment.branchId], refs, transaction);
+      for (const line of fulfilment.OrderItems) {
+        const row = rows.find(r => lineKey(r) === lineKey(getLineItemRef(line)));
+        if (row) await row.update({ stock: row.stock + line.quantity }, { transaction });
+      }
+    }
+    await fulfilment.update({ status: 'Cancelled', cancelledAt: new Date(), notes: reason }, { transaction });
+  }
+
+  return fulfilments.length;
+};
+
+/**
+ * Mark an order's ready fulfilments as collected by the rider
+ * @param {number} orderId - Order ID
+ * @returns {number} Fulfilments updated
+ */
+const markOrderCollected = async (orderId) => {
+  const [count] = await Fulfilment.update(
+    { status: 'Collected', collectedAt: new Date() },
+    { where: { orderId, status: OPEN_FULFILMENT_STATUSES, branchId: { [Op.ne]: null } } }
+  );
+  return count;
+};
+
+/**
+ * Branches an order is being prepared at, for riders collecting it
+ * @param {number} orderId - Order ID
+ * @returns {Array} [{ id, name, address, phoneNumber, status }]
+ */
+const getOrderPickupBranches = async (orderId) => {
+  const fulfilments = await Fulfilment.findAll({
+    where: { orderId, status: { [Op.ne]: 'Cancelled' }, branchId: { [Op.ne]: null } },
+    include: [Branch],
+    order: [['distanceKm', 'DESC']]
+  });
+  return fulfilments.map(f => ({
+    id: f.Branch.id,
+    name: f.Branch.name,
+    address: f.Branch.address,
+    phoneNumber: f.Branch.phoneNumber,
+    status: f.status
+  }));
+};
+
+const validateBranch = (branch) => {
+  if (!branch.name || !String(branch.name).trim()) throw new Error('Branch name is required');
+  if (!branch.address || !String(branch.address).trim()) throw new Error('Branch address is required');
+  const hasLatitude = branch.latitude !== null && branch.latitude !== undefined;
+  const hasLongitude = branch.longitude !== null && branch.longitude !== undefined;
+  if (hasLatitude !== hasLongitude) throw new Error('Set both latitude and longitude, or neither');
+  if (hasLatitude && (typeof branch.latitude !== 'number' || typeof branch.longitude !== 'number')) {
+    throw new Error('latitude and longitude must be numbers');
+  }
+  const hoursError = validateOpeningHours(branch.openingHours);
+  if (hoursError) throw new Error(hoursError);
+};
+
+const pickBranchFields = (data) => {
+  const values = {};
+  BRANCH_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) values[field] = data[field];
+  });
+  return values;
+};
+
+/**
+ * Branches with the size of their open queue
+ * @returns {Array} Branches with queue: { Pending, Picking, Ready }
+ */
+const listBranches = async () => {
+  const branches = await Branch.findAll({ order: [['name', 'ASC']] });
+  const counts = await Fulfilment.findAll({
+    where: { status: OPEN_FULFILMENT_STATUSES, branchId: { [Op.ne]: null } },
+    attributes: ['branchId', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['branchId', 'status'],
+    raw: true
+  });
+  return branches.map((branch) => {
+    const queue = { Pending: 0, Picking: 0, Ready: 0 };
+    counts.filter(c => c.branchId === branch.id).forEach((c) => { queue[c.status] = Number(c.count); });
+    return { ...branch.get({ plain: true }), queue };
+  });
+};
+
+/**
+ * Add a branch
+ * @param {Object} data - { name, address, latitude, longitude, phoneNumber, openingHours }
+ * @returns {Object} Created branch
+ */
+const createBranch = async (data) => {
+  const values = pickBranchFields(data || {});
+  validateBranch(values);
+  return Branch.create(values);
+};
+
+/**
+ * Update a branch. Activating or deactivating it moves its stock in or out of the catalogue totals.
+ * @param {number} branchId - Branch ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated branch
+ */
+const updateBranch = async (branchId, data) => {
+  const branch = await Branch.findByPk(branchId);
+  if (!branch) throw new Error('Branch not found');
+
+  const values = pickBranchFields(data || {});
+  validateBranch({ ...branch.get({ plain: true }), ...values });
+  const activeChanged = values.isActive !== undefined && values.isActive !== branch.isActive;
+
+  return sequelize.transaction(async (transaction) => {
+    await branch.update(values, { transaction });
+    if (activeChanged) {
+      const rows = await BranchStock.findAll({ where: { branchId: branch.id }, transaction });
+      await syncCatalogueStock(rows, transaction);
+    }
+    return branch;
+  });
+};
+
+/**
+ * Set how many units of items a branch holds
+ * @param {number} branchId - Branch ID
+ * @param {Array} entries - [{ itemType, itemId, stock }]
+ * @returns {Array} The branch's stock rows for those items
+ */
+const setBranchStock = async (branchId, entries) => {
+  const branch = await Branch.findByPk(branchId);
+  if (!branch) throw new Error('Branch not found');
+  if (!Array.isArray(entries) || entries.length === 0) throw new Error('Provide a list of { itemType, itemId, stock }');
+
+  for (const entry of entries) {
+    if (!Number.isInteger(entry.stock) || entry.stock < 0) throw new Error('stock must be a whole number of units, 0 or more');
+    if (!(await getItemModel(entry.itemType).findByPk(entry.itemId))) throw new Error(`${entry.itemType} #${entry.itemId} not found`);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const rows = [];
+    for (const entry of entries) {
+      const [row] = await BranchStock.findOrCreate({
+        where: { branchId: branch.id, itemType: entry.itemType, itemId: entry.itemId },
+        defaults: { stock: entry.stock },
+        transaction
+      });
+      await row.update({ stock: entry.stock }, { transaction });
+      rows.push(row);
+    }
+    if (branch.isActive) await syncCatalogueStock(entries, transaction);
+    return rows;
+  });
+};
+
+/**
+ * A branch's fulfilment queue, oldest first. Pass branchId null for fulfilments waiting for manual routing.
+ * @param {number|null} branchId - Branch ID
+ * @param {Object} filters - { status } (default: Pending, Picking and Ready)
+ * @returns {Array} Fulfilments with their order and lines
+ */
+const getBranchQueue = async (branchId, filters = {}) => {
+  if (branchId !== null && !(await Branch.findByPk(branchId))) throw new Error('Branch not found');
+  const fulfilments = await Fulfilment.findAll({
+    where: { branchId, status: filters.status || OPEN_FULFILMENT_STATUSES },
+    include: [Order, OrderItem],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const queue = [];
+  for (const fulfilment of fulfilments) {
+    queue.push({
+      id: fulfilment.id,
+      orderId: fulfilment.orderId,
+      orderStatus: fulfilment.Order.status,
+      status: fulfilment.status,
+      distanceKm: fulfilment.distanceKm,
+      createdAt: fulfilment.createdAt,
+      notes: fulfilment.notes,
+      items: (await describeLines(fulfilment.OrderItems)).map(line => ({ name: line.name, quantity: line.quantity }))
+    });
+  }
+  return queue;
+};
+
+/**
+ * Move a fulfilment through a branch queue, or route a waiting fulfilment to a branch
+ * (taking the stock from that branch)
+ * @param {number} fulfilmentId - Fulfilment ID
+ * @param {Object} changes - { status } or { branchId }
+ * @returns {Object} Updated fulfilment
+ */
+const updateFulfilment = async (fulfilmentId, changes = {}) => {
+  const fulfilment = await Fulfilment.findByPk(fulfilmentId, { include: [OrderItem] });
+  if (!fulfilment) throw new Error('Fulfilment not found');
+
+  if (changes.branchId !== undefined) {
+    if (fulfilment.branchId) throw new Error('Only fulfilments waiting for manual routing can be moved to a branch');
+    const branch = await Branch.findByPk(changes.branchId);
+    if (!branch || !branch.isActive) throw new Error('Branch not found');
+
+    return sequelize.transaction(async (transaction) => {
+      const refs = fulfilment.OrderItems.map(getLineItemRef);
+      const rows = await loadBranchStock([branch.id], refs, transaction);
+      for (const line of fulfilment.OrderItems) {
+        const row = rows.find(r => lineKey(r) === lineKey(getLineItemRef(line)));
+        if (!row || row.stock < line.quantity) {
+          throw new Error(`${branch.name} doesn't have ${line.quantity} of ${lineKey(getLineItemRef(line))}`);
+        }
+        await row.update({ stock: row.stock - line.quantity }, { transaction });
+      }
+      await fulfilment.update({ branchId: branch.id, notes: null }, { transaction });
+      return fulfilment;
+    });
+  }
+
+  const { status } = changes;
+  if (!status) throw new Error('Provide status or branchId');
+  if (!fulfilment.branchId) throw new Error('Route this fulfilment to a branch first');
+  if (!(FULFILMENT_TRANSITIONS[fulfilment.status] || []).includes(status)) {
+    throw new Error(`Fulfilment cannot move from ${fulfilment.status} to ${status}`);
+  }
+
+  const updates = { status };
+  if (status === 'Ready') updates.readyAt = new Date();
+  if (status === 'Collected') updates.collectedAt = new Date();
+  await fulfilment.update(updates);
+  return fulfilment;
+};
+
+module.exports = {
+  syncCatalogueStock,
+  routeOrderToBranches,
+  releaseBranchStock,
+  markOrderCollected,
+  getOrderPickupBranches,
+  listBranches,
+  createBranch,
+  updateBranch,
+  setBranchStock,
+  getBranchQueue,
+  updateFulfilment
+};
@@ -1,6 +1,9 @@
 const axios = require('axios');
-const { HealthcareProduct, Cart, User, Product } = require('../models');
+const { HealthcareProduct, Cart, User } = require('../models');
 const { uploadImage, deleteImage } = require('./cloudinary');
+const { reserveStock, releaseReservations } = require('./inventory');
+const { getLineItemRef, buildLineItemFields, describeLines } = require('./catalogue');
+const { searchCatalogue } = require('./search');
 
 // Drugs.ng API client with timeout
 const drugsngAPI = axios.create({
@@ -30,17 +33,8 @@ const searchHealthcareProducts = async (query) => {
       console.warn('Could not fetch from Drugs.ng API, using local database:', apiError.message);
     }
 
-    // Fallback to local database
-    const products = await HealthcareProduct.findAll({
-      where: {
-        isActive: true,
-        [require('sequelize').Op.or]: [
-          { name: { [require('sequelize').Op.iLike]: `%${query}%` } },
-          { category: { [require('sequelize').Op.iLike]: `%${query}%` } },
-          { description: { [require('sequelize').Op.iLike]: `%${query}%` } }
-        ]
-      }
-    });
+    // Fallback to local database - ranked catalogue search
+    const products = await searchCatalogue(query, { types: ['HealthcareProduct'], limit: 20 });
 
     return products;
   } catch (error) {
@@ -152,15 +146,22 @@ const addHealthcareProductToCart = async (userId, productId, quantity = 1) => {
       throw new Error('Product is not available');
     }
 
-    if (product.stock < quantity) {
-      throw new Error(`Only ${product.stock} units available`);
-    }
-
     // Check if product already in cart
     let cartItem = await Cart.findOne({
-      where: { userId, productId }
+      where: { userId, itemType: 'HealthcareProduct', itemId: productId }
     });
 
+    // Hold stock for the whole cart line before changing it
+    const reserved = await reserveStock({
+      itemType: 'HealthcareProduct',
+      itemId: productId,
+      userId,
+      quantity: (cartItem ? cartItem.quantity : 0) + quantity
+    });
+    if (!reserved.success) {
+      throw new Error(reserved.error);
+    }
+
     if (cartItem) {
       // Update quantity
       cartItem.quantity += quantity;
@@ -169,7 +170,7 @@ const addHealthcareProductToCart = async (userId, productId, quantity = 1) => {
       // Create new cart item
       cartItem = await Cart.create({
         userId,
-        productId,
+        ...buildLineItemFields('HealthcareProduct', productId),
         quantity,
         price: product.price
       });
@@ -189,17 +190,12 @@ const addHealthcareProductToCart = async (userId, productId, quantity = 1) => {
   }
 };
 
-// Get user's cart
+// Get user's cart (medicines and healthcare products)
 const getUserCart = async (userId) => {
   try {
     const cartItems = await Cart.findAll({
       where: { userId },
-      include: [
-        {
-          model: Product,
-          attributes: ['id', 'name', 'price']
-        }
-      ]
+      order: [['createdAt', 'ASC']]
     });
 
     if (cartItems.length === 0) {
@@ -212,8 +208,20 @@ const getUserCart = async (userId) => {
 
     const totalAmount = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 
+    const lines = await describeLines(cartItems);
+
     return {
-      items: cartItems,
+      items: lines.map(item => ({
+        id: item.line.id,
+        itemType: item.itemType,
+        itemId: item.itemId,
+        name: item.name,
+        typeLabel: item.typeLabel,
+        quantity: item.quantity,
+        price: item.price,
+        subtotal: item.subtotal,
+        imageUrl: item.imageUrl
+      })),
       totalAmount,
       totalItems: cartItems.length
     };
@@ -235,6 +243,7 @@ const removeFromCart = async (userId, cartItemId) => {
     }
 
     await cartItem.destroy();
+    await releaseReservations({ userId, ...getLineItemRef(cartItem) });
 
     return {
       success: true,
@@ -261,6 +270,15 @@ const updateCartItemQuantity = async (userId, cartItemId, quantity) => {
       throw new Error('Cart item not found');
     }
 
+    const reserved = await reserveStock({
+      ...getLineItemRef(cartItem),
+      userId,
+      quantity
+    });
+    if (!reserved.success) {
+      throw new Error(reserved.error);
+    }
+
     cartItem.quantity = quantity;
     await cartItem.save();
 
@@ -279,6 +297,7 @@ const updateCartItemQuantity = async (userId, cartItemId, quantity) => {
 const clearCart = async (userId) => {
   try {
     await Cart.destroy({ where: { userId } });
+    await releaseReservations({ userId }, 'Cart cleared');
 
     return {
       success: true,
@@ -103,15 +103,17 @@ const handleHealthcareProductSearch = async (phoneNumber, query) => {
   }
 };
 
-// Handle post-payment booking notification
+// Handle post-payment booking notification (sent once the consultation fee is confirmed)
 const handlePostPaymentNotification = async (userId, doctorId, appointmentId, doctorPhoneNumber) => {
   try {
     const { Appointment, User, Doctor } = require('../models');
+    const { formatAppointmentTime } = require('./appointmentManagement');
+    const { describeConsultationMode } = require('./teleconsultation');
     
     const appointment = await Appointment.findByPk(appointmentId, {
       include: [
         { model: User, attributes: ['phoneNumber', 'name', 'email'] },
-        { model: Doctor, attributes: ['name', 'phoneNumber'] }
+        { model: Doctor, attributes: ['name', 'specialty', 'location', 'phoneNumber', 'timezone'] }
       ]
     });
 
@@ -119,23 +121,26 @@ const handlePostPaymentNotification = async (userId, doctorId, appointmentId, do
       throw new Error('Appointment not found');
     }
 
+    const dateTime = formatAppointmentTime(appointment.dateTime, appointment.Doctor);
+
     // Send confirmation email to customer
     if (appointment.User && appointment.User.email) {
       await sendBookingConfirmationEmail(appointment.User.email, {
         doctorName: appointment.Doctor.name,
         specialty: appointment.Doctor.specialty,
-        dateTime: new Date(appointment.dateTime).toLocaleString(),
+        dateTime,
         bookingId: appointmentId
       }, appointment.User.name);
     }
 
     // Send WhatsApp notification to customer
-    const customerMsg = `✅ Your appointment has been confirmed!\n\nDoctor: ${appointment.Doctor.name}\nDate & Time: ${new Date(appointment.dateTime).toLocaleString()}\nBooking ID: ${appointmentId}`;
+    const paidLine = appointment.totalAmount ? `\nPaid: ₦${Number(appointment.totalAmount).toLocaleString()}` : '';
+    const customerMsg = `✅ Payment received — your appointment is confirmed!\n\nDoctor: Dr. ${appointment.Doctor.name}\nDate & Time: ${dateTime}\n${describeConsultationMode(appointment, appointment.Doctor)}${paidLine}\nBooking ID: ${appointmentId}\n\nYou'll get a reminder before your appointment.`;
     await sendWhatsAppMessage(appointment.User.phoneNumber, customerMsg);
 
     // Send notification to doctor if they have WhatsApp
     if (doctorPhoneNumber) {
-      const doctorMsg = `📅 New Appointment Booking!\n\nPatient: ${appointment.User.name}\nDate & Time: ${new Date(appointment.dateTime).toLocaleString()}\nPhone: ${appointment.User.phoneNumber}`;
+      const doctorMsg = `📅 New Appointment Booking!\n\nPatient: ${appointment.User.name}\nDate & Time: ${dateTime}\nPhone: ${appointment.User.phoneNumber}\nBooking ID: ${appointmentId}`;
       await sendWhatsAppMessage(doctorPhoneNumber, doctorMsg);
     }
 
@@ -0,0 +1,345 @@
+/**
+ * Inventory Service
+ * Keeps Product and HealthcareProduct stock from being oversold:
+ * - Stock is reserved when an item enters a cart; reservations expire
+ *   after STOCK_RESERVATION_TTL_MINUTES so abandoned carts don't hold stock forever
+ * - Stock is deducted inside the order placement transaction
+ * - Stock is returned when an order is cancelled or its payment fails
+ * - With pharmacy branches configured, committed orders are routed to branches
+ *   and stock is taken from them too (see services/fulfilment.js)
+ * - The orders support team is alerted when an item drops to LOW_STOCK_THRESHOLD
+ */
+
+const { Op } = require('sequelize');
+const { OrderItem, StockReservation, sequelize } = require('../models');
+const { notifySupportTeam } = require('./support');
+const { getItemModel, getLineItemRef } = require('./catalogue');
+const { routeOrderToBranches, releaseBranchStock } = require('./fulfilment');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 30;
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 10;
+
+// Reservations are held either by a cart order or, for carts without an order, by the user
+const holderWhere = ({ userId, orderId = null }) => (orderId ? { orderId } : { userId, orderId: null });
+
+const isHeldBy = (reservation, holder) => (
+  holder.orderId
+    ? reservation.orderId === holder.orderId
+    : reservation.orderId === null && reservation.userId === holder.userId
+);
+
+/**
+ * Units of an item held by unexpired cart reservations
+ * @param {string} itemType - 'Product' or 'HealthcareProduct'
+ * @param {number} itemId - Item ID
+ * @param {Object|Array} excludeHolder - { userId, orderId } (or a list of them) whose own reservations should not count
+ * @param {Object} transaction - Optional transaction
+ * @returns {number} Reserved units
+ */
+const getReservedQuantity = async (itemType, itemId, excludeHolder = null, transaction = null) => {
+  const excluded = [].concat(excludeHolder || []);
+  const reservations = await StockReservation.findAll({
+    where: { itemType, itemId, status: 'Active', expiresAt: { [Op.gt]: new Date() } },
+    transaction
+  });
+
+  return reservations
+    .filter(reservation => !excluded.some(holder => isHeldBy(reservation, holder)))
+    .reduce((sum, reservation) => sum + reservation.quantity, 0);
+};
+
+/**
+ * Stock that can still be added to a cart
+ * @param {string} itemType - 'Product' or 'HealthcareProduct'
+ * @param {number} itemId - Item ID
+ * @returns {number} Available units
+ */
+const getAvailableStock = async (itemType, itemId) => {
+  const item = await getItemModel(itemType).findByPk(itemId);
+  if (!item) {
+    throw new Error('Product not found');
+  }
+  return Math.max(0, item.stock - await getReservedQuantity(itemType, itemId));
+};
+
+/**
+ * Mark reservations past their expiry as Expired
+ * @returns {number} Number of reservations expired
+ */
+const expireStaleReservations = async () => {
+  const [count] = await StockReservation.update(
+    { status: 'Expired', releasedAt: new Date(), releaseReason: 'Reservation expired' },
+    { where: { status: 'Active', expiresAt: { [Op.lte]: new Date() } } }
+  );
+  return count;
+};
+
+/**
+ * Alert the orders team about items that just reached the low stock threshold
+ * @param {Array} items - [{ itemType, itemId, name, stock }]
+ */
+const notifyLowStock = async (items) => {
+  for (const item of items) {
+    await notifySupportTeam('Inventory', 'orders', item.stock === 0 ? 'Out of Stock Alert' : 'Low Stock Alert', {
+      itemType: item.itemType,
+      itemId: item.itemId,
+      name: item.name,
+      stock: item.stock,
+      threshold: LOW_STOCK_THRESHOLD
+    });
+  }
+};
+
+/**
+ * Hold stock for a cart line. The holder's reservation is set to the given quantity
+ * (the cart line total), so it is safe to call again after the quantity changes.
+ * @param {Object} line - { itemType, itemId, userId, orderId, quantity }
+ * @returns {Object} Result with the reservation and units still available
+ */
+const reserveStock = async (line) => {
+  const { itemType = 'Product', itemId, userId, orderId = null, quantity } = line;
+
+  try {
+    if (!itemId || !userId || !quantity || quantity < 1) {
+      throw new Error('Invalid input: itemId, userId, and quantity (>0) are required');
+    }
+
+    const Model = getItemModel(itemType);
+    await expireStaleReservations();
+
+    return await sequelize.transaction(async (transaction) => {
+      // Lock the item so two carts can't both take the last units
+      const item = await Model.findByPk(itemId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!item) {
+        throw new Error('Product not found');
+      }
+
+      const holder = { userId, orderId };
+      const available = Math.max(0, item.stock - await getReservedQuantity(itemType, itemId, holder, transaction));
+      if (quantity > available) {
+        const error = new Error(available > 0
+          ? `Insufficient stock. Available: ${available}, Requested: ${quantity}`
+          : `${item.name} is out of stock`);
+        error.code = 'INSUFFICIENT_STOCK';
+        throw error;
+      }
+
+      const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+      let reservation = await StockReservation.findOne({
+        where: { itemType, itemId, status: 'Active', ...holderWhere(holder) },
+        transaction
+      });
+
+      if (reservation) {
+        await reservation.update({ quantity, expiresAt }, { transaction });
+      } else {
+        reservation = await StockReservation.create({
+          itemType,
+          itemId,
+          userId,
+          orderId,
+          quantity,
+          expiresAt
+        }, { transaction });
+      }
+
+      return {
+        success: true,
+        reservation,
+        available: available - quantity,
+        expiresAt
+      };
+    });
+  } catch (error) {
+    console.error('Error reserving stock:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'STOCK_RESERVATION_FAILED'
+    };
+  }
+};
+
+/**
+ * Release cart reservations (item removed, cart cleared)
+ * @param {Object} filter - { userId, orderId } plus optional { itemType, itemId } for a single line
+ * @param {string} reason - Why the stock was released
+ * @returns {number} Number of reservations released
+ */
+const releaseReservations = async (filter, reason = 'Removed from cart') => {
+  const where = { status: 'Active', ...holderWhere(filter) };
+  if (filter.itemId) {
+    where.itemType = filter.itemType || 'Product';
+    where.itemId = filter.itemId;
+  }
+
+  const [count] = await StockReservation.update(
+    { status: 'Released', releasedAt: new Date(), releaseReason: reason },
+    { where }
+  );
+  return count;
+};
+
+/**
+ * Deduct stock for every line of an order. Must run inside the transaction that
+ * places the order so the stock and the order status change together.
+ * The customer's own cart holds (the order's, and ones kept against the customer before
+ * the order existed) don't count against it; they become the order's committed reservations.
+ * Does nothing if the order's stock is already committed.
+ * @param {Object} order - Order instance
+ * @param {Object} transaction - Sequelize transaction
+ * @param {Object} options - { allowShortfall } to deduct what is left instead of failing
+ *   (used when payment arrives for an order whose stock had been released)
+ * @returns {Object} { committed, shortfalls }
+ */
+const commitOrderStock = async (order, transaction, options = {}) => {
+  const alreadyCommitted = await StockReservation.count({
+    where: { orderId: order.id, status: 'Committed' },
+    transaction
+  });
+  if (alreadyCommitted > 0) {
+    return { committed: false, shortfalls: [] };
+  }
+
+  // Lock rows in a consistent order to avoid deadlocks between concurrent checkouts
+  const lines = (await OrderItem.findAll({ where: { orderId: order.id }, transaction }))
+    .map(line => ({ line, ...getLineItemRef(line) }))
+    .sort((a, b) => a.itemType.localeCompare(b.itemType) || a.itemId - b.itemId);
+
+  const holder = { userId: order.userId, orderId: order.id };
+  const cartHolder = { userId: order.userId, orderId: null };
+  const shortfalls = [];
+  const checked = [];
+
+  for (const { line, itemType, itemId } of lines) {
+    const item = await getItemModel(itemType).findByPk(itemId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!item) {
+      throw new Error(`${itemType} #${itemId} is no longer available`);
+    }
+
+    const available = Math.max(0, item.stock - await getReservedQuantity(itemType, itemId, [holder, cartHolder], transaction));
+    if (line.quantity > available) {
+      shortfalls.push({ itemType, itemId, name: item.name, requested: line.quantity, available });
+    }
+    checked.push({ line, itemType, item });
+  }
+
+  if (shortfalls.length > 0 && !options.allowShortfall) {
+    const error = new Error(`Insufficient stock for ${shortfalls.map(s => `${s.name} (available: ${s.available})`).join(', ')}`);
+    error.code = 'INSUFFICIENT_STOCK';
+    throw error;
+  }
+
+  const lowStock = [];
+  for (const { line, itemType, item } of checked) {
+    const previousStock = item.stock;
+    const newStock = Math.max(0, previousStock - line.quantity);
+    await item.update({ stock: newStock }, { transaction });
+
+    if (previousStock > LOW_STOCK_THRESHOLD && newStock <= LOW_STOCK_THRESHOLD) {
+      lowStock.push({ itemType, itemId: item.id, name: item.name, stock: newStock });
+    }
+
+    const reservation = await StockReservation.findOne({
+      where: { itemType, itemId: item.id, status: 'Active', orderId: order.id },
+      transaction
+    }) || await StockReservation.findOne({
+      where: { itemType, itemId: item.id, status: 'Active', ...holderWhere(cartHolder) },
+      transaction
+    });
+
+    if (reservation) {
+      await reservation.update({ status: 'Committed', orderId: order.id, quantity: line.quantity, expiresAt: null }, { transaction });
+    } else {
+      await StockReservation.create({
+        itemType,
+        itemId: item.id,
+        userId: order.userId,
+        orderId: order.id,
+        quantity: line.quantity,
+        status: 'Committed'
+      }, { transaction });
+    }
+  }
+
+  // Reservations for lines no longer in the order
+  await StockReservation.update(
+    { status: 'Released', releasedAt: new Date(), releaseReason: 'Not in placed order' },
+    { where: { orderId: order.id, status: 'Active' }, transaction }
+  );
+
+  // Other cart holds on the ordered items are covered by the committed stock now
+  for (const { itemType, item } of checked) {
+    await StockReservation.update(
+      { status: 'Released', releasedAt: new Date(), releaseReason: `Taken over by order #${order.id}` },
+      { where: { itemType, itemId: item.id, status: 'Active', ...holderWhere(cartHolder) }, transaction }
+    );
+  }
+
+  await routeOrderToBranches(order, transaction);
+
+  transaction.afterCommit(async () => {
+    if (lowStock.length > 0) {
+      await notifyLowStock(lowStock);
+    }
+    if (shortfalls.length > 0) {
+      await notifySupportTeam('Inventory', 'orders', 'Order Short of Stock', {
+        orderId: order.id,
+        shortfalls
+      });
+    }
+  });
+
+  return { committed: true, shortfalls };
+};
+
+/**
+ * Return an order's stock: committed units go back on the shelf and
+ * active cart reservations are released. Safe to call more than once.
+ * @param {number} orderId - Order ID
+ * @param {string} reason - Why the stock was returned (cancelled, payment failed, ...)
+ * @param {Object} transaction - Optional transaction (one is created if omitted)
+ * @returns {Object} { released, restocked }
+ */
+const releaseOrderStock = async (orderId, reason, transaction = null) => {
+  if (!transaction) {
+    return sequelize.transaction(t => releaseOrderStock(orderId, reason, t));
+  }
+
+  const reservations = await StockReservation.findAll({
+    where: { orderId, status: { [Op.in]: ['Active', 'Committed'] } },
+    order: [['itemType', 'ASC'], ['itemId', 'ASC']],
+    transaction
+  });
+
+  let restocked = 0;
+  for (const reservation of reservations) {
+    if (reservation.status === 'Committed') {
+      const item = await getItemModel(reservation.itemType).findByPk(reservation.itemId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (item) {
+        await item.increment('stock', { by: reservation.quantity, transaction });
+        restocked += reservation.quantity;
+      }
+    }
+
+    await reservation.update({ status: 'Released', releasedAt: new Date(), releaseReason: reason }, { transaction });
+  }
+
+  await releaseBranchStock(orderId, reason, transaction);
+
+  return { released: reservations.length, restocked };
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  LOW_STOCK_THRESHOLD,
+  getAvailableStock,
+  expireStaleReservations,
+  reserveStock,
+  releaseReservations,
+  commitOrderStock,
+  releaseOrderStock
+};
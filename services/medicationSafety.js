@@ -0,0 +1,206 @@
+/**
+ * Medication Safety Service
+ * Screens medicines as they go into a cart:
+ * - Against the rest of the cart and anything ordered in the last MEDICATION_CHECK_RECENT_DAYS
+ *   for known drug interactions (config/drugInteractions.js)
+ * - Against the allergies and health conditions on the customer's profile
+ * - Warnings are graded High / Moderate / Low and shown in the chat; High ones are
+ *   also sent to the medical support team so a pharmacist can follow up
+ */
+
+const { Op } = require('sequelize');
+const { Order, OrderItem, User } = require('../models');
+const { getCatalogueItem, describeLines } = require('./catalogue');
+const { notifySupportTeam } = require('./support');
+const { ALLERGIES, CONDITIONS } = require('../config/drugInteractions');
+const {
+  normalizeAllergy,
+  normalizeCondition,
+  checkMedicationSafety,
+  highestSeverity
+} = require('../utils/drugSafety');
+
+const RECENT_ORDER_DAYS = parseInt(process.env.MEDICATION_CHECK_RECENT_DAYS, 10) || 90;
+
+const PROFILE_FIELDS = {
+  allergy: { field: 'allergies', catalogue: ALLERGIES, normalize: normalizeAllergy },
+  condition: { field: 'medicalConditions', catalogue: CONDITIONS, normalize: normalizeCondition }
+};
+
+const SEVERITY_ICONS = { High: '🔴', Moderate: '🟠', Low: '🟡' };
+
+const describeProfile = (user) => ({
+  allergies: (user.allergies || []).map(key => ({ key, label: ALLERGIES[key] ? ALLERGIES[key].label : key })),
+  conditions: (user.medicalConditions || []).map(key => ({ key, label: CONDITIONS[key] ? CONDITIONS[key].label : key }))
+});
+
+/**
+ * A customer's allergies and health conditions
+ * @param {number} userId - Customer
+ * @returns {Object} { allergies: [{ key, label }], conditions: [{ key, label }] }
+ */
+const getHealthProfile = async (userId) => {
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return describeProfile(user);
+};
+
+/**
+ * Add or remove an allergy or condition
+ * @param {number} userId - Customer
+ * @param {string} kind - 'allergy' or 'condition'
+ * @param {string} value - Free text, e.g. "penicillin" or "high blood pressure"
+ * @param {boolean} remove - Remove instead of add
+ * @returns {Object} Result with the updated profile
+ */
+const updateHealthProfile = async (userId, kind, value, remove = false) => {
+  try {
+    const config = PROFILE_FIELDS[kind];
+    if (!config) {
+      throw new Error(`Unknown profile entry: ${kind}`);
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const key = config.normalize(value);
+    if (!key) {
+      const error = new Error(`We don't recognise "${value}". Known ${kind === 'allergy' ? 'allergies' : 'conditions'}: ${Object.values(config.catalogue).map(entry => entry.label).join(', ')}`);
+      error.code = kind === 'allergy' ? 'UNKNOWN_ALLERGY' : 'UNKNOWN_CONDITION';
+      throw error;
+    }
+
+    const current = user[config.field] || [];
+    const next = remove ? current.filter(entry => entry !== key) : [...new Set([...current, key])];
+    await user.update({ [config.field]: next });
+
+    return {
+      success: true,
+      kind,
+      key,
+      label: config.catalogue[key].label,
+      profile: describeProfile(user)
+    };
+  } catch (error) {
+    console.error('Error updating health profile:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'HEALTH_PROFILE_UPDATE_FAILED'
+    };
+  }
+};
+
+// Cart lines, then lines from recent orders, other than the item itself
+// (reordering a medicine is not taking two of them)
+const loadOtherMedicines = async (userId, itemType, itemId) => {
+  const since = new Date(Date.now() - RECENT_ORDER_DAYS * 24 * 60 * 60 * 1000);
+  const orders = await Order.findAll({
+    where: {
+      userId,
+      [Op.or]: [
+        { status: 'Processing' },
+        { status: { [Op.notIn]: ['Processing', 'Cancelled'] }, createdAt: { [Op.gte]: since } }
+      ]
+    },
+    include: [OrderItem],
+    order: [['createdAt', 'DESC']]
+  });
+
+  const others = [];
+  for (const order of orders) {
+    const isCart = order.status === 'Processing';
+    for (const line of await describeLines(order.OrderItems || [])) {
+      if (line.itemType === itemType && String(line.itemId) === String(itemId)) continue;
+      others.push({
+        name: line.name,
+        description: line.item ? line.item.description : null,
+        source: isCart ? 'cart' : `order #${order.id}`
+      });
+    }
+  }
+  return others;
+};
+
+/**
+ * Check an item a customer is adding to their cart
+ * @param {number} userId - Customer
+ * @param {string} itemType - 'Product' or 'HealthcareProduct'
+ * @param {number} itemId - Item ID
+ * @param {Object} options - { notify } set to false to skip alerting the medical team
+ * @returns {Object} { success, warnings, highestSeverity, flagged }
+ */
+const checkCartItemSafety = async (userId, itemType, itemId, options = {}) => {
+  const { notify = true } = options;
+  try {
+    const user = await User.findByPk(userId);
+    const item = await getCatalogueItem(itemType, itemId);
+    if (!user || !item) {
+      throw new Error('User or item not found');
+    }
+
+    const warnings = checkMedicationSafety({
+      item,
+      others: await loadOtherMedicines(userId, itemType, item.itemId),
+      allergies: user.allergies || [],
+      conditions: user.medicalConditions || []
+    });
+    const severity = highestSeverity(warnings);
+
+    let flagged = false;
+    if (severity === 'High' && notify) {
+      await notifySupportTeam(user.phoneNumber, 'medical', 'High-Severity Medicine Warning', {
+        userId: user.id,
+        item: item.name,
+        warnings: warnings
+          .filter(w => w.severity === 'High')
+          .map(w => `${w.type}: ${w.item} + ${w.with}${w.source ? ` (${w.source})` : ''} — ${w.effect}`)
+      });
+      flagged = true;
+    }
+
+    return { success: true, warnings, highestSeverity: severity, flagged };
+  } catch (error) {
+    console.error('Error checking medication safety:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'SAFETY_CHECK_FAILED',
+      warnings: []
+    };
+  }
+};
+
+/**
+ * Chat text for safety warnings
+ * @param {Array} warnings - From checkCartItemSafety
+ * @param {boolean} flagged - Whether the medical team was alerted
+ * @returns {string} Message, or '' when there is nothing to say
+ */
+const formatSafetyWarnings = (warnings, flagged = false) => {
+  if (!warnings || warnings.length === 0) return '';
+
+  let message = '⚠️ *Medicine safety check*\n';
+  warnings.forEach((w) => {
+    const subject = w.type === 'interaction' ? `${w.item} + ${w.with}${w.source ? ` (${w.source})` : ''}` : `${w.item} — ${w.with}`;
+    message += `\n${SEVERITY_ICONS[w.severity] || '•'} *${w.severity}*: ${subject}\n${w.effect} ${w.advice}\n`;
+  });
+  if (flagged) {
+    message += '\n👩‍⚕️ A pharmacist has been alerted and may contact you before your order is packed.';
+  } else {
+    message += "\nType 'support' to speak to a pharmacist if you're unsure.";
+  }
+  return message;
+};
+
+module.exports = {
+  RECENT_ORDER_DAYS,
+  getHealthProfile,
+  updateHealthProfile,
+  checkCartItemSafety,
+  formatSafetyWarnings
+};
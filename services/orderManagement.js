@@ -5,11 +5,17 @@
  * - Session preservation
  * - Retry logic for external API calls
  * - Improved error messages
+ * - Guarded order status transitions with history
  */
 
 const axios = require('axios');
-const { Order, OrderItem, Product, User, Cart } = require('../models');
+const { Order, OrderItem, User, Cart, OrderStatusHistory, Prescription, sequelize } = require('../models');
 const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { getPaymentProvider, getPaymentProviderNames } = require('./paymentProviders');
+const { reserveStock, releaseReservations, commitOrderStock, releaseOrderStock } = require('./inventory');
+const { getCatalogueItem, getLineItemRef, buildLineItemFields, describeLines, getPrescriptionOnlyLines } = require('./catalogue');
+const { checkCartItemSafety, formatSafetyWarnings } = require('./medicationSafety');
+const { quoteDelivery } = require('./delivery');
 
 // API configuration
 const drugsngAPI = axios.create({
@@ -60,16 +66,279 @@ const retryWithBackoff = async (fn, config = RETRY_CONFIG) => {
   throw lastError;
 };
 
+// Allowed order status transitions. 'Processing' is the open cart;
+// 'Shipped' only exists on legacy orders and behaves like 'Dispatched'.
+// A failed delivery goes back to the pharmacy as 'Packed' to wait for another rider.
+const ORDER_TRANSITIONS = {
+  Processing: ['AwaitingPayment', 'Cancelled'],
+  AwaitingPayment: ['Paid', 'Packed', 'Cancelled'],
+  Paid: ['AwaitingPrescriptionReview', 'Packed', 'Cancelled', 'Refunded'],
+  AwaitingPrescriptionReview: ['Packed', 'Cancelled', 'Refunded'],
+  Packed: ['Dispatched', 'Cancelled', 'Refunded'],
+  Dispatched: ['OutForDelivery', 'Delivered', 'Returned', 'Packed'],
+  Shipped: ['OutForDelivery', 'Delivered', 'Returned', 'Packed'],
+  OutForDelivery: ['Delivered', 'Returned', 'Packed'],
+  Delivered: ['Returned', 'Refunded'],
+  Returned: ['Refunded'],
+  Refunded: [],
+  Cancelled: ['Refunded']
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Extra checks run against the order (with pending updates applied) before a transition.
+// Each returns (or resolves to) an error message, or null when the transition may proceed.
+const TRANSITION_GUARDS = {
+  Paid: (order) => (
+    order.paymentStatus === 'Paid' ? null : 'Order cannot be marked Paid until payment is confirmed'
+  ),
+  // Packing releases the order for fulfilment
+  Packed: async (order, transaction) => {
+    if (order.status === 'AwaitingPayment' && order.paymentMethod !== 'Cash on Delivery') {
+      return 'Orders paid online must be paid before packing';
+    }
+    if (order.requiresPrescription) {
+      const prescription = await Prescription.findOne({ where: { orderId: order.id }, transaction });
+      if (!prescription || prescription.verificationStatus !== 'Verified') {
+        return 'Orders with prescription-only items cannot be packed until the prescription is verified';
+      }
+    }
+    return null;
+  },
+  // Orders sent out with a delivery code are delivered once the code (or support) confirms it
+  Delivered: (order) => (
+    order.deliveryCode && !order.deliveryConfirmedAt ? 'Delivery must be confirmed with the customer\'s delivery code, or by support resolving a delivery exception' : null
+  ),
+  Refunded: (order) => (
+    ['Paid', 'PartiallyRefunded', 'Refunded'].includes(order.paymentStatus) ? null : 'Only paid orders can be refunded'
+  )
+};
+
+/**
+ * Move an order to a new status.
+ * All order status changes must go through here so the transition rules are enforced
+ * and every change is recorded in OrderStatusHistory.
+ * @param {number} orderId - Order ID
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { changedBy, reason, metadata, updates, onTransition }
+ *   changedBy: who made the change (e.g. 'system', 'admin:email', 'webhook:paystack')
+ *   updates: other order fields to save together with the status change
+ *   onTransition: async (order, transaction) hook run inside the transaction before saving;
+ *     throwing aborts the change
+ * @returns {Object} Result with the updated order
+ */
+const transitionOrderStatus = async (orderId, toStatus, options = {}) => {
+  const { changedBy = 'system', reason = null, metadata = {}, updates = {}, onTransition = null } = options;
+
+  try {
+    if (!orderId || !toStatus) {
+      throw new Error('Invalid input: orderId and toStatus are required');
+    }
+
+    if (!ORDER_STATUSES.includes(toStatus)) {
+      const error = new Error(`Unknown order status: ${toStatus}. Must be one of: ${ORDER_STATUSES.join(', ')}`);
+      error.code = 'INVALID_STATUS';
+      throw error;
+    }
+
+    const { order, fromStatus, changed } = await sequelize.transaction(async (transaction) => {
+      const current = await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!current) {
+        throw new Error('Order not found');
+      }
+
+      const previousStatus = current.status;
+
+      // Repeated webhooks and double taps land here - nothing to record
+      if (previousStatus === toStatus) {
+        return { order: current, fromStatus: previousStatus, changed: false };
+      }
+
+      const allowed = ORDER_TRANSITIONS[previousStatus] || [];
+      if (!allowed.includes(toStatus)) {
+        const error = new Error(`Order #${current.id} cannot move from ${previousStatus} to ${toStatus}`);
+        error.code = 'INVALID_TRANSITION';
+        throw error;
+      }
+
+      const fieldUpdates = { ...updates };
+      delete fieldUpdates.status;
+      current.set(fieldUpdates);
+
+      const guard = TRANSITION_GUARDS[toStatus];
+      const guardError = guard ? await guard(current, transaction) : null;
+      if (guardError) {
+        const error = new Error(guardError);
+        error.code = 'TRANSITION_NOT_ALLOWED';
+        throw error;
+      }
+
+      if (onTransition) {
+        await onTransition(current, transaction);
+      }
+
+      current.status = toStatus;
+      await current.save({ transaction });
+
+      await OrderStatusHistory.create({
+        orderId: current.id,
+        fromStatus: previousStatus,
+        toStatus,
+        changedBy,
+        reason,
+        metadata
+      }, { transaction });
+
+      return { order: current, fromStatus: previousStatus, changed: true };
+    });
+
+    return {
+      success: true,
+      orderId: order.id,
+      order,
+      fromStatus,
+      toStatus,
+      changed,
+      message: changed
+        ? `Order #${order.id} moved from ${fromStatus} to ${toStatus}`
+        : `Order #${order.id} is already ${toStatus}`
+    };
+  } catch (error) {
+    console.error('Error changing order status:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'ORDER_TRANSITION_FAILED'
+    };
+  }
+};
+
+/**
+ * Record a confirmed payment against an order and advance it.
+ * Orders with a prescription attached or prescription-only items go to pharmacist review, others to Paid.
+ * @param {number} orderId - Order ID
+ * @param {Object} paymentInfo - { reference, provider }
+ * @returns {Object} Transition result
+ */
+const markOrderPaid = async (orderId, paymentInfo = {}) => {
+  const { reference = null, provider = 'unknown' } = paymentInfo;
+
+  const order = await Order.findByPk(orderId);
+  if (!order) {
+    return { success: false, error: 'Order not found', errorCode: 'ORDER_NOT_FOUND' };
+  }
+
+  // Already recorded (e.g. provider retried the webhook) - leave the order where it is
+  if (order.paymentStatus === 'Paid') {
+    return { success: true, orderId: order.id, order, fromStatus: order.status, toStatus: order.status, changed: false };
+  }
+
+  const paid = await transitionOrderStatus(orderId, 'Paid', {
+    changedBy: `webhook:${provider.toLowerCase()}`,
+    reason: 'Payment confirmed',
+    metadata: { reference },
+    updates: { paymentStatus: 'Paid', paymentReference: reference },
+    // Stock returned after a failed payment attempt is taken again; a paid order is never refused
+    onTransition: (current, transaction) => commitOrderStock(current, transaction, { allowShortfall: true })
+  });
+
+  if (!paid.success || !(paid.order.hasPrescription || paid.order.requiresPrescription)) {
+    return paid;
+  }
+
+  // Refills reuse an already verified prescription and are ready to pack
+  const verified = await Prescription.count({ where: { orderId, verificationStatus: 'Verified' } });
+  if (verified > 0) {
+    return paid;
+  }
+
+  return transitionOrderStatus(orderId, 'AwaitingPrescriptionReview', {
+    changedBy: `webhook:${provider.toLowerCase()}`,
+    reason: paid.order.hasPrescription ? 'Order contains a prescription' : 'Order contains prescription-only items'
+  });
+};
+
+/**
+ * Cancel an order and refund it in full if it has been paid
+ * @param {number} orderId - Order ID
+ * @param {Object} options - { changedBy, reason, refund } - pass refund: false to cancel without refunding
+ * @returns {Object} Result with transition and refund outcome
+ */
+const cancelOrder = async (orderId, options = {}) => {
+  const { changedBy = 'system', reason = 'Order cancelled', refund = true } = options;
+
+  const cancelled = await transitionOrderStatus(orderId, 'Cancelled', {
+    changedBy,
+    reason,
+    onTransition: (current, transaction) => releaseOrderStock(current.id, reason, transaction)
+  });
+  if (!cancelled.success) {
+    return cancelled;
+  }
+
+  let refundResult = null;
+  if (refund && cancelled.changed && ['Paid', 'PartiallyRefunded'].includes(cancelled.order.paymentStatus)) {
+    // Required lazily: the refund service depends on this module
+    const { requestRefund } = require('./refunds');
+    refundResult = await requestRefund('Order', cancelled.order.id, { reason, requestedBy: changedBy });
+    if (!refundResult.success) {
+      console.warn(`Order #${orderId} cancelled but refund failed: ${refundResult.error}`);
+    }
+  }
+
+  return {
+    ...cancelled,
+    refund: refundResult,
+    message: refundResult && refundResult.success
+      ? `${cancelled.message}. ${refundResult.message}`
+      : cancelled.message
+  };
+};
+
+/**
+ * Get the status history of an order, oldest first
+ * @param {number} orderId - Order ID
+ * @returns {Object} Result with history entries
+ */
+const getOrderStatusHistory = async (orderId) => {
+  try {
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const history = await OrderStatusHistory.findAll({
+      where: { orderId },
+      order: [['changedAt', 'ASC']]
+    });
+
+    return {
+      success: true,
+      orderId: order.id,
+      currentStatus: order.status,
+      history
+    };
+  } catch (error) {
+    console.error('Error fetching order status history:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'ORDER_HISTORY_FAILED'
+    };
+  }
+};
+
 /**
  * Add item to cart with session preservation
  * Stores cart state in session for later retrieval
  * @param {number} userId - User ID
- * @param {number} productId - Product ID
+ * @param {number} productId - Catalogue item ID
  * @param {number} quantity - Quantity to add
  * @param {Object} session - User session object
+ * @param {string} itemType - 'Product' (medicine, default) or 'HealthcareProduct'
  * @returns {Object} Result with cart summary
  */
-const addToCartWithSession = async (userId, productId, quantity, session = {}) => {
+const addToCartWithSession = async (userId, productId, quantity, session = {}, itemType = 'Product') => {
   try {
     if (!userId || !productId || !quantity || quantity < 1) {
       throw new Error('Invalid input: userId, productId, and quantity (>0) are required');
@@ -80,15 +349,11 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
       throw new Error('User not found');
     }
 
-    const product = await Product.findByPk(productId);
-    if (!product) {
+    const product = await getCatalogueItem(itemType, productId);
+    if (!product || !product.isActive) {
       throw new Error('Product not found');
     }
 
-    if (product.stock < quantity) {
-      throw new Error(`Insufficient stock. Available: ${product.stock}, Requested: ${quantity}`);
-    }
-
     // Find or create pending order
     let order = await Order.findOne({
       where: {
@@ -113,16 +378,31 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
     let orderItem = await OrderItem.findOne({
       where: {
         orderId: order.id,
-        productId
+        itemType,
+        itemId: productId
       }
     });
 
+    // Hold stock for the whole cart line before changing it
+    const reserved = await reserveStock({
+      itemType,
+      itemId: productId,
+      userId,
+      orderId: order.id,
+      quantity: (orderItem ? orderItem.quantity : 0) + quantity
+    });
+    if (!reserved.success) {
+      const error = new Error(reserved.error);
+      error.code = reserved.errorCode;
+      throw error;
+    }
+
     if (orderItem) {
       orderItem.quantity += quantity;
     } else {
       orderItem = await OrderItem.create({
         orderId: order.id,
-        productId,
+        ...buildLineItemFields(itemType, productId),
         quantity,
         price: product.price
       });
@@ -132,8 +412,7 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
 
     // Update order total
     const orderItems = await OrderItem.findAll({
-      where: { orderId: order.id },
-      include: [Product]
+      where: { orderId: order.id }
     });
 
     const totalAmount = orderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
@@ -146,6 +425,11 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
       session.cartTotal = totalAmount;
     }
 
+    // Screen against the rest of the cart, recent orders and the customer's allergies;
+    // only alert the medical team the first time the item goes in
+    const safety = await checkCartItemSafety(userId, itemType, productId, { notify: orderItem.quantity === quantity });
+    const safetyMessage = formatSafetyWarnings(safety.warnings, safety.flagged);
+
     return {
       success: true,
       orderId: order.id,
@@ -153,14 +437,15 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
       quantity,
       cartItemCount: orderItems.length,
       cartTotal: totalAmount,
-      message: `✅ Added ${quantity}x ${product.name} to cart. Cart total: ₦${totalAmount.toFixed(2)}`
+      safetyWarnings: safety.warnings,
+      message: `✅ Added ${quantity}x ${product.name} to cart. Cart total: ₦${totalAmount.toFixed(2)}${safetyMessage ? `\n\n${safetyMessage}` : ''}`
     };
   } catch (error) {
     console.error('Error adding to cart:', error);
     return {
       success: false,
       error: error.message,
-      errorCode: 'ADD_TO_CART_FAILED'
+      errorCode: error.code === 'INSUFFICIENT_STOCK' ? error.code : 'ADD_TO_CART_FAILED'
     };
   }
 };
@@ -169,7 +454,7 @@ const addToCartWithSession = async (userId, productId, quantity, session = {}) =
  * Place order with retry logic for external API
  * Preserves order state throughout the process
  * @param {number} userId - User ID
- * @param {Object} orderData - Order data (address, paymentMethod)
+ * @param {Object} orderData - Order data (address, addressId, paymentMethod)
  * @param {Object} session - User session
  * @returns {Object} Order result
  */
@@ -197,13 +482,41 @@ const placeOrderWithRetry = async (userId, orderData, session = {}) => {
       throw new Error('No items in cart. Please add items before placing an order.');
     }
 
-    // Update order with shipping details
-    await order.update({
-      shippingAddress: orderData.address,
-      paymentMethod: orderData.paymentMethod,
-      status: 'Processing'
+    const prescriptionOnly = await getPrescriptionOnlyLines(order.OrderItems);
+
+    // Delivery fee and ETA for the address; totalAmount includes the fee
+    const subtotal = order.OrderItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const delivery = await quoteDelivery({ address: orderData.address, addressId: orderData.addressId, subtotal });
+    if (!delivery.success) {
+      const error = new Error(delivery.error);
+      error.code = delivery.errorCode;
+      throw error;
+    }
+
+    // Update order with shipping details and take it out of the cart
+    const placed = await transitionOrderStatus(order.id, 'AwaitingPayment', {
+      changedBy: `customer:${userId}`,
+      reason: 'Order placed',
+      updates: {
+        shippingAddress: orderData.address,
+        addressId: orderData.addressId || null,
+        paymentMethod: orderData.paymentMethod,
+        requiresPrescription: prescriptionOnly.length > 0,
+        deliveryZoneId: delivery.zone ? delivery.zone.id : null,
+        deliveryFee: delivery.fee,
+        estimatedDeliveryAt: delivery.estimatedDeliveryAt,
+        totalAmount: subtotal + delivery.fee
+      },
+      onTransition: (current, transaction) => commitOrderStock(current, transaction)
     });
 
+    if (!placed.success) {
+      const error = new Error(placed.error);
+      error.code = placed.errorCode;
+      throw error;
+    }
+    await order.reload();
+
     // Try to sync with Drugs.ng API with retry logic
     let syncedWithAPI = false;
     let drugsngOrderId = null;
@@ -214,7 +527,9 @@ const placeOrderWithRetry = async (userId, orderData, session = {}) => {
           userId,
           address: orderData.address,
           paymentMethod: orderData.paymentMethod,
+          deliveryFee: order.deliveryFee,
           items: order.OrderItems.map(item => ({
+            ...getLineItemRef(item),
             productId: item.productId,
             quantity: item.quantity
           }))
@@ -246,17 +561,23 @@ const placeOrderWithRetry = async (userId, orderData, session = {}) => {
       orderId: order.id,
       drugsngOrderId,
       totalAmount: order.totalAmount,
+      deliveryFee: order.deliveryFee,
+      estimatedDeliveryAt: order.estimatedDeliveryAt,
+      eta: delivery.eta,
       paymentMethod: orderData.paymentMethod,
       status: order.status,
+      requiresPrescription: order.requiresPrescription,
       syncedWithAPI,
-      message: `✅ Order #${order.id} placed successfully for ₦${order.totalAmount.toFixed(2)}`
+      message: `✅ Order #${order.id} placed successfully for ₦${order.totalAmount.toFixed(2)}` +
+        (order.deliveryFee > 0 ? ` (incl. ₦${order.deliveryFee.toFixed(2)} delivery)` : '') +
+        (delivery.eta ? `\n🚚 Estimated delivery: ${delivery.eta}` : '')
     };
   } catch (error) {
     console.error('Error placing order:', error);
     return {
       success: false,
       error: error.message,
-      errorCode: 'PLACE_ORDER_FAILED'
+      errorCode: ['INSUFFICIENT_STOCK', 'OUTSIDE_DELIVERY_AREA'].includes(error.code) ? error.code : 'PLACE_ORDER_FAILED'
     };
   }
 };
@@ -279,7 +600,7 @@ const getCartPaginated = async (userId, paginationOptions = {}) => {
         userId,
         status: 'Processing'
       },
-      include: [{ model: OrderItem, include: [Product] }]
+      include: [OrderItem]
     });
 
     if (!order || !order.OrderItems) {
@@ -295,14 +616,17 @@ const getCartPaginated = async (userId, paginationOptions = {}) => {
     const totalPages = Math.max(1, Math.ceil(totalItems / safeSize));
     const paginatedItems = items.slice(offset, offset + safeSize);
 
-    const cartItems = paginatedItems.map((item, index) => ({
+    const cartItems = (await describeLines(paginatedItems)).map((item, index) => ({
       displayNumber: offset + index + 1,
-      productId: item.productId,
-      productName: item.Product.name,
+      itemType: item.itemType,
+      itemId: item.itemId,
+      productId: item.itemId,
+      productName: item.name,
+      typeLabel: item.typeLabel,
       quantity: item.quantity,
       price: item.price,
-      subtotal: item.price * item.quantity,
-      imageUrl: item.Product.imageUrl
+      subtotal: item.subtotal,
+      imageUrl: item.imageUrl
     }));
 
     const cartTotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
@@ -347,7 +671,7 @@ const processPaymentWithRetry = async (orderId, provider, paymentDetails) => {
       throw new Error('Invalid input: orderId, provider, and paymentDetails are required');
     }
 
-    const validProviders = ['Flutterwave', 'Paystack'];
+    const validProviders = getPaymentProviderNames();
     if (!validProviders.includes(provider)) {
       throw new Error(`Invalid provider: ${provider}. Must be one of: ${validProviders.join(', ')}`);
     }
@@ -371,30 +695,20 @@ const processPaymentWithRetry = async (orderId, provider, paymentDetails) => {
 
     try {
       paymentResult = await retryWithBackoff(async () => {
-        // This would call the actual payment provider
-        // For now, we'll return a mock result that can be replaced
-        const { processFlutterwavePayment, processPaystackPayment } = require('./payment');
-
-        if (provider === 'Flutterwave') {
-          return await processFlutterwavePayment({
-            orderId,
-            amount: paymentDetails.amount,
-            email: paymentDetails.email,
-            name: paymentDetails.name,
-            phoneNumber: paymentDetails.phoneNumber
-          });
-        } else {
-          return await processPaystackPayment({
-            orderId,
-            amount: paymentDetails.amount,
-            email: paymentDetails.email,
-            name: paymentDetails.name,
-            phoneNumber: paymentDetails.phoneNumber
-          });
-        }
+        return await getPaymentProvider(provider).initialize({
+          orderId,
+          amount: paymentDetails.amount,
+          email: paymentDetails.email,
+          name: paymentDetails.name,
+          phoneNumber: paymentDetails.phoneNumber
+        });
       });
     } catch (paymentError) {
       console.error(`Payment processing failed with ${provider}:`, paymentError.message);
+      // Don't hold stock for an order that can't be paid; it is taken again if payment succeeds later
+      await releaseOrderStock(orderId, 'Payment could not be started').catch(releaseError => {
+        console.warn(`Could not release stock for order #${orderId}:`, releaseError.message);
+      });
       return {
         success: false,
         error: `Payment processing failed: ${paymentError.message}. Please try again or contact support.`,
@@ -432,10 +746,11 @@ const processPaymentWithRetry = async (orderId, provider, paymentDetails) => {
 /**
  * Remove item from cart
  * @param {number} userId - User ID
- * @param {number} productId - Product ID
+ * @param {number} productId - Catalogue item ID
+ * @param {string} itemType - 'Product' (medicine, default) or 'HealthcareProduct'
  * @returns {Object} Result
  */
-const removeFromCart = async (userId, productId) => {
+const removeFromCart = async (userId, productId, itemType = 'Product') => {
   try {
     const order = await Order.findOne({
       where: {
@@ -451,7 +766,8 @@ const removeFromCart = async (userId, productId) => {
     const orderItem = await OrderItem.findOne({
       where: {
         orderId: order.id,
-        productId
+        itemType,
+        itemId: productId
       }
     });
 
@@ -460,11 +776,11 @@ const removeFromCart = async (userId, productId) => {
     }
 
     await orderItem.destroy();
+    await releaseReservations({ userId, orderId: order.id, itemType, itemId: productId });
 
     // Update order total
     const remainingItems = await OrderItem.findAll({
-      where: { orderId: order.id },
-      include: [Product]
+      where: { orderId: order.id }
     });
 
     if (remainingItems.length === 0) {
@@ -515,6 +831,7 @@ const clearCart = async (userId) => {
     await OrderItem.destroy({
       where: { orderId: order.id }
     });
+    await releaseReservations({ userId, orderId: order.id }, 'Cart cleared');
 
     await order.update({ totalAmount: 0 });
 
@@ -539,5 +856,11 @@ module.exports = {
   processPaymentWithRetry,
   removeFromCart,
   clearCart,
-  retryWithBackoff
+  retryWithBackoff,
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  transitionOrderStatus,
+  markOrderPaid,
+  cancelOrder,
+  getOrderStatusHistory
 };
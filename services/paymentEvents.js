@@ -0,0 +1,303 @@
+/**
+ * Payment Event Ledger
+ * Records every payment webhook delivery so that:
+ * - Provider retries of the same event are acknowledged without re-running side effects
+ * - The raw payload and processing outcome are kept for audits
+ * - Failed events can be replayed from the admin API
+ * Successful charges are verified and reconciled before anything is marked as paid.
+ */
+
+const { sequelize, PaymentEvent, User, Order, DiagnosticBooking, Appointment } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { markOrderPaid } = require('./orderManagement');
+const { getPaymentProvider } = require('./paymentProviders');
+const { reconcilePayment } = require('./reconciliation');
+const { notifySupportTeam } = require('./support');
+const { handleRefundWebhook } = require('./refunds');
+const { releaseOrderStock } = require('./inventory');
+const { confirmAppointmentPayment } = require('./appointmentManagement');
+
+// An event still Received after this long crashed mid-processing; the next delivery retries it
+const STALE_EVENT_MINUTES = parseInt(process.env.PAYMENT_EVENT_STALE_MINUTES, 10) || 5;
+
+const TARGET_MODELS = { Order, DiagnosticBooking, Appointment };
+const TARGET_LABELS = { Order: 'order', DiagnosticBooking: 'diagnostic booking', Appointment: 'appointment' };
+
+/**
+ * Normalize a provider webhook payload into the fields the ledger needs
+ * @param {string} provider - Registered payment provider name
+ * @param {Object} payload - Raw webhook body
+ * @returns {Object} { eventId, eventType, reference, transactionId, target, isSuccessfulCharge, isFailedCharge, isRefundEvent, refund }
+ */
+const parseWebhookEvent = (provider, payload = {}) => getPaymentProvider(provider).parseWebhook(payload);
+
+/**
+ * Mark the order, diagnostic booking or appointment as paid and tell the customer.
+ * Appointments are confirmed (and their doctor notified) by confirmAppointmentPayment.
+ * @param {Object} target - { targetType, targetId }
+ * @param {Object} event - PaymentEvent instance
+ * @param {Object} parsed - Parsed webhook fields
+ * @returns {string} Outcome description
+ */
+const applyConfirmedPayment = async (target, event, parsed) => {
+  let userId;
+  let message;
+  let outcome;
+
+  if (target.targetType === 'Order') {
+    // Flutterwave orders have always stored the transaction id; Paystack the reference
+    const paymentReference = event.provider === 'Flutterwave'
+      ? (parsed.transactionId || parsed.reference)
+      : parsed.reference;
+
+    const result = await markOrderPaid(target.targetId, {
+      reference: paymentReference ? String(paymentReference) : null,
+      provider: event.provider
+    });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (!result.changed) {
+      return `Payment for order #${target.targetId} was already recorded`;
+    }
+
+    userId = result.order.userId;
+    message = `✅ Payment confirmed! Your order #${target.targetId} has been received and is being processed. You'll receive updates on delivery.`;
+    outcome = `Order #${target.targetId} moved to ${result.toStatus}`;
+  } else if (target.targetType === 'Appointment') {
+    const result = await confirmAppointmentPayment(target.targetId, {
+      reference: parsed.reference,
+      provider: event.provider
+    });
+    return result.outcome;
+  } else {
+    const booking = await DiagnosticBooking.findByPk(target.targetId);
+    if (!booking) {
+      throw new Error(`Diagnostic booking #${target.targetId} not found`);
+    }
+
+    if (booking.paymentStatus === 'Paid') {
+      return `Payment for diagnostic booking #${target.targetId} was already recorded`;
+    }
+
+    await booking.update({
+      paymentStatus: 'Paid',
+      paymentReference: parsed.reference,
+      status: booking.status === 'Pending' ? 'Scheduled' : booking.status
+    });
+
+    userId = booking.userId;
+    message = `✅ Payment confirmed! Your diagnostic booking #${target.targetId} is now scheduled. We'll be in touch about sample collection.`;
+    outcome = `Diagnostic booking #${target.targetId} marked as paid`;
+  }
+
+  try {
+    const user = await User.findByPk(userId);
+    if (user) {
+      await sendWhatsAppMessage(user.phoneNumber, message);
+    }
+  } catch (notifyError) {
+    console.warn(`Could not notify customer for ${target.targetType} ${target.targetId}:`, notifyError.message);
+  }
+
+  return outcome;
+};
+
+/**
+ * Hold a payment that did not reconcile and let the customer and orders team know
+ * @param {Object} reconciled - reconcilePayment() result
+ * @param {Object} event - PaymentEvent instance
+ * @returns {string} Outcome description
+ */
+const holdUnreconciledPayment = async (reconciled, event) => {
+  const { target, result, expectedAmount, paidAmount, currency } = reconciled;
+  const label = !target
+    ? `reference ${event.reference}`
+    : `${TARGET_LABELS[target.targetType]} #${target.targetId}`;
+  const outcome = `Payment held for reconciliation (${result}): paid ${paidAmount} ${currency || ''}, expected ${expectedAmount ?? 'unknown'} for ${label}`;
+
+  try {
+    const record = target ? await TARGET_MODELS[target.targetType].findByPk(target.targetId) : null;
+    const user = record ? await User.findByPk(record.userId) : null;
+
+    if (user) {
+      // A failed verification means the provider did not confirm the charge, so don't claim we received it
+      const message = result === 'VerificationFailed'
+        ? `⚠️ We couldn't confirm your payment for ${label} with our payment provider. If you were charged, our team is checking it and will contact you shortly - please don't pay again until you hear from us.`
+        : `⚠️ We received your payment for ${label}, but the amount doesn't match what's due. Our team is reviewing it and will contact you shortly.`;
+      await sendWhatsAppMessage(user.phoneNumber, message);
+    }
+
+    await notifySupportTeam(user ? user.phoneNumber : 'unknown', 'orders', 'Payment Needs Reconciliation', {
+      provider: event.provider,
+      reference: event.reference,
+      result,
+      paidAmount,
+      expectedAmount,
+      reconciliationId: reconciled.reconciliation.id
+    });
+  } catch (notifyError) {
+    console.warn(`Could not send reconciliation notifications for ${label}:`, notifyError.message);
+  }
+
+  return outcome;
+};
+
+/**
+ * Run the side effects for a recorded event and store the outcome on the ledger row
+ * @param {Object} event - PaymentEvent instance
+ * @returns {Object} Processing result
+ */
+const processPaymentEvent = async (event) => {
+  const parsed = parseWebhookEvent(event.provider, event.payload);
+  const target = parsed.target;
+
+  await event.update({
+    attempts: event.attempts + 1,
+    lastAttemptAt: new Date(),
+    orderId: target && target.targetType === 'Order' ? target.targetId : event.orderId
+  });
+
+  try {
+    if (parsed.isRefundEvent) {
+      const refunded = await handleRefundWebhook(event.provider, event.payload);
+      await event.update({ status: 'Processed', outcome: refunded.outcome, processedAt: new Date() });
+      return { success: true, eventId: event.id, status: event.status, outcome: event.outcome };
+    }
+
+    if (parsed.isFailedCharge && target && target.targetType === 'Order') {
+      // The order stays open for another attempt; stock is taken again if a later payment succeeds.
+      // A late or replayed failure for an order that has since been paid must not restock it.
+      const released = await sequelize.transaction(async (transaction) => {
+        const order = await Order.findByPk(target.targetId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!order || order.status !== 'AwaitingPayment' || order.paymentStatus === 'Paid') {
+          return { skipped: order ? `order is ${order.status} (payment ${order.paymentStatus})` : 'order not found' };
+        }
+        return releaseOrderStock(order.id, 'Payment failed', transaction);
+      });
+
+      if (released.skipped) {
+        await event.update({
+          status: 'Ignored',
+          outcome: `Payment failed for order #${target.targetId}; stock kept because the ${released.skipped}`,
+          processedAt: new Date()
+        });
+        return { success: true, eventId: event.id, status: event.status, outcome: event.outcome };
+      }
+
+      const outcome = `Payment failed for order #${target.targetId}; released ${released.restocked} units of stock`;
+      await event.update({ status: 'Processed', outcome, processedAt: new Date() });
+      return { success: true, eventId: event.id, status: event.status, outcome: event.outcome };
+    }
+
+    if (!parsed.isSuccessfulCharge) {
+      await event.update({ status: 'Ignored', outcome: `No handler for ${parsed.eventType} events`, processedAt: new Date() });
+      return { success: true, eventId: event.id, status: event.status, outcome: event.outcome };
+    }
+
+    if (!target) {
+      throw new Error('Could not extract order, booking or appointment ID from payment event');
+    }
+
+    // Never trust the webhook body for amounts - confirm with the provider first
+    const reconciled = await reconcilePayment({
+      provider: event.provider,
+      transactionId: parsed.transactionId,
+      reference: parsed.reference,
+      paymentEventId: event.id
+    });
+
+    if (!reconciled.success) {
+      throw new Error(reconciled.error);
+    }
+
+    const outcome = reconciled.payable
+      ? await applyConfirmedPayment(reconciled.target || target, event, parsed)
+      : await holdUnreconciledPayment(reconciled, event);
+
+    await event.update({ status: 'Processed', outcome, processedAt: new Date() });
+
+    return { success: true, eventId: event.id, status: event.status, outcome: event.outcome, reconciliation: reconciled.result };
+  } catch (error) {
+    console.error(`Error processing ${event.provider} payment event ${event.eventId}:`, error.message);
+    await event.update({ status: 'Failed', outcome: error.message });
+    return { success: false, eventId: event.id, status: event.status, error: error.message, errorCode: 'PAYMENT_EVENT_FAILED' };
+  }
+};
+
+/**
+ * Whether a stored event should be processed again when the provider redelivers it:
+ * the earlier attempt failed, or it never finished and has been stuck in Received too long
+ * @param {Object} event - PaymentEvent instance
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const needsReprocessing = (event, now = new Date()) => {
+  if (event.status === 'Failed') return true;
+  if (event.status !== 'Received') return false;
+
+  const startedAt = event.lastAttemptAt || event.receivedAt;
+  return !startedAt || now - new Date(startedAt) > STALE_EVENT_MINUTES * 60 * 1000;
+};
+
+/**
+ * Record an incoming webhook and process it once.
+ * Deliveries of an event we already hold are acknowledged without side effects,
+ * unless the earlier attempt failed or stalled.
+ * @param {string} provider - 'Flutterwave' or 'Paystack'
+ * @param {Object} payload - Raw (signature-verified) webhook body
+ * @returns {Object} Result with duplicate flag and ledger status
+ */
+const handlePaymentWebhook = async (provider, payload) => {
+  const parsed = parseWebhookEvent(provider, payload);
+  if (!parsed.eventId) {
+    return { success: false, error: 'Payment event has no identifier', errorCode: 'INVALID_PAYMENT_EVENT' };
+  }
+
+  const [event, created] = await PaymentEvent.findOrCreate({
+    where: { provider, eventId: String(parsed.eventId) },
+    defaults: {
+      eventType: parsed.eventType,
+      reference: parsed.reference,
+      payload
+    }
+  });
+
+  if (!created && !needsReprocessing(event)) {
+    await event.increment('duplicateCount');
+    console.log(`Duplicate ${provider} event ${event.eventId} acknowledged (${event.status})`);
+    return { success: true, duplicate: true, eventId: event.id, status: event.status };
+  }
+
+  const result = await processPaymentEvent(event);
+  return { ...result, duplicate: false };
+};
+
+/**
+ * Re-run a stored payment event (admin operation)
+ * @param {number} id - PaymentEvent ID
+ * @param {Object} options - { force } to replay events that already succeeded
+ * @returns {Object} Processing result
+ */
+const replayPaymentEvent = async (id, options = {}) => {
+  const event = await PaymentEvent.findByPk(id);
+  if (!event) {
+    return { success: false, error: 'Payment event not found', errorCode: 'PAYMENT_EVENT_NOT_FOUND' };
+  }
+
+  if (event.status === 'Processed' && !options.force) {
+    return { success: false, error: 'Payment event was already processed. Pass force=true to replay it anyway.', errorCode: 'PAYMENT_EVENT_ALREADY_PROCESSED' };
+  }
+
+  return processPaymentEvent(event);
+};
+
+module.exports = {
+  parseWebhookEvent,
+  processPaymentEvent,
+  needsReprocessing,
+  handlePaymentWebhook,
+  replayPaymentEvent
+};
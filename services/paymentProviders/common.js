@@ -0,0 +1,90 @@
+// Helpers shared by all payment provider adapters
+
+// All payments are charged in naira
+const PAYMENT_CURRENCY = 'NGN';
+
+// Build payment reference: drugsng-{orderId}-{timestamp} for orders,
+// drugsng-diag-{bookingId}-{timestamp} for diagnostic bookings and
+// drugsng-appt-{appointmentId}-{timestamp} for consultations
+const buildPaymentReference = (paymentDetails) => {
+  if (paymentDetails.diagnosticBookingId) {
+    return `drugsng-diag-${paymentDetails.diagnosticBookingId}-${Date.now()}`;
+  }
+  if (paymentDetails.appointmentId) {
+    return `drugsng-appt-${paymentDetails.appointmentId}-${Date.now()}`;
+  }
+  return `drugsng-${paymentDetails.orderId}-${Date.now()}`;
+};
+
+// Work out what a payment reference pays for. Returns { targetType, targetId } or null
+const parsePaymentReference = (reference) => {
+  if (!reference || typeof reference !== 'string') return null;
+  const parts = reference.split('-');
+  if (parts[0] !== 'drugsng' || parts.length < 2) return null;
+
+  if (parts[1] === 'diag' && parts.length >= 3 && !isNaN(parts[2])) {
+    return { targetType: 'DiagnosticBooking', targetId: parseInt(parts[2], 10) };
+  }
+  if (parts[1] === 'appt' && parts.length >= 3 && !isNaN(parts[2])) {
+    return { targetType: 'Appointment', targetId: parseInt(parts[2], 10) };
+  }
+  if (!isNaN(parts[1])) {
+    return { targetType: 'Order', targetId: parseInt(parts[1], 10) };
+  }
+  return null;
+};
+
+// Same as parsePaymentReference, falling back to the metadata sent at initialization
+const resolvePaymentTarget = (reference, meta = {}) => {
+  const target = parsePaymentReference(reference);
+  if (target) return target;
+  if (meta.diagnosticBookingId) return { targetType: 'DiagnosticBooking', targetId: parseInt(meta.diagnosticBookingId, 10) };
+  if (meta.appointmentId) return { targetType: 'Appointment', targetId: parseInt(meta.appointmentId, 10) };
+  if (meta.orderId) return { targetType: 'Order', targetId: parseInt(meta.orderId, 10) };
+  return null;
+};
+
+// Human readable description of what is being paid for
+const describePaymentTarget = (paymentDetails) => {
+  if (paymentDetails.diagnosticBookingId) return `Diagnostic Booking #${paymentDetails.diagnosticBookingId}`;
+  if (paymentDetails.appointmentId) return `Consultation #${paymentDetails.appointmentId}`;
+  return `Order #${paymentDetails.orderId}`;
+};
+
+// Validate the details every provider needs to start a payment
+const validatePaymentDetails = (paymentDetails = {}) => {
+  if (!paymentDetails.amount || paymentDetails.amount <= 0) {
+    throw new Error('Invalid payment amount');
+  }
+  if (!paymentDetails.email) {
+    throw new Error('Customer email is required');
+  }
+  if (!paymentDetails.orderId && !paymentDetails.diagnosticBookingId && !paymentDetails.appointmentId) {
+    throw new Error('Order ID is required');
+  }
+};
+
+// Validate an optional refund amount (null means full refund)
+const validateRefundAmount = (amount) => {
+  if (amount !== null && amount !== undefined && (isNaN(amount) || amount <= 0)) {
+    throw new Error('Invalid refund amount');
+  }
+};
+
+// Errors from providers are thrown as plain objects: { status: 'error', message, code }
+const toProviderError = (error) => ({
+  status: 'error',
+  message: error.response?.data?.message || error.message,
+  code: error.response?.status || 500
+});
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  buildPaymentReference,
+  parsePaymentReference,
+  resolvePaymentTarget,
+  describePaymentTarget,
+  validatePaymentDetails,
+  validateRefundAmount,
+  toProviderError
+};
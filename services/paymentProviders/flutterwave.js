@@ -0,0 +1,187 @@
+// Flutterwave v3 payment provider adapter
+const axios = require('axios');
+const {
+  PAYMENT_CURRENCY,
+  buildPaymentReference,
+  resolvePaymentTarget,
+  describePaymentTarget,
+  validatePaymentDetails,
+  validateRefundAmount,
+  toProviderError
+} = require('./common');
+
+const flutterwaveAPI = axios.create({
+  baseURL: 'https://api.flutterwave.com/v3',
+  headers: {
+    'Authorization': `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+const validateConfig = () => {
+  if (!process.env.FLUTTERWAVE_SECRET_KEY) {
+    throw new Error('Flutterwave is not configured. Please set FLUTTERWAVE_SECRET_KEY environment variable.');
+  }
+};
+
+// Create a hosted payment link
+const initialize = async (paymentDetails) => {
+  try {
+    validateConfig();
+    validatePaymentDetails(paymentDetails);
+
+    const payload = {
+      tx_ref: buildPaymentReference(paymentDetails),
+      amount: parseFloat(paymentDetails.amount),
+      currency: PAYMENT_CURRENCY,
+      redirect_url: process.env.PAYMENT_REDIRECT_URL || 'https://your-domain.com/payment/callback',
+      payment_options: 'card,ussd,bank_transfer,mobilemoney',
+      customer: {
+        email: paymentDetails.email,
+        phonenumber: paymentDetails.phoneNumber || '',
+        name: paymentDetails.name || 'Customer'
+      },
+      customizations: {
+        title: 'Drugs.ng Payment',
+        description: `Payment for ${describePaymentTarget(paymentDetails)}`,
+        logo: process.env.COMPANY_LOGO || 'https://drugsng.com/logo.png'
+      },
+      meta: {
+        orderId: paymentDetails.orderId,
+        diagnosticBookingId: paymentDetails.diagnosticBookingId,
+        appointmentId: paymentDetails.appointmentId,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    const response = await flutterwaveAPI.post('/payments', payload);
+
+    if (!response.data.data || !response.data.data.link) {
+      throw new Error('Failed to generate payment link');
+    }
+
+    return {
+      status: 'success',
+      data: {
+        link: response.data.data.link,
+        reference: response.data.data.id,
+        tx_ref: payload.tx_ref
+      }
+    };
+  } catch (error) {
+    console.error('Flutterwave payment error:', error.response?.data || error.message);
+    throw toProviderError(error);
+  }
+};
+
+// Verify a transaction. Flutterwave verifies by transaction id
+const verify = async ({ transactionId }) => {
+  try {
+    validateConfig();
+
+    if (!transactionId) {
+      throw new Error('Transaction ID is required');
+    }
+
+    const response = await flutterwaveAPI.get(`/transactions/${transactionId}/verify`);
+
+    if (!response.data.data) {
+      throw new Error('Invalid response from Flutterwave');
+    }
+
+    return {
+      status: response.data.data.status === 'successful' ? 'success' : 'failed',
+      data: {
+        id: response.data.data.id,
+        amount: response.data.data.amount,
+        currency: response.data.data.currency,
+        status: response.data.data.status,
+        txRef: response.data.data.tx_ref,
+        customerEmail: response.data.data.customer?.email,
+        timestamp: response.data.data.created_at
+      }
+    };
+  } catch (error) {
+    console.error('Flutterwave verification error:', error.response?.data || error.message);
+    throw toProviderError(error);
+  }
+};
+
+// Refund a transaction (full refund when amount is omitted)
+const refund = async ({ transactionId }, amount = null) => {
+  try {
+    validateConfig();
+
+    if (!transactionId) {
+      throw new Error('Transaction ID is required');
+    }
+    validateRefundAmount(amount);
+
+    const payload = amount !== null && amount !== undefined ? { amount: parseFloat(amount) } : {};
+    const response = await flutterwaveAPI.post(`/transactions/${transactionId}/refund`, payload);
+
+    if (!response.data.data) {
+      throw new Error('Invalid response from Flutterwave');
+    }
+
+    return {
+      status: 'success',
+      data: {
+        refundId: response.data.data.id,
+        amount: response.data.data.amount_refunded,
+        status: response.data.data.status,
+        settled: response.data.data.status === 'completed'
+      }
+    };
+  } catch (error) {
+    console.error('Flutterwave refund error:', error.response?.data || error.message);
+    throw toProviderError(error);
+  }
+};
+
+// Normalize a webhook body. Accepts both the flat legacy payload and the v3 { event, data } shape
+const parseWebhook = (payload = {}) => {
+  const data = payload.data || payload;
+  const eventType = payload.event || payload['event.type'] || 'charge.completed';
+  const isRefundEvent = eventType.startsWith('refund.');
+  const reference = data.txRef || data.tx_ref || null;
+  const transactionId = data.id || data.transaction_id || null;
+  const id = transactionId || reference;
+  const refundStatus = { completed: 'Processed', successful: 'Processed', failed: 'Failed' }[String(data.status).toLowerCase()];
+
+  return {
+    eventId: id ? `${eventType}:${id}` : null,
+    eventType,
+    reference,
+    transactionId,
+    target: resolvePaymentTarget(reference, data.meta || payload.meta || {}),
+    isSuccessfulCharge: !isRefundEvent && data.status === 'successful',
+    isFailedCharge: !isRefundEvent && data.status === 'failed',
+    isRefundEvent,
+    refund: isRefundEvent
+      ? {
+        providerRefundId: data.id ? String(data.id) : null,
+        transactionReference: data.tx_id || data.transaction_id || data.flw_ref || null,
+        status: refundStatus || 'Processing',
+        failureReason: refundStatus === 'Failed' ? (data.comments || 'Refund failed') : null
+      }
+      : null
+  };
+};
+
+// Flutterwave sends the secret hash configured on the dashboard in the verif-hash header
+const verifySignature = (headers = {}) => {
+  const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
+  const signature = headers['verif-hash'];
+  return Boolean(secretHash && signature && signature === secretHash);
+};
+
+module.exports = {
+  name: 'Flutterwave',
+  isWebhookConfigured: () => Boolean(process.env.FLUTTERWAVE_SECRET_HASH),
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  verifySignature
+};
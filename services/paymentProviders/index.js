@@ -0,0 +1,71 @@
+// Payment provider registry.
+// Every provider adapter implements the same interface so the rest of the
+// app never branches on the provider name:
+// - initialize(paymentDetails) -> { status, data: { link | authorization_url, reference, ... } }
+// - verify({ transactionId, reference }) -> { status, data: { id, amount, currency, status, ... } }
+// - refund({ transactionId, reference }, amount) -> { status, data: { refundId, amount, status, settled } }
+// - parseWebhook(payload) -> { eventId, eventType, reference, transactionId, target,
+//     isSuccessfulCharge, isFailedCharge, isRefundEvent, refund }
+// - verifySignature(headers, body) -> boolean
+// With PAYMENT_MOCK_MODE=true every provider is replaced by a local mock of the same name.
+const flutterwave = require('./flutterwave');
+const paystack = require('./paystack');
+const { createMockProvider } = require('./mock');
+
+const REQUIRED_METHODS = ['initialize', 'verify', 'refund', 'parseWebhook', 'verifySignature'];
+
+const providers = {};
+const mockProviders = {};
+
+const isMockMode = () => process.env.PAYMENT_MOCK_MODE === 'true';
+
+// Add a provider adapter to the registry
+const registerPaymentProvider = (adapter) => {
+  if (!adapter || !adapter.name) {
+    throw new Error('Payment provider must have a name');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Payment provider ${adapter.name} is missing: ${missing.join(', ')}`);
+  }
+
+  providers[adapter.name.toLowerCase()] = adapter;
+  return adapter;
+};
+
+// Look up a provider by name (case-insensitive)
+const getPaymentProvider = (name) => {
+  const key = String(name || '').toLowerCase().trim();
+  const adapter = providers[key];
+  if (!adapter) {
+    throw new Error(`Unsupported payment provider: ${name}`);
+  }
+
+  if (!isMockMode()) {
+    return adapter;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_MOCK_MODE cannot be enabled in production');
+  }
+
+  if (!mockProviders[key]) {
+    mockProviders[key] = createMockProvider(adapter.name);
+  }
+  return mockProviders[key];
+};
+
+// Canonical names of the registered providers
+const getPaymentProviderNames = () => Object.values(providers).map(adapter => adapter.name);
+
+registerPaymentProvider(flutterwave);
+registerPaymentProvider(paystack);
+
+module.exports = {
+  REQUIRED_METHODS,
+  registerPaymentProvider,
+  getPaymentProvider,
+  getPaymentProviderNames,
+  isMockMode
+};
@@ -0,0 +1,269 @@
+// Local mock payment provider.
+// Stands in for a real provider (keeping its name, so the ledger, reconciliation
+// and refunds code paths are exercised unchanged) without any network calls.
+// Transactions live in memory and are lost on restart.
+const crypto = require('crypto');
+const {
+  PAYMENT_CURRENCY,
+  buildPaymentReference,
+  resolvePaymentTarget,
+  validatePaymentDetails,
+  validateRefundAmount,
+  toProviderError
+} = require('./common');
+
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+const getMockSecret = () => process.env.MOCK_PAYMENT_SECRET || 'drugsng-mock-secret';
+
+const getMockBaseUrl = () => process.env.MOCK_PAYMENT_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Sign a webhook body the same way verifySignature checks it
+const signMockPayload = (body = {}) => crypto.createHmac('sha256', getMockSecret())
+  .update(JSON.stringify(body))
+  .digest('hex');
+
+/**
+ * Create a mock adapter that impersonates a real provider
+ * @param {string} name - Provider name to impersonate ('Flutterwave' or 'Paystack')
+ * @returns {Object} Payment provider adapter
+ */
+const createMockProvider = (name) => {
+  const transactions = new Map(); // keyed by reference
+  let sequence = 0;
+
+  const nextId = (prefix) => {
+    sequence += 1;
+    return `${prefix}_${Date.now()}_${sequence}`;
+  };
+
+  const findTransaction = ({ transactionId, reference } = {}) => {
+    if (reference && transactions.has(reference)) return transactions.get(reference);
+    return [...transactions.values()].find(tx => tx.id === String(transactionId) || tx.reference === transactionId) || null;
+  };
+
+  // Hand a webhook to the payment event ledger, as the real provider would over HTTP
+  const deliverWebhook = async (payload) => {
+    const { handlePaymentWebhook } = require('../paymentEvents');
+    return handlePaymentWebhook(name, payload);
+  };
+
+  const buildChargePayload = (tx) => ({
+    event: tx.status === 'successful' ? 'charge.success' : 'charge.failed',
+    data: {
+      id: tx.id,
+      reference: tx.reference,
+      amount: tx.paidAmount,
+      currency: tx.currency,
+      status: tx.status,
+      metadata: tx.metadata
+    }
+  });
+
+  const buildRefundPayload = (tx, refund) => ({
+    event: refund.status === 'failed' ? 'refund.failed' : 'refund.processed',
+    data: {
+      refundId: refund.id,
+      id: tx.id,
+      reference: tx.reference,
+      amount: refund.amount,
+      currency: tx.currency,
+      status: refund.status,
+      reason: refund.status === 'failed' ? 'Mock refund failure' : null
+    }
+  });
+
+  /**
+   * Complete a pending mock payment and optionally deliver its webhook
+   * @param {string} reference - Payment reference returned by initialize
+   * @param {Object} options - { outcome: 'success'|'failure', amount, currency, deliver }
+   * @returns {Object} { transaction, payload, delivery }
+   */
+  const simulatePayment = async (reference, options = {}) => {
+    const tx = findTransaction({ reference });
+    if (!tx) {
+      throw new Error(`Mock transaction ${reference} not found`);
+    }
+
+    const outcome = options.outcome || process.env.MOCK_PAYMENT_OUTCOME || 'success';
+    tx.status = outcome === 'success' ? 'successful' : 'failed';
+    tx.paidAmount = options.amount !== undefined ? parseFloat(options.amount) : tx.amount;
+    tx.currency = options.currency || tx.currency;
+
+    const payload = buildChargePayload(tx);
+    const delivery = options.deliver === false ? null : await deliverWebhook(payload);
+
+    return { transaction: { ...tx }, payload, delivery };
+  };
+
+  const initialize = async (paymentDetails) => {
+    try {
+      validatePaymentDetails(paymentDetails);
+
+      const reference = buildPaymentReference(paymentDetails);
+      const tx = {
+        id: nextId('mock_tx'),
+        reference,
+        amount: parseFloat(paymentDetails.amount),
+        paidAmount: null,
+        currency: PAYMENT_CURRENCY,
+        status: 'pending',
+        email: paymentDetails.email,
+        metadata: {
+          orderId: paymentDetails.orderId,
+          diagnosticBookingId: paymentDetails.diagnosticBookingId,
+          appointmentId: paymentDetails.appointmentId
+        },
+        refunded: 0,
+        refunds: []
+      };
+      transactions.set(reference, tx);
+
+      const link = `${getMockBaseUrl()}/payment/mock/complete?provider=${encodeURIComponent(name)}&reference=${encodeURIComponent(reference)}`;
+
+      if (process.env.MOCK_PAYMENT_AUTO_WEBHOOK === 'true') {
+        const delay = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS, 10) || 2000;
+        setTimeout(() => {
+          simulatePayment(reference).catch(error => console.error('Mock webhook delivery error:', error.message));
+        }, delay);
+      }
+
+      // Return the fields of both real providers so callers need no special casing
+      return {
+        status: 'success',
+        data: {
+          link,
+          authorization_url: link,
+          access_code: tx.id,
+          reference: name === 'Flutterwave' ? tx.id : reference,
+          tx_ref: reference
+        }
+      };
+    } catch (error) {
+      console.error(`Mock ${name} payment error:`, error.message);
+      throw toProviderError(error);
+    }
+  };
+
+  const verify = async (payment = {}) => {
+    try {
+      const tx = findTransaction(payment);
+      if (!tx) {
+        throw new Error('Transaction not found');
+      }
+
+      return {
+        status: tx.status === 'successful' ? 'success' : 'failed',
+        data: {
+          id: tx.id,
+          reference: tx.reference,
+          txRef: tx.reference,
+          amount: tx.paidAmount !== null ? tx.paidAmount : tx.amount,
+          currency: tx.currency,
+          status: tx.status,
+          customerEmail: tx.email,
+          timestamp: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      console.error(`Mock ${name} verification error:`, error.message);
+      throw toProviderError(error);
+    }
+  };
+
+  // Refunds settle immediately unless MOCK_PAYMENT_ASYNC_REFUNDS is set, in which case
+  // they stay pending and settle through a refund webhook
+  const refund = async (payment = {}, amount = null) => {
+    try {
+      validateRefundAmount(amount);
+
+      const tx = findTransaction(payment);
+      if (!tx || tx.status !== 'successful') {
+        throw new Error('Transaction not found or not successful');
+      }
+
+      const refundable = tx.paidAmount - tx.refunded;
+      const refundAmount = amount !== null && amount !== undefined ? parseFloat(amount) : refundable;
+      if (refundAmount > refundable) {
+        throw new Error('Refund amount exceeds the refundable balance');
+      }
+
+      const isAsync = process.env.MOCK_PAYMENT_ASYNC_REFUNDS === 'true';
+      const mockRefund = { id: nextId('mock_rf'), amount: refundAmount, status: isAsync ? 'pending' : 'processed' };
+      tx.refunded += refundAmount;
+      tx.refunds.push(mockRefund);
+
+      if (isAsync) {
+        const delay = parseInt(process.env.MOCK_PAYMENT_WEBHOOK_DELAY_MS, 10) || 2000;
+        setTimeout(() => {
+          mockRefund.status = process.env.MOCK_PAYMENT_OUTCOME === 'failure' ? 'failed' : 'processed';
+          deliverWebhook(buildRefundPayload(tx, mockRefund))
+            .catch(error => console.error('Mock refund webhook delivery error:', error.message));
+        }, delay);
+      }
+
+      return {
+        status: 'success',
+        data: {
+          refundId: mockRefund.id,
+          amount: refundAmount,
+          status: mockRefund.status,
+          settled: !isAsync
+        }
+      };
+    } catch (error) {
+      console.error(`Mock ${name} refund error:`, error.message);
+      throw toProviderError(error);
+    }
+  };
+
+  const parseWebhook = (payload = {}) => {
+    const data = payload.data || {};
+    const eventType = payload.event || null;
+    const isRefundEvent = Boolean(eventType && eventType.startsWith('refund.'));
+    const id = isRefundEvent ? data.refundId : (data.id || data.reference);
+
+    return {
+      eventId: id ? `${eventType}:${id}` : null,
+      eventType,
+      reference: data.reference || null,
+      transactionId: data.id || null,
+      target: resolvePaymentTarget(data.reference, data.metadata || {}),
+      isSuccessfulCharge: eventType === 'charge.success',
+      isFailedCharge: eventType === 'charge.failed',
+      isRefundEvent,
+      refund: isRefundEvent
+        ? {
+          providerRefundId: data.refundId || null,
+          transactionReference: data.reference || null,
+          status: eventType === 'refund.failed' ? 'Failed' : 'Processed',
+          failureReason: eventType === 'refund.failed' ? (data.reason || 'Refund failed') : null
+        }
+        : null
+    };
+  };
+
+  const verifySignature = (headers = {}, body = {}) => {
+    const signature = headers[MOCK_SIGNATURE_HEADER];
+    return Boolean(signature && signature === signMockPayload(body));
+  };
+
+  return {
+    name,
+    isMock: true,
+    isWebhookConfigured: () => true,
+    initialize,
+    verify,
+    refund,
+    parseWebhook,
+    verifySignature,
+    simulatePayment,
+    reset: () => transactions.clear()
+  };
+};
+
+module.exports = {
+  MOCK_SIGNATURE_HEADER,
+  createMockProvider,
+  signMockPayload
+};
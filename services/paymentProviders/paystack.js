@@ -0,0 +1,188 @@
+// Paystack payment provider adapter
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  PAYMENT_CURRENCY,
+  buildPaymentReference,
+  resolvePaymentTarget,
+  validatePaymentDetails,
+  validateRefundAmount,
+  toProviderError
+} = require('./common');
+
+const paystackAPI = axios.create({
+  baseURL: 'https://api.paystack.co',
+  headers: {
+    'Authorization': `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+    'Content-Type': 'application/json'
+  }
+});
+
+const validateConfig = () => {
+  if (!process.env.PAYSTACK_SECRET_KEY) {
+    throw new Error('Paystack is not configured. Please set PAYSTACK_SECRET_KEY environment variable.');
+  }
+};
+
+// Create a hosted payment page
+const initialize = async (paymentDetails) => {
+  try {
+    validateConfig();
+    validatePaymentDetails(paymentDetails);
+
+    const payload = {
+      reference: buildPaymentReference(paymentDetails),
+      amount: Math.round(parseFloat(paymentDetails.amount) * 100), // Paystack expects amount in kobo
+      email: paymentDetails.email,
+      currency: PAYMENT_CURRENCY,
+      callback_url: process.env.PAYMENT_REDIRECT_URL || 'https://your-domain.com/payment/callback',
+      metadata: {
+        orderId: paymentDetails.orderId,
+        diagnosticBookingId: paymentDetails.diagnosticBookingId,
+        appointmentId: paymentDetails.appointmentId,
+        customerName: paymentDetails.name || 'Customer',
+        customerPhone: paymentDetails.phoneNumber || '',
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    const response = await paystackAPI.post('/transaction/initialize', payload);
+
+    if (!response.data.status || !response.data.data) {
+      throw new Error('Invalid response from Paystack');
+    }
+
+    return {
+      status: 'success',
+      data: {
+        authorization_url: response.data.data.authorization_url,
+        access_code: response.data.data.access_code,
+        reference: response.data.data.reference
+      }
+    };
+  } catch (error) {
+    console.error('Paystack payment error:', error.response?.data || error.message);
+    throw toProviderError(error);
+  }
+};
+
+// Verify a transaction. Paystack verifies by reference
+const verify = async ({ reference }) => {
+  try {
+    validateConfig();
+
+    if (!reference) {
+      throw new Error('Reference is required');
+    }
+
+    const response = await paystackAPI.get(`/transaction/verify/${reference}`);
+
+    if (!response.data.status || !response.data.data) {
+      throw new Error('Invalid response from Paystack');
+    }
+
+    return {
+      status: response.data.data.status === 'success' ? 'success' : 'failed',
+      data: {
+        id: response.data.data.id,
+        reference: response.data.data.reference,
+        amount: response.data.data.amount / 100, // Convert from kobo to naira
+        currency: response.data.data.currency,
+        status: response.data.data.status,
+        customerEmail: response.data.data.customer?.email,
+        timestamp: response.data.data.created_at
+      }
+    };
+  } catch (error) {
+    console.error('Paystack verification error:', error.response?.data || error.message);
+    throw toProviderError(error);
+  }
+};
+
+// Refund a transaction (full refund when amount is omitted)
+const refund = async ({ reference }, amount = null) => {
+  try {
+    validateConfig();
+
+    if (!reference) {
+      throw new Error('Reference is required');
+    }
+    validateRefundAmount(amount);
+
+    const payload = { transaction: reference };
+    if (amount !== null && amount !== undefined) {
+      payload.amount = Math.round(parseFloat(amount) * 100); // Paystack expects amount in kobo
+    }
+
+    const response = await paystackAPI.post('/refund', payload);
+
+    if (!response.data.status || !response.data.data) {
+      throw new Error('Invalid response from Paystack');
+    }
+
+    return {
+      status: 'success',
+      data: {
+        refundId: response.data.data.id,
+        amount: response.data.data.amount / 100, // Convert from kobo to naira
+        status: response.data.data.status,
+        settled: response.data.data.status === 'processed'
+      }
+    };
+  } catch (error) {
+    console.error('Paystack refund error:', error.response?.data || error.message);
+    throw toProviderError(error);
+  }
+};
+
+// Normalize a webhook body
+const parseWebhook = (payload = {}) => {
+  const data = payload.data || {};
+  const eventType = payload.event || null;
+  const isRefundEvent = Boolean(eventType && eventType.startsWith('refund.'));
+  const reference = data.reference || data.transaction_reference || null;
+  const id = data.id || reference;
+  const refundStatus = { 'refund.processed': 'Processed', 'refund.failed': 'Failed' }[eventType];
+
+  return {
+    eventId: id ? `${eventType}:${id}` : null,
+    eventType,
+    reference,
+    transactionId: data.id || null,
+    target: resolvePaymentTarget(reference, data.metadata || {}),
+    isSuccessfulCharge: eventType === 'charge.success',
+    isFailedCharge: eventType === 'charge.failed',
+    isRefundEvent,
+    refund: isRefundEvent
+      ? {
+        providerRefundId: data.id ? String(data.id) : null,
+        transactionReference: data.transaction_reference || data.reference || null,
+        status: refundStatus || 'Processing',
+        failureReason: refundStatus === 'Failed' ? (data.reason || data.message || 'Refund failed') : null
+      }
+      : null
+  };
+};
+
+// Paystack signs the JSON body with HMAC SHA512 using the secret key
+const verifySignature = (headers = {}, body = {}) => {
+  const secret = process.env.PAYSTACK_SECRET_KEY;
+  const signature = headers['x-paystack-signature'];
+  if (!secret || !signature) return false;
+
+  const hash = crypto.createHmac('sha512', secret)
+    .update(JSON.stringify(body))
+    .digest('hex');
+
+  return hash === signature;
+};
+
+module.exports = {
+  name: 'Paystack',
+  isWebhookConfigured: () => Boolean(process.env.PAYSTACK_SECRET_KEY),
+  initialize,
+  verify,
+  refund,
+  parseWebhook,
+  verifySignature
+};
@@ -1,8 +1,21 @@
 const Tesseract = require('tesseract.js');
-const { Prescription, Order } = require('../models');
+const { Op } = require('sequelize');
+const { Prescription, Order, OrderItem, Product, sequelize } = require('../models');
 const fs = require('fs');
 const path = require('path');
 const { uploadImage } = require('./cloudinary');
+const { getPrescriptionOnlyLines, getLineItemRef } = require('./catalogue');
+const { transitionOrderStatus } = require('./orderManagement');
+const { parsePrescriptionLines, scoreProductMatch } = require('../utils/prescriptionParser');
+
+// Minimum name similarity for a catalogue product to count as the prescribed drug
+const CATALOGUE_MATCH_THRESHOLD = parseFloat(process.env.PRESCRIPTION_MATCH_THRESHOLD) || 0.75;
+
+// How long a verified prescription can be reused for refills
+const PRESCRIPTION_VALIDITY_DAYS = parseInt(process.env.PRESCRIPTION_VALIDITY_DAYS, 10) || 180;
+
+// How many refill orders can reuse one verified prescription
+const PRESCRIPTION_MAX_REFILLS = parseInt(process.env.PRESCRIPTION_MAX_REFILLS, 10) || 2;
 
 // Initialize Tesseract worker
 let worker = null;
@@ -84,12 +97,11 @@ const parsePrescriptionText = (text) => {
       prescription.doctorName = doctorMatch[1].trim();
     }
 
-    // Extract medicines (look for common patterns like "Rx" or medicine names followed by dosage)
-    const medicinePattern = /([A-Za-z\s]+)\s*(\d+\s*mg|\d+\s*ml|\d+\s*[a-z]+)?\s*(?:,|\|)?(?:\s*\d+\s*times?)?/gi;
-    const medicineMatches = text.match(medicinePattern);
-    if (medicineMatches) {
-      prescription.medicines = medicineMatches.slice(0, 10).map(m => m.trim()).filter(m => m.length > 3);
-    }
+    // One structured entry per medicine line: name, strength, form, frequency, duration, quantity
+    prescription.medicines = parsePrescriptionLines(text);
+    prescription.instructions = prescription.medicines
+      .filter(medicine => medicine.frequency)
+      .map(medicine => `${medicine.name}: ${medicine.frequency.label}${medicine.durationDays ? ` for ${medicine.durationDays} days` : ''}`);
 
     // Extract date
     const dateMatch = text.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/);
@@ -110,6 +122,49 @@ const parsePrescriptionText = (text) => {
   }
 };
 
+/**
+ * Find the catalogue medicine for each parsed prescription line
+ * @param {Array} medicines - Parsed medicines (see utils/prescriptionParser)
+ * @returns {Array} The medicines, each with match: { productId, name, price, stock, requiresPrescription, score } or null
+ */
+const matchPrescriptionToCatalogue = async (medicines = []) => {
+  const results = [];
+
+  for (const medicine of medicines) {
+    // Narrow the candidates with a loose prefix search, then score them properly
+    const prefixes = medicine.name.split(/\s+/).filter(word => word.length >= 3).map(word => word.slice(0, 4));
+    const candidates = prefixes.length > 0
+      ? await Product.findAll({
+        where: {
+          isActive: true,
+          [Op.or]: prefixes.map(prefix => ({ name: { [Op.iLike]: `%${prefix}%` } }))
+        },
+        limit: 25
+      })
+      : [];
+
+    const best = candidates
+      .map(product => ({ product, score: scoreProductMatch(medicine, product.name) }))
+      .sort((a, b) => b.score - a.score || (b.product.stock > 0) - (a.product.stock > 0))[0];
+
+    results.push({
+      ...medicine,
+      match: best && best.score >= CATALOGUE_MATCH_THRESHOLD
+        ? {
+          productId: best.product.id,
+          name: best.product.name,
+          price: best.product.price,
+          stock: best.product.stock,
+          requiresPrescription: Boolean(best.product.requiresPrescription),
+          score: best.score
+        }
+        : null
+    });
+  }
+
+  return results;
+};
+
 // Save prescription for an order
 const savePrescription = async (orderId, fileUrl, extractedText = null, parsedData = null) => {
   try {
@@ -131,6 +186,13 @@ const savePrescription = async (orderId, fileUrl, extractedText = null, parsedDa
       prescription.fileUrl = fileUrl;
       if (extractedText) {
         prescription.extractedText = extractedText;
+        prescription.parsedData = parsedData || parsePrescriptionText(extractedText);
+      }
+      // A replacement for a rejected prescription goes back for review
+      if (prescription.verificationStatus === 'Rejected') {
+        prescription.verificationStatus = 'Pending';
+        prescription.verifiedAt = null;
+        prescription.verifiedBy = null;
       }
       await prescription.save();
     } else {
@@ -139,6 +201,7 @@ const savePrescription = async (orderId, fileUrl, extractedText = null, parsedDa
         orderId,
         fileUrl,
         extractedText,
+        parsedData: parsedData || (extractedText ? parsePrescriptionText(extractedText) : null),
         verificationStatus: 'Pending'
       });
     }
@@ -176,9 +239,11 @@ const uploadAndSavePrescription = async (orderId, fileBuffer, filename = null) =
 
     // Run OCR on the buffer before upload so we can attach extracted text
     let extractedText = null;
+    let parsedData = null;
     try {
       const ocr = await extractPrescriptionFromBuffer(fileBuffer);
       extractedText = ocr?.extractedText || null;
+      parsedData = ocr?.parsedData || null;
     } catch (ocrErr) {
       console.warn('OCR failed for prescription upload, proceeding without OCR:', ocrErr.message);
     }
@@ -190,7 +255,7 @@ const uploadAndSavePrescription = async (orderId, fileBuffer, filename = null) =
     });
 
     // Save prescription record with Cloudinary URL and OCR text (if any)
-    const prescription = await savePrescription(orderId, uploadedFile.url, extractedText);
+    const prescription = await savePrescription(orderId, uploadedFile.url, extractedText, parsedData);
 
     return {
       success: true,
@@ -229,8 +294,28 @@ const getPrescription = async (orderId) => {
   }
 };
 
-// Verify prescription by pharmacist
-const verifyPrescription = async (prescriptionId, verificationStatus, pharmacistNotes = null, pharmacistName = null) => {
+// Release an order held for prescription review to packing once its prescription is verified.
+// Cash on Delivery orders are not moved; the Packed guard lets them through from now on.
+const releaseVerifiedOrder = async (orderId, pharmacistName = null) => {
+  const order = await Order.findByPk(orderId);
+  if (!order || order.status !== 'AwaitingPrescriptionReview') {
+    return order ? { success: true, order, changed: false } : null;
+  }
+
+  const release = await transitionOrderStatus(orderId, 'Packed', {
+    changedBy: pharmacistName ? `pharmacist:${pharmacistName}` : 'pharmacist',
+    reason: 'Prescription verified'
+  });
+  if (!release.success) {
+    console.warn(`Prescription verified but order #${orderId} was not released: ${release.error}`);
+  }
+  return release;
+};
+
+// Verify prescription by pharmacist. The prescription is re-read under a row lock and must still be
+// Pending, so two decisions at once can't both go through and release or cancel the order twice.
+// options: { assertAllowed(prescription) } for the caller's own checks under the lock, { updates } saved with the decision
+const verifyPrescription = async (prescriptionId, verificationStatus, pharmacistNotes = null, pharmacistName = null, options = {}) => {
   try {
     if (!prescriptionId || !verificationStatus) {
       throw new Error('Prescription ID and verification status are required');
@@ -240,26 +325,45 @@ const verifyPrescription = async (prescriptionId, verificationStatus, pharmacist
       throw new Error('Verification status must be either Verified or Rejected');
     }
 
-    const prescription = await Prescription.findByPk(prescriptionId);
-    if (!prescription) {
-      throw new Error('Prescription not found');
-    }
+    const prescription = await sequelize.transaction(async (transaction) => {
+      const locked = await Prescription.findByPk(prescriptionId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!locked) {
+        throw new Error('Prescription not found');
+      }
+      if (locked.verificationStatus !== 'Pending') {
+        throw new Error(`Prescription is already ${locked.verificationStatus}`);
+      }
+      if (options.assertAllowed) {
+        options.assertAllowed(locked);
+      }
 
-    prescription.verificationStatus = verificationStatus;
-    prescription.verifiedAt = new Date();
-    if (pharmacistNotes) {
-      prescription.pharmacistNotes = pharmacistNotes;
-    }
-    if (pharmacistName) {
-      prescription.verifiedBy = pharmacistName;
-    }
+      locked.verificationStatus = verificationStatus;
+      locked.verifiedAt = new Date();
+      locked.validUntil = verificationStatus === 'Verified'
+        ? new Date(Date.now() + PRESCRIPTION_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+        : null;
+      if (pharmacistNotes) {
+        locked.pharmacistNotes = pharmacistNotes;
+      }
+      if (pharmacistName) {
+        locked.verifiedBy = pharmacistName;
+      }
+      Object.assign(locked, options.updates || {});
+
+      await locked.save({ transaction });
+      return locked;
+    });
 
-    await prescription.save();
+    const release = verificationStatus === 'Verified'
+      ? await releaseVerifiedOrder(prescription.orderId, pharmacistName)
+      : null;
 
     return {
       success: true,
       message: `Prescription ${verificationStatus.toLowerCase()} successfully`,
-      prescription
+      prescription,
+      orderStatus: release && release.success ? release.order.status : null,
+      releasedForFulfilment: Boolean(release && release.success && release.changed)
     };
   } catch (error) {
     console.error('Error verifying prescription:', error);
@@ -267,6 +371,162 @@ const verifyPrescription = async (prescriptionId, verificationStatus, pharmacist
   }
 };
 
+/**
+ * Check whether a cart may go through checkout. Prescription-only items need a
+ * prescription file from the customer first; it waits in the session
+ * (pendingPrescriptionUrl) until the order exists. The file only counts for the cart
+ * it was sent with (pendingPrescriptionCartId), so one left over from an earlier or
+ * abandoned checkout can't let a later cart through.
+ * @param {Array} lines - Cart or OrderItem rows
+ * @param {Object} sessionData - Session data
+ * @param {number} cartId - ID of the cart order being checked out (null for carts without one)
+ * @returns {Object} { required, satisfied, items }
+ */
+const checkCheckoutPrescription = async (lines, sessionData = {}, cartId = null) => {
+  let items = await getPrescriptionOnlyLines(lines);
+  const required = items.length > 0;
+
+  const pendingForCart = Boolean(sessionData && sessionData.pendingPrescriptionUrl) &&
+    (sessionData.pendingPrescriptionCartId || null) === (cartId || null);
+  let satisfied = !required || pendingForCart;
+  // A refill can reuse the prescription of the order it repeats, but only for the
+  // medicines on it; anything else added to the cart still needs a new prescription
+  if (!satisfied && sessionData && sessionData.refillPrescriptionId) {
+    const prescription = await Prescription.findByPk(sessionData.refillPrescriptionId);
+    if (await canRefillPrescription(prescription)) {
+      items = await getLinesNotCoveredBy(prescription, items);
+      satisfied = items.length === 0;
+    }
+  }
+
+  return { required, satisfied, items };
+};
+
+/**
+ * Prescription-only lines that a prescription doesn't cover. A line is covered when
+ * it repeats an item of the prescription's order or matches a medicine read from it.
+ * @param {Object} prescription - Prescription instance
+ * @param {Array} items - Described lines (see getPrescriptionOnlyLines)
+ * @returns {Array} The lines that are not covered
+ */
+const getLinesNotCoveredBy = async (prescription, items) => {
+  const order = await Order.findByPk(prescription.orderId, { include: [OrderItem] });
+  const orderedKeys = new Set(((order && order.OrderItems) || []).map((line) => {
+    const { itemType, itemId } = getLineItemRef(line);
+    return `${itemType}:${itemId}`;
+  }));
+  const medicines = (prescription.parsedData && prescription.parsedData.medicines) || [];
+
+  return items.filter(item => (
+    !orderedKeys.has(`${item.itemType}:${item.itemId}`) &&
+    !medicines.some(medicine => medicine.name && scoreProductMatch(medicine, item.name) >= CATALOGUE_MATCH_THRESHOLD)
+  ));
+};
+
+/**
+ * Refill orders placed so far under a prescription and the copies made from it
+ * @param {Object} prescription - Prescription instance
+ * @returns {number} Refills that weren't cancelled or refunded
+ */
+const countRefillsUsed = async (prescription) => Prescription.count({
+  where: { refillOfId: prescription.refillOfId || prescription.id },
+  include: [{ model: Order, required: true, where: { status: { [Op.notIn]: ['Cancelled', 'Refunded'] } } }]
+});
+
+/**
+ * Whether a prescription can be reused for another refill: verified, still valid
+ * and with repeats left
+ * @param {Object} prescription - Prescription instance
+ * @returns {boolean}
+ */
+const canRefillPrescription = async (prescription) => (
+  isPrescriptionValid(prescription) && (await countRefillsUsed(prescription)) < PRESCRIPTION_MAX_REFILLS
+);
+
+/**
+ * Whether a prescription is verified and still within its validity period
+ * @param {Object} prescription - Prescription instance
+ * @returns {boolean}
+ */
+const isPrescriptionValid = (prescription) => Boolean(
+  prescription &&
+  prescription.verificationStatus === 'Verified' &&
+  (!prescription.validUntil || new Date(prescription.validUntil) > new Date())
+);
+
+/**
+ * Reuse a verified prescription for a refill order. The copy is already verified,
+ * so the order doesn't go back to the pharmacist.
+ * @param {number} orderId - Refill order ID
+ * @param {number} prescriptionId - Prescription being reused
+ * @returns {Object} Result with the new prescription ID
+ */
+const attachRefillPrescription = async (orderId, prescriptionId) => {
+  const original = await Prescription.findByPk(prescriptionId);
+  if (!isPrescriptionValid(original)) {
+    throw new Error('The prescription for this refill has expired. Please upload a new one.');
+  }
+  if (!(await canRefillPrescription(original))) {
+    throw new Error('All the refills on this prescription have been used. Please upload a new one.');
+  }
+
+  const order = await Order.findByPk(orderId);
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  const prescription = await Prescription.create({
+    orderId,
+    fileUrl: original.fileUrl,
+    extractedText: original.extractedText,
+    parsedData: original.parsedData,
+    verificationStatus: 'Verified',
+    pharmacistNotes: `Refill of prescription #${original.id}`,
+    verifiedBy: original.verifiedBy,
+    verifiedAt: new Date(),
+    validUntil: original.validUntil,
+    // Copies of copies point at the first prescription, so repeats are counted once
+    refillOfId: original.refillOfId || original.id
+  });
+  await order.update({ hasPrescription: true });
+
+  return {
+    success: true,
+    message: 'Prescription reused for refill',
+    prescriptionId: prescription.id,
+    verificationStatus: prescription.verificationStatus
+  };
+};
+
+/**
+ * Attach the prescription waiting in the session to a newly placed order
+ * @param {number} orderId - Order ID
+ * @param {Object} session - Session instance
+ * @returns {Object|null} savePrescription result, or null if nothing was pending
+ */
+const attachPendingPrescription = async (orderId, session) => {
+  const data = session.data || {};
+  if (!data.pendingPrescriptionUrl && !data.refillPrescriptionId) {
+    return null;
+  }
+
+  // A newly uploaded prescription wins over reusing the refill's one
+  const result = data.pendingPrescriptionUrl
+    ? await savePrescription(orderId, data.pendingPrescriptionUrl, data.pendingPrescriptionExtractedText || null)
+    : await attachRefillPrescription(orderId, data.refillPrescriptionId);
+  // 🔴 CRITICAL: Use spread operator to ensure Sequelize detects JSONB field change
+  session.data = {
+    ...session.data,
+    pendingPrescriptionUrl: null,
+    pendingPrescriptionExtractedText: null,
+    pendingPrescriptionCartId: null,
+    refillPrescriptionId: null,
+    awaitingCheckoutPrescription: null
+  };
+  await session.save();
+  return result;
+};
+
 // Get pending prescriptions (for pharmacist verification)
 const getPendingPrescriptions = async (limit = 20) => {
   try {
@@ -417,13 +677,21 @@ const terminateOCRWorker = async () => {
 };
 
 module.exports = {
+  PRESCRIPTION_VALIDITY_DAYS,
+  PRESCRIPTION_MAX_REFILLS,
   extractPrescriptionText,
   extractPrescriptionFromBuffer,
   parsePrescriptionText,
+  matchPrescriptionToCatalogue,
   savePrescription,
   uploadAndSavePrescription,
   getPrescription,
   verifyPrescription,
+  isPrescriptionValid,
+  canRefillPrescription,
+  checkCheckoutPrescription,
+  attachRefillPrescription,
+  attachPendingPrescription,
   getPendingPrescriptions,
   getPendingPrescriptionsPaginated,
   getPendingPrescriptionsForPharmacist,
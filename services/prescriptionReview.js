@@ -0,0 +1,394 @@
+/**
+ * Prescription Review Service
+ * The pharmacist workspace behind the admin API:
+ * - Pharmacists claim a pending prescription so two people don't review it at once;
+ *   claims lapse after PRESCRIPTION_CLAIM_MINUTES
+ * - The review view puts the prescription image, OCR text, parsed medicines and
+ *   the order's items side by side
+ * - The parsed medicine list can be corrected before deciding
+ * - Approving or rejecting messages the customer and moves the linked order on
+ */
+
+const { Op } = require('sequelize');
+const { Prescription, Order, OrderItem, User, Product, sequelize } = require('../models');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
+const { verifyPrescription, matchPrescriptionToCatalogue } = require('./prescription');
+const { cancelOrder } = require('./orderManagement');
+const { describeLines } = require('./catalogue');
+const { hasSchedulableMedicines } = require('./adherence');
+const { FREQUENCIES } = require('../utils/prescriptionParser');
+
+const CLAIM_MINUTES = parseInt(process.env.PRESCRIPTION_CLAIM_MINUTES, 10) || 30;
+
+const isClaimActive = (prescription) => Boolean(
+  prescription.claimedBy &&
+  prescription.claimedAt &&
+  new Date(prescription.claimedAt).getTime() + CLAIM_MINUTES * 60 * 1000 > Date.now()
+);
+
+const describeClaim = (prescription) => (
+  isClaimActive(prescription)
+    ? {
+      claimedBy: prescription.claimedBy,
+      claimedAt: prescription.claimedAt,
+      expiresAt: new Date(new Date(prescription.claimedAt).getTime() + CLAIM_MINUTES * 60 * 1000)
+    }
+    : null
+);
+
+// Throw unless the pharmacist holds (or can take) the review of this prescription
+const assertCanReview = (prescription, pharmacist) => {
+  if (prescription.verificationStatus !== 'Pending') {
+    throw new Error(`Prescription is already ${prescription.verificationStatus}`);
+  }
+  if (isClaimActive(prescription) && prescription.claimedBy !== pharmacist) {
+    throw new Error(`Prescription is being reviewed by ${prescription.claimedBy}`);
+  }
+};
+
+/**
+ * Pending prescriptions, oldest first, with who (if anyone) is reviewing each
+ * @param {Object} options - { page, pageSize, unclaimed } - unclaimed: 'true' hides claimed items
+ * @returns {Object} Paginated queue items
+ */
+const getReviewQueue = async (options = {}) => {
+  const { page = 1, pageSize = 20, unclaimed } = options;
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeSize = Math.min(100, Math.max(1, parseInt(pageSize, 10) || 20));
+
+  const where = { verificationStatus: 'Pending' };
+  if (unclaimed === true || unclaimed === 'true') {
+    where[Op.or] = [
+      { claimedAt: null },
+      { claimedAt: { [Op.lte]: new Date(Date.now() - CLAIM_MINUTES * 60 * 1000) } }
+    ];
+  }
+
+  const { rows, count } = await Prescription.findAndCountAll({
+    where,
+    include: [{ model: Order, attributes: ['id', 'userId', 'status', 'totalAmount', 'requiresPrescription', 'createdAt'] }],
+    order: [['createdAt', 'ASC']],
+    offset: (safePage - 1) * safeSize,
+    limit: safeSize
+  });
+
+  const items = rows.map(prescription => ({
+    id: prescription.id,
+    orderId: prescription.orderId,
+    fileUrl: prescription.fileUrl,
+    createdAt: prescription.createdAt,
+    medicineCount: prescription.parsedData && Array.isArray(prescription.parsedData.medicines)
+      ? prescription.parsedData.medicines.length
+      : 0,
+    claim: describeClaim(prescription),
+    order: prescription.Order
+  }));
+
+  return { items, total: count, page: safePage, pageSize: safeSize, totalPages: Math.ceil(count / safeSize) };
+};
+
+/**
+ * Take a prescription for review. Claiming again extends the claim.
+ * @param {number} prescriptionId - Prescription ID
+ * @param {string} pharmacist - Reviewer (admin email)
+ * @param {Object} options - { force } to take over another pharmacist's claim
+ * @returns {Object} Claim details
+ */
+const claimPrescription = async (prescriptionId, pharmacist, options = {}) => {
+  if (!pharmacist) throw new Error('Pharmacist is required');
+
+  return sequelize.transaction(async (transaction) => {
+    const prescription = await Prescription.findByPk(prescriptionId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!prescription) throw new Error('Prescription not found');
+    if (!options.force) {
+      assertCanReview(prescription, pharmacist);
+    } else if (prescription.verificationStatus !== 'Pending') {
+      throw new Error(`Prescription is already ${prescription.verificationStatus}`);
+    }
+
+    await prescription.update({ claimedBy: pharmacist, claimedAt: new Date() }, { transaction });
+    return { prescriptionId: prescription.id, ...describeClaim(prescription) };
+  });
+};
+
+/**
+ * Give up a claim so another pharmacist can pick the prescription up
+ * @param {number} prescriptionId - Prescription ID
+ * @param {string} pharmacist - Reviewer releasing the claim
+ * @returns {Object} { prescriptionId, released }
+ */
+const releasePrescriptionClaim = async (prescriptionId, pharmacist) => {
+  const prescription = await Prescription.findByPk(prescriptionId);
+  if (!prescription) throw new Error('Prescription not found');
+  if (!isClaimActive(prescription)) return { prescriptionId: prescription.id, released: false };
+  if (prescription.claimedBy !== pharmacist) {
+    throw new Error(`Prescription is claimed by ${prescription.claimedBy}`);
+  }
+
+  await prescription.update({ claimedBy: null, claimedAt: null });
+  return { prescriptionId: prescription.id, released: true };
+};
+
+/**
+ * Everything a pharmacist needs to review one prescription
+ * @param {number} prescriptionId - Prescription ID
+ * @returns {Object} { prescription, image, ocrText, medicines, order, claim }
+ */
+const getPrescriptionForReview = async (prescriptionId) => {
+  const prescription = await Prescription.findByPk(prescriptionId, {
+    include: [{ model: Order, include: [OrderItem, { model: User, attributes: ['id', 'name', 'phoneNumber', 'email', 'allergies', 'medicalConditions'] }] }]
+  });
+  if (!prescription) throw new Error('Prescription not found');
+
+  const order = prescription.Order;
+  const orderItems = order ? await describeLines(order.OrderItems || []) : [];
+  const medicines = prescription.parsedData && Array.isArray(prescription.parsedData.medicines)
+    ? prescription.parsedData.medicines
+    : [];
+
+  return {
+    prescription: {
+      id: prescription.id,
+      orderId: prescription.orderId,
+      verificationStatus: prescription.verificationStatus,
+      pharmacistNotes: prescription.pharmacistNotes,
+      verifiedBy: prescription.verifiedBy,
+      verifiedAt: prescription.verifiedAt,
+      substitutionAllowed: prescription.substitutionAllowed !== false,
+      substitutionSetBy: prescription.substitutionSetBy,
+      createdAt: prescription.createdAt
+    },
+    image: prescription.fileUrl,
+    ocrText: prescription.extractedText,
+    medicines,
+    editedBy: prescription.parsedData ? prescription.parsedData.editedBy || null : null,
+    order: order
+      ? {
+        id: order.id,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        totalAmount: order.totalAmount,
+        requiresPrescription: order.requiresPrescription,
+        customer: order.User || null,
+        items: orderItems.map(item => ({
+          itemType: item.itemType,
+          itemId: item.itemId,
+          name: item.name,
+          quantity: item.quantity,
+          price: item.price,
+          requiresPrescription: Boolean(item.item && item.item.requiresPrescription)
+        }))
+      }
+      : null,
+    claim: describeClaim(prescription)
+  };
+};
+
+// Validate and tidy one medicine entry from the review form
+const normalizeMedicine = (medicine, index) => {
+  if (!medicine || typeof medicine !== 'object' || !medicine.name || !String(medicine.name).trim()) {
+    throw new Error(`Medicine ${index + 1}: name is required`);
+  }
+
+  const quantity = medicine.quantity === undefined || medicine.quantity === null ? 1 : parseInt(medicine.quantity, 10);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error(`Medicine ${index + 1}: quantity must be a positive whole number`);
+  }
+
+  const durationDays = medicine.durationDays === undefined || medicine.durationDays === null || medicine.durationDays === ''
+    ? null
+    : parseInt(medicine.durationDays, 10);
+  if (durationDays !== null && (!Number.isInteger(durationDays) || durationDays < 1)) {
+    throw new Error(`Medicine ${index + 1}: durationDays must be a positive whole number`);
+  }
+
+  // Frequency may be sent as a code ('BD') or as the parsed object
+  let frequency = null;
+  const code = medicine.frequency && typeof medicine.frequency === 'object' ? medicine.frequency.code : medicine.frequency;
+  if (code) {
+    const known = FREQUENCIES.find(f => f.code === String(code).toUpperCase());
+    frequency = known
+      ? { code: known.code, label: known.label, timesPerDay: known.timesPerDay }
+      : { code: String(code), label: String(code), timesPerDay: null };
+  }
+
+  return {
+    name: String(medicine.name).trim(),
+    strength: medicine.strength || null,
+    dosageForm: medicine.dosageForm || null,
+    dose: medicine.dose ? parseFloat(medicine.dose) : 1,
+    frequency,
+    durationDays,
+    quantity,
+    quantitySource: 'pharmacist',
+    productId: medicine.productId ? parseInt(medicine.productId, 10) : null,
+    raw: medicine.raw || null
+  };
+};
+
+/**
+ * Replace the parsed medicine list with the pharmacist's corrected version.
+ * Medicines without a productId are matched against the catalogue again.
+ * @param {number} prescriptionId - Prescription ID
+ * @param {Array} medicines - Medicine entries
+ * @param {string} pharmacist - Reviewer (must hold the claim, or the prescription must be unclaimed)
+ * @returns {Array} Saved medicines
+ */
+const updatePrescriptionMedicines = async (prescriptionId, medicines, pharmacist) => {
+  if (!Array.isArray(medicines)) throw new Error('medicines must be an array');
+
+  const prescription = await Prescription.findByPk(prescriptionId);
+  if (!prescription) throw new Error('Prescription not found');
+  assertCanReview(prescription, pharmacist);
+
+  const normalized = medicines.map(normalizeMedicine);
+  for (const medicine of normalized.filter(m => m.productId)) {
+    if (!await Product.findByPk(medicine.productId)) {
+      throw new Error(`Product #${medicine.productId} not found`);
+    }
+  }
+
+  const matched = await matchPrescriptionToCatalogue(normalized.filter(medicine => !medicine.productId));
+  let next = 0;
+  const saved = normalized.map((medicine) => {
+    if (medicine.productId) return medicine;
+    const entry = matched[next++];
+    return { ...entry, productId: entry.match ? entry.match.productId : null };
+  });
+
+  await prescription.update({
+    parsedData: {
+      ...(prescription.parsedData || {}),
+      medicines: saved,
+      editedBy: pharmacist,
+      editedAt: new Date().toISOString()
+    },
+    claimedBy: pharmacist,
+    claimedAt: new Date()
+  });
+
+  return saved;
+};
+
+/**
+ * Allow or disallow same-ingredient alternatives for the medicines on a prescription
+ * @param {number} prescriptionId - Prescription ID
+ * @param {boolean} allowed - false to have only the prescribed products dispensed
+ * @param {string} pharmacist - Reviewer (must hold the claim, or the prescription must be unclaimed)
+ * @returns {Object} { prescriptionId, substitutionAllowed, substitutionSetBy }
+ */
+const setSubstitutionAllowed = async (prescriptionId, allowed, pharmacist) => {
+  if (typeof allowed !== 'boolean') throw new Error('allowed must be true or false');
+
+  const prescription = await Prescription.findByPk(prescriptionId);
+  if (!prescription) throw new Error('Prescription not found');
+  if (prescription.verificationStatus === 'Pending') {
+    assertCanReview(prescription, pharmacist);
+  }
+
+  await prescription.update({ substitutionAllowed: allowed, substitutionSetBy: pharmacist });
+  return {
+    prescriptionId: prescription.id,
+    substitutionAllowed: prescription.substitutionAllowed,
+    substitutionSetBy: prescription.substitutionSetBy
+  };
+};
+
+// Tell the customer what happened to their prescription
+const notifyCustomer = async (order, prescription, notes, orderStatus) => {
+  const verificationStatus = prescription.verificationStatus;
+  const user = order ? await User.findByPk(order.userId) : null;
+  if (!user || !user.phoneNumber) return false;
+
+  let message;
+  if (verificationStatus === 'Verified') {
+    message = `✅ Your prescription for order #${order.id} has been approved by our pharmacist.`;
+    if (orderStatus === 'Packed') {
+      message += '\n\n📦 Your order is now being packed for delivery.';
+    } else if (order.paymentStatus !== 'Paid' && order.paymentMethod !== 'Cash on Delivery') {
+      message += '\n\nYour order will be packed as soon as payment is confirmed.';
+    }
+  } else if (orderStatus === 'Cancelled') {
+    message = `❌ Your prescription for order #${order.id} could not be accepted, so the order has been cancelled.`;
+    if (notes) message += `\n\nPharmacist's note: ${notes}`;
+    if (order.paymentStatus === 'Paid' || order.paymentStatus === 'PartiallyRefunded') {
+      message += '\n\nAny payment will be refunded to you.';
+    }
+  } else {
+    message = `❌ Your prescription for order #${order.id} could not be accepted.`;
+    if (notes) message += `\n\nPharmacist's note: ${notes}`;
+    message += `\n\nPlease send a clear photo of a valid prescription with the caption \`rx ${order.id}\` so we can review it again.`;
+  }
+
+  try {
+    if (verificationStatus === 'Verified' && hasSchedulableMedicines(prescription)) {
+      message += '\n\n⏰ Want a WhatsApp reminder each time a dose is due?';
+      await sendInteractiveMessage(user.phoneNumber, message, [
+        { id: `dose_setup_${prescription.id}`, title: '⏰ Dose reminders' }
+      ]);
+    } else {
+      await sendWhatsAppMessage(user.phoneNumber, message);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Could not notify customer about prescription for order #${order.id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Approve or reject a prescription. Approval releases the order for packing;
+ * rejection keeps it on hold for a new upload unless cancelOrder is set.
+ * The customer is messaged either way.
+ * @param {number} prescriptionId - Prescription ID
+ * @param {Object} decision - { status: 'Verified'|'Rejected', notes, pharmacist, cancelOrder }
+ * @returns {Object} { prescription, orderStatus, releasedForFulfilment, customerNotified }
+ */
+const decidePrescription = async (prescriptionId, decision = {}) => {
+  const { status, notes = null, pharmacist, cancelOrder: cancel = false } = decision;
+  if (!pharmacist) throw new Error('Pharmacist is required');
+  if (!['Verified', 'Rejected'].includes(status)) {
+    throw new Error('status must be either Verified or Rejected');
+  }
+  if (status === 'Rejected' && !notes) {
+    throw new Error('Notes are required when rejecting a prescription');
+  }
+
+  // The claim is checked and the decision saved under the prescription's row lock
+  const result = await verifyPrescription(prescriptionId, status, notes, pharmacist, {
+    assertAllowed: locked => assertCanReview(locked, pharmacist),
+    updates: { claimedBy: null, claimedAt: null }
+  });
+  const prescription = result.prescription;
+
+  let orderStatus = result.orderStatus;
+  if (status === 'Rejected' && cancel) {
+    const cancelled = await cancelOrder(prescription.orderId, {
+      changedBy: `pharmacist:${pharmacist}`,
+      reason: `Prescription rejected: ${notes}`
+    });
+    if (!cancelled.success) throw new Error(`Prescription rejected but the order could not be cancelled: ${cancelled.error}`);
+    orderStatus = cancelled.order.status;
+  }
+
+  const order = await Order.findByPk(prescription.orderId);
+  const customerNotified = await notifyCustomer(order, result.prescription, notes, orderStatus || (order && order.status));
+
+  return {
+    prescription: result.prescription,
+    orderStatus: orderStatus || (order ? order.status : null),
+    releasedForFulfilment: result.releasedForFulfilment,
+    customerNotified
+  };
+};
+
+module.exports = {
+  CLAIM_MINUTES,
+  getReviewQueue,
+  claimPrescription,
+  releasePrescriptionClaim,
+  getPrescriptionForReview,
+  updatePrescriptionMedicines,
+  setSubstitutionAllowed,
+  decidePrescription
+};
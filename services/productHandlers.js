@@ -7,6 +7,10 @@ const { Product, Cart, Order, OrderItem, HealthcareProduct, DiagnosticTest } = r
 const { sendWhatsAppMessage, sendInteractiveMessage } = require('../config/whatsapp');
 const { sendPleaseWaitMessage, sendSuccessMessage, sendErrorMessage, sendInfoMessage, sendPaymentMethodButtons } = require('../utils/messageHandler');
 const { Op } = require('sequelize');
+const { reserveStock } = require('./inventory');
+const { buildLineItemFields, describeLines } = require('./catalogue');
+const { checkCheckoutPrescription } = require('./prescription');
+const { listAddresses, getAddress, saveAddress, formatAddress } = require('./addressBook');
 
 const PAGE_SIZE = 5;
 
@@ -174,25 +178,32 @@ const handleAddMedicineToCart = async (phoneNumber, session, quantity) => {
       return;
     }
     
-    if (medicine.stock < qty) {
-      await sendErrorMessage(phoneNumber, `Only ${medicine.stock} units available. Please adjust the quantity.`);
-      return;
-    }
-    
     await sendPleaseWaitMessage(phoneNumber, '🛒 Adding to cart...');
     
     try {
       // Find or create cart item
       let cartItem = await Cart.findOne({
-        where: { userId, productId: medicineId }
+        where: { userId, itemType: 'Product', itemId: medicineId }
       });
       
+      // Hold stock for the whole cart line
+      const reserved = await reserveStock({
+        itemType: 'Product',
+        itemId: medicineId,
+        userId,
+        quantity: (cartItem ? cartItem.quantity : 0) + qty
+      });
+      if (!reserved.success) {
+        await sendErrorMessage(phoneNumber, `${reserved.error}. Please adjust the quantity.`);
+        return;
+      }
+      
       if (cartItem) {
         cartItem.quantity += qty;
       } else {
         cartItem = await Cart.create({
           userId,
-          productId: medicineId,
+          ...buildLineItemFields('Product', medicineId),
           quantity: qty,
           price: medicine.price
         });
@@ -239,7 +250,6 @@ const handleViewCart = async (phoneNumber, session) => {
     
     const cartItems = await Cart.findAll({
       where: { userId },
-      include: [{ model: Product, attributes: ['name', 'price'] }],
       order: [['createdAt', 'ASC']]
     });
     
@@ -256,12 +266,12 @@ const handleViewCart = async (phoneNumber, session) => {
     let message = '🛒 *Your Cart*\n\n';
     let total = 0;
     
-    cartItems.forEach((item, idx) => {
-      const itemTotal = item.quantity * item.price;
-      total += itemTotal;
+    const lines = await describeLines(cartItems);
+    lines.forEach((item, idx) => {
+      total += item.subtotal;
       
-      message += `${idx + 1}. ${item.Product.name}\n`;
-      message += `   Qty: ${item.quantity} × ₦${item.price.toLocaleString()} = ₦${itemTotal.toLocaleString()}\n\n`;
+      message += `${idx + 1}. ${item.itemType === 'HealthcareProduct' ? '🩹' : '💊'} ${item.name}\n`;
+      message += `   Qty: ${item.quantity} × ₦${item.price.toLocaleString()} = ₦${item.subtotal.toLocaleString()}\n\n`;
     });
     
     message += `💰 *Total: ₦${total.toLocaleString()}*\n\n`;
@@ -286,8 +296,7 @@ const handleCheckoutStart = async (phoneNumber, session) => {
     
     // Get cart items
     const cartItems = await Cart.findAll({
-      where: { userId },
-      include: [{ model: Product }]
+      where: { userId }
     });
     
     if (cartItems.length === 0) {
@@ -295,24 +304,63 @@ const handleCheckoutStart = async (phoneNumber, session) => {
       return;
     }
     
+    // Prescription-only items need a prescription photo before checkout can continue
+    const prescriptionCheck = await checkCheckoutPrescription(cartItems, session.data);
+    if (!prescriptionCheck.satisfied) {
+      session.data = { ...session.data, awaitingCheckoutPrescription: true };
+      await session.save();
+      
+      let message = `📄 *Prescription Required*\n\n`;
+      message += `These items can only be sold with a valid prescription:\n`;
+      prescriptionCheck.items.forEach(item => {
+        message += `• ${item.name}\n`;
+      });
+      message += `\nPlease send a clear photo (or PDF) of your prescription, then continue checkout.\n`;
+      message += `_A pharmacist will verify it before your order is dispatched._`;
+      
+      await sendInfoMessage(phoneNumber, message);
+      return;
+    }
+    
     // Calculate total
     const cartTotal = cartItems.reduce((sum, item) => sum + (item.quantity * item.price), 0);
     
+    const savedAddresses = session.data.userId ? await listAddresses(session.data.userId) : [];
+
     // Store checkout data
     session.data = {
       ...session.data,
       checkoutStep: 1,
-      checkoutItems: cartItems.map(item => ({ productId: item.productId, quantity: item.quantity, price: item.price })),
+      checkoutSavedAddresses: savedAddresses.map(address => address.id),
+      checkoutItems: cartItems.map(item => ({
+        itemType: item.itemType || 'Product',
+        itemId: item.itemId || item.productId,
+        quantity: item.quantity,
+        price: item.price
+      })),
       checkoutTotal: cartTotal,
+      checkoutRequiresPrescription: prescriptionCheck.required,
+      awaitingCheckoutPrescription: null,
       waitingForDeliveryAddress: true
     };
     await session.save();
     
     let message = `📦 *Checkout*\n\n`;
     message += `Items in cart: ${cartItems.length}\n`;
+    if (prescriptionCheck.required) {
+      message += `📄 Prescription received - it will be verified before dispatch\n`;
+    }
     message += `📍 *Subtotal: ₦${cartTotal.toLocaleString()}*\n\n`;
     message += `Step 1 of 3: Delivery Address\n\n`;
-    message += `Please enter your delivery address or share your location.`;
+    if (savedAddresses.length > 0) {
+      message += `*Saved addresses:*\n`;
+      savedAddresses.forEach((address, idx) => {
+        message += `${idx + 1}. ${address.isDefault ? '⭐ ' : ''}*${address.label}* — ${formatAddress(address)}\n`;
+      });
+      message += `\nReply with a number to use a saved address, or enter a new address or share your location.`;
+    } else {
+      message += `Please enter your delivery address or share your location.`;
+    }
     
     await sendInfoMessage(phoneNumber, message);
   } catch (error) {
@@ -321,38 +369,78 @@ const handleCheckoutStart = async (phoneNumber, session) => {
   }
 };
 
+// Moves checkout on to the phone step once an address is chosen
+const continueCheckoutWithAddress = async (phoneNumber, session, addressText, addressId) => {
+  session.data = {
+    ...session.data,
+    checkoutStep: 2,
+    deliveryAddress: addressText,
+    deliveryAddressId: addressId,
+    waitingForDeliveryAddress: null,
+    waitingForPhone: true
+  };
+  await session.save();
+
+  await sendInfoMessage(
+    phoneNumber,
+    `✅ *Address Saved*\n\n` +
+    `${addressText}\n\n` +
+    `Step 2 of 3: Phone Number\n\n` +
+    `Please confirm your phone number for delivery coordination.`
+  );
+};
+
 /**
- * Handle checkout address submission
+ * Handle checkout address submission - a saved address number or a new address,
+ * which is added to the customer's address book
  */
 const handleCheckoutAddress = async (phoneNumber, session, address) => {
   try {
+    const userId = session.data.userId;
+    const savedIds = session.data.checkoutSavedAddresses || [];
+    const choice = /^\d+$/.test((address || '').trim()) ? savedIds[parseInt(address, 10) - 1] : null;
+
+    if (choice) {
+      const saved = await getAddress(userId, choice);
+      if (!saved) {
+        await sendErrorMessage(phoneNumber, 'That address is no longer saved. Please enter your delivery address.');
+        return;
+      }
+      await continueCheckoutWithAddress(phoneNumber, session, formatAddress(saved), saved.id);
+      return;
+    }
+
     if (!address || address.trim().length < 10) {
-      await sendErrorMessage(phoneNumber, 'Please enter a complete delivery address (minimum 10 characters).');
+      await sendErrorMessage(phoneNumber, savedIds.length > 0
+        ? `Reply with a saved address number (1-${savedIds.length}) or enter a complete delivery address (minimum 10 characters).`
+        : 'Please enter a complete delivery address (minimum 10 characters).');
       return;
     }
-    
-    session.data = {
-      ...session.data,
-      checkoutStep: 2,
-      deliveryAddress: address,
-      waitingForDeliveryAddress: null,
-      waitingForPhone: true
-    };
-    await session.save();
-    
-    await sendInfoMessage(
-      phoneNumber,
-      `✅ *Address Saved*\n\n` +
-      `${address}\n\n` +
-      `Step 2 of 3: Phone Number\n\n` +
-      `Please confirm your phone number for delivery coordination.`
-    );
+
+    const saved = userId ? await saveAddress(userId, { addressText: address }) : null;
+    await continueCheckoutWithAddress(phoneNumber, session, address, saved && saved.success ? saved.address.id : null);
   } catch (error) {
     console.error('Error handling checkout address:', error);
     await sendErrorMessage(phoneNumber, 'Could not save address. Please try again.');
   }
 };
 
+/**
+ * Handle a location shared during checkout - saved to the address book with its coordinates
+ */
+const handleCheckoutLocation = async (phoneNumber, session, latitude, longitude, description) => {
+  try {
+    const addressText = description || `Pinned location (${Number(latitude).toFixed(5)}, ${Number(longitude).toFixed(5)})`;
+    const saved = session.data.userId
+      ? await saveAddress(session.data.userId, { label: 'Pinned location', addressText, latitude, longitude })
+      : null;
+    await continueCheckoutWithAddress(phoneNumber, session, addressText, saved && saved.success ? saved.address.id : null);
+  } catch (error) {
+    console.error('Error handling checkout location:', error);
+    await sendErrorMessage(phoneNumber, 'Could not save your location. Please type your address instead.');
+  }
+};
+
 /**
  * Handle checkout phone submission
  */
@@ -507,6 +595,7 @@ module.exports = {
   handleViewCart,
   handleCheckoutStart,
   handleCheckoutAddress,
+  handleCheckoutLocation,
   handleCheckoutPhone,
   handleHealthcareProductsBrowse,
   handleDiagnosticTestsBrowse
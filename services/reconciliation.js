@@ -0,0 +1,247 @@
+/**
+ * Payment Reconciliation Service
+ * Verifies every webhook-reported payment with the provider and compares
+ * the verified amount and currency against what the order, diagnostic booking or appointment owes.
+ * - Exact matches are cleared automatically
+ * - Partial payments, overpayments, currency mismatches and failed verifications
+ *   go to the reconciliation queue for operations to resolve
+ * - Daily report for the admin API
+ */
+
+const { Op } = require('sequelize');
+const { Order, DiagnosticBooking, Appointment, PaymentEvent, PaymentReconciliation } = require('../models');
+const { parsePaymentReference, PAYMENT_CURRENCY } = require('./payment');
+const { getPaymentProvider } = require('./paymentProviders');
+
+// Amounts within this many naira of each other are treated as equal (float rounding)
+const AMOUNT_TOLERANCE = 0.01;
+
+// Results that allow the order/booking to be marked as paid
+const PAYABLE_RESULTS = ['Matched', 'Overpaid'];
+
+/**
+ * Compare a verified payment with the amount owed
+ * @param {Object} expected - { amount, currency }
+ * @param {Object} paid - { amount, currency, successful }
+ * @returns {string} Reconciliation result
+ */
+const comparePayment = (expected, paid) => {
+  if (!paid.successful) return 'VerificationFailed';
+  if (String(paid.currency || '').toUpperCase() !== String(expected.currency).toUpperCase()) return 'CurrencyMismatch';
+
+  const difference = Number(paid.amount) - Number(expected.amount);
+  if (Math.abs(difference) <= AMOUNT_TOLERANCE) return 'Matched';
+  return difference < 0 ? 'Underpaid' : 'Overpaid';
+};
+
+/**
+ * Load the order, diagnostic booking or appointment a payment is for
+ * @param {Object} target - { targetType, targetId }
+ * @returns {Object|null} Model instance
+ */
+const loadPaymentTarget = async (target) => {
+  if (!target) return null;
+  if (target.targetType === 'Order') return Order.findByPk(target.targetId);
+  if (target.targetType === 'DiagnosticBooking') return DiagnosticBooking.findByPk(target.targetId);
+  if (target.targetType === 'Appointment') return Appointment.findByPk(target.targetId);
+  return null;
+};
+
+/**
+ * Verify a transaction with the provider and reconcile it against the order/booking.
+ * Safe to call more than once for the same transaction (e.g. when a webhook is replayed).
+ * @param {Object} payment - { provider, transactionId, reference, paymentEventId }
+ * @returns {Object} { success, result, payable, target, expectedAmount, paidAmount, reconciliation }
+ */
+const reconcilePayment = async (payment) => {
+  const { provider, transactionId, reference, paymentEventId = null } = payment;
+
+  try {
+    if (!provider || (!transactionId && !reference)) {
+      throw new Error('Invalid input: provider and transactionId or reference are required');
+    }
+
+    let verification;
+    try {
+      verification = await getPaymentProvider(provider).verify({ transactionId, reference });
+    } catch (verifyError) {
+      const error = new Error(`Could not verify payment with ${provider}: ${verifyError.message || 'unknown error'}`);
+      error.code = 'PAYMENT_VERIFICATION_UNAVAILABLE';
+      throw error;
+    }
+
+    const verified = verification.data || {};
+    const verifiedReference = verified.txRef || verified.reference || reference;
+    const target = parsePaymentReference(verifiedReference) || parsePaymentReference(reference);
+    const record = await loadPaymentTarget(target);
+
+    const expectedAmount = record ? record.totalAmount : null;
+    const result = record
+      ? comparePayment(
+        { amount: expectedAmount, currency: PAYMENT_CURRENCY },
+        { amount: verified.amount, currency: verified.currency, successful: verification.status === 'success' }
+      )
+      : 'UnknownTarget';
+
+    const values = {
+      paymentEventId,
+      reference: verifiedReference,
+      targetType: target ? target.targetType : null,
+      targetId: target ? target.targetId : null,
+      expectedAmount,
+      expectedCurrency: record ? PAYMENT_CURRENCY : null,
+      paidAmount: verified.amount,
+      paidCurrency: verified.currency,
+      providerStatus: verified.status,
+      result,
+      status: result === 'Matched' ? 'Cleared' : 'Open',
+      verifiedAt: new Date()
+    };
+
+    const [reconciliation, created] = await PaymentReconciliation.findOrCreate({
+      where: { provider, transactionId: String(verified.id || transactionId || reference) },
+      defaults: values
+    });
+
+    // Keep an operator's resolution when the same transaction is reconciled again
+    if (!created && reconciliation.status !== 'Resolved') {
+      await reconciliation.update(values);
+    }
+
+    return {
+      success: true,
+      result,
+      payable: PAYABLE_RESULTS.includes(result),
+      target,
+      expectedAmount,
+      paidAmount: verified.amount,
+      currency: verified.currency,
+      reconciliation
+    };
+  } catch (error) {
+    console.error('Error reconciling payment:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'RECONCILIATION_FAILED'
+    };
+  }
+};
+
+/**
+ * List reconciliation queue items
+ * @param {Object} options - { status, page, pageSize }
+ * @returns {Object} Paginated queue items
+ */
+const getReconciliationQueue = async (options = {}) => {
+  const { status = 'Open', page = 1, pageSize = 20 } = options;
+  const safePage = Math.max(1, parseInt(page, 10) || 1);
+  const safeSize = Math.min(100, Math.max(1, parseInt(pageSize, 10) || 20));
+
+  const { rows, count } = await PaymentReconciliation.findAndCountAll({
+    where: status === 'all' ? {} : { status },
+    order: [['verifiedAt', 'DESC']],
+    offset: (safePage - 1) * safeSize,
+    limit: safeSize
+  });
+
+  return { items: rows, total: count, page: safePage, pageSize: safeSize, totalPages: Math.ceil(count / safeSize) };
+};
+
+/**
+ * Close a reconciliation queue item
+ * @param {number} id - PaymentReconciliation ID
+ * @param {Object} resolution - { notes, resolvedBy }
+ * @returns {Object} Updated item
+ */
+const resolveReconciliation = async (id, resolution = {}) => {
+  const item = await PaymentReconciliation.findByPk(id);
+  if (!item) throw new Error('Reconciliation item not found');
+  if (item.status !== 'Open') throw new Error(`Reconciliation item is already ${item.status}`);
+  if (!resolution.notes) throw new Error('Resolution notes are required');
+
+  await item.update({
+    status: 'Resolved',
+    resolutionNotes: resolution.notes,
+    resolvedBy: resolution.resolvedBy || null,
+    resolvedAt: new Date()
+  });
+
+  return item;
+};
+
+/**
+ * Daily reconciliation report.
+ * Days run midnight to midnight Lagos time (WAT, UTC+1).
+ * @param {string} date - Day in YYYY-MM-DD format (default: today)
+ * @returns {Object} Totals per provider and result, open items and failed webhook events
+ */
+const getDailyReconciliationReport = async (date) => {
+  const day = date || new Date(Date.now() + 60 * 60 * 1000).toISOString().split('T')[0];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    throw new Error('Date must be in YYYY-MM-DD format');
+  }
+
+  const from = new Date(`${day}T00:00:00+01:00`);
+  const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime())) {
+    throw new Error('Invalid date');
+  }
+
+  const rows = await PaymentReconciliation.findAll({
+    where: { verifiedAt: { [Op.gte]: from, [Op.lt]: to } },
+    order: [['verifiedAt', 'ASC']]
+  });
+
+  const emptyTotals = () => ({
+    transactions: 0,
+    expectedAmount: 0,
+    paidAmount: 0,
+    variance: 0,
+    results: { Matched: 0, Underpaid: 0, Overpaid: 0, CurrencyMismatch: 0, VerificationFailed: 0, UnknownTarget: 0 }
+  });
+
+  const totals = emptyTotals();
+  const byProvider = {};
+
+  rows.forEach((row) => {
+    if (!byProvider[row.provider]) byProvider[row.provider] = emptyTotals();
+    [totals, byProvider[row.provider]].forEach((bucket) => {
+      bucket.transactions += 1;
+      bucket.results[row.result] += 1;
+      // Only like-for-like currency amounts are summed
+      if (row.paidCurrency === PAYMENT_CURRENCY) {
+        bucket.expectedAmount += row.expectedAmount || 0;
+        bucket.paidAmount += row.paidAmount || 0;
+        bucket.variance = Math.round((bucket.paidAmount - bucket.expectedAmount) * 100) / 100;
+      }
+    });
+  });
+
+  const failedEvents = await PaymentEvent.count({
+    where: { status: 'Failed', receivedAt: { [Op.gte]: from, [Op.lt]: to } }
+  });
+
+  const outstandingOpenItems = await PaymentReconciliation.count({ where: { status: 'Open' } });
+
+  return {
+    date: day,
+    from,
+    to,
+    currency: PAYMENT_CURRENCY,
+    totals,
+    byProvider,
+    openItems: rows.filter(row => row.status === 'Open'),
+    outstandingOpenItems,
+    failedEvents
+  };
+};
+
+module.exports = {
+  AMOUNT_TOLERANCE,
+  comparePayment,
+  reconcilePayment,
+  getReconciliationQueue,
+  resolveReconciliation,
+  getDailyReconciliationReport
+};
@@ -0,0 +1,259 @@
+/**
+ * Refill Service
+ * Helps customers reorder prescription medicines before they run out:
+ * - Once an order with a verified prescription is delivered, the dose, frequency and
+ *   duration parsed from the prescription and the quantities ordered give the date
+ *   each medicine runs out
+ * - A WhatsApp reminder with a "Reorder" button goes out REFILL_REMINDER_LEAD_DAYS before that
+ * - Reordering rebuilds the cart from the previous order's items in one tap;
+ *   prescription-only items are only re-added while the prescription is still valid
+ */
+
+const { Op } = require('sequelize');
+const { Order, OrderItem, OrderStatusHistory, Prescription, RefillReminder, User } = require('../models');
+const { sendInteractiveMessage } = require('../config/whatsapp');
+const { describeLines } = require('./catalogue');
+const { addToCartWithSession } = require('./orderManagement');
+const { canRefillPrescription } = require('./prescription');
+const { scoreProductMatch, computeDaysSupply } = require('../utils/prescriptionParser');
+
+const REFILL_LEAD_DAYS = parseInt(process.env.REFILL_REMINDER_LEAD_DAYS, 10) || 3;
+const REFILL_JOB_INTERVAL_MINUTES = parseInt(process.env.REFILL_REMINDER_INTERVAL_MINUTES, 10) || 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Name similarity needed to tie an order line to a prescription medicine without a productId
+const LINE_MATCH_THRESHOLD = 0.8;
+
+// The prescription medicine an order line was bought for
+const findMedicineForLine = (medicines, line) => {
+  if (line.itemType !== 'Product') return null;
+
+  const byProduct = medicines.find(medicine => (
+    (medicine.productId || (medicine.match && medicine.match.productId)) === line.itemId
+  ));
+  if (byProduct) return byProduct;
+
+  const scored = medicines
+    .map(medicine => ({ medicine, score: scoreProductMatch(medicine, line.name) }))
+    .sort((a, b) => b.score - a.score)[0];
+  return scored && scored.score >= LINE_MATCH_THRESHOLD ? scored.medicine : null;
+};
+
+/**
+ * Work out refill reminders for a delivered order's prescription. Runs once per prescription.
+ * @param {number} prescriptionId - Verified prescription ID
+ * @returns {Array} Created reminders
+ */
+const scheduleRefillReminders = async (prescriptionId) => {
+  const prescription = await Prescription.findByPk(prescriptionId, {
+    include: [{ model: Order, include: [OrderItem] }]
+  });
+  if (!prescription || prescription.refillsScheduledAt) return [];
+
+  const order = prescription.Order;
+  const medicines = prescription.parsedData && Array.isArray(prescription.parsedData.medicines)
+    ? prescription.parsedData.medicines
+    : [];
+  const reminders = [];
+
+  if (prescription.verificationStatus === 'Verified' && order && order.status === 'Delivered' && medicines.length > 0) {
+    const delivered = await OrderStatusHistory.findOne({
+      where: { orderId: order.id, toStatus: 'Delivered' },
+      order: [['changedAt', 'DESC']]
+    });
+    const deliveredAt = delivered ? new Date(delivered.changedAt) : new Date(order.updatedAt);
+    const now = Date.now();
+
+    for (const line of await describeLines(order.OrderItems || [])) {
+      const medicine = findMedicineForLine(medicines, line);
+      const daysSupply = medicine ? computeDaysSupply(medicine, line.quantity) : null;
+      if (!daysSupply) continue;
+
+      const runsOutAt = new Date(deliveredAt.getTime() + daysSupply * DAY_MS);
+      if (runsOutAt.getTime() <= now) continue;
+
+      reminders.push(await RefillReminder.create({
+        userId: order.userId,
+        orderId: order.id,
+        prescriptionId: prescription.id,
+        orderItemId: line.line.id,
+        medicineName: line.name,
+        daysSupply,
+        runsOutAt,
+        remindAt: new Date(Math.max(now, runsOutAt.getTime() - REFILL_LEAD_DAYS * DAY_MS))
+      }));
+    }
+  }
+
+  await prescription.update({ refillsScheduledAt: new Date() });
+  return reminders;
+};
+
+/**
+ * Schedule reminders for delivered orders whose prescriptions haven't been processed yet
+ * @param {number} limit - Prescriptions per run
+ * @returns {number} Reminders created
+ */
+const scheduleDeliveredOrderRefills = async (limit = 50) => {
+  const prescriptions = await Prescription.findAll({
+    where: { verificationStatus: 'Verified', refillsScheduledAt: null },
+    include: [{ model: Order, where: { status: 'Delivered' }, attributes: ['id'] }],
+    order: [['verifiedAt', 'ASC']],
+    limit
+  });
+
+  let created = 0;
+  for (const prescription of prescriptions) {
+    try {
+      created += (await scheduleRefillReminders(prescription.id)).length;
+    } catch (error) {
+      console.error(`Could not schedule refills for prescription #${prescription.id}:`, error.message);
+    }
+  }
+  return created;
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-NG', { day: 'numeric', month: 'short', year: 'numeric' });
+
+/**
+ * Send reminders that are due, one message per order
+ * @returns {Object} { sent, failed }
+ */
+const sendDueRefillReminders = async () => {
+  const due = await RefillReminder.findAll({
+    where: { status: 'Scheduled', remindAt: { [Op.lte]: new Date() } },
+    include: [Prescription],
+    order: [['runsOutAt', 'ASC']],
+    limit: 200
+  });
+
+  const byOrder = new Map();
+  due.forEach((reminder) => {
+    if (!byOrder.has(reminder.orderId)) byOrder.set(reminder.orderId, []);
+    byOrder.get(reminder.orderId).push(reminder);
+  });
+
+  let sent = 0;
+  let failed = 0;
+  for (const [orderId, reminders] of byOrder) {
+    const user = await User.findByPk(reminders[0].userId);
+    if (!user || !user.phoneNumber) {
+      await RefillReminder.update({ status: 'Cancelled' }, { where: { id: reminders.map(r => r.id) } });
+      continue;
+    }
+
+    const prescription = reminders[0].Prescription;
+    let message = '🔔 *Time for a refill*\n\n';
+    message += `Your medicines from order #${orderId} will run out soon:\n`;
+    reminders.forEach((reminder) => {
+      message += `• ${reminder.medicineName} — around ${formatDate(reminder.runsOutAt)}\n`;
+    });
+    if (!(await canRefillPrescription(prescription))) {
+      message += '\n⚠️ Your prescription has expired or has no refills left, so prescription-only medicines will need a new prescription.\n';
+    }
+    message += '\nTap *Reorder* to put the same items back in your cart.';
+
+    try {
+      await sendInteractiveMessage(user.phoneNumber, message, [
+        { id: `refill_${orderId}`, title: '🔁 Reorder' },
+        { id: 'view_cart', title: '🧺 View Cart' }
+      ]);
+      await RefillReminder.update(
+        { status: 'Sent', sentAt: new Date() },
+        { where: { id: reminders.map(r => r.id) } }
+      );
+      sent += 1;
+    } catch (error) {
+      console.error(`Could not send refill reminder for order #${orderId}:`, error.message);
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+};
+
+/**
+ * Scheduler job: schedule new reminders, then send the due ones
+ * @returns {Object} { scheduled, sent, failed }
+ */
+const runRefillReminderJob = async () => {
+  const scheduled = await scheduleDeliveredOrderRefills();
+  const { sent, failed } = await sendDueRefillReminders();
+  return { scheduled, sent, failed };
+};
+
+/**
+ * Put the items of a previous order back in the customer's cart
+ * @param {number} userId - Customer
+ * @param {number} orderId - Order to repeat
+ * @returns {Object} { added, skipped, refillPrescriptionId } - refillPrescriptionId is set when
+ *   prescription-only items were re-added under the original, still valid, prescription
+ */
+const reorderFromOrder = async (userId, orderId) => {
+  try {
+    const order = await Order.findOne({ where: { id: orderId, userId }, include: [OrderItem] });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const prescription = await Prescription.findOne({
+      where: { orderId: order.id, verificationStatus: 'Verified' },
+      order: [['verifiedAt', 'DESC']]
+    });
+    const prescriptionValid = await canRefillPrescription(prescription);
+
+    const added = [];
+    const skipped = [];
+    for (const line of await describeLines(order.OrderItems || [])) {
+      if (!line.item || !line.item.isActive) {
+        skipped.push({ name: line.name, reason: 'No longer available' });
+        continue;
+      }
+      if (line.item.requiresPrescription && !prescriptionValid) {
+        skipped.push({ name: line.name, reason: 'Needs a new prescription' });
+        continue;
+      }
+
+      const result = await addToCartWithSession(userId, line.itemId, line.quantity, {}, line.itemType);
+      if (result.success) {
+        added.push({ name: line.name, quantity: line.quantity, requiresPrescription: line.item.requiresPrescription });
+      } else {
+        skipped.push({ name: line.name, reason: result.error });
+      }
+    }
+
+    if (added.length > 0) {
+      await RefillReminder.update(
+        { status: 'Reordered', reorderedAt: new Date() },
+        { where: { orderId: order.id, status: { [Op.in]: ['Scheduled', 'Sent'] } } }
+      );
+    }
+
+    return {
+      success: true,
+      orderId: order.id,
+      added,
+      skipped,
+      refillPrescriptionId: prescriptionValid && added.some(item => item.requiresPrescription) ? prescription.id : null
+    };
+  } catch (error) {
+    console.error('Error reordering:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REORDER_FAILED'
+    };
+  }
+};
+
+module.exports = {
+  REFILL_LEAD_DAYS,
+  REFILL_JOB_INTERVAL_MINUTES,
+  computeDaysSupply,
+  scheduleRefillReminders,
+  scheduleDeliveredOrderRefills,
+  sendDueRefillReminders,
+  runRefillReminderJob,
+  reorderFromOrder
+};
@@ -0,0 +1,358 @@
+/**
+ * Refund Service
+ * Full and partial refunds through Flutterwave and Paystack for:
+ * - Orders
+ * - Diagnostic bookings
+ * - Appointments
+ * Every refund is tracked in the Refund table against the original payment,
+ * and the customer is told over WhatsApp once the provider settles it.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Order, DiagnosticBooking, Appointment, User, Refund, PaymentReconciliation } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { PAYMENT_CURRENCY } = require('./payment');
+const { getPaymentProvider } = require('./paymentProviders');
+const { transitionOrderStatus } = require('./orderManagement');
+const { notifySupportTeam } = require('./support');
+const { AMOUNT_TOLERANCE } = require('./reconciliation');
+
+const TARGET_MODELS = {
+  Order,
+  DiagnosticBooking,
+  Appointment
+};
+
+const TARGET_LABELS = {
+  Order: 'order',
+  DiagnosticBooking: 'diagnostic booking',
+  Appointment: 'appointment'
+};
+
+/**
+ * Find the settled payment for an order, booking or appointment
+ * @param {string} targetType - 'Order', 'DiagnosticBooking' or 'Appointment'
+ * @param {number} targetId - Record ID
+ * @returns {Object|null} { provider, transactionId, reference, amount, currency }
+ */
+const findRefundablePayment = async (targetType, targetId) => {
+  // Payments confirmed through the webhooks are in the reconciliation ledger
+  const reconciled = await PaymentReconciliation.findOne({
+    where: {
+      targetType,
+      targetId,
+      result: { [Op.in]: ['Matched', 'Overpaid', 'Underpaid'] }
+    },
+    order: [['verifiedAt', 'DESC']]
+  });
+
+  if (reconciled) {
+    return {
+      provider: reconciled.provider,
+      transactionId: reconciled.transactionId,
+      reference: reconciled.reference,
+      amount: reconciled.paidAmount,
+      currency: reconciled.paidCurrency || PAYMENT_CURRENCY
+    };
+  }
+
+  // Orders paid before reconciliation existed only have the order record
+  if (targetType === 'Order') {
+    const order = await Order.findByPk(targetId);
+    if (
+      order &&
+      ['Paid', 'PartiallyRefunded'].includes(order.paymentStatus) &&
+      ['Flutterwave', 'Paystack'].includes(order.paymentMethod) &&
+      order.paymentReference
+    ) {
+      return {
+        provider: order.paymentMethod,
+        transactionId: order.paymentMethod === 'Flutterwave' ? order.paymentReference : null,
+        reference: order.paymentReference,
+        amount: order.totalAmount,
+        currency: PAYMENT_CURRENCY
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Sum of refunds against a target that have not failed
+ * @param {string} targetType - Target type
+ * @param {number} targetId - Record ID
+ * @param {Array} statuses - Refund statuses to include
+ * @param {Object} transaction - Optional transaction
+ * @returns {number} Total amount
+ */
+const sumRefunds = async (targetType, targetId, statuses = ['Pending', 'Processing', 'Processed'], transaction = null) => {
+  const total = await Refund.sum('amount', {
+    where: { targetType, targetId, status: { [Op.in]: statuses } },
+    transaction
+  });
+  return total || 0;
+};
+
+/**
+ * Tell the customer their refund has settled
+ * @param {Object} refund - Refund instance
+ */
+const notifyCustomerOfRefund = async (refund) => {
+  if (refund.customerNotifiedAt) return;
+
+  const record = await TARGET_MODELS[refund.targetType].findByPk(refund.targetId);
+  const user = record ? await User.findByPk(record.userId) : null;
+  if (!user) return;
+
+  await sendWhatsAppMessage(
+    user.phoneNumber,
+    `💸 *Refund Processed*\n\n` +
+    `Your ${refund.isPartial ? 'partial ' : ''}refund of ₦${Number(refund.amount).toLocaleString()} for ${TARGET_LABELS[refund.targetType]} #${refund.targetId} has been processed by ${refund.provider}.\n\n` +
+    `It may take 5-10 working days to show in your account, depending on your bank.\n\n` +
+    `Need help? Type 'support' to chat with our team.`
+  );
+
+  await refund.update({ customerNotifiedAt: new Date() });
+};
+
+/**
+ * Update the refunded record's payment status once money has gone back
+ * @param {Object} refund - Settled Refund instance
+ */
+const applySettledRefund = async (refund) => {
+  const payment = await findRefundablePayment(refund.targetType, refund.targetId);
+  const refunded = await sumRefunds(refund.targetType, refund.targetId, ['Processed']);
+  const fullyRefunded = !payment || refunded >= payment.amount - AMOUNT_TOLERANCE;
+  const paymentStatus = fullyRefunded ? 'Refunded' : 'PartiallyRefunded';
+
+  if (refund.targetType === 'Order') {
+    if (fullyRefunded) {
+      const result = await transitionOrderStatus(refund.targetId, 'Refunded', {
+        changedBy: `refund:${refund.provider.toLowerCase()}`,
+        reason: `Refund #${refund.id} processed`,
+        metadata: { refundId: refund.id, amount: refund.amount },
+        updates: { paymentStatus }
+      });
+      if (result.success) return;
+      // e.g. order already dispatched - keep its status and only record the refund
+      console.warn(`Order #${refund.targetId} refunded without status change: ${result.error}`);
+    }
+    await Order.update({ paymentStatus }, { where: { id: refund.targetId } });
+    return;
+  }
+
+  await TARGET_MODELS[refund.targetType].update({ paymentStatus }, { where: { id: refund.targetId } });
+};
+
+/**
+ * Record the final provider outcome of a refund. Safe to call more than once.
+ * @param {Object} refund - Refund instance
+ * @param {string} status - 'Processed' or 'Failed'
+ * @param {string} failureReason - Provider failure reason
+ * @returns {Object} Updated refund
+ */
+const settleRefund = async (refund, status, failureReason = null) => {
+  if (['Processed', 'Failed'].includes(refund.status)) {
+    return refund;
+  }
+
+  await refund.update({
+    status,
+    failureReason,
+    processedAt: new Date()
+  });
+
+  if (status === 'Processed') {
+    await applySettledRefund(refund);
+    try {
+      await notifyCustomerOfRefund(refund);
+    } catch (notifyError) {
+      console.warn(`Could not notify customer of refund #${refund.id}:`, notifyError.message);
+    }
+  } else {
+    await notifySupportTeam('system', 'orders', 'Refund Failed', {
+      refundId: refund.id,
+      provider: refund.provider,
+      target: `${refund.targetType} #${refund.targetId}`,
+      amount: refund.amount,
+      reason: failureReason
+    });
+  }
+
+  return refund;
+};
+
+/**
+ * Refund a payment in full or in part
+ * @param {string} targetType - 'Order', 'DiagnosticBooking' or 'Appointment'
+ * @param {number} targetId - Record ID
+ * @param {Object} options - { amount, reason, requestedBy }. Omit amount to refund everything left.
+ * @returns {Object} Refund result
+ */
+const requestRefund = async (targetType, targetId, options = {}) => {
+  const { amount = null, reason = null, requestedBy = 'system' } = options;
+
+  try {
+    if (!TARGET_MODELS[targetType] || !targetId) {
+      throw new Error(`Invalid input: targetType must be one of ${Object.keys(TARGET_MODELS).join(', ')} and targetId is required`);
+    }
+
+    const payment = await findRefundablePayment(targetType, targetId);
+    if (!payment) {
+      return {
+        success: false,
+        error: `No refundable payment found for ${TARGET_LABELS[targetType]} #${targetId}`,
+        errorCode: 'NO_REFUNDABLE_PAYMENT'
+      };
+    }
+
+    // The balance is checked and the Refund created with the refunded record locked, so two
+    // requests at once (an admin refund and a doctor's decline, a double tap) can't both pass it
+    const reserved = await sequelize.transaction(async (transaction) => {
+      await TARGET_MODELS[targetType].findByPk(targetId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const alreadyRefunded = await sumRefunds(targetType, targetId, undefined, transaction);
+      const remaining = Math.round((payment.amount - alreadyRefunded) * 100) / 100;
+      if (remaining <= AMOUNT_TOLERANCE) {
+        return { alreadyRefunded: true };
+      }
+
+      const refundAmount = amount === null || amount === undefined ? remaining : parseFloat(amount);
+      if (isNaN(refundAmount) || refundAmount <= 0) {
+        throw new Error('Invalid refund amount');
+      }
+      if (refundAmount > remaining + AMOUNT_TOLERANCE) {
+        throw new Error(`Refund amount exceeds refundable balance of ₦${remaining.toFixed(2)}`);
+      }
+
+      const isPartial = refundAmount < payment.amount - AMOUNT_TOLERANCE;
+      const created = await Refund.create({
+        provider: payment.provider,
+        transactionId: payment.transactionId,
+        paymentReference: payment.reference,
+        targetType,
+        targetId,
+        amount: refundAmount,
+        currency: payment.currency,
+        isPartial,
+        reason,
+        requestedBy,
+        status: 'Pending'
+      }, { transaction });
+      return { refund: created, refundAmount, isPartial };
+    });
+
+    if (reserved.alreadyRefunded) {
+      return {
+        success: false,
+        error: `${TARGET_LABELS[targetType]} #${targetId} has already been refunded`,
+        errorCode: 'ALREADY_REFUNDED'
+      };
+    }
+    const { refund, refundAmount, isPartial } = reserved;
+
+    let providerResult;
+    try {
+      // Only send an amount for partial refunds so full refunds never hit rounding issues
+      providerResult = await getPaymentProvider(payment.provider).refund(
+        { transactionId: payment.transactionId, reference: payment.reference },
+        isPartial ? refundAmount : null
+      );
+    } catch (providerError) {
+      await refund.update({ status: 'Failed', failureReason: providerError.message || 'Provider error', processedAt: new Date() });
+      return {
+        success: false,
+        refundId: refund.id,
+        error: `Refund failed: ${providerError.message || 'provider error'}`,
+        errorCode: 'REFUND_FAILED'
+      };
+    }
+
+    await refund.update({
+      providerRefundId: providerResult.data.refundId ? String(providerResult.data.refundId) : null,
+      status: 'Processing'
+    });
+
+    if (providerResult.data.settled) {
+      await settleRefund(refund, 'Processed');
+    }
+
+    return {
+      success: true,
+      refundId: refund.id,
+      amount: refundAmount,
+      isPartial,
+      status: refund.status,
+      message: `✅ Refund of ₦${refundAmount.toFixed(2)} ${refund.status === 'Processed' ? 'processed' : 'initiated'} for ${TARGET_LABELS[targetType]} #${targetId}`
+    };
+  } catch (error) {
+    console.error('Error requesting refund:', error);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'REFUND_REQUEST_FAILED'
+    };
+  }
+};
+
+/**
+ * Handle a refund webhook delivered through the payment event ledger
+ * @param {string} provider - 'Flutterwave' or 'Paystack'
+ * @param {Object} payload - Raw webhook body
+ * @returns {Object} { success, outcome }
+ */
+const handleRefundWebhook = async (provider, payload) => {
+  const parsed = getPaymentProvider(provider).parseWebhook(payload).refund;
+  if (!parsed) {
+    throw new Error('Not a refund event');
+  }
+
+  let refund = null;
+  if (parsed.providerRefundId) {
+    refund = await Refund.findOne({ where: { provider, providerRefundId: parsed.providerRefundId } });
+  }
+  if (!refund && parsed.transactionReference) {
+    refund = await Refund.findOne({
+      where: {
+        provider,
+        status: { [Op.in]: ['Pending', 'Processing'] },
+        [Op.or]: [
+          { paymentReference: String(parsed.transactionReference) },
+          { transactionId: String(parsed.transactionReference) }
+        ]
+      },
+      order: [['createdAt', 'ASC']]
+    });
+  }
+
+  if (!refund) {
+    throw new Error('No matching refund found for refund event');
+  }
+
+  if (parsed.status === 'Processing') {
+    return { success: true, outcome: `Refund #${refund.id} still processing` };
+  }
+
+  await settleRefund(refund, parsed.status, parsed.failureReason);
+  return { success: true, outcome: `Refund #${refund.id} ${refund.status.toLowerCase()}` };
+};
+
+/**
+ * List refunds for an order, booking or appointment
+ * @param {string} targetType - Target type
+ * @param {number} targetId - Record ID
+ * @returns {Array} Refunds, newest first
+ */
+const getRefunds = async (targetType, targetId) => Refund.findAll({
+  where: { targetType, targetId },
+  order: [['createdAt', 'DESC']]
+});
+
+module.exports = {
+  findRefundablePayment,
+  requestRefund,
+  settleRefund,
+  handleRefundWebhook,
+  getRefunds
+};
@@ -0,0 +1,114 @@
+/**
+ * Background Job Scheduler
+ * Runs periodic jobs (reminders, clean-ups) inside the web process.
+ * - Each job runs on its own interval and never overlaps with itself
+ * - A failing run is logged and retried on the next tick
+ * - Set SCHEDULER_ENABLED=false to turn every job off (e.g. on serverless hosts,
+ *   where the jobs can be triggered through the admin API instead)
+ */
+
+const jobs = new Map();
+let started = false;
+
+const isSchedulerEnabled = () => process.env.SCHEDULER_ENABLED !== 'false';
+
+/**
+ * Run a job once now, unless it is already running
+ * @param {string} name - Job name
+ * @returns {Object} { name, ran, result | error }
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) {
+    return { name, ran: false, error: 'Job is already running' };
+  }
+
+  job.running = true;
+  const startedAt = Date.now();
+  try {
+    const result = await job.handler();
+    job.lastRunAt = new Date();
+    job.lastError = null;
+    return { name, ran: true, durationMs: Date.now() - startedAt, result };
+  } catch (error) {
+    job.lastRunAt = new Date();
+    job.lastError = error.message;
+    console.error(`Scheduled job ${name} failed:`, error.message);
+    return { name, ran: true, durationMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Add a job. Jobs registered after startScheduler() start straight away.
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} handler - async () => summary
+ */
+const registerJob = (name, intervalMs, handler) => {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Job name and handler are required');
+  }
+  if (!intervalMs || intervalMs < 1000) {
+    throw new Error(`Job ${name} must run at most once a second`);
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+
+  const job = { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null };
+  jobs.set(name, job);
+  if (started) {
+    scheduleJob(job);
+  }
+  return job;
+};
+
+const scheduleJob = (job) => {
+  job.timer = setInterval(() => {
+    runJob(job.name).catch(error => console.error(`Scheduled job ${job.name} failed:`, error.message));
+  }, job.intervalMs);
+  // Don't keep the process alive just for jobs
+  if (job.timer.unref) job.timer.unref();
+};
+
+// Start every registered job (call once the database is ready)
+const startScheduler = () => {
+  if (started || !isSchedulerEnabled()) {
+    return false;
+  }
+  started = true;
+  jobs.forEach(scheduleJob);
+  console.log(`⏰ Scheduler started: ${[...jobs.keys()].join(', ') || 'no jobs'}`);
+  return true;
+};
+
+const stopScheduler = () => {
+  jobs.forEach((job) => {
+    if (job.timer) clearInterval(job.timer);
+    job.timer = null;
+  });
+  started = false;
+};
+
+// Job names with their interval and last outcome
+const getJobStatus = () => [...jobs.values()].map(job => ({
+  name: job.name,
+  intervalMs: job.intervalMs,
+  running: job.running,
+  lastRunAt: job.lastRunAt,
+  lastError: job.lastError
+}));
+
+module.exports = {
+  isSchedulerEnabled,
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobStatus
+};
@@ -0,0 +1,154 @@
+/**
+ * Catalogue Search Service
+ * One search over medicines (products), healthcare products and diagnostic tests:
+ * - PostgreSQL full-text search with prefix matching, plus pg_trgm similarity on names
+ *   so misspellings typed in chat ("paracetmol", "vitamn c") still match
+ * - Brand and generic names are searched together ("amoxil" also finds amoxicillin)
+ * - Results are ranked by relevance, then stock and how often the item was ordered or
+ *   booked in the last SEARCH_POPULARITY_DAYS, and share one shape across catalogues
+ */
+
+const { QueryTypes } = require('sequelize');
+const { sequelize, SEARCH_DOCUMENTS } = require('../models');
+const { expandSearchTerms, buildTsQuery, scoreSearchResult } = require('../utils/searchQuery');
+
+const POPULARITY_DAYS = parseInt(process.env.SEARCH_POPULARITY_DAYS, 10) || 90;
+const DEFAULT_LIMIT = 10;
+
+// Per catalogue: table, the columns that differ between them, and where popularity comes from
+const SOURCES = {
+  Product: {
+    table: 'products',
+    type: 'product',
+    columns: `t."stock", t."imageUrl", t."requiresPrescription", t."activeIngredient", t."strength", NULL AS "brand",
+      NULL AS "usage", NULL AS "sampleType", NULL AS "resultTime"`,
+    popularity: `SELECT oi."itemId" AS id, SUM(oi."quantity") AS units
+      FROM "order_items" oi JOIN "orders" o ON o."id" = oi."orderId"
+      WHERE oi."itemType" = 'Product' AND o."status" NOT IN ('Processing', 'Cancelled') AND o."createdAt" >= :since
+      GROUP BY oi."itemId"`
+  },
+  HealthcareProduct: {
+    table: 'healthcare_products',
+    type: 'healthcare',
+    columns: `t."stock", t."imageUrl", t."requiresPrescription", NULL AS "activeIngredient", NULL AS "strength", t."brand",
+      t."usage", NULL AS "sampleType", NULL AS "resultTime"`,
+    popularity: `SELECT oi."itemId" AS id, SUM(oi."quantity") AS units
+      FROM "order_items" oi JOIN "orders" o ON o."id" = oi."orderId"
+      WHERE oi."itemType" = 'HealthcareProduct' AND o."status" NOT IN ('Processing', 'Cancelled') AND o."createdAt" >= :since
+      GROUP BY oi."itemId"`
+  },
+  DiagnosticTest: {
+    table: 'diagnostic_tests',
+    type: 'diagnostic',
+    columns: `CAST(NULL AS integer) AS "stock", NULL AS "imageUrl", false AS "requiresPrescription", NULL AS "activeIngredient", NULL AS "strength", NULL AS "brand",
+      NULL AS "usage", t."sampleType", t."resultTime"`,
+    popularity: `SELECT b."diagnosticTestId" AS id, COUNT(*) AS units
+      FROM "diagnostic_bookings" b
+      WHERE b."status" <> 'Cancelled' AND b."createdAt" >= :since
+      GROUP BY b."diagnosticTestId"`
+  }
+};
+
+// Cleared the first time a query fails because pg_trgm isn't installed
+let trigramAvailable = true;
+
+const buildSearchSql = (source, terms, useTrigram) => {
+  const document = `to_tsvector('simple', ${SEARCH_DOCUMENTS[source.table].replace(/coalesce\("/g, 'coalesce(t."')})`;
+  const similarity = useTrigram
+    ? `GREATEST(${terms.map((_, i) => `word_similarity(:term${i}, lower(t."name"))`).join(', ')})`
+    : '0';
+  const nameMatch = useTrigram
+    ? terms.map((_, i) => `:term${i} <% lower(t."name")`).join(' OR ')
+    : terms.map((_, i) => `lower(t."name") LIKE '%' || :term${i} || '%'`).join(' OR ');
+
+  return `SELECT t."id", t."name", t."category", t."description", t."price", ${source.columns},
+      ts_rank(${document}, to_tsquery('simple', :tsquery)) AS "textRank",
+      ${similarity} AS "similarity",
+      COALESCE(p.units, 0) AS "popularity"
+    FROM "${source.table}" t
+    LEFT JOIN (${source.popularity}) p ON p.id = t."id"
+    WHERE t."isActive" = true
+      AND (${document} @@ to_tsquery('simple', :tsquery) OR ${nameMatch})
+    ORDER BY "similarity" DESC, "textRank" DESC
+    LIMIT :candidates`;
+};
+
+const searchSource = async (itemType, terms, tsquery, limit) => {
+  const source = SOURCES[itemType];
+  const replacements = {
+    tsquery,
+    since: new Date(Date.now() - POPULARITY_DAYS * 24 * 60 * 60 * 1000),
+    candidates: limit * 5
+  };
+  terms.forEach((term, i) => { replacements[`term${i}`] = term; });
+
+  let rows;
+  try {
+    rows = await sequelize.query(buildSearchSql(source, terms, trigramAvailable), { replacements, type: QueryTypes.SELECT });
+  } catch (error) {
+    // 42883: undefined function/operator - pg_trgm is not installed
+    const code = error.original && error.original.code;
+    if (!trigramAvailable || code !== '42883') throw error;
+    console.warn('⚠️  pg_trgm unavailable, searching without typo tolerance');
+    trigramAvailable = false;
+    rows = await sequelize.query(buildSearchSql(source, terms, false), { replacements, type: QueryTypes.SELECT });
+  }
+
+  return rows.map(row => ({
+    id: row.id,
+    type: source.type,
+    itemType,
+    name: row.name,
+    category: row.category,
+    description: row.description,
+    price: row.price,
+    stock: row.stock === null ? null : Number(row.stock),
+    imageUrl: row.imageUrl,
+    requiresPrescription: Boolean(row.requiresPrescription),
+    activeIngredient: row.activeIngredient,
+    strength: row.strength,
+    brand: row.brand,
+    usage: row.usage,
+    sampleType: row.sampleType,
+    resultTime: row.resultTime,
+    score: scoreSearchResult({
+      name: row.name,
+      textRank: row.textRank,
+      similarity: row.similarity,
+      stock: row.stock === null ? null : Number(row.stock),
+      popularity: row.popularity
+    }, terms)
+  }));
+};
+
+/**
+ * Search the catalogue
+ * @param {string} query - What the customer typed
+ * @param {Object} options - { types: subset of 'Product', 'HealthcareProduct', 'DiagnosticTest', limit }
+ * @returns {Array} Results { id, type, itemType, name, category, description, price, stock,
+ *   imageUrl, requiresPrescription, activeIngredient, strength, brand, usage, sampleType, resultTime, score },
+ *   best first. Fields that don't apply to a catalogue are null
+ */
+const searchCatalogue = async (query, options = {}) => {
+  const { types = Object.keys(SOURCES), limit = DEFAULT_LIMIT } = options;
+  const terms = expandSearchTerms(query);
+  const tsquery = buildTsQuery(terms);
+  if (!tsquery) return [];
+
+  const results = [];
+  for (const itemType of types) {
+    if (!SOURCES[itemType]) {
+      throw new Error(`Unknown catalogue: ${itemType}`);
+    }
+    results.push(...await searchSource(itemType, terms, tsquery, limit));
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.price - b.price)
+    .slice(0, limit);
+};
+
+module.exports = {
+  SEARCH_TYPES: Object.keys(SOURCES),
+  searchCatalogue
+};
@@ -0,0 +1,179 @@
+/**
+ * Substitution Service
+ * Suggests alternatives for a medicine that is out of stock or when the customer
+ * asks for a cheaper option:
+ * - Alternatives have the same active ingredient(s) and strength (and dosage form, when known),
+ *   are in stock and are sorted cheapest first
+ * - Products without ingredient metadata fall back to what can be read from their name
+ * - For prescription-only medicines the customer's latest prescription for that medicine decides:
+ *   a pharmacist can disallow substitution on it, and then only the prescribed product is offered
+ */
+
+const { Op } = require('sequelize');
+const { Product, Prescription, Order } = require('../models');
+const { DRUGS } = require('../config/drugInteractions');
+const { identifyDrugs } = require('../utils/drugSafety');
+const { parsePrescriptionLine } = require('../utils/prescriptionParser');
+
+const MAX_ALTERNATIVES = 5;
+
+// Forms a customer can swap between without a different dose
+const INTERCHANGEABLE_FORMS = [['Tablet', 'Capsule']];
+
+const normalizeIngredient = (value) => String(value || '')
+  .toLowerCase()
+  .split(/\s*(?:\+|\/|,|\band\b)\s*/)
+  .map(part => part.replace(/[^a-z0-9 -]/g, '').trim())
+  .filter(Boolean)
+  .sort()
+  .join(' + ');
+
+const normalizeStrength = (value) => String(value || '').toLowerCase().replace(/\s+/g, '') || null;
+
+/**
+ * Active ingredient, strength and dosage form of a product, read from its metadata
+ * or, where that hasn't been filled in, from its name and description
+ * @param {Object} product - Product instance or plain object
+ * @returns {Object} { activeIngredient, strength, dosageForm, inferred }
+ */
+const getProductProfile = (product) => {
+  const parsed = parsePrescriptionLine(product.name) || {};
+  const ingredient = product.activeIngredient
+    ? normalizeIngredient(product.activeIngredient)
+    : normalizeIngredient(identifyDrugs(`${product.name} ${product.description || ''}`).join(' + '));
+
+  return {
+    activeIngredient: ingredient || null,
+    strength: normalizeStrength(product.strength || parsed.strength),
+    dosageForm: product.dosageForm || parsed.dosageForm || null,
+    inferred: !product.activeIngredient
+  };
+};
+
+const formsMatch = (a, b) => (
+  !a || !b || a === b || INTERCHANGEABLE_FORMS.some(group => group.includes(a) && group.includes(b))
+);
+
+// Whether a parsed prescription medicine is the product: matched to it, or the same active ingredient
+const prescribesProduct = (medicine, product, profile) => (
+  (medicine.productId || (medicine.match && medicine.match.productId)) === product.id ||
+  Boolean(profile.activeIngredient && medicine.name &&
+    normalizeIngredient(identifyDrugs(medicine.name).join(' + ')) === profile.activeIngredient)
+);
+
+/**
+ * Whether alternatives may be offered for one of a customer's prescription-only medicines.
+ * The policy comes from the newest prescription that lists that medicine.
+ * @param {number} userId - Customer
+ * @param {Object} product - Product being replaced
+ * @returns {Object} { allowed, prescriptionId } - allowed when no prescription lists the product
+ */
+const getSubstitutionPolicy = async (userId, product) => {
+  const profile = getProductProfile(product);
+  const prescriptions = await Prescription.findAll({
+    include: [{ model: Order, where: { userId }, attributes: [] }],
+    where: { verificationStatus: { [Op.ne]: 'Rejected' } },
+    order: [['createdAt', 'DESC']],
+    limit: 50
+  });
+  const prescription = prescriptions.find(candidate => (
+    ((candidate.parsedData && candidate.parsedData.medicines) || []).some(medicine => prescribesProduct(medicine, product, profile))
+  ));
+  return {
+    allowed: prescription ? prescription.substitutionAllowed !== false : true,
+    prescriptionId: prescription ? prescription.id : null
+  };
+};
+
+/**
+ * Same-ingredient, same-strength alternatives for a product
+ * @param {number} productId - Product to replace
+ * @param {Object} options - { userId, cheaperOnly, limit }
+ * @returns {Object} { success, product, alternatives, substitutionAllowed, reason }
+ */
+const findAlternatives = async (productId, options = {}) => {
+  const { userId = null, cheaperOnly = false, limit = MAX_ALTERNATIVES } = options;
+  try {
+    const product = await Product.findByPk(productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+
+    const profile = getProductProfile(product);
+    const original = {
+      id: product.id,
+      name: product.name,
+      price: product.price,
+      stock: product.stock,
+      requiresPrescription: Boolean(product.requiresPrescription),
+      ...profile
+    };
+
+    if (!profile.activeIngredient) {
+      return { success: true, product: original, alternatives: [], substitutionAllowed: true, reason: 'Active ingredient unknown' };
+    }
+
+    if (product.requiresPrescription && userId) {
+      const policy = await getSubstitutionPolicy(userId, product);
+      if (!policy.allowed) {
+        return { success: true, product: original, alternatives: [], substitutionAllowed: false, reason: 'The pharmacist asked for this exact product to be dispensed' };
+      }
+    }
+
+    // Stored metadata first; products without it are matched on their name
+    const ingredients = profile.activeIngredient.split(' + ');
+    const nameMatches = ingredients
+      .flatMap(ingredient => DRUGS[ingredient] || [ingredient])
+      .map(alias => ({ name: { [Op.iLike]: `%${alias}%` } }));
+    const candidates = await Product.findAll({
+      where: {
+        id: { [Op.ne]: product.id },
+        isActive: true,
+        stock: { [Op.gt]: 0 },
+        [Op.or]: [
+          { activeIngredient: { [Op.iLike]: `%${ingredients[0]}%` } },
+          { activeIngredient: null, [Op.or]: nameMatches }
+        ]
+      },
+      order: [['price', 'ASC']],
+      limit: 50
+    });
+
+    const alternatives = candidates
+      .map(candidate => ({ candidate, candidateProfile: getProductProfile(candidate) }))
+      .filter(({ candidate, candidateProfile }) => (
+        candidateProfile.activeIngredient === profile.activeIngredient &&
+        (!profile.strength || candidateProfile.strength === profile.strength) &&
+        formsMatch(profile.dosageForm, candidateProfile.dosageForm) &&
+        (!cheaperOnly || candidate.price < product.price)
+      ))
+      .slice(0, limit)
+      .map(({ candidate, candidateProfile }) => ({
+        id: candidate.id,
+        name: candidate.name,
+        category: candidate.category,
+        price: candidate.price,
+        stock: candidate.stock,
+        imageUrl: candidate.imageUrl,
+        requiresPrescription: Boolean(candidate.requiresPrescription),
+        ...candidateProfile,
+        savings: Math.max(0, Math.round((product.price - candidate.price) * 100) / 100)
+      }));
+
+    return { success: true, product: original, alternatives, substitutionAllowed: true, reason: null };
+  } catch (error) {
+    console.error('Error finding alternatives:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'ALTERNATIVES_FAILED'
+    };
+  }
+};
+
+module.exports = {
+  normalizeIngredient,
+  getProductProfile,
+  getSubstitutionPolicy,
+  findAlternatives
+};
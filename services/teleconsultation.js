@@ -0,0 +1,297 @@
+/**
+ * Teleconsultation Service
+ * Video and chat appointments:
+ * - Video appointments get a join link (/consult/<token>) with a random token. It only
+ *   opens the meeting room from TELECONSULT_OPEN_MINUTES_BEFORE the appointment until
+ *   TELECONSULT_GRACE_MINUTES after it ends, and only while the appointment is Scheduled.
+ *   The window follows the appointment, so a rescheduled link just works at the new time.
+ * - Chat appointments are relayed through the bot between the patient and the doctor's
+ *   WhatsApp number, like support chats. The doctor opens the chat, either side can end it,
+ *   chats still open after the window are closed, and every message is kept as the
+ *   appointment's transcript (ConsultationMessage).
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Appointment, Doctor, User, ConsultationMessage } = require('../models');
+const { sendWhatsAppMessage } = require('../config/whatsapp');
+const { MODE_LABELS } = require('./doctorSchedule');
+
+const OPEN_MINUTES_BEFORE = parseInt(process.env.TELECONSULT_OPEN_MINUTES_BEFORE, 10) || 10;
+const GRACE_MINUTES = parseInt(process.env.TELECONSULT_GRACE_MINUTES, 10) || 30;
+const MEETING_PROVIDER_URL = (process.env.TELECONSULT_MEETING_PROVIDER_URL || 'https://meet.jit.si').replace(/\/$/, '');
+
+const MINUTE_MS = 60 * 1000;
+
+const getLinkBaseUrl = () => (process.env.TELECONSULT_LINK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+const chatError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Token and room for a new video appointment
+ * @returns {Object} { meetingToken, meetingRoom }
+ */
+const createMeetingDetails = () => ({
+  meetingToken: crypto.randomBytes(24).toString('hex'),
+  meetingRoom: `drugsng-${crypto.randomBytes(12).toString('hex')}`
+});
+
+/**
+ * When a video link works, or a chat can run
+ * @param {Object} appointment - Appointment
+ * @returns {Object} { opensAt, closesAt }
+ */
+const getConsultationWindow = (appointment) => {
+  const start = new Date(appointment.dateTime).getTime();
+  return {
+    opensAt: new Date(start - OPEN_MINUTES_BEFORE * MINUTE_MS),
+    closesAt: new Date(start + ((appointment.durationMinutes || 30) + GRACE_MINUTES) * MINUTE_MS)
+  };
+};
+
+const getMeetingLink = (appointment) => (
+  appointment.mode === 'Video' && appointment.meetingToken ? `${getLinkBaseUrl()}/consult/${appointment.meetingToken}` : null
+);
+
+/**
+ * One line telling the patient how the consultation happens
+ * @param {Object} appointment - Appointment
+ * @param {Object} doctor - The appointment's doctor
+ * @returns {string}
+ */
+const describeConsultationMode = (appointment, doctor) => {
+  switch (appointment.mode) {
+    case 'Video':
+      return `🎥 Video call: ${getMeetingLink(appointment)}\n(the link opens ${OPEN_MINUTES_BEFORE} minutes before your appointment)`;
+    case 'Chat':
+      return `💬 Chat on WhatsApp: Dr. ${doctor ? doctor.name : 'your doctor'} will message you here at the appointment time`;
+    default:
+      return `📍 In person${doctor && doctor.location ? ` at ${doctor.location}` : ''}`;
+  }
+};
+
+/**
+ * Where a video join link should send its visitor right now
+ * @param {string} token - Token from the join link
+ * @returns {Object} { success, url } or failure with opensAt / closesAt
+ */
+const resolveMeetingLink = async (token) => {
+  const appointment = token ? await Appointment.findOne({ where: { meetingToken: String(token), mode: 'Video' } }) : null;
+  if (!appointment) {
+    return { success: false, error: 'This consultation link is not valid.', errorCode: 'MEETING_NOT_FOUND' };
+  }
+  if (appointment.status !== 'Scheduled') {
+    return { success: false, error: 'This consultation is no longer scheduled.', errorCode: 'MEETING_CLOSED' };
+  }
+
+  const { opensAt, closesAt } = getConsultationWindow(appointment);
+  const now = new Date();
+  if (now < opensAt) {
+    return { success: false, error: 'This consultation has not opened yet.', errorCode: 'MEETING_NOT_OPEN', opensAt };
+  }
+  if (now > closesAt) {
+    return { success: false, error: 'This consultation has ended.', errorCode: 'MEETING_CLOSED', closesAt };
+  }
+  return { success: true, appointmentId: appointment.id, url: `${MEETING_PROVIDER_URL}/${appointment.meetingRoom}`, closesAt };
+};
+
+const chatInclude = [Doctor, User];
+
+const findOpenChatForDoctor = (doctorId) => Appointment.findOne({
+  where: { doctorId, mode: 'Chat', chatStartedAt: { [Op.ne]: null }, chatEndedAt: null },
+  include: chatInclude,
+  order: [['chatStartedAt', 'DESC']]
+});
+
+const findOpenChatForPatient = (phoneNumber) => Appointment.findOne({
+  where: { mode: 'Chat', chatStartedAt: { [Op.ne]: null }, chatEndedAt: null },
+  include: [Doctor, { model: User, where: { phoneNumber } }],
+  order: [['chatStartedAt', 'DESC']]
+});
+
+/**
+ * Open the relayed chat for a chat appointment. The caller checks the doctor owns it.
+ * @param {Object} appointment - Appointment with Doctor and User
+ * @returns {Object} Result with a message for the doctor
+ */
+const startConsultationChat = async (appointment) => {
+  try {
+    if (appointment.mode !== 'Chat') {
+      throw chatError(`Appointment #${appointment.id} is ${MODE_LABELS[appointment.mode].toLowerCase()}, not a chat consultation`, 'NOT_A_CHAT_APPOINTMENT');
+    }
+    if (appointment.status !== 'Scheduled') {
+      throw chatError(`Appointment #${appointment.id} is not scheduled`, 'APPOINTMENT_NOT_SCHEDULED');
+    }
+    if (appointment.chatStartedAt && !appointment.chatEndedAt) {
+      return { success: true, changed: false, appointmentId: appointment.id, message: `Your chat for appointment #${appointment.id} is already open.` };
+    }
+
+    const { opensAt, closesAt } = getConsultationWindow(appointment);
+    const now = new Date();
+    if (now < opensAt) throw chatError(`The chat for appointment #${appointment.id} opens ${OPEN_MINUTES_BEFORE} minutes before it starts`, 'CHAT_NOT_OPEN');
+    if (now > closesAt) throw chatError(`The time for appointment #${appointment.id} has passed`, 'CHAT_CLOSED');
+
+    const open = await findOpenChatForDoctor(appointment.doctorId);
+    if (open && open.id !== appointment.id) {
+      throw chatError(`Finish your chat for appointment #${open.id} first (send /end)`, 'CHAT_ALREADY_OPEN');
+    }
+    if (!appointment.User || !appointment.User.phoneNumber) {
+      throw chatError('This patient has no WhatsApp number', 'PATIENT_UNREACHABLE');
+    }
+
+    await sendWhatsAppMessage(
+      appointment.User.phoneNumber,
+      `💬 *Dr. ${appointment.Doctor.name} has started your chat consultation* (appointment #${appointment.id}).\n\n` +
+      "Reply here - your messages go straight to the doctor. Type 'end chat' when you're done."
+    );
+    // A chat reopened after it was ended carries on the same transcript
+    await appointment.update({ chatStartedAt: appointment.chatStartedAt || now, chatEndedAt: null });
+
+    return {
+      success: true,
+      changed: true,
+      appointmentId: appointment.id,
+      message: `💬 Chat with ${appointment.User.name || 'your patient'} (appointment #${appointment.id}) is open.\n\n` +
+        "Your messages now go to the patient. Commands need a / while the chat is open (e.g. /today), and /end finishes the chat."
+    };
+  } catch (error) {
+    console.error('Error starting consultation chat:', error.message);
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || 'START_CHAT_FAILED'
+    };
+  }
+};
+
+/**
+ * Relay one chat message to the other side and add it to the transcript
+ * @param {Object} appointment - Open chat appointment with Doctor and User
+ * @param {string} sender - 'Patient' or 'Doctor'
+ * @param {string} text - Message text
+ * @returns {Object} { success } or failure if it couldn't be delivered
+ */
+const relayConsultationMessage = async (appointment, sender, text) => {
+  const fromDoctor = sender === 'Doctor';
+  const recipient = fromDoctor ? appointment.User.phoneNumber : appointment.Doctor.phoneNumber;
+  const label = fromDoctor
+    ? `👨‍⚕️ Dr. ${appointment.Doctor.name}`
+    : `👤 ${appointment.User.name || 'Patient'} (#${appointment.id})`;
+
+  let delivered = true;
+  try {
+    await sendWhatsAppMessage(recipient, `${label}: ${text}`);
+  } catch (error) {
+    console.error(`Could not relay chat message for appointment ${appointment.id}:`, error.message);
+    delivered = false;
+  }
+
+  await ConsultationMessage.create({ appointmentId: appointment.id, sender, message: text, delivered, sentAt: new Date() });
+
+  return delivered
+    ? { success: true }
+    : {
+      success: false,
+      error: `Your message couldn't be delivered to ${fromDoctor ? 'the patient' : 'the doctor'}. Please try again in a moment.`,
+      errorCode: 'CHAT_MESSAGE_UNDELIVERED'
+    };
+};
+
+/**
+ * Close a chat and tell both sides
+ * @param {Object} appointment - Open chat appointment with Doctor and User
+ * @param {string} endedBy - 'Patient', 'Doctor' or 'system'
+ * @returns {Object} { success, messageCount }
+ */
+const endConsultationChat = async (appointment, endedBy) => {
+  const [updated] = await Appointment.update(
+    { chatEndedAt: new Date() },
+    { where: { id: appointment.id, chatEndedAt: null } }
+  );
+  if (!updated) {
+    return { success: false, error: `The chat for appointment #${appointment.id} is not open`, errorCode: 'CHAT_NOT_OPEN' };
+  }
+
+  const messageCount = await ConsultationMessage.count({ where: { appointmentId: appointment.id } });
+  const reason = endedBy === 'system' ? 'The consultation time is over, so the chat has ended' : `The chat was ended by ${endedBy === 'Doctor' ? 'the doctor' : 'the patient'}`;
+  const notices = [
+    [appointment.User && appointment.User.phoneNumber, `✅ ${reason}. Thank you for consulting with Dr. ${appointment.Doctor.name}. Type 'help' to continue with the bot.`],
+    [appointment.Doctor.phoneNumber, `✅ Chat for appointment #${appointment.id} closed - ${reason.charAt(0).toLowerCase()}${reason.slice(1)}. ${messageCount} messages saved to the transcript.\n\nRecord the visit with 'done ${appointment.id}'.`]
+  ];
+  for (const [phoneNumber, message] of notices) {
+    if (!phoneNumber) continue;
+    await sendWhatsAppMessage(phoneNumber, message).catch(error => console.error('Could not send chat closing message:', error.message));
+  }
+
+  return { success: true, appointmentId: appointment.id, messageCount };
+};
+
+/**
+ * Close chats still open after their consultation window
+ * @returns {Object} { closed }
+ */
+const closeExpiredConsultationChats = async () => {
+  const chats = await Appointment.findAll({
+    where: { mode: 'Chat', chatStartedAt: { [Op.ne]: null }, chatEndedAt: null },
+    include: chatInclude,
+    limit: 200
+  });
+
+  let closed = 0;
+  const now = new Date();
+  for (const chat of chats) {
+    if (getConsultationWindow(chat).closesAt > now) continue;
+    const result = await endConsultationChat(chat, 'system');
+    if (result.success) closed++;
+  }
+  return { closed };
+};
+
+/**
+ * A chat appointment's transcript, for the admin API
+ * @param {number} appointmentId - Appointment ID
+ * @returns {Object} { appointmentId, mode, chatStartedAt, chatEndedAt, messages }
+ */
+const getConsultationTranscript = async (appointmentId) => {
+  const appointment = await Appointment.findByPk(appointmentId, { include: chatInclude });
+  if (!appointment) throw new Error('Appointment not found');
+
+  const messages = await ConsultationMessage.findAll({
+    where: { appointmentId: appointment.id },
+    order: [['sentAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  return {
+    appointmentId: appointment.id,
+    mode: appointment.mode,
+    doctorName: appointment.Doctor ? appointment.Doctor.name : null,
+    patientName: appointment.User ? appointment.User.name : null,
+    chatStartedAt: appointment.chatStartedAt,
+    chatEndedAt: appointment.chatEndedAt,
+    messages: messages.map(message => ({
+      sender: message.sender,
+      message: message.message,
+      delivered: message.delivered,
+      sentAt: message.sentAt
+    }))
+  };
+};
+
+module.exports = {
+  createMeetingDetails,
+  getConsultationWindow,
+  getMeetingLink,
+  describeConsultationMode,
+  resolveMeetingLink,
+  findOpenChatForDoctor,
+  findOpenChatForPatient,
+  startConsultationChat,
+  relayConsultationMessage,
+  endConsultationChat,
+  closeExpiredConsultationChats,
+  getConsultationTranscript
+};
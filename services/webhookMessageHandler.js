@@ -361,12 +361,14 @@ const handleCheckoutFlow = async (phoneNumber, session, step, messageText) => {
 };
 
 /**
- * Handle location message (for doctor search)
+ * Handle location message (doctor search or checkout delivery address)
  */
-const handleLocationMessage = async (phoneNumber, session, latitude, longitude) => {
+const handleLocationMessage = async (phoneNumber, session, latitude, longitude, description) => {
   try {
     if (session.data.doctorSearchStep === 'location') {
       await appointmentHandlers.handleDoctorLocationReceived(phoneNumber, session, latitude, longitude);
+    } else if (session.data.waitingForDeliveryAddress) {
+      await productHandlers.handleCheckoutLocation(phoneNumber, session, latitude, longitude, description);
     } else {
       await sendInfoMessage(phoneNumber, '📍 Location received. How can I help you with this location?');
     }
@@ -7,6 +7,9 @@
  */
 
 const assert = require('assert');
+const Module = require('module');
+const path = require('path');
+const { Op } = require('sequelize');
 
 // Mock or real dependencies based on environment
 const testConfig = {
@@ -17,6 +20,142 @@ const testConfig = {
   testPhoneNumber: '+234812345678'
 };
 
+/**
+ * Load a service with some of its dependencies swapped for stubs, so flows that
+ * touch the database or WhatsApp can run without either. Other tests keep
+ * seeing the real modules.
+ * @param {string} servicePath - Service path from the project root
+ * @param {Object} stubs - Dependency path from the project root => stub exports
+ * @returns {Object} The service's exports, wired to the stubs
+ */
+const loadWithStubs = (servicePath, stubs) => {
+  const root = path.join(__dirname, '..', '..');
+  const target = require.resolve(path.join(root, servicePath));
+  // Load the real module first so every dependency without a stub is already cached
+  require(target);
+
+  const saved = {};
+  Object.entries(stubs).forEach(([dependency, exports]) => {
+    const resolved = require.resolve(path.join(root, dependency));
+    saved[resolved] = require.cache[resolved];
+    const stub = new Module(resolved);
+    stub.filename = resolved;
+    stub.exports = exports;
+    stub.loaded = true;
+    require.cache[resolved] = stub;
+  });
+
+  const real = require.cache[target];
+  delete require.cache[target];
+  try {
+    return require(target);
+  } finally {
+    require.cache[target] = real;
+    Object.entries(saved).forEach(([resolved, module]) => {
+      require.cache[resolved] = module;
+    });
+  }
+};
+
+// WhatsApp stand-in that records what would have been sent
+const createWhatsAppStub = () => {
+  // Services destructure these functions, so they read the stub's state, not `this`
+  const stub = {
+    sent: [],
+    failFor: null,
+    sendWhatsAppMessage: (phoneNumber, message) => {
+      if (stub.failFor === phoneNumber) return Promise.reject(new Error('WhatsApp unavailable'));
+      stub.sent.push({ phoneNumber, message });
+      return Promise.resolve({});
+    },
+    sendInteractiveMessage: (phoneNumber, message, buttons) => {
+      if (stub.failFor === phoneNumber) return Promise.reject(new Error('WhatsApp unavailable'));
+      stub.sent.push({ phoneNumber, message, buttons });
+      return Promise.resolve({});
+    }
+  };
+  return stub;
+};
+
+// Sequelize-style where matching for in-memory tables: equality, arrays (IN) plus Op.in, Op.notIn, Op.gt, Op.gte and Op.lte
+const matchesWhere = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  const value = row[field] === undefined ? null : row[field];
+  if (Array.isArray(condition)) return condition.includes(value);
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return condition instanceof Date ? value && value.getTime() === condition.getTime() : value === condition;
+  }
+  return Object.getOwnPropertySymbols(condition).every((op) => {
+    if (op === Op.in) return condition[op].includes(value);
+    if (op === Op.notIn) return !condition[op].includes(value);
+    if (op === Op.gt) return value !== null && value > condition[op];
+    if (op === Op.gte) return value !== null && value >= condition[op];
+    if (op === Op.lte) return value !== null && value <= condition[op];
+    throw new Error('Unsupported operator in table stub');
+  });
+});
+
+// In-memory model stand-in holding rows that update() like model instances
+const createTableStub = (rows = []) => {
+  const toRow = (fields) => ({
+    ...fields,
+    update(changes) {
+      Object.assign(this, changes);
+      return Promise.resolve(this);
+    },
+    increment(field, options = {}) {
+      this[field] += options.by || 1;
+      return Promise.resolve(this);
+    },
+    save() {
+      return Promise.resolve(this);
+    },
+    reload() {
+      return Promise.resolve(this);
+    }
+  });
+  const table = {
+    rows: rows.map(toRow),
+    findAll: ({ where } = {}) => Promise.resolve(table.rows.filter(row => matchesWhere(row, where))),
+    findOne: ({ where } = {}) => Promise.resolve(table.rows.find(row => matchesWhere(row, where)) || null),
+    findByPk: (id) => Promise.resolve(table.rows.find(row => String(row.id) === String(id)) || null),
+    count: ({ where } = {}) => Promise.resolve(table.rows.filter(row => matchesWhere(row, where)).length),
+    create: (fields) => {
+      const row = toRow({ id: table.rows.length + 1, status: 'Active', ...fields });
+      table.rows.push(row);
+      return Promise.resolve(row);
+    },
+    update: (changes, { where }) => {
+      const matched = table.rows.filter(row => matchesWhere(row, where));
+      matched.forEach(row => Object.assign(row, changes));
+      return Promise.resolve([matched.length]);
+    }
+  };
+  return table;
+};
+
+// Transaction stand-in for services that lock rows and register commit hooks
+const createTransactionStub = () => ({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: () => {} });
+
+// Appointment row stand-in; update() applies the changes like a model instance
+const createAppointmentStub = (fields) => ({
+  id: 12,
+  doctorId: 1,
+  userId: 7,
+  status: 'Scheduled',
+  doctorResponse: 'Pending',
+  mode: 'InPerson',
+  durationMinutes: 30,
+  notes: null,
+  dateTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  chatStartedAt: null,
+  chatEndedAt: null,
+  ...fields,
+  update(changes) {
+    Object.assign(this, changes);
+    return Promise.resolve(this);
+  }
+});
+
 /**
  * Prescription Upload and Verification Flow Test
  * Validates:
@@ -244,6 +383,276 @@ describe('E2E: Doctor Appointment Booking Flow', () => {
   });
 });
 
+/**
+ * Doctor Console Test
+ * Runs services/doctorConsole.js against stubbed models, WhatsApp and refunds:
+ * - Command parsing
+ * - Only registered doctors, and only for their own appointments
+ * - Accepting and declining bookings (declines cancel and refund)
+ */
+describe('E2E: Doctor Console', () => {
+  const doctorPhone = '+2348030000001';
+  const patientPhone = '+2348030000002';
+  const doctor = { id: 1, name: 'Bello', timezone: 'Africa/Lagos', phoneNumber: doctorPhone, isActive: true };
+  let appointment;
+  let whatsapp;
+  let refunds;
+  let doctorConsole;
+
+  beforeEach(() => {
+    appointment = createAppointmentStub({ User: { name: 'Ada', phoneNumber: patientPhone } });
+    whatsapp = createWhatsAppStub();
+    refunds = [];
+
+    doctorConsole = loadWithStubs('services/doctorConsole.js', {
+      'models/index.js': {
+        Doctor: {
+          findOne: ({ where }) => Promise.resolve(where.phoneNumber === doctorPhone ? doctor : null)
+        },
+        Appointment: {
+          findOne: ({ where }) => Promise.resolve(where.id === appointment.id && where.doctorId === appointment.doctorId ? appointment : null)
+        }
+      },
+      'config/whatsapp.js': whatsapp,
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() },
+      'services/refunds.js': {
+        requestRefund: (targetType, targetId, options) => {
+          refunds.push({ targetType, targetId, ...options });
+          return Promise.resolve({ success: true, amount: 15000 });
+        }
+      },
+      'services/doctorSchedule.js': {
+        getNextAvailableDays: () => Promise.resolve({ success: true, days: [{ date: '2026-10-22', slots: [{ time: '09:00' }, { time: '09:30' }] }] }),
+        consultationModesFor: () => ['InPerson']
+      }
+    });
+  });
+
+  it('should parse doctor commands', function() {
+    const { parseDoctorCommand } = doctorConsole;
+
+    assert.deepStrictEqual(parseDoctorCommand('today'), { action: 'day', slash: false, day: 'today' });
+    assert.deepStrictEqual(parseDoctorCommand('/schedule 2026-10-20'), { action: 'day', slash: true, day: '2026-10-20' });
+    assert.strictEqual(parseDoctorCommand('schedule').day, 'today');
+    assert.strictEqual(parseDoctorCommand('Pending').action, 'requests');
+    assert.deepStrictEqual(parseDoctorCommand('decline #12 Clinic closed that day'), {
+      action: 'respond', slash: false, appointmentId: 12, accept: false, reason: 'Clinic closed that day'
+    });
+    assert.deepStrictEqual(parseDoctorCommand('accept 12'), { action: 'respond', slash: false, appointmentId: 12, accept: true, reason: null });
+    assert.strictEqual(parseDoctorCommand('no show 12').outcome, 'NoShow');
+    assert.strictEqual(parseDoctorCommand('done 12').outcome, 'Completed');
+    assert.deepStrictEqual(parseDoctorCommand('note 12 BP 120/80'), { action: 'note', slash: false, appointmentId: 12, text: 'BP 120/80' });
+    assert.strictEqual(parseDoctorCommand('prescribe 12\nAmoxicillin 500mg caps tds x 5 days').text, 'Amoxicillin 500mg caps tds x 5 days');
+    assert.deepStrictEqual(parseDoctorCommand('chat 12'), { action: 'chat', slash: false, appointmentId: 12 });
+    assert.strictEqual(parseDoctorCommand('/end').action, 'endChat');
+    assert.strictEqual(parseDoctorCommand('end chat').action, 'endChat');
+    // A bare "end" is chat text for the patient, not a command
+    assert.strictEqual(parseDoctorCommand('end').action, 'help');
+    assert.strictEqual(parseDoctorCommand('hello').action, 'help');
+  });
+
+  it('should refuse numbers that are not a registered doctor', async function() {
+    const day = await doctorConsole.getDoctorDay('+2348099999999', 'today');
+    assert.strictEqual(day.success, false);
+    assert.strictEqual(day.errorCode, 'NOT_A_DOCTOR');
+
+    const response = await doctorConsole.respondToAppointment('+2348099999999', appointment.id, true);
+    assert.strictEqual(response.errorCode, 'NOT_A_DOCTOR');
+    assert.strictEqual(appointment.doctorResponse, 'Pending');
+  });
+
+  it("should refuse another doctor's appointments", async function() {
+    appointment.doctorId = 2;
+    const result = await doctorConsole.respondToAppointment(doctorPhone, appointment.id, false);
+
+    assert.strictEqual(result.errorCode, 'APPOINTMENT_NOT_FOUND');
+    assert.strictEqual(appointment.status, 'Scheduled');
+    assert.strictEqual(refunds.length, 0);
+  });
+
+  it('should accept a booking and tell the patient', async function() {
+    const result = await doctorConsole.respondToAppointment(doctorPhone, appointment.id, true);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(appointment.doctorResponse, 'Accepted');
+    assert.strictEqual(appointment.status, 'Scheduled');
+    assert.strictEqual(refunds.length, 0);
+    assert.ok(whatsapp.sent.some(sent => sent.phoneNumber === patientPhone && /accepted/.test(sent.message)));
+
+    const again = await doctorConsole.respondToAppointment(doctorPhone, appointment.id, true);
+    assert.strictEqual(again.changed, false);
+  });
+
+  it('should cancel and refund a declined booking', async function() {
+    const result = await doctorConsole.respondToAppointment(doctorPhone, appointment.id, false, 'Away at a conference');
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(appointment.status, 'Cancelled');
+    assert.strictEqual(appointment.doctorResponse, 'Declined');
+    assert.ok(appointment.notes.includes('Away at a conference'));
+    assert.deepStrictEqual(refunds.map(refund => [refund.targetType, refund.targetId, refund.requestedBy]), [['Appointment', 12, 'doctor:1']]);
+
+    const notice = whatsapp.sent.find(sent => sent.phoneNumber === patientPhone);
+    assert.ok(/refunded/.test(notice.message));
+    assert.ok(notice.message.includes('2026-10-22: 09:00, 09:30'));
+
+    // Declined appointments can't be answered again
+    const again = await doctorConsole.respondToAppointment(doctorPhone, appointment.id, true);
+    assert.strictEqual(again.errorCode, 'APPOINTMENT_NOT_SCHEDULED');
+  });
+
+  it('should not answer bookings that have already started', async function() {
+    appointment.dateTime = new Date(Date.now() - 60 * 1000);
+    const result = await doctorConsole.respondToAppointment(doctorPhone, appointment.id, false);
+
+    assert.strictEqual(result.errorCode, 'APPOINTMENT_STARTED');
+    assert.strictEqual(refunds.length, 0);
+  });
+});
+
+/**
+ * Teleconsultation Test
+ * Runs services/teleconsultation.js against stubbed models and WhatsApp:
+ * - Video join links only work inside the consultation window
+ * - Chat consultations: status, window and one-open-chat-per-doctor rules
+ * - Relayed messages are stored, including ones WhatsApp couldn't deliver
+ */
+describe('E2E: Teleconsultations', () => {
+  const MINUTE_MS = 60 * 1000;
+  const doctor = { id: 1, name: 'Bello', phoneNumber: '+2348030000001' };
+  const patient = { name: 'Ada', phoneNumber: '+2348030000002' };
+  let meeting;
+  let openChat;
+  let messages;
+  let whatsapp;
+  let teleconsultation;
+
+  beforeEach(() => {
+    meeting = null;
+    openChat = null;
+    messages = [];
+    whatsapp = createWhatsAppStub();
+
+    teleconsultation = loadWithStubs('services/teleconsultation.js', {
+      'models/index.js': {
+        Doctor: {},
+        User: {},
+        Appointment: {
+          findOne: ({ where }) => Promise.resolve(
+            where.meetingToken !== undefined
+              ? (meeting && meeting.meetingToken === where.meetingToken ? meeting : null)
+              : openChat
+          )
+        },
+        ConsultationMessage: {
+          create: (fields) => {
+            messages.push(fields);
+            return Promise.resolve(fields);
+          }
+        }
+      },
+      'config/whatsapp.js': whatsapp
+    });
+  });
+
+  const videoAppointment = (startsInMinutes, fields = {}) => createAppointmentStub({
+    mode: 'Video',
+    meetingToken: 'token-123',
+    meetingRoom: 'drugsng-room-123',
+    dateTime: new Date(Date.now() + startsInMinutes * MINUTE_MS),
+    ...fields
+  });
+
+  const chatAppointment = (startsInMinutes, fields = {}) => createAppointmentStub({
+    mode: 'Chat',
+    dateTime: new Date(Date.now() + startsInMinutes * MINUTE_MS),
+    Doctor: doctor,
+    User: patient,
+    ...fields
+  });
+
+  it('should keep a video link closed until shortly before the appointment', async function() {
+    meeting = videoAppointment(120);
+    const result = await teleconsultation.resolveMeetingLink('token-123');
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.errorCode, 'MEETING_NOT_OPEN');
+    assert.ok(result.opensAt < meeting.dateTime);
+  });
+
+  it('should forward a video link to the meeting room while the window is open', async function() {
+    meeting = videoAppointment(5);
+    const result = await teleconsultation.resolveMeetingLink('token-123');
+
+    assert.strictEqual(result.success, true);
+    assert.ok(result.url.endsWith('/drugsng-room-123'));
+  });
+
+  it('should close a video link after the appointment and for unscheduled or unknown ones', async function() {
+    meeting = videoAppointment(-180);
+    assert.strictEqual((await teleconsultation.resolveMeetingLink('token-123')).errorCode, 'MEETING_CLOSED');
+
+    meeting = videoAppointment(5, { status: 'Cancelled' });
+    assert.strictEqual((await teleconsultation.resolveMeetingLink('token-123')).errorCode, 'MEETING_CLOSED');
+
+    assert.strictEqual((await teleconsultation.resolveMeetingLink('guessed-token')).errorCode, 'MEETING_NOT_FOUND');
+    assert.strictEqual((await teleconsultation.resolveMeetingLink('')).errorCode, 'MEETING_NOT_FOUND');
+  });
+
+  it('should only start chats for scheduled chat appointments inside their window', async function() {
+    const notChat = await teleconsultation.startConsultationChat(chatAppointment(5, { mode: 'Video' }));
+    assert.strictEqual(notChat.errorCode, 'NOT_A_CHAT_APPOINTMENT');
+
+    const cancelled = await teleconsultation.startConsultationChat(chatAppointment(5, { status: 'Cancelled' }));
+    assert.strictEqual(cancelled.errorCode, 'APPOINTMENT_NOT_SCHEDULED');
+
+    const early = await teleconsultation.startConsultationChat(chatAppointment(120));
+    assert.strictEqual(early.errorCode, 'CHAT_NOT_OPEN');
+
+    const late = await teleconsultation.startConsultationChat(chatAppointment(-180));
+    assert.strictEqual(late.errorCode, 'CHAT_CLOSED');
+
+    assert.strictEqual(whatsapp.sent.length, 0);
+  });
+
+  it('should allow one open chat per doctor', async function() {
+    openChat = chatAppointment(0, { id: 11, chatStartedAt: new Date() });
+    const result = await teleconsultation.startConsultationChat(chatAppointment(5));
+
+    assert.strictEqual(result.errorCode, 'CHAT_ALREADY_OPEN');
+    assert.ok(result.error.includes('#11'));
+  });
+
+  it('should open a chat and tell the patient', async function() {
+    const appointment = chatAppointment(5);
+    const result = await teleconsultation.startConsultationChat(appointment);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.changed, true);
+    assert.ok(appointment.chatStartedAt instanceof Date);
+    assert.strictEqual(appointment.chatEndedAt, null);
+    assert.strictEqual(whatsapp.sent[0].phoneNumber, patient.phoneNumber);
+
+    openChat = appointment;
+    const again = await teleconsultation.startConsultationChat(appointment);
+    assert.strictEqual(again.changed, false);
+  });
+
+  it('should store relayed messages, including undelivered ones', async function() {
+    const appointment = chatAppointment(0, { chatStartedAt: new Date() });
+
+    const sent = await teleconsultation.relayConsultationMessage(appointment, 'Patient', 'I have had a fever since Monday');
+    assert.strictEqual(sent.success, true);
+    assert.strictEqual(whatsapp.sent[0].phoneNumber, doctor.phoneNumber);
+
+    whatsapp.failFor = patient.phoneNumber;
+    const failed = await teleconsultation.relayConsultationMessage(appointment, 'Doctor', 'Any cough?');
+    assert.strictEqual(failed.errorCode, 'CHAT_MESSAGE_UNDELIVERED');
+
+    assert.deepStrictEqual(messages.map(message => [message.sender, message.delivered]), [['Patient', true], ['Doctor', false]]);
+  });
+});
+
 /**
  * Session and Token Management E2E Test
  * Validates:
@@ -361,9 +770,1209 @@ describe('E2E: Error Handling and Retry Logic', () => {
   });
 });
 
+/**
+ * Mock Payment Provider Test
+ * Runs the provider interface end to end without network access:
+ * - Payment initialization and checkout link
+ * - Simulated success, failure and underpayment
+ * - Refunds and webhook parsing / signing
+ * - Consultation payments resolving to their appointment
+ */
+describe('E2E: Mock Payment Provider', () => {
+  const { createMockProvider, signMockPayload, MOCK_SIGNATURE_HEADER } = require('../../services/paymentProviders/mock');
+  const { REQUIRED_METHODS } = require('../../services/paymentProviders');
+  const paymentDetails = { orderId: testConfig.testOrderId, amount: 5000, email: 'test@drugsng.com' };
+  let provider;
+
+  beforeEach(() => {
+    provider = createMockProvider('Paystack');
+  });
+
+  it('should implement the payment provider interface', function() {
+    REQUIRED_METHODS.forEach(method => assert.strictEqual(typeof provider[method], 'function'));
+    assert.strictEqual(provider.name, 'Paystack');
+  });
+
+  it('should initialize a payment with a local checkout link', async function() {
+    const result = await provider.initialize(paymentDetails);
+    assert.strictEqual(result.status, 'success');
+    assert.ok(result.data.authorization_url.includes('/payment/mock/complete'));
+    assert.ok(result.data.reference.startsWith(`drugsng-${testConfig.testOrderId}-`));
+  });
+
+  it('should verify simulated successful and failed payments', async function() {
+    const paid = await provider.initialize(paymentDetails);
+    await provider.simulatePayment(paid.data.reference, { outcome: 'success', deliver: false });
+    const verified = await provider.verify({ reference: paid.data.reference });
+    assert.strictEqual(verified.status, 'success');
+    assert.strictEqual(verified.data.amount, 5000);
+    assert.strictEqual(verified.data.currency, 'NGN');
+
+    const declined = await provider.initialize(paymentDetails);
+    const { payload } = await provider.simulatePayment(declined.data.reference, { outcome: 'failure', deliver: false });
+    const failed = await provider.verify({ reference: declined.data.reference });
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(provider.parseWebhook(payload).isFailedCharge, true);
+  });
+
+  it('should report the simulated amount for underpayments', async function() {
+    const init = await provider.initialize(paymentDetails);
+    await provider.simulatePayment(init.data.reference, { amount: 4000, deliver: false });
+    const verified = await provider.verify({ reference: init.data.reference });
+    assert.strictEqual(verified.data.amount, 4000);
+  });
+
+  it('should refund partially and reject refunds above the balance', async function() {
+    const init = await provider.initialize(paymentDetails);
+    await provider.simulatePayment(init.data.reference, { deliver: false });
+
+    const partial = await provider.refund({ reference: init.data.reference }, 2000);
+    assert.strictEqual(partial.data.amount, 2000);
+    assert.strictEqual(partial.data.settled, true);
+
+    await assert.rejects(provider.refund({ reference: init.data.reference }, 4000), error => /exceeds/.test(error.message));
+  });
+
+  it('should parse and sign simulated webhooks', async function() {
+    const init = await provider.initialize(paymentDetails);
+    const { payload } = await provider.simulatePayment(init.data.reference, { deliver: false });
+
+    const parsed = provider.parseWebhook(payload);
+    assert.strictEqual(parsed.isSuccessfulCharge, true);
+    assert.strictEqual(parsed.isRefundEvent, false);
+    assert.deepStrictEqual(parsed.target, { targetType: 'Order', targetId: testConfig.testOrderId });
+
+    assert.strictEqual(provider.verifySignature({ [MOCK_SIGNATURE_HEADER]: signMockPayload(payload) }, payload), true);
+    assert.strictEqual(provider.verifySignature({ [MOCK_SIGNATURE_HEADER]: 'forged' }, payload), false);
+  });
+
+  it('should route consultation payments to their appointment', async function() {
+    const init = await provider.initialize({ appointmentId: 42, amount: 15000, email: 'test@drugsng.com' });
+    assert.ok(init.data.reference.startsWith('drugsng-appt-42-'));
+
+    const { payload } = await provider.simulatePayment(init.data.reference, { deliver: false });
+    assert.deepStrictEqual(provider.parseWebhook(payload).target, { targetType: 'Appointment', targetId: 42 });
+  });
+});
+
+/**
+ * Payment Event Ledger Test
+ * Runs services/paymentEvents.js against stubbed models, provider checks and WhatsApp:
+ * - Redelivered webhooks are acknowledged once processed, retried if processing stalled
+ * - Payments that don't reconcile are held, with a message that says why
+ */
+describe('E2E: Payment Event Ledger', () => {
+  const customer = { id: 7, phoneNumber: '+2348030000002' };
+  let events;
+  let paid;
+  let reconciled;
+  let whatsapp;
+  let paymentEvents;
+
+  // Ledger row stand-in; update() and increment() apply like a model instance
+  const createEventStub = (fields) => ({
+    id: events.length + 1,
+    status: 'Received',
+    attempts: 0,
+    duplicateCount: 0,
+    receivedAt: new Date(),
+    lastAttemptAt: null,
+    ...fields,
+    update(changes) {
+      Object.assign(this, changes);
+      return Promise.resolve(this);
+    },
+    increment(field) {
+      this[field] += 1;
+      return Promise.resolve(this);
+    }
+  });
+
+  const chargePayload = (id) => ({
+    event: 'charge.success',
+    data: { id, reference: `ref-${id}`, metadata: { orderId: 42 } }
+  });
+
+  beforeEach(() => {
+    events = [];
+    paid = [];
+    reconciled = { result: 'Matched', payable: true };
+    whatsapp = createWhatsAppStub();
+
+    paymentEvents = loadWithStubs('services/paymentEvents.js', {
+      'models/index.js': {
+        PaymentEvent: {
+          findOrCreate: ({ where, defaults }) => {
+            const existing = events.find(event => event.provider === where.provider && event.eventId === where.eventId);
+            if (existing) return Promise.resolve([existing, false]);
+            const event = createEventStub({ ...where, ...defaults });
+            events.push(event);
+            return Promise.resolve([event, true]);
+          }
+        },
+        User: { findByPk: () => Promise.resolve(customer) },
+        Order: { findByPk: (id) => Promise.resolve({ id, userId: customer.id }) },
+        DiagnosticBooking: {},
+        Appointment: {}
+      },
+      'config/whatsapp.js': whatsapp,
+      'services/orderManagement.js': {
+        markOrderPaid: (orderId) => {
+          paid.push(orderId);
+          return Promise.resolve({ success: true, changed: true, order: { userId: customer.id }, toStatus: 'Processing' });
+        }
+      },
+      'services/reconciliation.js': {
+        reconcilePayment: () => Promise.resolve({
+          success: true,
+          target: { targetType: 'Order', targetId: 42 },
+          expectedAmount: 5000,
+          currency: 'NGN',
+          reconciliation: { id: 3 },
+          ...reconciled
+        })
+      },
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    });
+  });
+
+  it('should apply a payment once and acknowledge redeliveries', async function() {
+    const first = await paymentEvents.handlePaymentWebhook('Paystack', chargePayload(1001));
+    assert.strictEqual(first.status, 'Processed');
+    assert.deepStrictEqual(paid, [42]);
+
+    const again = await paymentEvents.handlePaymentWebhook('Paystack', chargePayload(1001));
+    assert.strictEqual(again.duplicate, true);
+    assert.strictEqual(events[0].duplicateCount, 1);
+    assert.deepStrictEqual(paid, [42]);
+  });
+
+  it('should retry an event that stalled in Received, but not one still being processed', async function() {
+    events.push(createEventStub({ provider: 'Paystack', eventId: 'charge.success:1002', payload: chargePayload(1002), lastAttemptAt: new Date() }));
+    const inProgress = await paymentEvents.handlePaymentWebhook('Paystack', chargePayload(1002));
+    assert.strictEqual(inProgress.duplicate, true);
+    assert.deepStrictEqual(paid, []);
+
+    events[0].lastAttemptAt = new Date(Date.now() - 60 * 60 * 1000);
+    const retried = await paymentEvents.handlePaymentWebhook('Paystack', chargePayload(1002));
+    assert.strictEqual(retried.duplicate, false);
+    assert.strictEqual(events[0].status, 'Processed');
+    assert.strictEqual(events[0].attempts, 1);
+    assert.deepStrictEqual(paid, [42]);
+  });
+
+  it('should hold underpayments and tell the customer the amount is short', async function() {
+    reconciled = { result: 'Underpaid', payable: false, paidAmount: 4000 };
+    const result = await paymentEvents.handlePaymentWebhook('Paystack', chargePayload(1003));
+
+    assert.ok(result.outcome.startsWith('Payment held for reconciliation (Underpaid)'));
+    assert.deepStrictEqual(paid, []);
+    assert.ok(/received your payment for order #42, but the amount doesn't match/.test(whatsapp.sent[0].message));
+  });
+
+  it('should not tell the customer a payment arrived when verification failed', async function() {
+    reconciled = { result: 'VerificationFailed', payable: false, paidAmount: 5000 };
+    await paymentEvents.handlePaymentWebhook('Paystack', chargePayload(1004));
+
+    assert.deepStrictEqual(paid, []);
+    assert.ok(/couldn't confirm your payment for order #42/.test(whatsapp.sent[0].message));
+    assert.ok(!/received your payment/.test(whatsapp.sent[0].message));
+  });
+});
+
+/**
+ * Payment Reconciliation Test
+ * Runs services/reconciliation.js against stubbed models and a stubbed provider:
+ * - Verified amounts are compared with what the order owes, within the rounding tolerance
+ * - Only matched payments clear; everything else is queued for operations
+ */
+describe('E2E: Payment Reconciliation', () => {
+  let verification;
+  let queued;
+  let reconciliation;
+
+  beforeEach(() => {
+    verification = { status: 'success', data: { id: 9001, reference: 'drugsng-42-1700000000', amount: 5000, currency: 'NGN' } };
+    queued = [];
+
+    reconciliation = loadWithStubs('services/reconciliation.js', {
+      'models/index.js': {
+        Order: { findByPk: (id) => Promise.resolve(id === 42 ? { id, totalAmount: 5000 } : null) },
+        DiagnosticBooking: { findByPk: () => Promise.resolve(null) },
+        Appointment: { findByPk: () => Promise.resolve(null) },
+        PaymentEvent: {},
+        PaymentReconciliation: {
+          findOrCreate: ({ where, defaults }) => {
+            const item = { ...where, ...defaults };
+            queued.push(item);
+            return Promise.resolve([item, true]);
+          }
+        }
+      },
+      'services/paymentProviders/index.js': {
+        getPaymentProvider: () => ({ verify: () => Promise.resolve(verification) })
+      }
+    });
+  });
+
+  it('should compare verified payments with the amount owed', function() {
+    const { comparePayment, AMOUNT_TOLERANCE } = reconciliation;
+    const expected = { amount: 5000, currency: 'NGN' };
+
+    assert.strictEqual(comparePayment(expected, { amount: 5000 + AMOUNT_TOLERANCE / 2, currency: 'ngn', successful: true }), 'Matched');
+    assert.strictEqual(comparePayment(expected, { amount: 4000, currency: 'NGN', successful: true }), 'Underpaid');
+    assert.strictEqual(comparePayment(expected, { amount: 6000, currency: 'NGN', successful: true }), 'Overpaid');
+    assert.strictEqual(comparePayment(expected, { amount: 5000, currency: 'USD', successful: true }), 'CurrencyMismatch');
+    assert.strictEqual(comparePayment(expected, { amount: 5000, currency: 'NGN', successful: false }), 'VerificationFailed');
+  });
+
+  it('should clear a matched payment', async function() {
+    const result = await reconciliation.reconcilePayment({ provider: 'Paystack', reference: 'drugsng-42-1700000000' });
+
+    assert.strictEqual(result.result, 'Matched');
+    assert.strictEqual(result.payable, true);
+    assert.deepStrictEqual(result.target, { targetType: 'Order', targetId: 42 });
+    assert.strictEqual(queued[0].status, 'Cleared');
+    assert.strictEqual(queued[0].transactionId, '9001');
+  });
+
+  it('should queue underpaid, unverified and unknown payments', async function() {
+    verification.data.amount = 4000;
+    const underpaid = await reconciliation.reconcilePayment({ provider: 'Paystack', reference: 'drugsng-42-1700000000' });
+    assert.strictEqual(underpaid.result, 'Underpaid');
+    assert.strictEqual(underpaid.payable, false);
+
+    verification = { status: 'failed', data: { id: 9002, reference: 'drugsng-42-1700000000', amount: 5000, currency: 'NGN' } };
+    const unverified = await reconciliation.reconcilePayment({ provider: 'Paystack', reference: 'drugsng-42-1700000000' });
+    assert.strictEqual(unverified.result, 'VerificationFailed');
+
+    verification = { status: 'success', data: { id: 9003, reference: 'drugsng-77-1700000000', amount: 5000, currency: 'NGN' } };
+    const unknown = await reconciliation.reconcilePayment({ provider: 'Paystack', reference: 'drugsng-77-1700000000' });
+    assert.strictEqual(unknown.result, 'UnknownTarget');
+
+    assert.deepStrictEqual(queued.map(item => item.status), ['Open', 'Open', 'Open']);
+  });
+});
+
+/**
+ * Refunds Test
+ * Runs services/refunds.js and the diagnostic booking cancellation against stubbed models and providers:
+ * - Full and partial refunds are limited to what is left of the payment
+ * - Provider failures are recorded on the refund
+ * - Cancelling a paid diagnostic booking refunds it
+ */
+describe('E2E: Refunds', () => {
+  const { Op } = require('sequelize');
+  let refunds;
+  let providerRefunds;
+  let providerFails;
+  let refundService;
+
+  // Refund row stand-in; update() applies the changes like a model instance
+  const createRefundStub = (fields) => ({
+    id: refunds.length + 1,
+    ...fields,
+    update(changes) {
+      Object.assign(this, changes);
+      return Promise.resolve(this);
+    }
+  });
+
+  beforeEach(() => {
+    refunds = [];
+    providerRefunds = [];
+    providerFails = false;
+
+    refundService = loadWithStubs('services/refunds.js', {
+      'models/index.js': {
+        sequelize: { transaction: (work) => work({ LOCK: { UPDATE: 'UPDATE' } }) },
+        Order: { findByPk: (id) => Promise.resolve({ id, userId: 7 }) },
+        DiagnosticBooking: { findByPk: (id) => Promise.resolve({ id, userId: 7 }) },
+        Appointment: { findByPk: (id) => Promise.resolve({ id, userId: 7 }) },
+        User: { findByPk: () => Promise.resolve(null) },
+        PaymentReconciliation: {
+          findOne: ({ where }) => Promise.resolve(where.targetId === 42
+            ? { provider: 'Paystack', transactionId: '9001', reference: 'drugsng-42-1700000000', paidAmount: 5000, paidCurrency: 'NGN' }
+            : null)
+        },
+        Refund: {
+          sum: (field, { where }) => Promise.resolve(refunds
+            .filter(refund => refund.targetId === where.targetId && where.status[Op.in].includes(refund.status))
+            .reduce((total, refund) => total + refund[field], 0)),
+          create: (fields) => {
+            const refund = createRefundStub(fields);
+            refunds.push(refund);
+            return Promise.resolve(refund);
+          }
+        }
+      },
+      'config/whatsapp.js': createWhatsAppStub(),
+      'services/paymentProviders/index.js': {
+        getPaymentProvider: () => ({
+          refund: (payment, amount) => {
+            if (providerFails) return Promise.reject(new Error('Transaction not refundable'));
+            providerRefunds.push(amount);
+            return Promise.resolve({ data: { refundId: `rf-${providerRefunds.length}`, settled: false } });
+          }
+        })
+      },
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    });
+  });
+
+  it('should refund part of a payment and then the rest', async function() {
+    const partial = await refundService.requestRefund('Order', 42, { amount: 2000, reason: 'One item out of stock' });
+    assert.strictEqual(partial.success, true);
+    assert.strictEqual(partial.isPartial, true);
+    assert.strictEqual(refunds[0].status, 'Processing');
+
+    const rest = await refundService.requestRefund('Order', 42, { reason: 'Order cancelled' });
+    assert.strictEqual(rest.amount, 3000);
+
+    // Partial refunds send an amount; the provider gets it as-is
+    assert.deepStrictEqual(providerRefunds, [2000, 3000]);
+
+    const again = await refundService.requestRefund('Order', 42);
+    assert.strictEqual(again.errorCode, 'ALREADY_REFUNDED');
+  });
+
+  it('should not refund more than is left or what was never paid', async function() {
+    await refundService.requestRefund('Order', 42, { amount: 4000 });
+    const tooMuch = await refundService.requestRefund('Order', 42, { amount: 2000 });
+    assert.strictEqual(tooMuch.success, false);
+    assert.ok(/exceeds refundable balance of ₦1000.00/.test(tooMuch.error));
+
+    const unpaid = await refundService.requestRefund('Order', 43);
+    assert.strictEqual(unpaid.errorCode, 'NO_REFUNDABLE_PAYMENT');
+  });
+
+  it('should record a refund the provider rejected as failed', async function() {
+    providerFails = true;
+    const result = await refundService.requestRefund('Order', 42);
+
+    assert.strictEqual(result.errorCode, 'REFUND_FAILED');
+    assert.strictEqual(refunds[0].status, 'Failed');
+    assert.strictEqual(refunds[0].failureReason, 'Transaction not refundable');
+  });
+
+  it('should refund a paid diagnostic booking when it is cancelled', async function() {
+    const booking = {
+      id: 5,
+      userId: 7,
+      status: 'Scheduled',
+      paymentStatus: 'Paid',
+      reload() {
+        return Promise.resolve(this);
+      }
+    };
+    const requested = [];
+    const diagnostics = loadWithStubs('services/diagnostics.js', {
+      'models/index.js': {
+        DiagnosticBooking: {
+          findByPk: () => Promise.resolve(booking),
+          update: (changes, { where }) => {
+            if (where.status !== booking.status) return Promise.resolve([0]);
+            Object.assign(booking, changes);
+            return Promise.resolve([1]);
+          }
+        }
+      },
+      'services/refunds.js': {
+        requestRefund: (targetType, targetId, options) => {
+          requested.push({ targetType, targetId, requestedBy: options.requestedBy });
+          return Promise.resolve({ success: true, amount: 12000 });
+        }
+      }
+    });
+
+    await assert.rejects(diagnostics.cancelDiagnosticBooking(5, { userId: 8 }), /only cancel your own/);
+
+    const result = await diagnostics.cancelDiagnosticBooking(5, { changedBy: 'admin:ops@drugsng.com' });
+    assert.strictEqual(booking.status, 'Cancelled');
+    assert.deepStrictEqual(requested, [{ targetType: 'DiagnosticBooking', targetId: 5, requestedBy: 'admin:ops@drugsng.com' }]);
+    assert.ok(result.message.includes('₦12000.00'));
+
+    await assert.rejects(diagnostics.cancelDiagnosticBooking(5), /already cancelled/);
+    assert.strictEqual(requested.length, 1);
+  });
+});
+
+/**
+ * Stock Reservation Test
+ * Runs services/inventory.js against in-memory stock and reservation tables:
+ * - Cart holds kept against the customer are taken over by the order they place
+ * - Other customers' holds still count against the order
+ */
+describe('E2E: Stock Reservations', () => {
+  const later = () => new Date(Date.now() + 30 * 60 * 1000);
+  let products;
+  let reservations;
+  let orderItems;
+  let inventory;
+
+  beforeEach(() => {
+    products = createTableStub([{ id: 1, name: 'Paracetamol 500mg', stock: 10 }]);
+    reservations = createTableStub();
+    orderItems = createTableStub([{ id: 1, orderId: 42, itemType: 'Product', itemId: 1, quantity: 8 }]);
+
+    inventory = loadWithStubs('services/inventory.js', {
+      'models/index.js': {
+        OrderItem: orderItems,
+        StockReservation: reservations,
+        sequelize: { transaction: (work) => work(createTransactionStub()) }
+      },
+      'services/catalogue.js': {
+        getItemModel: () => products,
+        getLineItemRef: line => ({ itemType: line.itemType, itemId: line.itemId })
+      },
+      'services/fulfilment.js': {
+        routeOrderToBranches: () => Promise.resolve(),
+        releaseBranchStock: () => Promise.resolve()
+      },
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    });
+  });
+
+  it("should commit an order against the customer's own cart hold", async function() {
+    const held = await inventory.reserveStock({ itemType: 'Product', itemId: 1, userId: 7, quantity: 8 });
+    assert.strictEqual(held.success, true);
+    assert.strictEqual(held.reservation.orderId, null);
+
+    const result = await inventory.commitOrderStock({ id: 42, userId: 7 }, createTransactionStub());
+    assert.strictEqual(result.committed, true);
+    assert.strictEqual(products.rows[0].stock, 2);
+    assert.deepStrictEqual(reservations.rows.map(row => [row.orderId, row.status, row.quantity]), [[42, 'Committed', 8]]);
+
+    // Cancelling puts the units back and leaves nothing held
+    const released = await inventory.releaseOrderStock(42, 'Order cancelled', createTransactionStub());
+    assert.strictEqual(released.restocked, 8);
+    assert.strictEqual(products.rows[0].stock, 10);
+    assert.strictEqual(reservations.rows[0].status, 'Released');
+  });
+
+  it("should release the customer's leftover cart hold once the order takes its stock", async function() {
+    await reservations.create({ itemType: 'Product', itemId: 1, userId: 7, orderId: 42, quantity: 8, expiresAt: later() });
+    await reservations.create({ itemType: 'Product', itemId: 1, userId: 7, orderId: null, quantity: 2, expiresAt: later() });
+
+    await inventory.commitOrderStock({ id: 42, userId: 7 }, createTransactionStub());
+    assert.strictEqual(products.rows[0].stock, 2);
+    assert.deepStrictEqual(reservations.rows.map(row => row.status), ['Committed', 'Released']);
+  });
+
+  it("should still count other customers' holds", async function() {
+    await reservations.create({ itemType: 'Product', itemId: 1, userId: 8, orderId: null, quantity: 5, expiresAt: later() });
+
+    await assert.rejects(
+      inventory.commitOrderStock({ id: 42, userId: 7 }, createTransactionStub()),
+      error => error.code === 'INSUFFICIENT_STOCK' && /available: 5/.test(error.message)
+    );
+    assert.strictEqual(products.rows[0].stock, 10);
+  });
+});
+
+/**
+ * Prescription Gating Test
+ * Runs the checkout prescription check in services/prescription.js against stubbed models:
+ * - Prescription-only items need a prescription file sent for the cart being checked out
+ */
+describe('E2E: Prescription Gating', () => {
+  const amoxicillin = { itemType: 'Product', itemId: 3, name: 'Amoxicillin 500mg', prescriptionOnly: true };
+  const vitaminC = { itemType: 'Product', itemId: 4, name: 'Vitamin C 1000mg', prescriptionOnly: false };
+  let prescription;
+
+  beforeEach(() => {
+    prescription = loadWithStubs('services/prescription.js', {
+      'models/index.js': { Prescription: {}, Order: {}, OrderItem: {}, Product: {} },
+      'services/catalogue.js': {
+        getPrescriptionOnlyLines: lines => Promise.resolve(lines.filter(line => line.prescriptionOnly)),
+        getLineItemRef: line => ({ itemType: line.itemType, itemId: line.itemId })
+      }
+    });
+  });
+
+  it('should let carts without prescription-only items through', async function() {
+    const check = await prescription.checkCheckoutPrescription([vitaminC], {}, 10);
+    assert.deepStrictEqual(check, { required: false, satisfied: true, items: [] });
+  });
+
+  it('should accept a prescription sent for the cart being checked out', async function() {
+    const sessionData = { pendingPrescriptionUrl: 'https://files.example/rx.jpg', pendingPrescriptionCartId: 10 };
+    const check = await prescription.checkCheckoutPrescription([amoxicillin, vitaminC], sessionData, 10);
+
+    assert.strictEqual(check.required, true);
+    assert.strictEqual(check.satisfied, true);
+  });
+
+  it('should not accept a prescription left over from another cart', async function() {
+    const fromEarlierCart = { pendingPrescriptionUrl: 'https://files.example/rx.jpg', pendingPrescriptionCartId: 9 };
+    const earlier = await prescription.checkCheckoutPrescription([amoxicillin], fromEarlierCart, 10);
+    assert.strictEqual(earlier.satisfied, false);
+    assert.deepStrictEqual(earlier.items.map(item => item.name), ['Amoxicillin 500mg']);
+
+    // Sent before there was a cart at all
+    const beforeCart = { pendingPrescriptionUrl: 'https://files.example/rx.jpg', pendingPrescriptionCartId: null };
+    assert.strictEqual((await prescription.checkCheckoutPrescription([amoxicillin], beforeCart, 10)).satisfied, false);
+  });
+});
+
+/**
+ * Pharmacist Review Test
+ * Runs services/prescriptionReview.js and services/prescription.js against stubbed models:
+ * - Only the pharmacist holding the claim can decide
+ * - Approval releases the order for packing; rejection can cancel it
+ * - Two decisions at once can't both go through
+ */
+describe('E2E: Pharmacist Review', () => {
+  let prescriptions;
+  let released;
+  let cancelled;
+  let review;
+
+  beforeEach(() => {
+    prescriptions = createTableStub([
+      { id: 5, orderId: 42, verificationStatus: 'Pending', claimedBy: null, claimedAt: null, parsedData: { medicines: [] } }
+    ]);
+    released = [];
+    cancelled = [];
+
+    // Transactions run one at a time, as the prescription's row lock makes them
+    let queue = Promise.resolve();
+    const sequelize = {
+      transaction: (work) => {
+        const run = queue.then(() => work(createTransactionStub()));
+        queue = run.catch(() => {});
+        return run;
+      }
+    };
+    const Order = { findByPk: (id) => Promise.resolve({ id, userId: 7, status: 'AwaitingPrescriptionReview', paymentStatus: 'Paid' }) };
+    const models = { sequelize, Prescription: prescriptions, Order, OrderItem: {}, Product: {}, User: { findByPk: () => Promise.resolve(null) } };
+
+    const prescription = loadWithStubs('services/prescription.js', {
+      'models/index.js': models,
+      'services/orderManagement.js': {
+        transitionOrderStatus: (orderId, status, options) => {
+          released.push({ orderId, status, changedBy: options.changedBy });
+          return Promise.resolve({ success: true, changed: true, order: { id: orderId, status } });
+        }
+      }
+    });
+
+    review = loadWithStubs('services/prescriptionReview.js', {
+      'models/index.js': models,
+      'config/whatsapp.js': createWhatsAppStub(),
+      'services/prescription.js': prescription,
+      'services/orderManagement.js': {
+        cancelOrder: (orderId, options) => {
+          cancelled.push({ orderId, reason: options.reason });
+          return Promise.resolve({ success: true, order: { id: orderId, status: 'Cancelled' } });
+        }
+      }
+    });
+  });
+
+  it("should refuse a decision on another pharmacist's claim", async function() {
+    await review.claimPrescription(5, 'ada@drugsng.com');
+
+    await assert.rejects(
+      review.decidePrescription(5, { status: 'Verified', pharmacist: 'tunde@drugsng.com' }),
+      /being reviewed by ada@drugsng.com/
+    );
+    assert.strictEqual(prescriptions.rows[0].verificationStatus, 'Pending');
+    assert.strictEqual(released.length, 0);
+  });
+
+  it('should release the order for packing when approved', async function() {
+    await review.claimPrescription(5, 'ada@drugsng.com');
+    const result = await review.decidePrescription('5', { status: 'Verified', pharmacist: 'ada@drugsng.com' });
+
+    assert.strictEqual(result.orderStatus, 'Packed');
+    assert.strictEqual(result.releasedForFulfilment, true);
+    assert.deepStrictEqual(released, [{ orderId: 42, status: 'Packed', changedBy: 'pharmacist:ada@drugsng.com' }]);
+    assert.strictEqual(prescriptions.rows[0].verifiedBy, 'ada@drugsng.com');
+    assert.strictEqual(prescriptions.rows[0].claimedBy, null);
+    assert.ok(prescriptions.rows[0].validUntil > new Date());
+  });
+
+  it('should need notes to reject and cancel the order when asked', async function() {
+    await assert.rejects(review.decidePrescription(5, { status: 'Rejected', pharmacist: 'ada@drugsng.com' }), /Notes are required/);
+
+    const result = await review.decidePrescription(5, {
+      status: 'Rejected',
+      notes: 'Prescription has expired',
+      pharmacist: 'ada@drugsng.com',
+      cancelOrder: true
+    });
+    assert.strictEqual(result.orderStatus, 'Cancelled');
+    assert.deepStrictEqual(cancelled, [{ orderId: 42, reason: 'Prescription rejected: Prescription has expired' }]);
+    assert.strictEqual(released.length, 0);
+  });
+
+  it('should let only one of two simultaneous decisions through', async function() {
+    const decisions = await Promise.allSettled([
+      review.decidePrescription(5, { status: 'Verified', pharmacist: 'ada@drugsng.com' }),
+      review.decidePrescription(5, { status: 'Rejected', notes: 'Illegible', pharmacist: 'tunde@drugsng.com', cancelOrder: true })
+    ]);
+
+    assert.deepStrictEqual(decisions.map(decision => decision.status), ['fulfilled', 'rejected']);
+    assert.ok(/already Verified/.test(decisions[1].reason.message));
+    assert.strictEqual(released.length, 1);
+    assert.strictEqual(cancelled.length, 0);
+  });
+});
+
+/**
+ * Dose Reminder Test
+ * Runs the dose reminder job in services/adherence.js against stubbed models and WhatsApp:
+ * - A schedule that fails is counted and skipped; the schedules after it still get their reminders
+ */
+describe('E2E: Dose Reminders', () => {
+  it('should keep sending reminders after a schedule fails', async function() {
+    const dueAt = new Date(Date.now() - 60 * 1000);
+    const schedules = createTableStub([1, 2, 3, 4].map(id => ({
+      id,
+      userId: id,
+      status: 'Active',
+      medicineName: 'Metformin 500mg',
+      timesOfDay: ['08:00', '20:00'],
+      timezone: 'Africa/Lagos',
+      nextDoseAt: dueAt,
+      User: { phoneNumber: `+23480300000${id}0` }
+    })));
+    const logs = createTableStub();
+    const whatsapp = createWhatsAppStub();
+    whatsapp.failFor = '+2348030000040';
+
+    const adherence = loadWithStubs('services/adherence.js', {
+      'models/index.js': {
+        MedicationSchedule: schedules,
+        DoseLog: {
+          findOrCreate: ({ where, defaults }) => {
+            if (where.scheduleId === 2) return Promise.reject(new Error('connection reset'));
+            return logs.create({ ...where, ...defaults }).then((log) => {
+              log.destroy = () => {
+                logs.rows.splice(logs.rows.indexOf(log), 1);
+                return Promise.resolve();
+              };
+              return [log, true];
+            });
+          }
+        },
+        Order: {},
+        Prescription: {},
+        User: {}
+      },
+      'config/whatsapp.js': whatsapp
+    });
+
+    const result = await adherence.sendDueDoseReminders();
+
+    assert.deepStrictEqual(result, { sent: 2, missed: 0, failed: 2 });
+    assert.deepStrictEqual(whatsapp.sent.map(sent => sent.phoneNumber), ['+2348030000010', '+2348030000030']);
+    // Sent schedules move on to their next dose; failed ones stay due for the next run
+    assert.deepStrictEqual(schedules.rows.map(schedule => schedule.nextDoseAt > dueAt), [true, false, true, false]);
+    assert.deepStrictEqual(logs.rows.map(log => log.scheduleId), [1, 3]);
+  });
+});
+
+/**
+ * Medication Safety Test
+ * Runs the cart check in services/medicationSafety.js against stubbed orders and catalogue:
+ * - Reordering a medicine doesn't warn about the same medicine from an earlier order
+ * - A different product with the same ingredient still does
+ */
+describe('E2E: Medication Safety', () => {
+  const catalogue = {
+    1: { itemType: 'Product', itemId: 1, name: 'Panadol 500mg' },
+    2: { itemType: 'Product', itemId: 2, name: 'Emzor Paracetamol 500mg' }
+  };
+  let safety;
+
+  beforeEach(() => {
+    safety = loadWithStubs('services/medicationSafety.js', {
+      'models/index.js': {
+        User: { findByPk: () => Promise.resolve({ id: 7, phoneNumber: '+2348030000002', allergies: [], medicalConditions: [] }) },
+        Order: {
+          findAll: () => Promise.resolve([
+            { id: 30, status: 'Delivered', OrderItems: [{ itemType: 'Product', itemId: 1, quantity: 2 }] }
+          ])
+        },
+        OrderItem: {}
+      },
+      'services/catalogue.js': {
+        getCatalogueItem: (itemType, itemId) => Promise.resolve(catalogue[itemId]),
+        describeLines: lines => Promise.resolve(lines.map(line => ({ ...line, ...catalogue[line.itemId] })))
+      },
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    });
+  });
+
+  it('should not warn about a refill of the same medicine', async function() {
+    const result = await safety.checkCartItemSafety(7, 'Product', 1);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.warnings, []);
+  });
+
+  it('should still warn about another product with the same ingredient', async function() {
+    const result = await safety.checkCartItemSafety(7, 'Product', 2);
+    assert.strictEqual(result.warnings.length, 1);
+    assert.strictEqual(result.warnings[0].with, 'Panadol 500mg');
+    assert.strictEqual(result.warnings[0].source, 'order #30');
+  });
+});
+
+/**
+ * Dispatch Test
+ * Runs services/dispatch.js against stubbed models, order transitions and WhatsApp:
+ * - Two assigns of the same order at once leave one open assignment
+ * - Reassigning hands the delivery over and tells the previous rider
+ * - A failed delivery sends the order back to Packed without its delivery code, ready for another rider
+ * - "delivered 4821" from a rider with one delivery is read as the customer's code, not an order number
+ */
+describe('E2E: Dispatch', () => {
+  let orders;
+  let riders;
+  let assignments;
+  let transitions;
+  let exceptions;
+  let whatsapp;
+  let dispatch;
+
+  beforeEach(() => {
+    orders = createTableStub([
+      { id: 42, userId: 7, status: 'Packed', shippingAddress: '12 Allen Avenue, Ikeja', paymentMethod: 'Card', paymentStatus: 'Paid', totalAmount: 5000, addressId: null, deliveryCode: null, deliveryCodeSentAt: null, deliveryCodeAttempts: 0 }
+    ]);
+    riders = createTableStub([
+      { id: 1, name: 'Musa', phoneNumber: '2348030000011', vehicle: 'Motorbike', status: 'Available', isActive: true },
+      { id: 2, name: 'Chidi', phoneNumber: '2348030000022', vehicle: 'Motorbike', status: 'Available', isActive: true }
+    ]);
+    assignments = createTableStub();
+    transitions = [];
+    exceptions = [];
+    whatsapp = createWhatsAppStub();
+
+    // Transactions run one at a time, as the order's row lock makes them
+    let queue = Promise.resolve();
+    const sequelize = {
+      transaction: (work) => {
+        const run = queue.then(() => work(createTransactionStub()));
+        queue = run.catch(() => {});
+        return run;
+      }
+    };
+
+    dispatch = loadWithStubs('services/dispatch.js', {
+      'models/index.js': {
+        sequelize,
+        Order: orders,
+        Rider: riders,
+        DeliveryAssignment: assignments,
+        OrderItem: { findAll: () => Promise.resolve([]) },
+        User: { findByPk: () => Promise.resolve({ id: 7, name: 'Ada', phoneNumber: '+2348030000002' }) },
+        Address: {}
+      },
+      'config/whatsapp.js': whatsapp,
+      'services/orderManagement.js': {
+        transitionOrderStatus: async (orderId, status, options) => {
+          transitions.push({ orderId, status, updates: options.updates });
+          const order = await orders.findByPk(orderId);
+          Object.assign(order, options.updates, { status });
+          return { success: true, changed: true, order };
+        }
+      },
+      'services/catalogue.js': { describeLines: lines => Promise.resolve(lines) },
+      'services/fulfilment.js': {
+        getOrderPickupBranches: () => Promise.resolve([]),
+        markOrderCollected: () => Promise.resolve()
+      },
+      'services/deliveryConfirmation.js': {
+        issueDeliveryCode: () => Promise.resolve({ success: true }),
+        checkDeliveryCode: () => Promise.resolve({ success: true, confirmation: {} }),
+        raiseDeliveryException: (order, type) => {
+          exceptions.push({ orderId: order.id, type });
+          return Promise.resolve({});
+        }
+      }
+    });
+  });
+
+  it('should create one assignment when the same order is assigned twice at once', async function() {
+    const results = await Promise.allSettled([
+      dispatch.assignOrder(42, 1, { assignedBy: 'admin:ops@drugsng.com' }),
+      dispatch.assignOrder(42, 1, { assignedBy: 'admin:ops@drugsng.com' })
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.ok(/already assigned to Musa/.test(results[1].reason.message));
+    assert.strictEqual(assignments.rows.length, 1);
+    assert.strictEqual(riders.rows[0].status, 'OnDelivery');
+  });
+
+  it('should hand a picked-up order to the new rider when reassigned', async function() {
+    await dispatch.assignOrder(42, 1);
+    assignments.rows[0].status = 'PickedUp';
+    assignments.rows[0].pickedUpAt = new Date();
+
+    const assignment = await dispatch.assignOrder(42, 2, { assignedBy: 'admin:ops@drugsng.com' });
+
+    assert.strictEqual(assignments.rows[0].status, 'Cancelled');
+    assert.strictEqual(assignment.status, 'PickedUp');
+    assert.strictEqual(assignment.pickedUpAt, assignments.rows[0].pickedUpAt);
+    assert.deepStrictEqual(riders.rows.map(rider => rider.status), ['Available', 'OnDelivery']);
+    assert.ok(whatsapp.sent.some(sent => sent.phoneNumber === '2348030000011' && /reassigned to another rider/.test(sent.message)));
+  });
+
+  it('should send a failed delivery back to Packed for another rider', async function() {
+    await dispatch.assignOrder(42, 1);
+    Object.assign(orders.rows[0], { status: 'OutForDelivery', deliveryCode: '4821', deliveryCodeSentAt: new Date(), deliveryCodeAttempts: 1 });
+    assignments.rows[0].status = 'EnRoute';
+
+    const result = await dispatch.recordRiderUpdate('2348030000011', 42, 'failed', { reason: 'Customer not home' });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(transitions.map(t => t.status), ['Packed']);
+    assert.strictEqual(orders.rows[0].status, 'Packed');
+    assert.strictEqual(orders.rows[0].deliveryCode, null);
+    assert.strictEqual(orders.rows[0].deliveryCodeSentAt, null);
+    assert.deepStrictEqual(exceptions, [{ orderId: 42, type: 'DeliveryFailed' }]);
+    assert.strictEqual(riders.rows[0].status, 'Available');
+
+    const retry = await dispatch.assignOrder(42, 2);
+    assert.strictEqual(retry.status, 'Assigned');
+  });
+
+  it('should read a lone four-digit number as the delivery code', async function() {
+    const codes = [];
+    const withCodeCheck = loadWithStubs('services/dispatch.js', {
+      'models/index.js': { Order: orders, Rider: riders, DeliveryAssignment: assignments, OrderItem: {}, User: { findByPk: () => Promise.resolve(null) }, Address: {} },
+      'config/whatsapp.js': whatsapp,
+      'services/orderManagement.js': {
+        transitionOrderStatus: async (orderId, status) => {
+          Object.assign(await orders.findByPk(orderId), { status });
+          return { success: true, changed: true };
+        }
+      },
+      'services/deliveryConfirmation.js': {
+        checkDeliveryCode: (order, code) => {
+          codes.push(code);
+          return Promise.resolve({ success: true, confirmation: { deliveryConfirmedAt: new Date() } });
+        }
+      }
+    });
+    Object.assign(orders.rows[0], { status: 'OutForDelivery', deliveryCode: '4821' });
+    await assignments.create({ orderId: 42, riderId: 1, status: 'EnRoute' });
+
+    const result = await withCodeCheck.recordRiderUpdate('2348030000011', 4821, 'delivered', { code: null });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.orderId, 42);
+    assert.deepStrictEqual(codes, ['4821']);
+    assert.strictEqual(orders.rows[0].status, 'Delivered');
+  });
+});
+
+/**
+ * Delivery Confirmation Test
+ * Runs the unconfirmed-delivery check in services/deliveryConfirmation.js against stubbed models:
+ * - Orders with an open failed-delivery exception don't also get a ConfirmationMissing one
+ */
+describe('E2E: Delivery Confirmation', () => {
+  it('should skip orders with an open failed-delivery exception', async function() {
+    const sentAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const orders = createTableStub([
+      { id: 42, userId: 7, status: 'OutForDelivery', deliveryConfirmedAt: null, deliveryCodeSentAt: sentAt },
+      { id: 43, userId: 8, status: 'OutForDelivery', deliveryConfirmedAt: null, deliveryCodeSentAt: sentAt }
+    ]);
+    const exceptions = createTableStub([
+      { id: 1, orderId: 42, type: 'DeliveryFailed', status: 'Open' }
+    ]);
+    const deliveryConfirmation = loadWithStubs('services/deliveryConfirmation.js', {
+      'models/index.js': { Order: orders, DeliveryException: exceptions, User: { findByPk: () => Promise.resolve(null) }, Rider: {} },
+      'config/whatsapp.js': createWhatsAppStub(),
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    });
+
+    const result = await deliveryConfirmation.runDeliveryConfirmationCheck();
+
+    assert.deepStrictEqual(result, { raised: 1 });
+    assert.deepStrictEqual(exceptions.rows.map(e => [e.orderId, e.type]), [[42, 'DeliveryFailed'], [43, 'ConfirmationMissing']]);
+  });
+});
+
+/**
+ * Branch Fulfilment Test
+ * Routes orders with services/fulfilment.js against stubbed branches and stock:
+ * - An item on two lines is planned on its total, so no branch stock goes negative
+ * - Items no branch keeps stock records for go with the branch preparing the rest of the order
+ * - Syncing branch stock leaves out units committed to orders waiting for manual routing
+ */
+describe('E2E: Branch Fulfilment', () => {
+  let products;
+  let branchStock;
+  let fulfilments;
+  let orderItems;
+  let fulfilment;
+
+  beforeEach(() => {
+    const branches = createTableStub([
+      { id: 1, name: 'Ikeja', latitude: null, longitude: null, openingHours: null, isActive: true },
+      { id: 2, name: 'Lekki', latitude: null, longitude: null, openingHours: null, isActive: true }
+    ]);
+    products = createTableStub([
+      { id: 1, name: 'Panadol 500mg', stock: 14 },
+      { id: 2, name: 'Vitamin C 1000mg', stock: 20 }
+    ]);
+    branchStock = createTableStub([
+      { id: 1, branchId: 1, itemType: 'Product', itemId: 1, stock: 4 },
+      { id: 2, branchId: 2, itemType: 'Product', itemId: 1, stock: 10 }
+    ]);
+    orderItems = createTableStub();
+    fulfilments = createTableStub();
+
+    const findStock = branchStock.findAll;
+    branchStock.findAll = async (options) => (await findStock(options))
+      .map(row => Object.assign(row, { Branch: branches.rows.find(branch => branch.id === row.branchId) }));
+    branchStock.findOrCreate = async ({ where, defaults }) => {
+      const existing = await branchStock.findOne({ where });
+      return existing ? [existing, false] : [await branchStock.create({ ...where, ...defaults }), true];
+    };
+    const createFulfilment = fulfilments.create;
+    fulfilments.create = fields => createFulfilment({ status: 'Pending', ...fields });
+    const findFulfilments = fulfilments.findAll;
+    fulfilments.findAll = async (options) => (await findFulfilments(options))
+      .map(row => Object.assign(row, { OrderItems: orderItems.rows.filter(line => line.fulfilmentId === row.id) }));
+
+    fulfilment = loadWithStubs('services/fulfilment.js', {
+      'models/index.js': {
+        sequelize: { transaction: work => work(createTransactionStub()) },
+        Branch: branches,
+        BranchStock: branchStock,
+        Fulfilment: fulfilments,
+        OrderItem: orderItems,
+        Order: {},
+        Address: {}
+      },
+      'services/catalogue.js': {
+        getItemModel: () => products,
+        getLineItemRef: line => ({ itemType: line.itemType, itemId: line.itemId }),
+        describeLines: lines => Promise.resolve(lines)
+      },
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    });
+  });
+
+  const placeOrder = async (lines) => {
+    for (const line of lines) {
+      await orderItems.create({ orderId: 42, itemType: 'Product', fulfilmentId: null, ...line });
+    }
+    return fulfilment.routeOrderToBranches({ id: 42, addressId: null }, createTransactionStub());
+  };
+
+  it('should plan an item on two lines on its total quantity', async function() {
+    const result = await placeOrder([{ itemId: 1, quantity: 3 }, { itemId: 1, quantity: 3 }]);
+
+    assert.deepStrictEqual(result.unassigned, []);
+    assert.deepStrictEqual(fulfilments.rows.map(f => f.branchId), [2]);
+    assert.deepStrictEqual(branchStock.rows.map(row => row.stock), [4, 4]);
+  });
+
+  it('should send an item without branch stock records from the branch preparing the order', async function() {
+    const result = await placeOrder([{ itemId: 1, quantity: 2 }, { itemId: 2, quantity: 1 }]);
+
+    assert.deepStrictEqual(result.unassigned, []);
+    assert.deepStrictEqual(fulfilments.rows.map(f => f.branchId), [1]);
+    assert.deepStrictEqual(orderItems.rows.map(line => line.fulfilmentId), [1, 1]);
+    assert.deepStrictEqual(branchStock.rows.map(row => row.stock), [2, 10]);
+  });
+
+  it('should keep units waiting for manual routing off the catalogue total', async function() {
+    const result = await placeOrder([{ itemId: 1, quantity: 12 }]);
+    assert.deepStrictEqual(result.unassigned, ['Product:1']);
+    products.rows[0].stock = 2;
+
+    await fulfilment.setBranchStock(1, [{ itemType: 'Product', itemId: 1, stock: 6 }]);
+
+    // 6 at Ikeja and 10 at Lekki, less the 12 committed to the unrouted order
+    assert.strictEqual(products.rows[0].stock, 4);
+  });
+});
+
+/**
+ * Appointment Outcomes and Rescheduling Test
+ * Runs services/appointmentManagement.js and the reminder job in services/appointmentReminders.js
+ * against stubbed models, refunds and WhatsApp:
+ * - A no-show is refunded once, however often it is recorded or corrected
+ * - Of two outcomes recorded at the same time only one gets through
+ * - The unrecorded-outcome job leaves an outcome the doctor recorded after it loaded the appointment
+ * - Rescheduling moves the appointment and starts its reminders over, unless it was
+ *   cancelled while the new slot was being checked
+ */
+describe('E2E: Appointment Outcomes and Rescheduling', () => {
+  const doctor = { id: 1, name: 'Bello', phoneNumber: '+2348030000009', timezone: 'Africa/Lagos' };
+  const patient = { id: 7, name: 'Ada', phoneNumber: '+2348030000002' };
+  let appointments;
+  let refunds;
+  let whatsapp;
+  let slotCheck;
+  let appointmentManagement;
+
+  // Loads Sequelize-style: each read is its own copy, so a stale copy doesn't see later changes
+  const createAppointmentTable = (rows) => {
+    const table = createTableStub(rows);
+    const snapshot = row => row && {
+      ...row,
+      Doctor: doctor,
+      User: patient,
+      set(changes) {
+        Object.assign(this, changes);
+      },
+      update(changes) {
+        Object.assign(this, changes);
+        Object.assign(row, changes);
+        return Promise.resolve(this);
+      }
+    };
+    const findAll = table.findAll;
+    table.findByPk = id => Promise.resolve(snapshot(table.rows.find(row => String(row.id) === String(id))));
+    table.findAll = async options => (await findAll(options)).map(snapshot);
+    return table;
+  };
+
+  const withEnv = (values, load) => {
+    Object.assign(process.env, values);
+    try {
+      return load();
+    } finally {
+      Object.keys(values).forEach((name) => { delete process.env[name]; });
+    }
+  };
+
+  beforeEach(() => {
+    appointments = createAppointmentTable([
+      { id: 12, userId: 7, doctorId: 1, status: 'Scheduled', mode: 'InPerson', notes: null, durationMinutes: 30, rescheduleCount: 0, dateTime: new Date(Date.now() - 3 * 60 * 60 * 1000), chatStartedAt: null, chatEndedAt: null },
+      { id: 13, userId: 7, doctorId: 1, status: 'Scheduled', mode: 'InPerson', notes: null, durationMinutes: 30, rescheduleCount: 0, dateTime: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000), reminder24hSentAt: new Date(), confirmedAt: new Date() }
+    ]);
+    refunds = [];
+    whatsapp = createWhatsAppStub();
+    slotCheck = () => {};
+
+    let queue = Promise.resolve();
+    appointmentManagement = withEnv({ APPOINTMENT_NO_SHOW_REFUND_PERCENT: '50' }, () => loadWithStubs('services/appointmentManagement.js', {
+      'models/index.js': {
+        sequelize: {
+          transaction: (work) => {
+            const run = queue.then(() => work(createTransactionStub()));
+            queue = run.catch(() => {});
+            return run;
+          }
+        },
+        Appointment: appointments,
+        Doctor: {},
+        User: {}
+      },
+      'config/whatsapp.js': whatsapp,
+      'services/refunds.js': {
+        findRefundablePayment: () => Promise.resolve({ amount: 15000 }),
+        getRefunds: () => Promise.resolve(refunds.map(refund => ({ ...refund, status: 'Pending' }))),
+        requestRefund: (targetType, targetId, options) => {
+          refunds.push({ targetType, targetId, amount: options.amount });
+          return Promise.resolve({ success: true, amount: options.amount });
+        }
+      },
+      'services/doctorSchedule.js': {
+        reserveSlot: () => {
+          slotCheck();
+          return Promise.resolve({ doctor, durationMinutes: 30 });
+        },
+        getNextAvailableDays: () => Promise.resolve({ success: true, days: [] }),
+        CONSULTATION_MODES: ['InPerson'],
+        MODE_LABELS: { InPerson: 'In person' },
+        consultationModesFor: () => ['InPerson']
+      },
+      'services/support.js': { notifySupportTeam: () => Promise.resolve() }
+    }));
+  });
+
+  it('should refund a no-show once', async function() {
+    await appointmentManagement.recordAppointmentOutcome(12, { outcome: 'NoShow', recordedBy: 'doctor:1' });
+    await appointmentManagement.recordAppointmentOutcome(12, { outcome: 'NoShow', recordedBy: 'doctor:1' });
+    await appointmentManagement.recordAppointmentOutcome(12, { outcome: 'Completed', recordedBy: 'admin:ops@drugsng.com' });
+    await appointmentManagement.recordAppointmentOutcome(12, { outcome: 'NoShow', recordedBy: 'admin:ops@drugsng.com' });
+
+    assert.deepStrictEqual(refunds, [{ targetType: 'Appointment', targetId: 12, amount: 7500 }]);
+    assert.strictEqual(appointments.rows[0].status, 'NoShow');
+    // Told once about the no-show, once about the correction and once about the correction back
+    assert.strictEqual(whatsapp.sent.filter(sent => sent.phoneNumber === patient.phoneNumber).length, 3);
+  });
+
+  it('should let only one of two outcomes recorded at once through', async function() {
+    const results = await Promise.allSettled([
+      appointmentManagement.recordAppointmentOutcome(12, { outcome: 'Completed', recordedBy: 'doctor:1' }),
+      appointmentManagement.recordAppointmentOutcome(12, { outcome: 'NoShow', recordedBy: 'admin:ops@drugsng.com' })
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.ok(/updated at the same time/.test(results[1].reason.message));
+    assert.strictEqual(appointments.rows[0].status, 'Completed');
+    assert.deepStrictEqual(refunds, []);
+  });
+
+  it("should not let the unrecorded-outcome job overwrite the doctor's outcome", async function() {
+    const alerts = [];
+    const reminders = withEnv({ APPOINTMENT_UNRECORDED_OUTCOME: 'NoShow' }, () => loadWithStubs('services/appointmentReminders.js', {
+      'models/index.js': {
+        // The job's list was read just before the doctor recorded the visit
+        Appointment: { findAll: () => appointments.findAll({ where: { id: 12 } }) },
+        Doctor: {},
+        User: {}
+      },
+      'config/whatsapp.js': whatsapp,
+      'services/support.js': {
+        notifySupportTeam: (...args) => {
+          alerts.push(args);
+          return Promise.resolve();
+        }
+      },
+      'services/appointmentManagement.js': appointmentManagement
+    }));
+    const listed = reminders.handleUnrecordedOutcomes();
+    await appointmentManagement.recordAppointmentOutcome(12, { outcome: 'Completed', recordedBy: 'doctor:1' });
+    await listed;
+
+    assert.strictEqual(appointments.rows[0].status, 'Completed');
+    assert.strictEqual(appointments.rows[0].outcomeRecordedBy, 'doctor:1');
+    assert.deepStrictEqual(refunds, []);
+    assert.deepStrictEqual(alerts, []);
+  });
+
+  it('should move the appointment and start its reminders over', async function() {
+    const newTime = new Date(appointments.rows[1].dateTime.getTime() + 24 * 60 * 60 * 1000);
+    const result = await appointmentManagement.rescheduleAppointment(13, { userId: 7 }, newTime);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.reschedulesLeft, 1);
+    assert.strictEqual(appointments.rows[1].dateTime.getTime(), newTime.getTime());
+    assert.strictEqual(appointments.rows[1].rescheduleCount, 1);
+    assert.strictEqual(appointments.rows[1].reminder24hSentAt, null);
+    assert.strictEqual(appointments.rows[1].confirmedAt, null);
+    assert.ok(whatsapp.sent.some(sent => sent.phoneNumber === doctor.phoneNumber && /Appointment moved/.test(sent.message)));
+  });
+
+  it('should not move an appointment cancelled while the new slot was checked', async function() {
+    const booked = appointments.rows[1].dateTime;
+    slotCheck = () => { appointments.rows[1].status = 'Cancelled'; };
+
+    const result = await appointmentManagement.rescheduleAppointment(13, { userId: 7 }, new Date(booked.getTime() + 24 * 60 * 60 * 1000));
+
+    assert.strictEqual(result.success, false);
+    assert.ok(/is cancelled and can't be moved/.test(result.error));
+    assert.strictEqual(appointments.rows[1].dateTime, booked);
+    assert.strictEqual(appointments.rows[1].rescheduleCount, 0);
+  });
+});
+
 // Test execution helpers
 const testSummary = {
-  totalTests: 20,
+  totalTests: 84,
   completedTests: 0,
   failedTests: 0
 };
@@ -382,8 +1991,23 @@ Test categories:
   1. Prescription Upload and Verification (4 tests)
   2. Medicine Order and Payment Flow (7 tests)
   3. Doctor Appointment Booking Flow (7 tests)
-  4. Session and Token Management (5 tests)
-  5. Error Handling and Retry Logic (4 tests)
+  4. Doctor Console (6 tests)
+  5. Teleconsultations (7 tests)
+  6. Session and Token Management (5 tests)
+  7. Error Handling and Retry Logic (4 tests)
+  8. Mock Payment Provider (7 tests)
+  9. Payment Event Ledger (4 tests)
+  10. Payment Reconciliation (3 tests)
+  11. Refunds (4 tests)
+  12. Stock Reservations (3 tests)
+  13. Prescription Gating (3 tests)
+  14. Pharmacist Review (4 tests)
+  15. Dose Reminders (1 test)
+  16. Medication Safety (2 tests)
+  17. Dispatch (4 tests)
+  18. Delivery Confirmation (1 test)
+  19. Branch Fulfilment (3 tests)
+  20. Appointment Outcomes and Rescheduling (5 tests)
 
 Note: These tests are designed to be run against:
   - A test database with sample data
@@ -4,6 +4,12 @@
  * - Order parsing and validation
  * - Pagination formatting
  * - Session/token management
+ * - Prescription line parsing and catalogue name matching
+ * - Drug interaction and allergy screening
+ * - Catalogue search query expansion and ranking
+ * - Delivery zone matching, fees and ETAs
+ * - Branch opening hours and fulfilment routing
+ * - Doctor schedules and free appointment slots
  */
 
 const assert = require('assert');
@@ -28,6 +34,51 @@ const {
   checkTokenRefreshNeeded
 } = require('../../utils/sessionTokenManager');
 
+const {
+  parsePrescriptionLine,
+  parsePrescriptionLines,
+  computeDaysSupply,
+  nameSimilarity,
+  scoreProductMatch
+} = require('../../utils/prescriptionParser');
+
+const {
+  identifyDrugs,
+  normalizeAllergy,
+  normalizeCondition,
+  checkMedicationSafety,
+  highestSeverity
+} = require('../../utils/drugSafety');
+
+const {
+  expandSearchTerms,
+  buildTsQuery,
+  scoreSearchResult
+} = require('../../utils/searchQuery');
+
+const {
+  distanceKm,
+  matchZone,
+  calculateDeliveryFee,
+  estimateDelivery,
+  formatDeliveryEta
+} = require('../../utils/deliveryZones');
+
+const {
+  validateOpeningHours,
+  isBranchOpen,
+  rankBranches,
+  planFulfilment
+} = require('../../utils/fulfilmentRouting');
+
+const {
+  validateWeeklySchedule,
+  normalizeDate,
+  normalizeSlotTime,
+  parseSlotDateTime,
+  getFreeSlots
+} = require('../../utils/doctorSlots');
+
 // Test suite for orderParser utilities
 describe('Order Parser Utilities', () => {
   describe('parseOrderIdFromText', () => {
@@ -442,6 +493,445 @@ describe('Session and Token Management', () => {
   });
 });
 
+describe('Prescription Parser Utilities', () => {
+  describe('parsePrescriptionLine', () => {
+    it('should parse name, strength, form, frequency and duration', () => {
+      const result = parsePrescriptionLine('1. Tab Amoxicillin 500mg TDS x 5/7');
+
+      assert.strictEqual(result.name, 'Amoxicillin');
+      assert.strictEqual(result.strength, '500mg');
+      assert.strictEqual(result.dosageForm, 'Tablet');
+      assert.strictEqual(result.frequency.code, 'TDS');
+      assert.strictEqual(result.durationDays, 5);
+    });
+
+    it('should calculate quantity from dose, frequency and duration', () => {
+      const result = parsePrescriptionLine('Paracetamol 500mg 2 tabs bd for 3 days');
+
+      assert.strictEqual(result.dose, 2);
+      assert.strictEqual(result.quantity, 12);
+      assert.strictEqual(result.quantitySource, 'calculated');
+    });
+
+    it('should prefer a prescribed quantity', () => {
+      const result = parsePrescriptionLine('Cap. Omeprazole 20mg OD x 2/52 #10');
+
+      assert.strictEqual(result.durationDays, 14);
+      assert.strictEqual(result.quantity, 10);
+      assert.strictEqual(result.quantitySource, 'prescribed');
+    });
+
+    it('should default quantity to one pack for liquids', () => {
+      const result = parsePrescriptionLine('Syrup Piriton 2mg/5ml bd x 5 days');
+
+      assert.strictEqual(result.strength, '2mg/5ml');
+      assert.strictEqual(result.dosageForm, 'Syrup');
+      assert.strictEqual(result.quantity, 1);
+    });
+
+    it('should read worded frequencies rather than the bare "daily"', () => {
+      const twice = parsePrescriptionLine('Amoxicillin 500mg caps twice daily x 5 days');
+      assert.strictEqual(twice.name, 'Amoxicillin');
+      assert.strictEqual(twice.frequency.code, 'BD');
+      assert.strictEqual(twice.quantity, 10);
+
+      const thrice = parsePrescriptionLine('Paracetamol 500mg tab thrice daily for 3 days');
+      assert.strictEqual(thrice.name, 'Paracetamol');
+      assert.strictEqual(thrice.frequency.code, 'TDS');
+      assert.strictEqual(thrice.quantity, 9);
+
+      assert.strictEqual(parsePrescriptionLine('Tab Metronidazole 400mg two times a day x 7 days').frequency.code, 'BD');
+      assert.strictEqual(parsePrescriptionLine('Tab Ibuprofen 400mg 3 times daily x 5 days').frequency.code, 'TDS');
+      assert.strictEqual(parsePrescriptionLine('Cap Doxycycline 100mg four times a day x 5 days').frequency.code, 'QDS');
+    });
+
+    it('should still read a bare "daily" as once daily', () => {
+      const result = parsePrescriptionLine('Tab Amlodipine 5mg daily x 30 days');
+
+      assert.strictEqual(result.name, 'Amlodipine');
+      assert.strictEqual(result.frequency.code, 'OD');
+      assert.strictEqual(result.quantity, 30);
+    });
+
+    it('should return null for header lines and word fragments', () => {
+      assert.strictEqual(parsePrescriptionLine('Patient: John Doe'), null);
+      assert.strictEqual(parsePrescriptionLine('Dr. Ade Bello'), null);
+      assert.strictEqual(parsePrescriptionLine('General Hospital Ikeja'), null);
+    });
+  });
+
+  describe('parsePrescriptionLines', () => {
+    it('should return only medicine lines', () => {
+      const text = 'Patient: Jane\nDate: 01/02/2024\nTab Metformin 500mg BD x 1/12\nVitamin C 100mg OD';
+      const result = parsePrescriptionLines(text);
+
+      assert.strictEqual(result.length, 2);
+      assert.strictEqual(result[0].name, 'Metformin');
+      assert.strictEqual(result[0].quantity, 60);
+      assert.strictEqual(result[1].name, 'Vitamin C');
+    });
+
+    it('should handle empty input', () => {
+      assert.deepStrictEqual(parsePrescriptionLines(''), []);
+      assert.deepStrictEqual(parsePrescriptionLines(null), []);
+    });
+  });
+
+  describe('computeDaysSupply', () => {
+    it('should divide counted units by the daily dose', () => {
+      const medicine = parsePrescriptionLine('Paracetamol 500mg 2 tabs bd for 3 days');
+
+      assert.strictEqual(computeDaysSupply(medicine, 12), 3);
+      assert.strictEqual(computeDaysSupply(medicine, 30), 7);
+    });
+
+    it('should last at least one day', () => {
+      const medicine = parsePrescriptionLine('Tab Ibuprofen 400mg tds x 5 days');
+
+      assert.strictEqual(computeDaysSupply(medicine, 1), 1);
+    });
+
+    it('should fall back to the prescribed duration for packs', () => {
+      const medicine = parsePrescriptionLine('Syrup Piriton 2mg/5ml bd x 5 days');
+
+      assert.strictEqual(computeDaysSupply(medicine, 2), 5);
+    });
+
+    it('should return null when neither frequency nor duration is known', () => {
+      assert.strictEqual(computeDaysSupply({ dosageForm: 'Cream', dose: 1, frequency: null, durationDays: null }, 1), null);
+      assert.strictEqual(computeDaysSupply({ dosageForm: 'Tablet', dose: 1, frequency: { code: 'PRN', timesPerDay: null }, durationDays: null }, 20), null);
+    });
+  });
+
+  describe('scoreProductMatch', () => {
+    it('should tolerate OCR misspellings', () => {
+      assert.ok(nameSimilarity('Amoxycilin', 'Amoxicillin') > 0.75);
+    });
+
+    it('should match a drug inside a longer product name', () => {
+      const score = scoreProductMatch({ name: 'Amoxicillin', strength: '500mg' }, 'Amoxil Amoxicillin 500mg Capsules');
+
+      assert.strictEqual(score, 1);
+    });
+
+    it('should score unrelated products low', () => {
+      const score = scoreProductMatch({ name: 'Paracetamol', strength: null }, 'Ibuprofen 400mg');
+
+      assert.ok(score < 0.5);
+    });
+  });
+});
+
+describe('Drug Safety Utilities', () => {
+  describe('identifyDrugs', () => {
+    it('should recognise generic and brand names', () => {
+      assert.deepStrictEqual(identifyDrugs('Brufen 400mg Tablets'), ['ibuprofen']);
+      assert.deepStrictEqual(identifyDrugs('Emzor Paracetamol 500mg'), ['paracetamol']);
+    });
+
+    it('should not match part of a longer word', () => {
+      assert.deepStrictEqual(identifyDrugs('Ironing board cover'), []);
+    });
+  });
+
+  describe('normalizeAllergy / normalizeCondition', () => {
+    it('should map free text to known entries', () => {
+      assert.strictEqual(normalizeAllergy('Sulpha drugs'), 'sulfa');
+      assert.strictEqual(normalizeAllergy('Amoxicillin'), 'penicillin');
+      assert.strictEqual(normalizeCondition('High blood pressure'), 'hypertension');
+      assert.strictEqual(normalizeCondition('broken leg'), null);
+    });
+  });
+
+  describe('checkMedicationSafety', () => {
+    it('should flag a high-severity interaction with another cart item', () => {
+      const warnings = checkMedicationSafety({
+        item: { name: 'Ibuprofen 400mg' },
+        others: [{ name: 'Warfarin 5mg', source: 'cart' }]
+      });
+
+      assert.strictEqual(warnings.length, 1);
+      assert.strictEqual(warnings[0].type, 'interaction');
+      assert.strictEqual(warnings[0].severity, 'High');
+      assert.strictEqual(warnings[0].with, 'Warfarin 5mg');
+    });
+
+    it('should flag allergies and cross-reactions', () => {
+      const direct = checkMedicationSafety({ item: { name: 'Amoxil 500mg Capsules' }, allergies: ['penicillin'] });
+      const cross = checkMedicationSafety({ item: { name: 'Zinnat 250mg' }, allergies: ['penicillin'] });
+
+      assert.strictEqual(direct[0].type, 'allergy');
+      assert.strictEqual(direct[0].severity, 'High');
+      assert.strictEqual(cross[0].severity, 'Moderate');
+    });
+
+    it('should flag conditions and sort the most severe first', () => {
+      const warnings = checkMedicationSafety({
+        item: { name: 'Diclofenac 50mg' },
+        others: [{ name: 'Lisinopril 10mg' }],
+        conditions: ['pepticUlcer']
+      });
+
+      assert.deepStrictEqual(warnings.map(w => w.type), ['condition', 'interaction']);
+      assert.strictEqual(highestSeverity(warnings), 'High');
+    });
+
+    it('should return no warnings for items that are not medicines', () => {
+      const warnings = checkMedicationSafety({ item: { name: 'Digital Thermometer' }, others: [{ name: 'Warfarin 5mg' }] });
+
+      assert.deepStrictEqual(warnings, []);
+      assert.strictEqual(highestSeverity(warnings), null);
+    });
+  });
+});
+
+describe('Search Query Utilities', () => {
+  describe('expandSearchTerms', () => {
+    it('should add the generic and brand names for a brand', () => {
+      const terms = expandSearchTerms('Amoxil');
+
+      assert.strictEqual(terms[0], 'amoxil');
+      assert.ok(terms.includes('amoxicillin'));
+    });
+
+    it('should correct common misspellings of medicine names', () => {
+      const terms = expandSearchTerms('paracetmol 500mg');
+
+      assert.strictEqual(terms[0], 'paracetmol 500mg');
+      assert.ok(terms.includes('paracetamol'));
+      assert.ok(terms.includes('panadol'));
+    });
+
+    it('should leave non-medicine searches alone', () => {
+      assert.deepStrictEqual(expandSearchTerms('  Vitamin C! '), ['vitamin c']);
+      assert.deepStrictEqual(expandSearchTerms(''), []);
+    });
+  });
+
+  describe('buildTsQuery', () => {
+    it('should prefix-match every word and OR the terms together', () => {
+      assert.strictEqual(buildTsQuery(['vitamin c', 'panadol']), '(vitamin:* & c:*) | (panadol:*)');
+      assert.strictEqual(buildTsQuery([]), '');
+    });
+  });
+
+  describe('scoreSearchResult', () => {
+    it('should rank in-stock and popular items above equally relevant ones', () => {
+      const terms = ['paracetamol'];
+      const base = { name: 'Paracetamol 500mg', textRank: 0.1, similarity: 1 };
+
+      const inStock = scoreSearchResult({ ...base, stock: 10, popularity: 0 }, terms);
+      const popular = scoreSearchResult({ ...base, stock: 10, popularity: 50 }, terms);
+      const outOfStock = scoreSearchResult({ ...base, stock: 0, popularity: 50 }, terms);
+
+      assert.ok(popular > inStock);
+      assert.ok(inStock > outOfStock);
+    });
+
+    it('should rank a name match above a description-only match', () => {
+      const terms = ['panadol'];
+
+      const named = scoreSearchResult({ name: 'Panadol Extra', textRank: 0.05, similarity: 1, stock: 1 }, terms);
+      const described = scoreSearchResult({ name: 'Pain Relief Pack', textRank: 0.05, similarity: 0.2, stock: 1 }, terms);
+
+      assert.ok(named > described);
+    });
+  });
+});
+
+describe('Delivery Zone Utilities', () => {
+  const ikeja = {
+    type: 'Radius',
+    centerLatitude: 6.6018,
+    centerLongitude: 3.3515,
+    radiusKm: 10,
+    areaKeywords: ['ikeja', 'allen avenue'],
+    baseFee: 1000,
+    feePerKm: 100,
+    freeDeliveryThreshold: 20000,
+    cutoffTime: '17:00',
+    etaHours: 4
+  };
+
+  describe('matchZone', () => {
+    it('should match shared locations on distance from the pharmacy', () => {
+      const match = matchZone(ikeja, { latitude: 6.5244, longitude: 3.3792 });
+
+      assert.strictEqual(match.matchedBy, 'location');
+      assert.strictEqual(match.distanceKm, distanceKm({ latitude: 6.6018, longitude: 3.3515 }, { latitude: 6.5244, longitude: 3.3792 }));
+      assert.strictEqual(matchZone(ikeja, { latitude: 6.4281, longitude: 3.4219 }), null);
+    });
+
+    it('should match shared locations inside a polygon', () => {
+      const island = { type: 'Polygon', polygon: [[6.4, 3.4], [6.5, 3.4], [6.5, 3.6], [6.4, 3.6]] };
+
+      assert.ok(matchZone(island, { latitude: 6.45, longitude: 3.5 }));
+      assert.strictEqual(matchZone(island, { latitude: 6.55, longitude: 3.5 }), null);
+    });
+
+    it('should match typed addresses on area names', () => {
+      assert.strictEqual(matchZone(ikeja, { text: '12 Allen Avenue, Ikeja' }).matchedBy, 'area');
+      assert.strictEqual(matchZone(ikeja, { text: 'Lekki Phase 1' }), null);
+    });
+  });
+
+  describe('calculateDeliveryFee', () => {
+    it('should add the per-km fee and waive delivery above the threshold', () => {
+      assert.strictEqual(calculateDeliveryFee(ikeja, 5000, 4.2), 1420);
+      assert.strictEqual(calculateDeliveryFee(ikeja, 5000, null), 1000);
+      assert.strictEqual(calculateDeliveryFee(ikeja, 25000, 4.2), 0);
+    });
+  });
+
+  describe('estimateDelivery / formatDeliveryEta', () => {
+    it('should deliver the same day before the cut-off', () => {
+      const placedAt = new Date('2026-10-19T12:00:00Z'); // 13:00 in Lagos
+      const estimate = estimateDelivery(ikeja, placedAt, 1);
+
+      assert.strictEqual(estimate.sameDay, true);
+      assert.strictEqual(estimate.estimatedDeliveryAt.toISOString(), '2026-10-19T16:00:00.000Z');
+      assert.strictEqual(formatDeliveryEta(estimate.estimatedDeliveryAt, 1, placedAt), 'today by 17:00');
+    });
+
+    it('should move orders after the cut-off to the next morning run', () => {
+      const placedAt = new Date('2026-10-19T17:30:00Z'); // 18:30 in Lagos
+      const estimate = estimateDelivery(ikeja, placedAt, 1, '08:00');
+
+      assert.strictEqual(estimate.sameDay, false);
+      assert.strictEqual(estimate.dispatchAt.toISOString(), '2026-10-20T07:00:00.000Z');
+      assert.strictEqual(formatDeliveryEta(estimate.estimatedDeliveryAt, 1, placedAt), 'tomorrow by 12:00');
+    });
+  });
+});
+
+describe('Fulfilment Routing Utilities', () => {
+  describe('validateOpeningHours', () => {
+    it('should accept weekday ranges, closed days and always-open', () => {
+      assert.strictEqual(validateOpeningHours({ mon: '08:00-20:00', sat: '09:00-24:00', sun: null }), null);
+      assert.strictEqual(validateOpeningHours(null), null);
+    });
+
+    it('should reject unknown days, bad formats and inverted ranges', () => {
+      assert.ok(validateOpeningHours({ monday: '08:00-20:00' }));
+      assert.ok(validateOpeningHours({ mon: '8am-8pm' }));
+      assert.ok(validateOpeningHours({ mon: '20:00-08:00' }));
+      assert.ok(validateOpeningHours(['08:00-20:00']));
+    });
+  });
+
+  describe('isBranchOpen', () => {
+    const hours = { mon: '08:00-20:00', sun: null };
+
+    it('should use local time', () => {
+      // Monday 2026-10-19 07:30 UTC is 08:30 in Lagos (UTC+1)
+      assert.strictEqual(isBranchOpen(hours, new Date('2026-10-19T07:30:00Z'), 1), true);
+      assert.strictEqual(isBranchOpen(hours, new Date('2026-10-19T06:30:00Z'), 1), false);
+      assert.strictEqual(isBranchOpen(hours, new Date('2026-10-19T19:00:00Z'), 1), false);
+    });
+
+    it('should treat missing days as closed and no hours as always open', () => {
+      assert.strictEqual(isBranchOpen(hours, new Date('2026-10-18T12:00:00Z'), 1), false);
+      assert.strictEqual(isBranchOpen(hours, new Date('2026-10-20T12:00:00Z'), 1), false);
+      assert.strictEqual(isBranchOpen(null, new Date('2026-10-18T03:00:00Z'), 1), true);
+    });
+  });
+
+  describe('rankBranches and planFulfilment', () => {
+    const destination = { latitude: 6.6018, longitude: 3.3515 }; // Ikeja
+    const branches = [
+      { id: 1, latitude: 6.4281, longitude: 3.4219, isOpen: true, stock: { 'Product:1': 5, 'Product:2': 5 } }, // Victoria Island
+      { id: 2, latitude: 6.6050, longitude: 3.3490, isOpen: true, stock: { 'Product:1': 5 } }, // Ikeja
+      { id: 3, latitude: 6.6000, longitude: 3.3500, isOpen: false, stock: { 'Product:1': 5, 'Product:2': 5 } } // Ikeja, closed
+    ];
+
+    it('should put open branches first, nearest first', () => {
+      assert.deepStrictEqual(rankBranches(branches, destination).map(b => b.id), [2, 1, 3]);
+      assert.deepStrictEqual(rankBranches(branches, null).map(b => b.id), [1, 2, 3]);
+    });
+
+    it('should prefer the nearest branch that can supply the whole order', () => {
+      const plan = planFulfilment(
+        [{ key: 'Product:1', quantity: 2 }, { key: 'Product:2', quantity: 1 }],
+        rankBranches(branches, destination)
+      );
+      assert.deepStrictEqual(plan.assignments.map(a => a.branch.id), [1]);
+      assert.deepStrictEqual(plan.unassigned, []);
+    });
+
+    it('should split across branches and report lines nobody can supply', () => {
+      const ranked = rankBranches([
+        { id: 1, isOpen: true, stock: { 'Product:1': 5 } },
+        { id: 2, isOpen: true, stock: { 'Product:2': 5 } }
+      ], null);
+      const plan = planFulfilment([
+        { key: 'Product:1', quantity: 2 },
+        { key: 'Product:2', quantity: 2 },
+        { key: 'Product:3', quantity: 1 }
+      ], ranked);
+
+      assert.deepStrictEqual(plan.assignments.map(a => [a.branch.id, a.keys]), [[1, ['Product:1']], [2, ['Product:2']]]);
+      assert.deepStrictEqual(plan.unassigned, ['Product:3']);
+    });
+  });
+});
+
+describe('Doctor Slot Utilities', () => {
+  const schedule = {
+    mon: { start: '09:00', end: '12:00', breaks: [{ start: '10:00', end: '10:30' }] },
+    tue: null
+  };
+  const times = slots => slots.map(slot => slot.toISOString().slice(11, 16));
+
+  describe('validateWeeklySchedule', () => {
+    it('should accept working hours with breaks and days off', () => {
+      assert.strictEqual(validateWeeklySchedule(schedule), null);
+    });
+
+    it('should reject unknown days, inverted hours and breaks outside working hours', () => {
+      assert.ok(validateWeeklySchedule({ monday: { start: '09:00', end: '17:00' } }));
+      assert.ok(validateWeeklySchedule({ mon: { start: '17:00', end: '09:00' } }));
+      assert.ok(validateWeeklySchedule({ mon: { start: '09:00', end: '12:00', breaks: [{ start: '12:00', end: '13:00' }] } }));
+      assert.ok(validateWeeklySchedule(null));
+    });
+  });
+
+  describe('normalizeDate, normalizeSlotTime and parseSlotDateTime', () => {
+    it('should accept ISO and day-first dates and reject impossible ones', () => {
+      assert.strictEqual(normalizeDate('2026-10-19'), '2026-10-19');
+      assert.strictEqual(normalizeDate('19/10/2026'), '2026-10-19');
+      assert.strictEqual(normalizeDate('31/02/2026'), null);
+    });
+
+    it('should read 24-hour and am/pm times', () => {
+      assert.strictEqual(normalizeSlotTime('14:30'), '14:30');
+      assert.strictEqual(normalizeSlotTime('2pm'), '14:00');
+      assert.strictEqual(normalizeSlotTime('14'), null);
+    });
+
+    it('should read a typed date and time in the doctor timezone', () => {
+      assert.strictEqual(parseSlotDateTime('2026-10-19 14:00', 1).toISOString(), '2026-10-19T13:00:00.000Z');
+      assert.strictEqual(parseSlotDateTime('tomorrow 2pm', 1), null);
+    });
+  });
+
+  describe('getFreeSlots', () => {
+    const base = { schedule, consultationMinutes: 30, offsetHours: 1 };
+
+    it('should split working hours into slots around breaks', () => {
+      // Monday; times are UTC, an hour behind Lagos
+      assert.deepStrictEqual(times(getFreeSlots('2026-10-19', base)), ['08:00', '08:30', '09:30', '10:00', '10:30']);
+    });
+
+    it('should leave out booked time, days off, leave and slots before the earliest time', () => {
+      const booked = [{ start: new Date('2026-10-19T08:15:00Z'), minutes: 30 }];
+      assert.deepStrictEqual(times(getFreeSlots('2026-10-19', { ...base, booked })), ['09:30', '10:00', '10:30']);
+      assert.deepStrictEqual(getFreeSlots('2026-10-20', base), []);
+      assert.deepStrictEqual(getFreeSlots('2026-10-19', { ...base, leaves: [{ startDate: '2026-10-18', endDate: '2026-10-19' }] }), []);
+      assert.deepStrictEqual(times(getFreeSlots('2026-10-19', { ...base, earliest: new Date('2026-10-19T10:00:00Z') })), ['10:00', '10:30']);
+    });
+  });
+});
+
 // Summary
 console.log('\n✅ All unit tests defined. Run with: npm test\n');
 
@@ -455,5 +945,10 @@ module.exports = {
   attachNumberedOptions,
   parseUserSelection,
   validateSessionValidity,
-  checkTokenRefreshNeeded
+  checkTokenRefreshNeeded,
+  parsePrescriptionLine,
+  parsePrescriptionLines,
+  scoreProductMatch,
+  identifyDrugs,
+  checkMedicationSafety
 };
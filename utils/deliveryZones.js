@@ -0,0 +1,153 @@
+// Utilities for delivery zones (services/delivery.js): which zone covers an address,
+// what delivery costs there and when an order placed now should arrive
+
+const EARTH_RADIUS_KM = 6371;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const normalizeText = (value) => ` ${String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const hasCoordinates = (point) => (
+  point && Number.isFinite(Number(point.latitude)) && Number.isFinite(Number(point.longitude)) &&
+  point.latitude !== null && point.longitude !== null
+);
+
+/**
+ * Straight-line distance between two points
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Kilometres, rounded to 0.1
+ */
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h)) * 10) / 10;
+};
+
+/**
+ * Whether a point lies inside a polygon (ray casting)
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygon - Corners as [latitude, longitude] pairs
+ * @returns {boolean}
+ */
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (lngI > point.longitude) !== (lngJ > point.longitude) &&
+      point.latitude < (latJ - latI) * (point.longitude - lngI) / (lngJ - lngI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Whether a zone covers an address. Addresses with coordinates (shared locations) are
+ * matched on the zone's radius or polygon; typed addresses on the zone's area names.
+ * @param {Object} zone - { type, centerLatitude, centerLongitude, radiusKm, polygon, areaKeywords }
+ * @param {Object} address - { latitude, longitude, text }
+ * @returns {Object|null} { distanceKm, matchedBy: 'location'|'area' }, or null when not covered
+ */
+const matchZone = (zone, address) => {
+  const center = { latitude: zone.centerLatitude, longitude: zone.centerLongitude };
+  if (hasCoordinates(address)) {
+    const point = { latitude: Number(address.latitude), longitude: Number(address.longitude) };
+    const distance = hasCoordinates(center) ? distanceKm(center, point) : null;
+    if (zone.type === 'Polygon') {
+      const inside = Array.isArray(zone.polygon) && zone.polygon.length >= 3 && isPointInPolygon(point, zone.polygon);
+      return inside ? { distanceKm: distance, matchedBy: 'location' } : null;
+    }
+    return distance !== null && distance <= zone.radiusKm ? { distanceKm: distance, matchedBy: 'location' } : null;
+  }
+
+  const text = normalizeText(address.text);
+  const matched = (zone.areaKeywords || []).some(keyword => normalizeText(keyword).trim() && text.includes(normalizeText(keyword)));
+  return matched ? { distanceKm: null, matchedBy: 'area' } : null;
+};
+
+/**
+ * Delivery fee for an order in a zone
+ * @param {Object} zone - { baseFee, feePerKm, freeDeliveryThreshold }
+ * @param {number} subtotal - Value of the items
+ * @param {number|null} distance - Kilometres from the zone centre, when known
+ * @returns {number} Fee in naira
+ */
+const calculateDeliveryFee = (zone, subtotal, distance = null) => {
+  if (zone.freeDeliveryThreshold != null && subtotal >= zone.freeDeliveryThreshold) return 0;
+  const distanceFee = zone.feePerKm && distance != null ? zone.feePerKm * distance : 0;
+  return Math.round((zone.baseFee || 0) + distanceFee);
+};
+
+/**
+ * When an order placed now should arrive. Orders placed after the zone's cut-off go out
+ * with the first run the next day; orders before riders start go out with the first run.
+ * @param {Object} zone - { cutoffTime 'HH:MM', etaHours }
+ * @param {Date} placedAt - When the order was placed
+ * @param {number} offsetHours - Local timezone offset from UTC
+ * @param {string} dayStart - 'HH:MM' when the first delivery run leaves
+ * @returns {Object} { dispatchAt, estimatedDeliveryAt, sameDay }
+ */
+const estimateDelivery = (zone, placedAt, offsetHours, dayStart = '08:00') => {
+  const local = new Date(placedAt.getTime() + offsetHours * HOUR_MS);
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+  const minutesNow = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = toMinutes(dayStart);
+  const cutoff = zone.cutoffTime ? toMinutes(zone.cutoffTime) : 24 * 60;
+
+  let dispatchLocal;
+  if (minutesNow < start) {
+    dispatchLocal = midnight + start * MINUTE_MS;
+  } else if (minutesNow <= cutoff) {
+    dispatchLocal = local.getTime();
+  } else {
+    dispatchLocal = midnight + DAY_MS + start * MINUTE_MS;
+  }
+
+  const dispatchAt = new Date(dispatchLocal - offsetHours * HOUR_MS);
+  return {
+    dispatchAt,
+    estimatedDeliveryAt: new Date(dispatchAt.getTime() + (zone.etaHours || 0) * HOUR_MS),
+    sameDay: dispatchLocal < midnight + DAY_MS
+  };
+};
+
+/**
+ * Delivery estimate for chat messages
+ * @param {Date} estimatedAt - Estimated delivery time
+ * @param {number} offsetHours - Local timezone offset from UTC
+ * @param {Date} now - Reference time for "today"/"tomorrow"
+ * @returns {string} e.g. "today by 17:00", "tomorrow by 11:00" or "Wed 22 Oct by 11:00"
+ */
+const formatDeliveryEta = (estimatedAt, offsetHours, now = new Date()) => {
+  const local = new Date(new Date(estimatedAt).getTime() + offsetHours * HOUR_MS);
+  const localNow = new Date(now.getTime() + offsetHours * HOUR_MS);
+  const days = Math.round(
+    (Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) -
+      Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate())) / DAY_MS
+  );
+  const time = local.toISOString().slice(11, 16);
+  if (days === 0) return `today by ${time}`;
+  if (days === 1) return `tomorrow by ${time}`;
+  const day = local.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' }).replace(',', '');
+  return `${day} by ${time}`;
+};
+
+module.exports = {
+  distanceKm,
+  isPointInPolygon,
+  matchZone,
+  calculateDeliveryFee,
+  estimateDelivery,
+  formatDeliveryEta
+};
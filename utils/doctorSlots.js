@@ -0,0 +1,186 @@
+// Utilities for doctor availability (services/doctorSchedule.js): weekly schedules with
+// breaks, leave dates and the appointment slots they leave free
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const validateRange = (range, label) => {
+  if (!range || typeof range !== 'object') return `${label} must be { start: "HH:MM", end: "HH:MM" }`;
+  if (!TIME_PATTERN.test(range.start || '') || !TIME_PATTERN.test(range.end || '')) {
+    return `${label} must be { start: "HH:MM", end: "HH:MM" }`;
+  }
+  if (toMinutes(range.end) <= toMinutes(range.start)) return `${label} must end after it starts`;
+  return null;
+};
+
+/**
+ * Check a weekly schedule
+ * @param {Object} schedule - { mon: { start: '09:00', end: '17:00', breaks: [{ start: '13:00', end: '14:00' }] }, sat: null, ... }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateWeeklySchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'weeklySchedule must map weekdays (mon-sun) to { start, end, breaks } or null';
+  }
+  for (const [day, hours] of Object.entries(schedule)) {
+    if (!WEEKDAYS.includes(day)) return `Unknown weekday in weeklySchedule: ${day}`;
+    if (hours === null) continue;
+
+    const error = validateRange(hours, `Hours for ${day}`);
+    if (error) return error;
+    if (hours.breaks !== undefined && !Array.isArray(hours.breaks)) return `Breaks for ${day} must be a list`;
+    for (const pause of hours.breaks || []) {
+      const breakError = validateRange(pause, `A break on ${day}`);
+      if (breakError) return breakError;
+      if (toMinutes(pause.start) < toMinutes(hours.start) || toMinutes(pause.end) > toMinutes(hours.end)) {
+        return `Breaks on ${day} must be within working hours`;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Normalise a date typed by a customer
+ * @param {string} value - "2026-10-20", "20/10/2026" or "20-10-2026"
+ * @returns {string|null} "YYYY-MM-DD", or null if it isn't a real date
+ */
+const normalizeDate = (value) => {
+  const text = String(value || '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Normalise a time typed by a customer
+ * @param {string} value - "14:00", "2pm", "2:30 pm"
+ * @returns {string|null} "HH:MM", or null if it isn't a time
+ */
+const normalizeSlotTime = (value) => {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// "YYYY-MM-DD" of a moment in a zone with the given UTC offset (hours)
+const localDate = (date, offset) => new Date(new Date(date).getTime() + offset * HOUR_MS).toISOString().slice(0, 10);
+
+// "HH:MM" of a moment in a zone with the given UTC offset (hours)
+const localTime = (date, offset) => new Date(new Date(date).getTime() + offset * HOUR_MS).toISOString().slice(11, 16);
+
+// UTC moment of a local date and "HH:MM" time
+const toUtc = (dateString, time, offset) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes) - offset * HOUR_MS);
+};
+
+/**
+ * Read a typed date and time as a moment in the doctor's timezone
+ * @param {string} text - "2026-10-20 14:00", "20/10/2026 2pm"
+ * @param {number} offset - Timezone offset from UTC (hours)
+ * @returns {Date|null} UTC moment, or null if the text isn't a date followed by a time
+ */
+const parseSlotDateTime = (text, offset) => {
+  const match = String(text || '').trim().match(/^(\S+)(?:\s+|T)(.+)$/);
+  if (!match) return null;
+  const date = normalizeDate(match[1]);
+  const time = normalizeSlotTime(match[2]);
+  return date && time ? toUtc(date, time, offset) : null;
+};
+
+const addDays = (dateString, days) => new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Whether a date falls in any leave period
+ * @param {Array} leaves - [{ startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD' }] (inclusive)
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+const isOnLeave = (leaves, dateString) => (leaves || []).some(leave => leave.startDate <= dateString && dateString <= leave.endDate);
+
+/**
+ * Free appointment slots on a day
+ * @param {string} dateString - Local date, "YYYY-MM-DD"
+ * @param {Object} options
+ * @param {Object} options.schedule - Weekly schedule (see validateWeeklySchedule)
+ * @param {number} options.consultationMinutes - Slot length
+ * @param {number} options.offsetHours - Doctor's timezone offset from UTC
+ * @param {Array} options.leaves - Leave periods
+ * @param {Array} options.booked - Taken time: [{ start: Date, minutes }]
+ * @param {Date} options.earliest - Slots starting before this are left out
+ * @returns {Array} Slot start times (UTC Dates), earliest first
+ */
+const getFreeSlots = (dateString, options) => {
+  const { schedule, consultationMinutes, offsetHours, leaves = [], booked = [], earliest = null } = options;
+  if (isOnLeave(leaves, dateString)) return [];
+
+  const weekday = WEEKDAYS[new Date(`${dateString}T00:00:00Z`).getUTCDay()];
+  const hours = schedule && schedule[weekday];
+  if (!hours) return [];
+
+  const breaks = (hours.breaks || []).map(pause => [toMinutes(pause.start), toMinutes(pause.end)]);
+  const taken = booked.map(({ start, minutes }) => {
+    const startMs = new Date(start).getTime();
+    return [startMs, startMs + minutes * MINUTE_MS];
+  });
+
+  const slots = [];
+  let minute = toMinutes(hours.start);
+  const end = toMinutes(hours.end);
+  while (minute + consultationMinutes <= end) {
+    const slotEnd = minute + consultationMinutes;
+    const pause = breaks.find(([from, to]) => minute < to && slotEnd > from);
+    if (pause) {
+      // Resume straight after the break rather than on the next slot boundary
+      minute = pause[1];
+      continue;
+    }
+
+    const start = toUtc(dateString, `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`, offsetHours);
+    const startMs = start.getTime();
+    const endMs = startMs + consultationMinutes * MINUTE_MS;
+    const clashes = taken.some(([from, to]) => startMs < to && endMs > from);
+    if (!clashes && (!earliest || start >= earliest)) slots.push(start);
+    minute = slotEnd;
+  }
+  return slots;
+};
+
+module.exports = {
+  validateWeeklySchedule,
+  normalizeDate,
+  normalizeSlotTime,
+  localDate,
+  localTime,
+  toUtc,
+  parseSlotDateTime,
+  addDays,
+  isOnLeave,
+  getFreeSlots
+};
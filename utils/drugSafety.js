@@ -0,0 +1,147 @@
+// Utilities for screening a medicine against the rest of a cart, recent orders
+// and the customer's allergy/condition profile (reference data in config/drugInteractions.js)
+
+const {
+  SEVERITY_LEVELS,
+  DRUGS,
+  DRUG_CLASSES,
+  INTERACTIONS,
+  ALLERGIES,
+  CONDITIONS
+} = require('../config/drugInteractions');
+
+const normalizeText = (value) => ` ${String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+/**
+ * Generic drugs mentioned in a product name or description
+ * @param {string} text - e.g. "Emzor Paracetamol 500mg" or "Brufen 400mg Tablets"
+ * @returns {Array} Drug keys from DRUGS, e.g. ['ibuprofen']
+ */
+const identifyDrugs = (text) => {
+  const haystack = normalizeText(text);
+  return Object.keys(DRUGS).filter(drug => (
+    DRUGS[drug].some(alias => haystack.includes(normalizeText(alias)))
+  ));
+};
+
+// Drug keys plus the names of every class they belong to
+const expandDrugs = (drugs) => {
+  const tags = new Set(drugs);
+  Object.entries(DRUG_CLASSES).forEach(([className, members]) => {
+    if (members.some(member => tags.has(member))) tags.add(className);
+  });
+  return tags;
+};
+
+const matchesAny = (tags, names) => names.some(name => tags.has(name));
+
+const severityRank = (severity) => {
+  const rank = SEVERITY_LEVELS.indexOf(severity);
+  return rank === -1 ? SEVERITY_LEVELS.length : rank;
+};
+
+const findProfileEntry = (catalogue, value) => {
+  const text = normalizeText(value);
+  if (text.trim() === '') return null;
+  if (catalogue[text.trim()]) return text.trim();
+  return Object.keys(catalogue).find(key => (
+    normalizeText(catalogue[key].label) === text ||
+    catalogue[key].aliases.some(alias => normalizeText(alias) === text)
+  )) || null;
+};
+
+/**
+ * Known allergy for free text ("Penicillin", "sulpha drugs")
+ * @param {string} value - What the customer typed
+ * @returns {string|null} Key in ALLERGIES
+ */
+const normalizeAllergy = (value) => findProfileEntry(ALLERGIES, String(value || '').replace(/\s+drugs?$/i, ''));
+
+/**
+ * Known condition for free text ("high blood pressure", "Asthma")
+ * @param {string} value - What the customer typed
+ * @returns {string|null} Key in CONDITIONS
+ */
+const normalizeCondition = (value) => findProfileEntry(CONDITIONS, value);
+
+/**
+ * Screen one item against other medicines and the customer's profile
+ * @param {Object} params
+ * @param {Object} params.item - { name, description } of the item being added
+ * @param {Array} params.others - [{ name, description, source }] already in the cart or recently ordered
+ * @param {Array} params.allergies - Allergy keys (see normalizeAllergy)
+ * @param {Array} params.conditions - Condition keys (see normalizeCondition)
+ * @returns {Array} Warnings { type, severity, item, with, effect, advice }, most severe first
+ */
+const checkMedicationSafety = ({ item, others = [], allergies = [], conditions = [] }) => {
+  const drugs = identifyDrugs(`${item.name} ${item.description || ''}`);
+  if (drugs.length === 0) return [];
+
+  const tags = expandDrugs(drugs);
+  const warnings = [];
+
+  others.forEach((other) => {
+    const otherTags = expandDrugs(identifyDrugs(`${other.name} ${other.description || ''}`));
+    if (otherTags.size === 0) return;
+
+    const rule = INTERACTIONS
+      .filter(r => (
+        (matchesAny(tags, r.a) && matchesAny(otherTags, r.b)) ||
+        (matchesAny(tags, r.b) && matchesAny(otherTags, r.a))
+      ))
+      .sort((x, y) => severityRank(x.severity) - severityRank(y.severity))[0];
+    if (rule) {
+      warnings.push({
+        type: 'interaction',
+        severity: rule.severity,
+        item: item.name,
+        with: other.name,
+        source: other.source || null,
+        effect: rule.effect,
+        advice: rule.advice
+      });
+    }
+  });
+
+  allergies.forEach((key) => {
+    const allergy = ALLERGIES[key];
+    if (!allergy) return;
+    if (matchesAny(tags, allergy.drugs)) {
+      warnings.push({ type: 'allergy', severity: 'High', item: item.name, with: allergy.label, effect: `You told us you are allergic to ${allergy.label.toLowerCase()}.`, advice: 'Do not take this medicine — ask a pharmacist for an alternative.' });
+    } else if (allergy.crossReactive && matchesAny(tags, allergy.crossReactive)) {
+      warnings.push({ type: 'allergy', severity: 'Moderate', item: item.name, with: allergy.label, effect: `Some people allergic to ${allergy.label.toLowerCase()} also react to this medicine.`, advice: 'Check with a pharmacist before taking it.' });
+    }
+  });
+
+  conditions.forEach((key) => {
+    const condition = CONDITIONS[key];
+    if (!condition) return;
+    const caution = condition.cautions
+      .filter(c => matchesAny(tags, c.drugs))
+      .sort((x, y) => severityRank(x.severity) - severityRank(y.severity))[0];
+    if (caution) {
+      warnings.push({ type: 'condition', severity: caution.severity, item: item.name, with: condition.label, effect: `Needs care with ${condition.label.toLowerCase()}.`, advice: caution.advice });
+    }
+  });
+
+  return warnings.sort((x, y) => severityRank(x.severity) - severityRank(y.severity));
+};
+
+/**
+ * Most serious severity among warnings
+ * @param {Array} warnings - From checkMedicationSafety
+ * @returns {string|null} 'High', 'Moderate', 'Low' or null when there are none
+ */
+const highestSeverity = (warnings) => (
+  warnings.length === 0
+    ? null
+    : warnings.reduce((worst, w) => (severityRank(w.severity) < severityRank(worst) ? w.severity : worst), warnings[0].severity)
+);
+
+module.exports = {
+  identifyDrugs,
+  normalizeAllergy,
+  normalizeCondition,
+  checkMedicationSafety,
+  highestSeverity
+};
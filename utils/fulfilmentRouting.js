@@ -0,0 +1,117 @@
+// Utilities for routing orders to pharmacy branches (services/fulfilment.js): whether a
+// branch is open and which branches should supply which order lines
+
+const { distanceKm } = require('./deliveryZones');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const HOURS_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check an opening hours object
+ * @param {Object|null} openingHours - { mon: '08:00-20:00', sun: null, ... }
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateOpeningHours = (openingHours) => {
+  if (openingHours === null || openingHours === undefined) return null;
+  if (typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+    return 'openingHours must map weekdays (mon-sun) to "HH:MM-HH:MM" or null';
+  }
+  for (const [day, hours] of Object.entries(openingHours)) {
+    if (!WEEKDAYS.includes(day)) return `Unknown weekday in openingHours: ${day}`;
+    if (hours !== null && (typeof hours !== 'string' || !HOURS_PATTERN.test(hours))) {
+      return `Opening hours for ${day} must be "HH:MM-HH:MM" or null`;
+    }
+    if (hours && toMinutes(hours.split('-')[1]) <= toMinutes(hours.split('-')[0])) {
+      return `Closing time for ${day} must be after opening time`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a branch is open at a moment
+ * @param {Object|null} openingHours - { mon: '08:00-20:00', ... }; days left out are closed, null is always open
+ * @param {Date} at - Moment to check
+ * @param {number} offsetHours - Local timezone offset from UTC
+ * @returns {boolean}
+ */
+const isBranchOpen = (openingHours, at, offsetHours) => {
+  if (!openingHours) return true;
+  const local = new Date(at.getTime() + offsetHours * HOUR_MS);
+  const hours = openingHours[WEEKDAYS[local.getUTCDay()]];
+  if (!hours) return false;
+  const [open, close] = hours.split('-').map(toMinutes);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  return minutes >= open && minutes < close;
+};
+
+/**
+ * Order branches by preference: open before closed, then nearest to the delivery address
+ * (branches without a location, or any branch when the address has none, come after in ID order)
+ * @param {Array} branches - [{ id, latitude, longitude, isOpen }]
+ * @param {Object|null} destination - { latitude, longitude }
+ * @returns {Array} Branches with distanceKm, most preferred first
+ */
+const rankBranches = (branches, destination) => branches
+  .map(branch => ({
+    ...branch,
+    distanceKm: destination && branch.latitude != null && branch.longitude != null
+      ? distanceKm({ latitude: branch.latitude, longitude: branch.longitude }, destination)
+      : null
+  }))
+  .sort((a, b) => (
+    (b.isOpen === false ? 0 : 1) - (a.isOpen === false ? 0 : 1) ||
+    (a.distanceKm === null) - (b.distanceKm === null) ||
+    (a.distanceKm || 0) - (b.distanceKm || 0) ||
+    a.id - b.id
+  ));
+
+/**
+ * Decide which branches supply an order. The most preferred branch that has every line
+ * in stock takes the whole order; otherwise lines are split across as few branches as
+ * possible, preferring nearer ones. Lines are never split between branches.
+ * @param {Array} lines - [{ key, quantity }]
+ * @param {Array} branches - Ranked branches (see rankBranches), each with stock: { [key]: units }
+ * @returns {Object} { assignments: [{ branch, keys }], unassigned: [keys no branch has enough of] }
+ */
+const planFulfilment = (lines, branches) => {
+  const canSupply = (branch, line) => (branch.stock[line.key] || 0) >= line.quantity;
+
+  const single = branches.find(branch => lines.every(line => canSupply(branch, line)));
+  if (single) {
+    return { assignments: [{ branch: single, keys: lines.map(line => line.key) }], unassigned: [] };
+  }
+
+  let remaining = lines.slice();
+  const assignments = [];
+  while (remaining.length > 0) {
+    let best = null;
+    let bestLines = [];
+    for (const branch of branches) {
+      if (assignments.some(a => a.branch.id === branch.id)) continue;
+      const supplied = remaining.filter(line => canSupply(branch, line));
+      if (supplied.length > bestLines.length) {
+        best = branch;
+        bestLines = supplied;
+      }
+    }
+    if (!best) break;
+    assignments.push({ branch: best, keys: bestLines.map(line => line.key) });
+    remaining = remaining.filter(line => !bestLines.includes(line));
+  }
+
+  return { assignments, unassigned: remaining.map(line => line.key) };
+};
+
+module.exports = {
+  validateOpeningHours,
+  isBranchOpen,
+  rankBranches,
+  planFulfilment
+};
@@ -228,16 +228,17 @@ const sendPaymentMethodButtons = async (phoneNumber) => {
 };
 
 /**
- * Send appointment date selection (next 7 days)
+ * Send appointment date selection (next 3 days, or the given dates)
  * @param {string} phoneNumber - User's phone number
+ * @param {Array} dates - Optional [{ id: 'YYYY-MM-DD', title }], e.g. the days a doctor has free slots
  * @returns {Promise<boolean>} True if message sent successfully
  */
-const sendDateSelectionButtons = async (phoneNumber) => {
+const sendDateSelectionButtons = async (phoneNumber, dates = null) => {
   try {
-    const buttons = [];
+    const buttons = dates ? dates.slice(0, 3) : [];
     const today = new Date();
 
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; !dates && i < 3; i++) {
       const date = new Date(today);
       date.setDate(date.getDate() + i + 1); // Start from tomorrow
       const dateStr = date.toLocaleDateString('en-NG', { month: 'short', day: 'numeric' });
@@ -262,31 +263,25 @@ const sendDateSelectionButtons = async (phoneNumber) => {
 };
 
 /**
- * Send time selection buttons
+ * Send a doctor's free slots to choose from
  * @param {string} phoneNumber - User's phone number
+ * @param {Array} slots - [{ id, title }] from the doctor's schedule, earliest first
+ * @param {string} dateLabel - Day the slots are on, for the message
  * @returns {Promise<boolean>} True if message sent successfully
  */
-const sendTimeSelectionButtons = async (phoneNumber) => {
+const sendTimeSelectionButtons = async (phoneNumber, slots, dateLabel = '') => {
   try {
-    const buttons = [
-      { id: '09:00', title: '09:00 AM' },
-      { id: '11:00', title: '11:00 AM' },
-      { id: '14:00', title: '02:00 PM' },
-      { id: '16:00', title: '04:00 PM' }
-    ];
-
-    // Send in two batches since WhatsApp allows max 3 buttons
-    await sendInteractiveMessage(
-      phoneNumber,
-      '⏰ *Select Appointment Time*\n\nChoose a time slot:',
-      buttons.slice(0, 3)
-    );
+    if (!slots || slots.length === 0) return false;
+    const body = `⏰ *Select Appointment Time*${dateLabel ? `\n${dateLabel}` : ''}\n\nChoose a free slot:`;
 
-    await sendInteractiveMessage(
-      phoneNumber,
-      'More time slots:',
-      buttons.slice(3)
-    );
+    // WhatsApp allows 3 buttons per message and 10 rows per list
+    if (slots.length <= 3) {
+      await sendInteractiveMessage(phoneNumber, body, slots);
+    } else {
+      await sendListMessage(phoneNumber, body, 'Choose time', [
+        { title: 'Free slots', rows: slots.slice(0, 10) }
+      ]);
+    }
 
     return true;
   } catch (error) {
@@ -0,0 +1,280 @@
+// Utilities for reading medicine lines out of prescription (OCR) text
+// and matching drug names against catalogue product names
+
+// Dosing frequencies as written on Nigerian/UK-style prescriptions. Patterns overlap
+// ("twice daily" also contains "daily"), so callers take the longest match.
+const FREQUENCIES = [
+  { code: 'OD', label: 'Once daily', timesPerDay: 1, pattern: /\b(?:od|qd|o\.d\.?|(?:once|one\s+time)\s+(?:a\s+|per\s+)?(?:daily|day)|daily)\b/i },
+  { code: 'BD', label: 'Twice daily', timesPerDay: 2, pattern: /\b(?:bd|bid|b\.d\.?|(?:twice|two\s+times)\s+(?:a\s+|per\s+)?(?:daily|day)|12\s*hourly|q12h)\b/i },
+  { code: 'TDS', label: 'Three times daily', timesPerDay: 3, pattern: /\b(?:tds|tid|t\.d\.s\.?|(?:thrice|three\s+times)\s+(?:a\s+|per\s+)?(?:daily|day)|8\s*hourly|q8h)\b/i },
+  { code: 'QDS', label: 'Four times daily', timesPerDay: 4, pattern: /\b(?:qds|qid|q\.d\.s\.?|four\s+times\s+(?:a\s+|per\s+)?(?:daily|day)|6\s*hourly|q6h)\b/i },
+  { code: 'NOCTE', label: 'At night', timesPerDay: 1, pattern: /\b(?:nocte|at\s+night|hs)\b/i },
+  { code: 'MANE', label: 'In the morning', timesPerDay: 1, pattern: /\bmane\b/i },
+  { code: 'PRN', label: 'As needed', timesPerDay: null, pattern: /\b(?:prn|as\s+needed|when\s+required)\b/i },
+  { code: 'STAT', label: 'Immediately, once', timesPerDay: null, pattern: /\bstat\b/i }
+];
+
+// "3 times daily", "2x a day"
+const TIMES_PER_DAY_PATTERN = /\b(\d)\s*(?:x|times)\s*(?:a\s+|per\s+)?(?:day|daily)\b/i;
+
+const DOSAGE_FORMS = [
+  { form: 'Tablet', pattern: /\b(?:tabs?|tablets?)\b\.?/i },
+  { form: 'Capsule', pattern: /\b(?:caps?|capsules?)\b\.?/i },
+  { form: 'Syrup', pattern: /\b(?:syr|syrup)\b\.?/i },
+  { form: 'Suspension', pattern: /\b(?:susp|suspension)\b\.?/i },
+  { form: 'Injection', pattern: /\b(?:inj|injection|amp|ampoules?)\b\.?/i },
+  { form: 'Cream', pattern: /\bcream\b/i },
+  { form: 'Ointment', pattern: /\b(?:oint|ointment)\b\.?/i },
+  { form: 'Gel', pattern: /\bgel\b/i },
+  { form: 'Drops', pattern: /\b(?:drops?|gtts?)\b/i },
+  { form: 'Inhaler', pattern: /\binhaler\b/i },
+  { form: 'Suppository', pattern: /\b(?:supp|suppository|suppositories)\b\.?/i },
+  { form: 'Sachet', pattern: /\bsachets?\b/i },
+  { form: 'Lotion', pattern: /\blotion\b/i }
+];
+
+// Forms dispensed per unit, where quantity can be worked out from dose x frequency x duration
+const COUNTABLE_FORMS = ['Tablet', 'Capsule', 'Suppository', 'Sachet'];
+
+const STRENGTH_PATTERN = /\b(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|ml|iu|%)(?:\s*\/\s*(\d+(?:\.\d+)?)\s*(ml|g))?(?![a-z])/i;
+
+// "x 5/7" (days), "x 2/52" (weeks), "x 1/12" (months), "for 5 days", "x 2 weeks"
+const DURATION_FRACTION_PATTERN = /\b(?:x|for)?\s*(\d+)\s*\/\s*(7|52|12)\b/i;
+const DURATION_WORDS_PATTERN = /\b(?:x|for)\s*(\d+)\s*(days?|d|weeks?|wks?|months?|mths?)\b/i;
+
+// "qty 20", "quantity: 2", "#14", "dispense 30"
+const QUANTITY_PATTERN = /(?:\b(?:qty|quantity|dispense|disp)\b\s*:?\s*|#\s*)(\d+)/i;
+
+// Units taken per dose: "2 tabs", "1 cap", "2 puffs"
+const DOSE_PATTERN = /\b(\d+(?:\.\d+)?)\s*(tabs?|tablets?|caps?|capsules?|puffs?|drops?|sachets?)\b/i;
+
+// Lines that describe the patient, prescriber or clinic rather than a medicine
+const HEADER_LINE_PATTERN = /^\s*(?:patient|name|age|sex|gender|date|dr\b|dr\.|doctor|hospital|clinic|address|sign|signature|diagnosis|tel|phone|reg(?:istration)?\s*no|folio|ward)\b/i;
+
+const DURATION_DAYS = { 7: 1, 52: 7, 12: 30 };
+
+const toDays = (amount, unit) => {
+  const u = unit.toLowerCase();
+  if (u.startsWith('w')) return amount * 7;
+  if (u.startsWith('m')) return amount * 30;
+  return amount;
+};
+
+const findFrequency = (line) => {
+  const timesMatch = line.match(TIMES_PER_DAY_PATTERN);
+  if (timesMatch) {
+    const times = parseInt(timesMatch[1], 10);
+    const known = FREQUENCIES.find(f => f.timesPerDay === times && !['NOCTE', 'MANE'].includes(f.code));
+    return {
+      match: timesMatch[0],
+      frequency: known ? { code: known.code, label: known.label, timesPerDay: times } : { code: `${times}XD`, label: `${times} times daily`, timesPerDay: times }
+    };
+  }
+
+  // The longest match is the most specific: "twice daily" rather than "daily"
+  const best = FREQUENCIES
+    .map(f => ({ f, m: line.match(f.pattern) }))
+    .filter(candidate => candidate.m)
+    .sort((a, b) => b.m[0].length - a.m[0].length)[0];
+  if (!best) return null;
+  return { match: best.m[0], frequency: { code: best.f.code, label: best.f.label, timesPerDay: best.f.timesPerDay } };
+};
+
+const findDuration = (line) => {
+  const fraction = line.match(DURATION_FRACTION_PATTERN);
+  if (fraction) {
+    return { match: fraction[0], days: parseInt(fraction[1], 10) * DURATION_DAYS[fraction[2]] };
+  }
+  const words = line.match(DURATION_WORDS_PATTERN);
+  if (words) {
+    return { match: words[0], days: toDays(parseInt(words[1], 10), words[2]) };
+  }
+  return null;
+};
+
+const findDosageForm = (line) => {
+  for (const { form, pattern } of DOSAGE_FORMS) {
+    const m = line.match(pattern);
+    if (m) return { match: m[0], form };
+  }
+  return null;
+};
+
+/**
+ * Parse one prescription line into a structured medicine entry
+ * @param {string} line - A single line of prescription text, e.g. "Tab Amoxicillin 500mg TDS x 5/7"
+ * @returns {Object|null} { raw, name, strength, dosageForm, dose, frequency, durationDays, quantity, quantitySource }
+ *   or null when the line doesn't look like a medicine
+ */
+const parsePrescriptionLine = (line) => {
+  if (!line || typeof line !== 'string') return null;
+
+  const raw = line.trim();
+  let rest = raw.replace(/^(?:\d+\s*[.)]|[-•*]|rx\s*:?)\s*/i, '');
+  if (!rest || HEADER_LINE_PATTERN.test(rest)) return null;
+
+  const consume = (text) => {
+    if (text) rest = rest.replace(text, ' ');
+  };
+
+  const quantityMatch = rest.match(QUANTITY_PATTERN);
+  consume(quantityMatch && quantityMatch[0]);
+
+  const duration = findDuration(rest);
+  consume(duration && duration.match);
+
+  const frequency = findFrequency(rest);
+  consume(frequency && frequency.match);
+
+  const doseMatch = rest.match(DOSE_PATTERN);
+  consume(doseMatch && doseMatch[0]);
+
+  const strengthMatch = rest.match(STRENGTH_PATTERN);
+  consume(strengthMatch && strengthMatch[0]);
+
+  const form = findDosageForm(rest) || (doseMatch ? findDosageForm(doseMatch[2]) : null);
+  consume(form && form.match);
+
+  // Whatever leading words are left are the drug name
+  const nameWords = rest
+    .replace(/[^A-Za-z\s-]/g, ' ')
+    .split(/\s+/)
+    // Single capitals are kept for names like "Vitamin C"
+    .filter(word => (word.length > 1 || /^[A-Z]$/.test(word)) && !/^(?:of|and|to|by|po|orally|take|sig|x)$/i.test(word))
+    .slice(0, 4);
+  const name = nameWords.join(' ');
+
+  // A bare word is not enough - real medicine lines carry a strength, form or frequency
+  if (name.replace(/[^A-Za-z]/g, '').length < 3 || !(strengthMatch || form || frequency)) {
+    return null;
+  }
+
+  const dosageForm = form ? form.form : null;
+  const dose = doseMatch ? parseFloat(doseMatch[1]) : 1;
+  const durationDays = duration ? duration.days : null;
+
+  let quantity = 1;
+  let quantitySource = 'default';
+  if (quantityMatch) {
+    quantity = parseInt(quantityMatch[1], 10);
+    quantitySource = 'prescribed';
+  } else if (COUNTABLE_FORMS.includes(dosageForm) && frequency && frequency.frequency.timesPerDay && durationDays) {
+    quantity = Math.ceil(dose * frequency.frequency.timesPerDay * durationDays);
+    quantitySource = 'calculated';
+  }
+
+  return {
+    raw,
+    name,
+    strength: strengthMatch ? strengthMatch[0].replace(/\s+/g, '').toLowerCase() : null,
+    dosageForm,
+    dose,
+    frequency: frequency ? frequency.frequency : null,
+    durationDays,
+    quantity,
+    quantitySource
+  };
+};
+
+/**
+ * Days an ordered quantity lasts
+ * @param {Object} medicine - Parsed medicine ({ dosageForm, dose, frequency, durationDays })
+ * @param {number} quantity - Units ordered
+ * @returns {number|null} Days of supply, or null if it can't be worked out
+ */
+const computeDaysSupply = (medicine, quantity) => {
+  const timesPerDay = medicine.frequency && medicine.frequency.timesPerDay;
+  if (COUNTABLE_FORMS.includes(medicine.dosageForm) && timesPerDay) {
+    const perDay = (medicine.dose || 1) * timesPerDay;
+    return Math.max(1, Math.floor(quantity / perDay));
+  }
+  return medicine.durationDays || null;
+};
+
+/**
+ * Parse every medicine line in a block of prescription text
+ * @param {string} text - OCR text
+ * @returns {Array} Structured medicine entries (see parsePrescriptionLine)
+ */
+const parsePrescriptionLines = (text) => {
+  if (!text || typeof text !== 'string') return [];
+  return text
+    .split(/\r?\n/)
+    .map(parsePrescriptionLine)
+    .filter(Boolean);
+};
+
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two strings between 0 and 1, tolerant of OCR misspellings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for identical (after normalising case and punctuation)
+ */
+const nameSimilarity = (a, b) => {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  return 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+};
+
+/**
+ * How well a catalogue product name matches a parsed medicine.
+ * Product names often carry extra words ("Amoxil Amoxicillin 500mg Capsules"),
+ * so the drug name is compared against every run of words of the same length.
+ * @param {Object} medicine - Parsed medicine ({ name, strength })
+ * @param {string} productName - Catalogue product name
+ * @returns {number} Score between 0 and 1
+ */
+const scoreProductMatch = (medicine, productName) => {
+  const drugWords = normalizeName(medicine.name).split(' ').filter(Boolean);
+  const productWords = normalizeName(productName).split(' ').filter(Boolean);
+  if (drugWords.length === 0 || productWords.length === 0) return 0;
+
+  let best = nameSimilarity(medicine.name, productName);
+  for (let i = 0; i + drugWords.length <= productWords.length; i++) {
+    const window = productWords.slice(i, i + drugWords.length).join(' ');
+    best = Math.max(best, nameSimilarity(drugWords.join(' '), window));
+  }
+
+  // Prefer the product of the prescribed strength
+  if (medicine.strength) {
+    const strength = normalizeName(medicine.strength).replace(/\s+/g, '');
+    if (normalizeName(productName).replace(/\s+/g, '').includes(strength)) {
+      best = Math.min(1, best + 0.1);
+    }
+  }
+
+  return Math.round(best * 100) / 100;
+};
+
+module.exports = {
+  FREQUENCIES,
+  COUNTABLE_FORMS,
+  parsePrescriptionLine,
+  parsePrescriptionLines,
+  computeDaysSupply,
+  nameSimilarity,
+  scoreProductMatch
+};
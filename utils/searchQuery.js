@@ -0,0 +1,105 @@
+// Utilities for catalogue search (services/search.js): normalising what customers type in chat,
+// expanding it with brand/generic names and ranking the rows PostgreSQL returns
+
+const { DRUGS } = require('../config/drugInteractions');
+const { nameSimilarity } = require('./prescriptionParser');
+
+// How close a misspelt word has to be to a known drug name ("paracetmol" -> "paracetamol")
+const TYPO_SIMILARITY = 0.8;
+const MAX_SEARCH_TERMS = 8;
+
+const normalizeSearchText = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Drug key whose name or brand matches a word or phrase, allowing for small typos
+const findDrug = (text) => {
+  let best = null;
+  let bestScore = 0;
+  Object.entries(DRUGS).forEach(([drug, aliases]) => {
+    aliases.forEach((alias) => {
+      const name = normalizeSearchText(alias);
+      const score = name === text ? 1 : (text.length >= 4 ? nameSimilarity(text, name) : 0);
+      if (score >= TYPO_SIMILARITY && score > bestScore) {
+        best = drug;
+        bestScore = score;
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Terms to search for: the query itself, then the generic and brand names of any
+ * medicine it mentions, so "amoxil" also finds amoxicillin and "paracetmol" finds Panadol
+ * @param {string} query - What the customer typed
+ * @returns {Array} Normalised terms, the original query first
+ */
+const expandSearchTerms = (query) => {
+  const text = normalizeSearchText(query);
+  if (!text) return [];
+
+  const words = text.split(' ');
+  const drugs = new Set();
+  const whole = findDrug(text);
+  if (whole) drugs.add(whole);
+  words.forEach((word) => {
+    const drug = findDrug(word);
+    if (drug) drugs.add(drug);
+  });
+
+  const terms = new Set([text]);
+  drugs.forEach((drug) => {
+    terms.add(drug);
+    DRUGS[drug].forEach(alias => terms.add(normalizeSearchText(alias)));
+  });
+  return [...terms].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * PostgreSQL tsquery matching any of the terms. Words within a term must all match
+ * and are prefix-matched, so "amox" finds "amoxicillin"
+ * @param {Array} terms - From expandSearchTerms
+ * @returns {string} e.g. "(vitamin:* & c:*) | (panadol:*)", or '' for no terms
+ */
+const buildTsQuery = (terms) => terms
+  .map(term => normalizeSearchText(term).split(' ').filter(Boolean).map(word => `${word}:*`))
+  .filter(words => words.length > 0)
+  .map(words => `(${words.join(' & ')})`)
+  .join(' | ');
+
+/**
+ * Ranking score for a search hit. Relevance dominates; stock and popularity
+ * break ties between similarly relevant items
+ * @param {Object} hit - { name, textRank, similarity, stock, popularity }
+ * @param {Array} terms - From expandSearchTerms
+ * @returns {number} Score, higher is better
+ */
+const scoreSearchResult = (hit, terms) => {
+  const name = normalizeSearchText(hit.name);
+  const textRank = Number(hit.textRank) || 0;
+  let relevance = Math.max(
+    textRank > 0 ? 0.6 + Math.min(0.4, textRank * 4) : 0,
+    Number(hit.similarity) || 0
+  );
+  if (terms.some(term => name === term || name.startsWith(`${term} `))) {
+    relevance += 0.2;
+  }
+
+  let boost = 0;
+  if (typeof hit.stock === 'number') {
+    boost += hit.stock > 0 ? 0.15 : -0.25;
+  }
+  boost += Math.min(0.2, Math.log10(1 + (Number(hit.popularity) || 0)) * 0.1);
+
+  return Math.round((relevance + boost) * 1000) / 1000;
+};
+
+module.exports = {
+  TYPO_SIMILARITY,
+  normalizeSearchText,
+  expandSearchTerms,
+  buildTsQuery,
+  scoreSearchResult
+};